@@ -0,0 +1,316 @@
+/**
+ * SyncScript Vault Archives
+ *
+ * Portable ZIP of a whole vault, used to move vaults between instances:
+ * - manifest.json: the vault, its tags and collections, every source (bibliographic fields,
+ *   metadata, tags, collection), and where its file or note lives
+ * - files/<id>-<name>: uploaded files
+ * - notes/<id>-<title>.md: note sources as Markdown
+ * - bibliography.bib and bibliography-<style>.txt
+ * - audit-log.jsonl (optional)
+ *
+ * Export streams entries into the response as they are read from disk; import
+ * reads entries on demand from the uploaded file, so neither side holds the
+ * whole archive in memory.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { Readable } = require('stream');
+const archiver = require('archiver');
+const yauzl = require('yauzl');
+const citations = require('./citations');
+const { formatBibliography } = require('./bibliography');
+
+const ARCHIVE_FORMAT = 'syncscript-vault';
+const ARCHIVE_VERSION = 1;
+const MAX_MANIFEST_BYTES = 50 * 1024 * 1024;
+
+const archiveError = (message) => Object.assign(new Error(message), { code: 'INVALID_ARCHIVE' });
+
+// File-system friendly slice of a title or file name
+const safeName = (text, fallback = 'untitled') => (text || '')
+  .normalize('NFKD')
+  .replace(/[^\w.-]+/g, '_')
+  .replace(/^[_.]+|_+$/g, '')
+  .slice(0, 80) || fallback;
+
+// ============================================================================
+// EXPORT
+// ============================================================================
+
+const exportSource = (source, uploadsDir) => {
+  const entry = {
+    id: source.id,
+    type: source.type,
+    title: source.title,
+    content: source.content || source.url || null,
+    mimeType: source.mimeType,
+    size: source.size,
+    addedBy: { name: source.creator.name, email: source.creator.email },
+    addedAt: source.addedAt.toISOString(),
+    capturedAt: source.capturedAt ? source.capturedAt.toISOString() : null,
+    metadata: source.metadata ? JSON.parse(source.metadata) : null,
+    bibliography: formatBibliography(source),
+    collectionId: source.collectionId,
+    tagIds: source.tags.map(sourceTag => sourceTag.tagId)
+  };
+  let filePath = null;
+
+  if ((source.type === 'file' || source.type === 'image') && entry.content && entry.content.startsWith('/uploads/')) {
+    const candidate = path.join(uploadsDir, path.basename(entry.content));
+    if (fs.existsSync(candidate)) {
+      filePath = candidate;
+      entry.file = `files/${source.id}-${safeName(path.basename(entry.content), 'file')}`;
+    } else {
+      entry.missingFile = true;
+    }
+    entry.content = null;
+  } else if (source.type === 'note') {
+    entry.note = `notes/${source.id}-${safeName(source.title)}.md`;
+  }
+
+  return { entry, filePath };
+};
+
+const citationLines = (sources, options) => sources
+  .map(source => citations.formatCitation(source, options).citation)
+  .join('\n');
+
+// BibTeX keys must be unique within a file: repeats get a, b, c... suffixes
+const bibtexEntries = (sources) => {
+  const seen = new Map();
+  return sources.map(source => {
+    const entry = citations.formatCitation(source, { format: 'bibtex' }).citation;
+    return entry.replace(/^(@\w+\{)([^,]+),/, (match, start, key) => {
+      const count = seen.get(key) || 0;
+      seen.set(key, count + 1);
+      if (count === 0) return match;
+      return `${start}${key}${count <= 26 ? String.fromCharCode(96 + count) : count},`;
+    });
+  }).join('\n\n');
+};
+
+/**
+ * Stream a vault archive into `output` (e.g. an HTTP response)
+ * sources: Prisma records with creator and tags included; tags, collections: the vault's rows
+ * auditLogs: optional async iterable of plain objects, written one JSON line each
+ * Resolves once the archive is fully written; rejects on read or write errors (code ABORTED
+ * when the client disconnects)
+ */
+const writeVaultArchive = (output, { vault, sources, tags = [], collections = [], style = 'apa', auditLogs = null, uploadsDir }) => new Promise((resolve, reject) => {
+  const archive = archiver('zip', { zlib: { level: 6 } });
+  archive.on('error', reject);
+  archive.on('warning', reject);
+  output.on('finish', resolve);
+  // The client went away mid-download: stop reading files
+  output.on('close', () => {
+    if (!output.writableFinished) {
+      archive.abort();
+      reject(Object.assign(new Error('Export aborted by the client'), { code: 'ABORTED' }));
+    }
+  });
+  archive.pipe(output);
+
+  const exported = sources.map(source => exportSource(source, uploadsDir));
+
+  const manifest = {
+    format: ARCHIVE_FORMAT,
+    version: ARCHIVE_VERSION,
+    exportedAt: new Date().toISOString(),
+    vault: {
+      id: vault.id,
+      name: vault.name,
+      createdAt: vault.createdAt.toISOString()
+    },
+    citationStyle: style,
+    includesAuditLog: Boolean(auditLogs),
+    tags: tags.map(tag => ({ id: tag.id, name: tag.name, color: tag.color })),
+    collections: collections.map(collection => ({ id: collection.id, parentId: collection.parentId, name: collection.name })),
+    sources: exported.map(({ entry }) => entry)
+  };
+  archive.append(JSON.stringify(manifest, null, 2), { name: 'manifest.json' });
+
+  exported.forEach(({ entry, filePath }) => {
+    if (entry.file) {
+      archive.file(filePath, { name: entry.file });
+    } else if (entry.note) {
+      archive.append(`# ${entry.title}\n\n${entry.content || ''}\n`, { name: entry.note });
+    }
+  });
+
+  archive.append(bibtexEntries(sources), { name: 'bibliography.bib' });
+  archive.append(citationLines(sources, { style, format: 'text' }), { name: `bibliography-${style}.txt` });
+
+  if (auditLogs) {
+    const lines = Readable.from((async function* () {
+      for await (const log of auditLogs) {
+        yield `${JSON.stringify(log)}\n`;
+      }
+    })());
+    archive.append(lines, { name: 'audit-log.jsonl' });
+  }
+
+  archive.finalize();
+});
+
+// ============================================================================
+// IMPORT
+// ============================================================================
+
+const streamToBuffer = async (stream, maxBytes) => {
+  const chunks = [];
+  let size = 0;
+  for await (const chunk of stream) {
+    size += chunk.length;
+    if (size > maxBytes) {
+      stream.destroy();
+      throw archiveError('manifest.json is too large');
+    }
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks);
+};
+
+/**
+ * Open an archive on disk and read its manifest
+ * Returns { manifest, openEntry(name) → readable stream | null, close() }
+ * Throws INVALID_ARCHIVE for anything that is not a readable SyncScript archive
+ */
+const readVaultArchive = async (zipPath) => {
+  let zipfile;
+  try {
+    zipfile = await new Promise((resolve, reject) => {
+      yauzl.open(zipPath, { lazyEntries: true, autoClose: false }, (error, zip) => (error ? reject(error) : resolve(zip)));
+    });
+  } catch (error) {
+    throw archiveError(`Not a valid ZIP archive: ${error.message}`);
+  }
+
+  const close = () => zipfile.close();
+
+  try {
+    // Index entry headers only; contents are read when asked for
+    const entries = await new Promise((resolve, reject) => {
+      const found = new Map();
+      zipfile.on('entry', entry => {
+        found.set(entry.fileName, entry);
+        zipfile.readEntry();
+      });
+      zipfile.on('end', () => resolve(found));
+      zipfile.on('error', reject);
+      zipfile.readEntry();
+    });
+
+    const openEntry = async (name) => {
+      const entry = entries.get(name);
+      if (!entry) return null;
+      return new Promise((resolve, reject) => {
+        zipfile.openReadStream(entry, (error, stream) => (error ? reject(error) : resolve(stream)));
+      });
+    };
+
+    const manifestStream = await openEntry('manifest.json');
+    if (!manifestStream) {
+      throw archiveError('Archive has no manifest.json');
+    }
+
+    let manifest;
+    try {
+      manifest = JSON.parse((await streamToBuffer(manifestStream, MAX_MANIFEST_BYTES)).toString('utf8'));
+    } catch (error) {
+      throw error.code === 'INVALID_ARCHIVE' ? error : archiveError('manifest.json is not valid JSON');
+    }
+
+    if (!manifest || manifest.format !== ARCHIVE_FORMAT) {
+      throw archiveError('This is not a SyncScript vault archive');
+    }
+    if (manifest.version > ARCHIVE_VERSION) {
+      throw archiveError(`Archive version ${manifest.version} is newer than this server supports (${ARCHIVE_VERSION})`);
+    }
+    if (!manifest.vault || !Array.isArray(manifest.sources)) {
+      throw archiveError('manifest.json is missing the vault or its sources');
+    }
+
+    return { manifest, openEntry, close };
+  } catch (error) {
+    close();
+    throw error.code === 'INVALID_ARCHIVE' ? error : archiveError(`Could not read archive: ${error.message}`);
+  }
+};
+
+const MAX_TEXT_BYTES = 65535; // MySQL TEXT, the Source.content column
+const MAX_INT = 2147483647;
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const archiveDate = (value) => {
+  const date = new Date(value);
+  return (typeof value === 'string' || typeof value === 'number') && !isNaN(date) ? date : null;
+};
+
+/**
+ * Check the plain fields of a manifest source before they reach the database
+ * Returns { fields, dropped } with dropped: { field: reason } for values left out,
+ * or { error } when the source cannot be imported at all
+ */
+const readSourceEntry = (entry) => {
+  if (!isPlainObject(entry)) {
+    return { error: 'not a source record' };
+  }
+  if (typeof entry.content !== 'string' && entry.content != null) {
+    return { error: 'its content is not text' };
+  }
+  if (entry.content && Buffer.byteLength(entry.content) > MAX_TEXT_BYTES) {
+    return { error: 'its content is too long' };
+  }
+
+  const dropped = {};
+  const fields = {
+    content: entry.content || null,
+    mimeType: null,
+    size: null,
+    addedAt: undefined,
+    capturedAt: null,
+    metadata: {},
+    file: typeof entry.file === 'string' ? entry.file : null,
+    addedBy: null
+  };
+
+  if (entry.mimeType != null) {
+    if (typeof entry.mimeType === 'string' && entry.mimeType.length <= 100) fields.mimeType = entry.mimeType || null;
+    else dropped.mimeType = 'must be text of at most 100 characters';
+  }
+  if (entry.size != null) {
+    if (Number.isInteger(entry.size) && entry.size >= 0 && entry.size <= MAX_INT) fields.size = entry.size;
+    else dropped.size = 'must be a whole number of bytes';
+  }
+  ['addedAt', 'capturedAt'].forEach(field => {
+    if (entry[field] == null) return;
+    const date = archiveDate(entry[field]);
+    if (date) fields[field] = date;
+    else dropped[field] = 'not a valid date';
+  });
+  if (entry.metadata != null) {
+    if (isPlainObject(entry.metadata)) fields.metadata = entry.metadata;
+    else dropped.metadata = 'must be an object';
+  }
+  // Exports write { name, email }; a bare string is kept as given
+  if (isPlainObject(entry.addedBy) && typeof entry.addedBy.name === 'string' && typeof entry.addedBy.email === 'string') {
+    fields.addedBy = { name: entry.addedBy.name, email: entry.addedBy.email };
+  } else if (typeof entry.addedBy === 'string') {
+    fields.addedBy = entry.addedBy;
+  }
+
+  return { fields, dropped };
+};
+
+module.exports = {
+  ARCHIVE_FORMAT,
+  ARCHIVE_VERSION,
+  safeName,
+  writeVaultArchive,
+  readVaultArchive,
+  readSourceEntry,
+  isPlainObject
+};
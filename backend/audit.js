@@ -0,0 +1,161 @@
+/**
+ * SyncScript Audit Chain
+ *
+ * A vault's audit entries form a hash chain: entry n carries its sequence number,
+ * the hash of entry n - 1, and a SHA-256 hash of its own fields plus that previous
+ * hash. The vault row keeps the sequence number and hash of the latest entry, so
+ * editing, deleting, inserting, or reordering entries (including cutting some off
+ * the end) breaks the chain when it is walked again. Entries written before the
+ * chain existed have no sequence number; they are counted but cannot be checked.
+ *
+ * Exports (CSV or JSON Lines) carry the chain fields so a copy can be checked offline.
+ */
+
+const crypto = require('crypto');
+
+const entryHash = (entry) => crypto.createHash('sha256').update(JSON.stringify([
+  entry.seq,
+  entry.vaultId,
+  entry.userId,
+  entry.action,
+  entry.resourceType ?? null,
+  entry.resourceId ?? null,
+  entry.metadata ?? null,
+  new Date(entry.createdAt).toISOString(),
+  entry.prevHash ?? null
+])).digest('hex');
+
+/**
+ * AuditLog columns for the entry after { seq, hash } (seq 0 and a null hash start a chain)
+ */
+const sealEntry = (entry, head) => {
+  const sealed = { ...entry, seq: head.seq + 1, prevHash: head.hash || null };
+  return { ...sealed, hash: entryHash(sealed) };
+};
+
+/**
+ * Check entries in seq order, continuing from the last good entry of the previous batch
+ * Returns { broken: { entry, reason } | null, last, checked }
+ */
+const walkChain = (entries, previous = null) => {
+  let last = previous;
+  let checked = 0;
+
+  for (const entry of entries) {
+    const expectedSeq = last ? last.seq + 1 : 1;
+    if (entry.seq !== expectedSeq) {
+      return { broken: { entry, reason: 'MISSING_ENTRIES' }, last, checked };
+    }
+    if ((entry.prevHash || null) !== (last ? last.hash : null)) {
+      return { broken: { entry, reason: 'PREVIOUS_HASH_MISMATCH' }, last, checked };
+    }
+    if (entry.hash !== entryHash(entry)) {
+      return { broken: { entry, reason: 'HASH_MISMATCH' }, last, checked };
+    }
+    last = entry;
+    checked++;
+  }
+
+  return { broken: null, last, checked };
+};
+
+/**
+ * Compare the end of a walked chain with the head stored on the vault
+ * Returns null, or the reason entries are missing from the end
+ */
+const checkHead = (last, head) => {
+  if (head.seq === 0 && !last) return null;
+  if (!last || last.seq !== head.seq || last.hash !== head.hash) return 'TRUNCATED';
+  return null;
+};
+
+// ============================================================================
+// EXPORT
+// ============================================================================
+
+const EXPORT_FORMATS = {
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+  jsonl: { contentType: 'application/x-ndjson; charset=utf-8', extension: 'jsonl' }
+};
+
+const parseMetadata = (metadata) => {
+  if (!metadata) return null;
+  try {
+    return JSON.parse(metadata);
+  } catch (error) {
+    return { raw: metadata };
+  }
+};
+
+/**
+ * One exported entry (an AuditLog row with its user)
+ */
+const exportRecord = (log) => ({
+  id: log.id,
+  vaultId: log.vaultId,
+  seq: log.seq,
+  createdAt: log.createdAt.toISOString(),
+  action: log.action,
+  userId: log.userId,
+  user: log.user.name,
+  userEmail: log.user.email,
+  resourceType: log.resourceType,
+  resourceId: log.resourceId,
+  metadata: parseMetadata(log.metadata),
+  prevHash: log.prevHash,
+  hash: log.hash
+});
+
+/**
+ * Top-level metadata keys of a stored entry; each becomes a metadata.<key> CSV column
+ */
+const metadataKeys = (metadata) => {
+  const decoded = parseMetadata(metadata);
+  return decoded && typeof decoded === 'object' && !Array.isArray(decoded) ? Object.keys(decoded) : [];
+};
+
+// Spreadsheets run cells starting with these as formulas
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+const csvCell = (value) => {
+  if (value === null || value === undefined) return '';
+  let text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+  if (typeof value === 'string' && FORMULA_PREFIX.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const CSV_COLUMNS = ['id', 'vaultId', 'seq', 'createdAt', 'action', 'userId', 'user', 'userEmail', 'resourceType', 'resourceId'];
+
+/**
+ * CSV header line; metadata keys follow the fixed columns, the chain fields come last
+ */
+const csvHeader = (keys) => [...CSV_COLUMNS, ...keys.map(key => `metadata.${key}`), 'prevHash', 'hash']
+  .map(csvCell).join(',') + '\r\n';
+
+/**
+ * CSV line for an exportRecord; nested metadata values are written as JSON
+ */
+const csvLine = (record, keys) => {
+  const metadata = record.metadata && typeof record.metadata === 'object' ? record.metadata : {};
+  return [
+    ...CSV_COLUMNS.map(column => record[column]),
+    ...keys.map(key => metadata[key]),
+    record.prevHash,
+    record.hash
+  ].map(csvCell).join(',') + '\r\n';
+};
+
+const jsonLine = (record) => `${JSON.stringify(record)}\n`;
+
+module.exports = {
+  entryHash,
+  sealEntry,
+  walkChain,
+  checkHead,
+  EXPORT_FORMATS,
+  exportRecord,
+  metadataKeys,
+  csvHeader,
+  csvLine,
+  jsonLine
+};
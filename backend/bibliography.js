@@ -0,0 +1,333 @@
+/**
+ * SyncScript Bibliographic Metadata
+ *
+ * Validation and provenance for the bibliographic columns on Source
+ * (itemType, authors, publishedDate, containerTitle, volume, issue, pages,
+ * doi, isbn, publisher, abstract).
+ *
+ * Source.fieldOrigins records who set each field:
+ * - 'auto': filled from URL metadata or document extraction; later captures may refresh it
+ * - 'user': entered or cleared by a person; automatic captures never overwrite it
+ */
+
+const ITEM_TYPES = [
+  'article-journal', 'article-magazine', 'article-newspaper', 'book', 'chapter',
+  'paper-conference', 'report', 'thesis', 'webpage', 'post-weblog', 'motion_picture',
+  'document', 'dataset', 'software', 'manuscript', 'graphic'
+];
+
+const MAX_AUTHORS = 100;
+
+const bibliographyError = (message) => Object.assign(new Error(message), { code: 'INVALID_BIBLIOGRAPHY' });
+
+// ============================================================================
+// FIELD NORMALIZERS
+// Each returns the value to store (null clears) or throws with a user-facing message
+// ============================================================================
+
+const text = (label, maxLength) => (value) => {
+  if (typeof value !== 'string' && typeof value !== 'number') {
+    throw bibliographyError(`${label} must be text`);
+  }
+  const trimmed = String(value).replace(/\s+/g, ' ').trim();
+  if (trimmed.length > maxLength) {
+    throw bibliographyError(`${label} must be at most ${maxLength} characters`);
+  }
+  return trimmed || null;
+};
+
+const NAME_PARTICLES = /^(van|von|de|der|den|da|del|di|du|la|le|ter|ten)$/i;
+
+/**
+ * "Jane Q. Doe" / "Doe, Jane Q." → { family, given }; single words become { literal }
+ */
+const parseName = (name) => {
+  const trimmed = name.replace(/\s+/g, ' ').trim();
+  if (!trimmed) return null;
+  if (trimmed.includes(',')) {
+    const [family, ...rest] = trimmed.split(',').map(part => part.trim());
+    const given = rest.join(' ').trim();
+    return given ? { family, given } : { literal: family };
+  }
+
+  const parts = trimmed.split(' ');
+  if (parts.length === 1) return { literal: trimmed };
+
+  // Particles stay with the family name: "Ludwig van Beethoven" → family "van Beethoven"
+  let split = parts.length - 1;
+  while (split > 1 && NAME_PARTICLES.test(parts[split - 1])) split--;
+  return { given: parts.slice(0, split).join(' '), family: parts.slice(split).join(' ') };
+};
+
+/**
+ * Name strings or { family, given } / { literal } objects
+ */
+const normalizeAuthor = (author) => {
+  if (typeof author === 'string') return parseName(author);
+
+  if (author && typeof author === 'object') {
+    const clean = (value) => (typeof value === 'string' ? value.replace(/\s+/g, ' ').trim() : '');
+    const family = clean(author.family);
+    const given = clean(author.given);
+    const literal = clean(author.literal);
+    if (literal) return { literal };
+    if (family) return given ? { family, given } : { literal: family };
+    if (given) return { literal: given };
+    return null;
+  }
+
+  throw bibliographyError('Each author must be a name or { family, given }');
+};
+
+const normalizeAuthors = (value) => {
+  if (!Array.isArray(value)) {
+    throw bibliographyError('Authors must be a list');
+  }
+  if (value.length > MAX_AUTHORS) {
+    throw bibliographyError(`At most ${MAX_AUTHORS} authors are supported`);
+  }
+
+  const authors = value.map(normalizeAuthor).filter(Boolean);
+  authors.forEach(author => {
+    const full = author.literal || `${author.family} ${author.given}`;
+    if (full.length > 200) throw bibliographyError('Author names must be at most 200 characters');
+  });
+  return authors.length > 0 ? JSON.stringify(authors) : null;
+};
+
+const normalizeDate = (value) => {
+  const trimmed = text('Publication date', 10)(value);
+  if (!trimmed) return null;
+
+  const match = trimmed.match(/^(\d{4})(?:-(\d{2})(?:-(\d{2}))?)?$/);
+  if (!match) {
+    throw bibliographyError('Publication date must be YYYY, YYYY-MM, or YYYY-MM-DD');
+  }
+  const [, year, month, day] = match;
+  if (month && (month < 1 || month > 12)) {
+    throw bibliographyError('Publication date has an invalid month');
+  }
+  if (day) {
+    const date = new Date(Date.UTC(year, month - 1, day));
+    if (date.getUTCDate() !== parseInt(day)) {
+      throw bibliographyError('Publication date has an invalid day');
+    }
+  }
+  return trimmed;
+};
+
+const normalizeDoi = (value) => {
+  const trimmed = text('DOI', 255)(value);
+  if (!trimmed) return null;
+
+  // Accept bare DOIs as well as doi: prefixes and doi.org links
+  const doi = trimmed.replace(/^(?:doi:\s*|https?:\/\/(?:dx\.)?doi\.org\/)/i, '');
+  if (!/^10\.\d{4,9}\/\S+$/.test(doi)) {
+    throw bibliographyError('DOI must look like 10.1234/example');
+  }
+  return doi;
+};
+
+const isValidIsbn = (digits) => {
+  if (digits.length === 10) {
+    const sum = digits.split('').reduce((total, char, i) => total + (char === 'X' ? 10 : parseInt(char)) * (10 - i), 0);
+    return /^\d{9}[\dX]$/.test(digits) && sum % 11 === 0;
+  }
+  if (digits.length === 13 && /^\d{13}$/.test(digits)) {
+    const sum = digits.split('').reduce((total, char, i) => total + parseInt(char) * (i % 2 === 0 ? 1 : 3), 0);
+    return sum % 10 === 0;
+  }
+  return false;
+};
+
+const normalizeIsbn = (value) => {
+  const trimmed = text('ISBN', 20)(value);
+  if (!trimmed) return null;
+
+  const digits = trimmed.replace(/^ISBN(?:-1[03])?:?\s*/i, '').replace(/[\s-]/g, '').toUpperCase();
+  if (!isValidIsbn(digits)) {
+    throw bibliographyError('ISBN must be a valid ISBN-10 or ISBN-13');
+  }
+  return digits;
+};
+
+const normalizeItemType = (value) => {
+  const trimmed = text('Item type', 30)(value);
+  if (trimmed && !ITEM_TYPES.includes(trimmed)) {
+    throw bibliographyError(`Item type must be one of: ${ITEM_TYPES.join(', ')}`);
+  }
+  return trimmed;
+};
+
+const FIELDS = {
+  itemType: normalizeItemType,
+  authors: normalizeAuthors,
+  publishedDate: normalizeDate,
+  containerTitle: text('Journal / container', 500),
+  volume: text('Volume', 50),
+  issue: text('Issue', 50),
+  pages: (value) => {
+    const pages = text('Pages', 50)(value);
+    return pages ? pages.replace(/\s*[-–—]+\s*/g, '–') : null;
+  },
+  doi: normalizeDoi,
+  isbn: normalizeIsbn,
+  publisher: text('Publisher', 255),
+  abstract: text('Abstract', 10000)
+};
+
+const FIELD_NAMES = Object.keys(FIELDS);
+
+// ============================================================================
+// PUBLIC API
+// ============================================================================
+
+const parseOrigins = (source) => (source && source.fieldOrigins ? JSON.parse(source.fieldOrigins) : {});
+
+/**
+ * Validate user input (object or JSON string from multipart forms)
+ * Returns { data, errors } where data holds Source columns plus fieldOrigins marking
+ * every submitted field as user-set; errors maps field → message
+ */
+const validateBibliography = (input, existing = null) => {
+  let payload = input;
+  if (typeof payload === 'string') {
+    try {
+      payload = JSON.parse(payload);
+    } catch (error) {
+      return { data: {}, errors: { bibliography: 'Bibliography must be valid JSON' } };
+    }
+  }
+  if (!payload || typeof payload !== 'object' || Array.isArray(payload)) {
+    return { data: {}, errors: { bibliography: 'Bibliography must be an object' } };
+  }
+
+  const data = {};
+  const errors = {};
+  const origins = parseOrigins(existing);
+
+  Object.entries(payload).forEach(([field, value]) => {
+    if (!FIELDS[field]) {
+      errors[field] = 'Unknown bibliographic field';
+      return;
+    }
+    try {
+      data[field] = value === null || value === '' ? null : FIELDS[field](value);
+      origins[field] = 'user';
+    } catch (error) {
+      errors[field] = error.message;
+    }
+  });
+
+  if (Object.keys(data).length > 0) {
+    data.fieldOrigins = JSON.stringify(origins);
+  }
+
+  return { data, errors };
+};
+
+/**
+ * Patch for automatically captured values: skips empty values and anything a user set
+ * Returns {} when nothing would change
+ */
+const autoBibliography = (source, values) => {
+  const origins = parseOrigins(source);
+  const data = {};
+
+  Object.entries(values).forEach(([field, value]) => {
+    if (!FIELDS[field] || origins[field] === 'user' || value === null || value === undefined || value === '') return;
+    if (Array.isArray(value) && value.length === 0) return;
+
+    try {
+      const normalized = FIELDS[field](value);
+      if (normalized === null) return;
+      data[field] = normalized;
+      origins[field] = 'auto';
+    } catch (error) {
+      // Scraped values that fail validation (e.g. a malformed DOI) are simply not used
+    }
+  });
+
+  if (Object.keys(data).length > 0) {
+    data.fieldOrigins = JSON.stringify(origins);
+  }
+  return data;
+};
+
+/**
+ * API shape: field values plus their origins
+ */
+const formatBibliography = (source) => ({
+  itemType: source.itemType || null,
+  authors: source.authors ? JSON.parse(source.authors) : [],
+  publishedDate: source.publishedDate || null,
+  containerTitle: source.containerTitle || null,
+  volume: source.volume || null,
+  issue: source.issue || null,
+  pages: source.pages || null,
+  doi: source.doi || null,
+  isbn: source.isbn || null,
+  publisher: source.publisher || null,
+  abstract: source.abstract || null,
+  origins: parseOrigins(source)
+});
+
+// ISO timestamp → 'YYYY-MM-DD' for auto-filled publication dates
+const isoToDate = (value) => {
+  const date = value ? new Date(value) : null;
+  return date && !isNaN(date) ? date.toISOString().slice(0, 10) : null;
+};
+
+// First DOI-looking string in a URL or text, e.g. https://doi.org/10.1000/xyz → 10.1000/xyz
+const findDoi = (text) => {
+  const match = text && text.match(/\b(10\.\d{4,9}\/[^\s"<>]+)/);
+  if (!match) return undefined;
+  try {
+    return decodeURIComponent(match[1]).replace(/[.,;]+$/, '');
+  } catch (error) {
+    return match[1].replace(/[.,;]+$/, '');
+  }
+};
+
+/**
+ * Auto values from captured page metadata (see url-metadata.js)
+ */
+const fromPageMetadata = (page) => {
+  const scholar = page.scholar || {};
+  const pages = [scholar.firstPage, scholar.lastPage].filter(Boolean).join('–');
+
+  return {
+    itemType: scholar.journal ? 'article-journal' : 'webpage',
+    authors: page.authors,
+    publishedDate: isoToDate(page.publishedAt),
+    containerTitle: scholar.journal || page.siteName,
+    volume: scholar.volume,
+    issue: scholar.issue,
+    pages: pages || null,
+    doi: scholar.doi || findDoi(page.canonicalUrl) || findDoi(page.url),
+    isbn: scholar.isbn,
+    publisher: scholar.publisher,
+    abstract: scholar.abstract
+  };
+};
+
+/**
+ * Auto values from embedded document metadata (see extraction.js)
+ * A file's creation date is the best available guess at its publication date
+ */
+const fromDocumentMetadata = (document) => ({
+  authors: document.author ? document.author.split(/\s*(?:;|&|\band\b)\s*/) : null,
+  publishedDate: isoToDate(document.createdAt)
+});
+
+module.exports = {
+  ITEM_TYPES,
+  parseName,
+  FIELD_NAMES,
+  validateBibliography,
+  autoBibliography,
+  formatBibliography,
+  fromPageMetadata,
+  fromDocumentMetadata,
+  findDoi
+};
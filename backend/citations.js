@@ -0,0 +1,534 @@
+/**
+ * SyncScript Citation Engine
+ *
+ * Turns a source into a CSL-JSON item built from its bibliographic data
+ * (page metadata for links, embedded metadata for documents) and formats it.
+ *
+ * - Built-in styles: APA 7, MLA 9, Chicago 17 (bibliography), IEEE, Harvard (Cite Them Right)
+ * - CSL styles: every *.csl file in CITATION_STYLES_DIR (default backend/citation-styles),
+ *   rendered with citeproc-js; the bundled Vancouver style is always available
+ * - Output formats: text, html, bibtex
+ *
+ * The uploader and the upload date are never used as author or publication date;
+ * missing fields are left out the way each style prescribes (e.g. "n.d.").
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { Cite, plugins } = require('@citation-js/core');
+require('@citation-js/plugin-csl');
+const { parseName, findDoi } = require('./bibliography');
+
+const STYLES_DIR = process.env.CITATION_STYLES_DIR || path.join(__dirname, 'citation-styles');
+const FORMATS = ['text', 'html', 'bibtex'];
+
+const citationError = (code, message) => Object.assign(new Error(message), { code });
+
+// ============================================================================
+// CSL-JSON ITEMS
+// ============================================================================
+
+const CSL_TYPES = {
+  url: 'webpage',
+  media: 'motion_picture',
+  file: 'document',
+  image: 'graphic',
+  note: 'manuscript'
+};
+
+const toDateParts = (value) => {
+  if (!value) return undefined;
+  const date = new Date(value);
+  if (isNaN(date)) return undefined;
+  return { 'date-parts': [[date.getUTCFullYear(), date.getUTCMonth() + 1, date.getUTCDate()]] };
+};
+
+// 'YYYY', 'YYYY-MM' or 'YYYY-MM-DD' (Source.publishedDate) → CSL date
+const partialDateParts = (value) => {
+  if (!value) return undefined;
+  return { 'date-parts': [value.split('-').map(part => parseInt(part))] };
+};
+
+/**
+ * Build the CSL-JSON item for a source (Prisma record)
+ * Bibliographic columns win; raw page/document metadata fills gaps for older sources
+ */
+const toCslItem = (source) => {
+  const metadata = source.metadata ? JSON.parse(source.metadata) : {};
+  const page = metadata.page || {};
+  const doc = metadata.document || {};
+  const isLink = source.type === 'url' || source.type === 'media';
+  const url = isLink ? (page.canonicalUrl || source.content || source.url) : undefined;
+
+  const authorNames = page.authors && page.authors.length > 0
+    ? page.authors
+    : (doc.author ? doc.author.split(/\s*(?:;|&|\band\b)\s*/) : []);
+
+  // A field a user deliberately cleared stays empty instead of falling back
+  const origins = source.fieldOrigins ? JSON.parse(source.fieldOrigins) : {};
+  const fallback = (field, value) => (origins[field] === 'user' ? undefined : value);
+
+  const authors = source.authors
+    ? JSON.parse(source.authors)
+    : (fallback('authors', authorNames.map(parseName).filter(Boolean)) || []);
+
+  const container = source.containerTitle || fallback('containerTitle', page.siteName);
+
+  const item = {
+    id: `source-${source.id}`,
+    type: source.itemType || CSL_TYPES[source.type] || 'document',
+    title: source.title,
+    author: authors,
+    issued: partialDateParts(source.publishedDate) || fallback('publishedDate', toDateParts(page.publishedAt || doc.createdAt)),
+    'container-title': container && container !== source.title ? container : undefined,
+    volume: source.volume || undefined,
+    issue: source.issue || undefined,
+    page: source.pages || undefined,
+    publisher: source.publisher || undefined,
+    DOI: source.doi || fallback('doi', findDoi(url)),
+    ISBN: source.isbn || undefined,
+    abstract: source.abstract || undefined,
+    URL: url,
+    accessed: isLink ? toDateParts(page.fetchedAt || source.addedAt) : undefined
+  };
+
+  return Object.fromEntries(Object.entries(item).filter(([, value]) => value !== undefined));
+};
+
+// ============================================================================
+// RENDERING HELPERS
+// ============================================================================
+
+// A citation is assembled from parts: plain strings or { italic: string }
+const italic = (text) => (text ? { italic: text } : null);
+
+const escapeHtml = (text) => text
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const renderParts = (parts, format) => parts
+  .filter(Boolean)
+  .map(part => {
+    if (typeof part === 'string') return format === 'html' ? escapeHtml(part) : part;
+    return format === 'html' ? `<i>${escapeHtml(part.italic)}</i>` : part.italic;
+  })
+  .join('')
+  .replace(/\s+/g, ' ')
+  .trim();
+
+const lastText = (parts) => {
+  const last = parts.filter(Boolean).pop();
+  return last ? (typeof last === 'string' ? last : last.italic) : '';
+};
+
+// Appends a period unless the block already ends in terminal punctuation
+const terminate = (parts) => (/[.?!]["”']?$/.test(lastText(parts).trim()) ? parts : [...parts, '.']);
+
+const MONTHS = ['January', 'February', 'March', 'April', 'May', 'June', 'July', 'August', 'September', 'October', 'November', 'December'];
+const MLA_MONTHS = ['Jan.', 'Feb.', 'Mar.', 'Apr.', 'May', 'June', 'July', 'Aug.', 'Sept.', 'Oct.', 'Nov.', 'Dec.'];
+const IEEE_MONTHS = ['Jan.', 'Feb.', 'Mar.', 'Apr.', 'May', 'Jun.', 'Jul.', 'Aug.', 'Sep.', 'Oct.', 'Nov.', 'Dec.'];
+
+const dateParts = (date) => (date && date['date-parts'] ? date['date-parts'][0] : []);
+
+const yearOf = (date) => dateParts(date)[0];
+
+const initials = (given) => given
+  .split(/\s+/)
+  .filter(Boolean)
+  .map(word => word.split('-').map(part => `${part[0].toUpperCase()}.`).join('-'))
+  .join(' ');
+
+const familyFirst = (name) => (name.literal ? name.literal : `${name.family}, ${name.given}`);
+const givenFirst = (name) => (name.literal ? name.literal : `${name.given} ${name.family}`);
+const familyInitials = (name) => (name.literal ? name.literal : `${name.family}, ${initials(name.given)}`);
+const initialsFamily = (name) => (name.literal ? name.literal : `${initials(name.given)} ${name.family}`);
+
+const joinNames = (names, { separator = ', ', lastSeparator = ', and ', pairSeparator = ' and ' } = {}) => {
+  if (names.length <= 1) return names.join('');
+  if (names.length === 2) return names.join(pairSeparator);
+  return names.slice(0, -1).join(separator) + lastSeparator + names[names.length - 1];
+};
+
+const doiUrl = (item) => (item.DOI ? `https://doi.org/${item.DOI}` : null);
+
+const isPeriodical = (item) => item.type === 'article-journal' || item.type === 'article-magazine' || item.type === 'article-newspaper';
+const isContained = (item) => isPeriodical(item) || item.type === 'chapter' || item.type === 'paper-conference';
+
+// ============================================================================
+// BUILT-IN STYLES
+// ============================================================================
+
+const apa = (item) => {
+  const authors = item.author || [];
+  const names = authors.map(familyInitials);
+  let authorText = null;
+  if (names.length > 20) {
+    authorText = `${names.slice(0, 19).join(', ')}, . . . ${names[names.length - 1]}`;
+  } else if (names.length > 0) {
+    authorText = joinNames(names, { lastSeparator: ', & ', pairSeparator: ', & ' });
+  }
+
+  const [year, month, day] = dateParts(item.issued);
+  const showDay = item.type === 'webpage' || item.type === 'motion_picture' || item.type === 'article-newspaper';
+  const dateText = !year ? '(n.d.)' : (showDay && month)
+    ? `(${year}, ${MONTHS[month - 1]}${day ? ` ${day}` : ''})`
+    : `(${year})`;
+
+  const titleParts = isContained(item) ? [item.title] : [italic(item.title)];
+  const blocks = authorText
+    ? [terminate([authorText]), terminate([dateText]), terminate(titleParts)]
+    : [terminate(titleParts), terminate([dateText])]; // No author: the title moves to the front
+
+  if (isPeriodical(item) && item['container-title']) {
+    const volume = item.volume ? [', ', italic(item.volume), item.issue ? `(${item.issue})` : ''] : [];
+    blocks.push(terminate([italic(item['container-title']), ...volume, item.page ? `, ${item.page}` : '']));
+  } else if (isContained(item) && item['container-title']) {
+    blocks.push(terminate(['In ', italic(item['container-title']), item.page ? ` (pp. ${item.page})` : '']));
+  } else if (item['container-title']) {
+    blocks.push(terminate([item['container-title']]));
+  }
+  if (item.publisher && item.publisher !== item['container-title']) blocks.push(terminate([item.publisher]));
+
+  const link = doiUrl(item) || item.URL;
+  if (link) blocks.push([link]);
+
+  return blocks;
+};
+
+const mla = (item) => {
+  const authors = item.author || [];
+  let authorText = null;
+  if (authors.length === 1) authorText = familyFirst(authors[0]);
+  if (authors.length === 2) authorText = `${familyFirst(authors[0])}, and ${givenFirst(authors[1])}`;
+  if (authors.length > 2) authorText = `${familyFirst(authors[0])}, et al`;
+
+  const [year, month, day] = dateParts(item.issued);
+  const dateText = year ? [day, month ? MLA_MONTHS[month - 1] : null, year].filter(Boolean).join(' ') : null;
+  const hasContainer = Boolean(item['container-title']);
+
+  const blocks = [];
+  if (authorText) blocks.push(terminate([authorText]));
+  blocks.push(hasContainer ? [`“${item.title.replace(/[.,]$/, '')}.”`] : terminate([italic(item.title)]));
+
+  const elements = [
+    item.volume ? `vol. ${item.volume}` : null,
+    item.issue ? `no. ${item.issue}` : null,
+    item.publisher || null,
+    dateText,
+    item.page ? `pp. ${item.page}` : null,
+    item.DOI ? `https://doi.org/${item.DOI}` : (item.URL ? item.URL.replace(/^https?:\/\//, '') : null)
+  ].filter(Boolean);
+
+  if (hasContainer) {
+    blocks.push(terminate([italic(item['container-title']), elements.length ? `, ${elements.join(', ')}` : '']));
+  } else if (elements.length > 0) {
+    blocks.push(terminate([elements.join(', ')]));
+  }
+
+  // MLA asks for an access date when an online source carries no date of its own
+  if (!year && item.accessed) {
+    const [accessYear, accessMonth, accessDay] = dateParts(item.accessed);
+    blocks.push([`Accessed ${accessDay} ${MLA_MONTHS[accessMonth - 1]} ${accessYear}.`]);
+  }
+
+  return blocks;
+};
+
+const chicago = (item) => {
+  const authors = item.author || [];
+  let authorText = null;
+  if (authors.length > 0) {
+    const listed = authors.length > 10 ? authors.slice(0, 7) : authors;
+    const names = [familyFirst(listed[0]), ...listed.slice(1).map(givenFirst)];
+    authorText = authors.length > 10 ? `${names.join(', ')}, et al` : joinNames(names, { pairSeparator: ', and ' });
+  }
+
+  const [year, month, day] = dateParts(item.issued);
+  const fullDate = year && month ? `${MONTHS[month - 1]} ${day ? `${day}, ` : ''}${year}` : (year ? String(year) : null);
+
+  const blocks = [];
+  if (authorText) blocks.push(terminate([authorText]));
+
+  if (isPeriodical(item)) {
+    blocks.push([`“${item.title.replace(/[.,]$/, '')}.”`]);
+    const volume = [item.volume, item.issue ? `no. ${item.issue}` : null].filter(Boolean).join(', ');
+    blocks.push(terminate([
+      italic(item['container-title']),
+      volume ? ` ${volume}` : '',
+      year ? ` (${year})` : '',
+      item.page ? `: ${item.page}` : ''
+    ]));
+  } else if (item.type === 'webpage' || item.type === 'motion_picture') {
+    blocks.push([`“${item.title.replace(/[.,]$/, '')}.”`]);
+    if (item['container-title']) blocks.push(terminate([item['container-title']]));
+    if (fullDate) blocks.push(terminate([fullDate]));
+  } else {
+    blocks.push(terminate([italic(item.title)]));
+    const publication = [item.publisher, year].filter(Boolean).join(', ');
+    if (publication) blocks.push(terminate([publication]));
+  }
+
+  // Chicago only wants access dates for undated online material
+  if (!year && item.accessed) {
+    const [accessYear, accessMonth, accessDay] = dateParts(item.accessed);
+    blocks.push([`Accessed ${MONTHS[accessMonth - 1]} ${accessDay}, ${accessYear}.`]);
+  }
+
+  const link = doiUrl(item) || item.URL;
+  if (link) blocks.push(terminate([link]));
+
+  return blocks;
+};
+
+const ieee = (item) => {
+  const authors = item.author || [];
+  let authorText = null;
+  if (authors.length > 6) {
+    authorText = `${initialsFamily(authors[0])} et al.`;
+  } else if (authors.length > 0) {
+    authorText = joinNames(authors.map(initialsFamily));
+  }
+
+  const [year, month, day] = dateParts(item.issued);
+  const dateText = year ? `${month ? `${IEEE_MONTHS[month - 1]} ` : ''}${year}` : null;
+  const lead = authorText ? [`${authorText}, `] : [];
+
+  if (isContained(item)) {
+    const details = [
+      item.volume ? `vol. ${item.volume}` : null,
+      item.issue ? `no. ${item.issue}` : null,
+      item.page ? `pp. ${item.page}` : null,
+      dateText,
+      item.DOI ? `doi: ${item.DOI}` : null
+    ].filter(Boolean);
+    return [terminate([
+      ...lead,
+      `“${item.title},” `,
+      item.type === 'paper-conference' ? 'in ' : '',
+      italic(item['container-title']),
+      details.length ? `, ${details.join(', ')}` : ''
+    ])];
+  }
+
+  if (item.URL && (item.type === 'webpage' || item.type === 'motion_picture')) {
+    const blocks = [[...lead, `“${item.title},” `, item['container-title'] ? `${item['container-title']}. ` : '', dateText ? `${dateText}. ` : '']];
+    if (item.accessed) {
+      const [accessYear, accessMonth, accessDay] = dateParts(item.accessed);
+      blocks.push([`Accessed: ${IEEE_MONTHS[accessMonth - 1]} ${accessDay}, ${accessYear}.`]);
+    }
+    blocks.push([`[Online]. Available: ${item.URL}`]);
+    return blocks;
+  }
+
+  const publication = [item.publisher, dateText].filter(Boolean).join(', ');
+  return [terminate([...lead, italic(item.title), publication ? `. ${publication}` : ''])];
+};
+
+const harvard = (item) => {
+  const authors = item.author || [];
+  const names = authors.map(familyInitials);
+  let authorText = null;
+  if (names.length > 3) {
+    authorText = `${names[0]} et al.`;
+  } else if (names.length > 0) {
+    authorText = joinNames(names, { lastSeparator: ' and ' });
+  }
+
+  const year = yearOf(item.issued);
+  const dateText = `(${year || 'no date'})`;
+  const head = authorText ? [`${authorText} ${dateText} `] : [italic(item.title), ` ${dateText}`];
+  const blocks = [];
+
+  if (isContained(item)) {
+    const volume = item.volume ? `${item.volume}${item.issue ? `(${item.issue})` : ''}` : null;
+    blocks.push(terminate([
+      ...(authorText ? [...head, `‘${item.title}’, `] : [...head, ', ']),
+      italic(item['container-title']),
+      volume ? `, ${volume}` : '',
+      item.page ? `, pp. ${item.page}` : ''
+    ]));
+  } else {
+    blocks.push(terminate(authorText ? [...head, italic(item.title)] : head));
+    if (item.publisher) blocks.push(terminate([item.publisher]));
+  }
+
+  const link = doiUrl(item) || item.URL;
+  if (link) {
+    const parts = [`Available at: ${link}`];
+    if (item.accessed) {
+      const [accessYear, accessMonth, accessDay] = dateParts(item.accessed);
+      parts.push(` (Accessed: ${accessDay} ${MONTHS[accessMonth - 1]} ${accessYear})`);
+    }
+    blocks.push(terminate(parts));
+  }
+
+  return blocks;
+};
+
+const BUILTIN_STYLES = {
+  apa: { name: 'APA 7th Edition', render: apa },
+  mla: { name: 'MLA 9th Edition', render: mla },
+  chicago: { name: 'Chicago 17th Edition (Bibliography)', render: chicago },
+  ieee: { name: 'IEEE', render: ieee },
+  harvard: { name: 'Harvard (Cite Them Right)', render: harvard }
+};
+
+// ============================================================================
+// CSL STYLES
+// ============================================================================
+
+const cslTemplates = plugins.config.get('@csl').templates;
+const cslStyles = {
+  vancouver: { name: 'Vancouver' } // Bundled with @citation-js/plugin-csl
+};
+
+const renderCsl = (item, styleId, format) => {
+  const output = new Cite([item]).format('bibliography', {
+    template: styleId,
+    format: format === 'html' ? 'html' : 'text',
+    lang: 'en-US'
+  });
+
+  // A single citation needs no list number ("1." / "[1]") from numeric styles
+  if (format !== 'html') return output.trim().replace(/^(\[\d+\]|\d+\.)\s+/, '');
+
+  const html = output.replace(/<div class="csl-left-margin">[\s\S]*?<\/div>/, '');
+  const entry = html.match(/<div class="csl-right-inline">([\s\S]*?)<\/div>/) ||
+    html.match(/<div[^>]*class="csl-entry"[^>]*>([\s\S]*?)<\/div>/);
+  return (entry ? entry[1] : html).trim();
+};
+
+/**
+ * Register every *.csl file in STYLES_DIR; the file name (without .csl) is the style id
+ */
+const loadCslStyles = () => {
+  if (!fs.existsSync(STYLES_DIR)) return;
+
+  fs.readdirSync(STYLES_DIR)
+    .filter(file => file.toLowerCase().endsWith('.csl'))
+    .forEach(file => {
+      const styleId = path.basename(file, path.extname(file)).toLowerCase().replace(/[^a-z0-9-]/g, '-');
+      if (BUILTIN_STYLES[styleId]) {
+        console.warn(`⚠️ CSL style ${file} skipped: "${styleId}" is a built-in style`);
+        return;
+      }
+
+      try {
+        const xml = fs.readFileSync(path.join(STYLES_DIR, file), 'utf8');
+        cslTemplates.add(styleId, xml);
+        // Render a probe item so a broken style fails here, not on first use
+        renderCsl({ id: 'probe', type: 'book', title: 'Probe' }, styleId, 'text');
+
+        const title = xml.match(/<info>[\s\S]*?<title>([\s\S]*?)<\/title>/);
+        cslStyles[styleId] = { name: title ? title[1].trim() : styleId };
+      } catch (error) {
+        console.warn(`⚠️ CSL style ${file} could not be loaded:`, error.message);
+      }
+    });
+};
+
+loadCslStyles();
+
+// ============================================================================
+// BIBTEX
+// ============================================================================
+
+const BIBTEX_TYPES = {
+  'article-journal': 'article',
+  'article-magazine': 'article',
+  'article-newspaper': 'article',
+  book: 'book',
+  chapter: 'incollection',
+  'paper-conference': 'inproceedings',
+  report: 'techreport',
+  thesis: 'phdthesis'
+};
+
+const escapeBibtex = (text) => String(text)
+  .replace(/\\/g, '\\textbackslash{}')
+  .replace(/([{}&%$#_])/g, '\\$1')
+  .replace(/~/g, '\\textasciitilde{}')
+  .replace(/\^/g, '\\textasciicircum{}');
+
+const isoDate = (date) => {
+  const [year, month, day] = dateParts(date);
+  return [year, month, day].filter(Boolean).map((part, i) => (i === 0 ? part : String(part).padStart(2, '0'))).join('-');
+};
+
+const toBibtex = (item) => {
+  const year = yearOf(item.issued);
+  const firstAuthor = (item.author || [])[0];
+  const keyName = firstAuthor ? (firstAuthor.family || firstAuthor.literal) : '';
+  const keyWord = (item.title.match(/[\p{L}\p{N}]{4,}/u) || [''])[0];
+  const key = `${keyName}${year || ''}${keyWord}`
+    .normalize('NFD')
+    .replace(/[^a-zA-Z0-9]/g, '')
+    .toLowerCase()
+    .replace(/^(?=\d)/, 'ref') || item.id.replace(/[^a-z0-9]/gi, ''); // Keys should start with a letter
+
+  const type = BIBTEX_TYPES[item.type] || 'misc';
+  const containerField = { article: 'journal', incollection: 'booktitle', inproceedings: 'booktitle' }[type];
+
+  const fields = [
+    ['author', (item.author || []).map(name => (name.literal ? `{${escapeBibtex(name.literal)}}` : `${escapeBibtex(name.family)}, ${escapeBibtex(name.given)}`)).join(' and ')],
+    ['title', `{${escapeBibtex(item.title)}}`],
+    [containerField || 'howpublished', item['container-title'] && escapeBibtex(item['container-title'])],
+    ['year', year],
+    ['volume', item.volume && escapeBibtex(item.volume)],
+    ['number', item.issue && escapeBibtex(item.issue)],
+    ['pages', item.page && escapeBibtex(item.page).replace(/[–—]/g, '--')],
+    ['publisher', item.publisher && escapeBibtex(item.publisher)],
+    ['isbn', item.ISBN],
+    ['doi', item.DOI],
+    ['url', item.URL],
+    ['urldate', item.accessed && isoDate(item.accessed)],
+    ['abstract', item.abstract && escapeBibtex(item.abstract)]
+  ].filter(([, value]) => value);
+
+  return `@${type}{${key},\n${fields.map(([name, value]) => `  ${name} = {${value}}`).join(',\n')}\n}`;
+};
+
+// ============================================================================
+// PUBLIC API
+// ============================================================================
+
+/**
+ * Styles available for GET /citation-styles
+ */
+const listStyles = () => [
+  ...Object.entries(BUILTIN_STYLES).map(([id, style]) => ({ id, name: style.name, engine: 'builtin' })),
+  ...Object.entries(cslStyles).map(([id, style]) => ({ id, name: style.name, engine: 'csl' }))
+];
+
+/**
+ * Format a source (Prisma record with metadata) as a citation
+ * Throws errors with code UNKNOWN_STYLE or UNKNOWN_FORMAT for bad input
+ */
+const formatCitation = (source, { style = 'apa', format = 'text' } = {}) => {
+  const styleId = String(style).toLowerCase();
+  if (!FORMATS.includes(format)) {
+    throw citationError('UNKNOWN_FORMAT', `Unknown format "${format}". Use one of: ${FORMATS.join(', ')}`);
+  }
+  if (!BUILTIN_STYLES[styleId] && !cslStyles[styleId]) {
+    throw citationError('UNKNOWN_STYLE', `Unknown citation style "${style}"`);
+  }
+
+  const item = toCslItem(source);
+  let citation;
+  if (format === 'bibtex') {
+    citation = toBibtex(item);
+  } else if (BUILTIN_STYLES[styleId]) {
+    citation = BUILTIN_STYLES[styleId].render(item)
+      .map(block => renderParts(block, format))
+      .filter(Boolean)
+      .join(' ');
+  } else {
+    citation = renderCsl(item, styleId, format);
+  }
+
+  return { style: styleId, format, citation, item };
+};
+
+module.exports = { listStyles, formatCitation, toCslItem };
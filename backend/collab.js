@@ -0,0 +1,231 @@
+/**
+ * SyncScript Collaborative Notes
+ *
+ * Each note being edited is a Yjs document held in memory while at least one
+ * client has it open. Clients exchange Yjs updates (CRDT, so concurrent edits
+ * merge without loss) and awareness updates (who is editing, cursor positions)
+ * through the server, which:
+ * - hands a joining client the full document state
+ * - applies every update to its own copy, then saves it (debounced) as the
+ *   encoded Yjs state plus the plain text, which search, exports, and
+ *   citations keep reading from Source.content
+ * - drops the document once the last client leaves, after a final save
+ *
+ * Storage and broadcasting stay with the caller: load/save callbacks go in,
+ * encoded updates to relay come out.
+ */
+
+const Y = require('yjs');
+const awarenessProtocol = require('y-protocols/awareness');
+
+const TEXT_NAME = 'content';
+const SAVE_DELAY_MS = 2000;
+
+/**
+ * Note document from stored state: the saved Yjs state when there is one,
+ * otherwise a fresh document seeded with the plain-text content
+ */
+const createDoc = (state, content) => {
+  const doc = new Y.Doc();
+  if (state) {
+    Y.applyUpdate(doc, new Uint8Array(state));
+  } else if (content) {
+    doc.getText(TEXT_NAME).insert(0, content);
+  }
+  return doc;
+};
+
+/**
+ * Session registry for open notes
+ * load(sourceId) → { state: Buffer | null, content: string | null }
+ * save(sourceId, { state: Buffer, content, editors: userIds, closing }) — editors are the
+ *   users who changed the note since it was opened, reported once when it closes
+ */
+const createNoteSessions = ({ load, save, saveDelay = SAVE_DELAY_MS }) => {
+  const sessions = new Map(); // sourceId → Promise<session>
+
+  const persist = async (session, closing = false) => {
+    clearTimeout(session.timer);
+    session.timer = null;
+    if (!session.dirty && !(closing && session.editors.size > 0)) return;
+
+    session.dirty = false;
+    try {
+      await save(session.sourceId, {
+        state: Buffer.from(Y.encodeStateAsUpdate(session.doc)),
+        content: session.doc.getText(TEXT_NAME).toString(),
+        editors: closing ? [...session.editors] : [],
+        closing
+      });
+      if (closing) session.editors.clear();
+    } catch (error) {
+      session.dirty = true; // Retried on the next change or close
+      console.error(`Note ${session.sourceId} save error:`, error);
+    }
+  };
+
+  const scheduleSave = (session) => {
+    session.dirty = true;
+    if (!session.timer) {
+      session.timer = setTimeout(() => persist(session), saveDelay);
+    }
+  };
+
+  const open = (sourceId) => {
+    if (!sessions.has(sourceId)) {
+      const opening = load(sourceId).then(({ state, content }) => {
+        const doc = createDoc(state, content);
+        const awareness = new awarenessProtocol.Awareness(doc);
+        awareness.setLocalState(null); // The server itself is not an editor
+
+        const session = {
+          sourceId,
+          doc,
+          awareness,
+          clients: new Map(), // socketId → Set of awareness client ids
+          editors: new Set(),
+          dirty: false,
+          timer: null
+        };
+
+        // Remember which awareness entries each socket owns so they can be removed when it leaves
+        awareness.on('update', ({ added, removed }, origin) => {
+          const owned = session.clients.get(origin);
+          if (!owned) return;
+          added.forEach(id => owned.add(id));
+          removed.forEach(id => owned.delete(id));
+        });
+
+        return session;
+      });
+      opening.catch(() => sessions.delete(sourceId));
+      sessions.set(sourceId, opening);
+    }
+    return sessions.get(sourceId);
+  };
+
+  const close = async (session) => {
+    await persist(session, true);
+    if (session.clients.size > 0) return; // Reopened while saving
+    sessions.delete(session.sourceId);
+    session.awareness.destroy();
+    session.doc.destroy();
+  };
+
+  return {
+    /**
+     * Register a client; returns what it needs to catch up:
+     * { state, stateVector, awareness } (all encoded Yjs binaries)
+     */
+    join: async (sourceId, clientId) => {
+      const session = await open(sourceId);
+      if (!session.clients.has(clientId)) {
+        session.clients.set(clientId, new Set());
+      }
+      const known = [...session.awareness.getStates().keys()];
+      return {
+        state: Buffer.from(Y.encodeStateAsUpdate(session.doc)),
+        stateVector: Buffer.from(Y.encodeStateVector(session.doc)),
+        awareness: Buffer.from(awarenessProtocol.encodeAwarenessUpdate(session.awareness, known))
+      };
+    },
+
+    /**
+     * Apply a document update from a joined client (throws on a malformed update)
+     */
+    applyUpdate: async (sourceId, clientId, update, userId) => {
+      const session = sessions.has(sourceId) ? await sessions.get(sourceId) : null;
+      if (!session || !session.clients.has(clientId)) {
+        throw Object.assign(new Error('Join the note before editing it'), { code: 'NOT_JOINED' });
+      }
+      Y.applyUpdate(session.doc, new Uint8Array(update), clientId);
+      session.editors.add(userId);
+      scheduleSave(session);
+    },
+
+    /**
+     * Apply an awareness update (cursor, user info) from a joined client
+     */
+    applyAwareness: async (sourceId, clientId, update) => {
+      const session = sessions.has(sourceId) ? await sessions.get(sourceId) : null;
+      if (!session || !session.clients.has(clientId)) return;
+      awarenessProtocol.applyAwarenessUpdate(session.awareness, new Uint8Array(update), clientId);
+    },
+
+    /**
+     * Unregister a client. Returns the awareness update removing its cursors
+     * (to relay to the others), or null. The last client out closes the session.
+     */
+    leave: async (sourceId, clientId) => {
+      if (!sessions.has(sourceId)) return null;
+      const session = await sessions.get(sourceId);
+      const owned = session.clients.get(clientId);
+      if (!owned) return null;
+
+      session.clients.delete(clientId);
+      let removal = null;
+      if (owned.size > 0) {
+        const ids = [...owned];
+        awarenessProtocol.removeAwarenessStates(session.awareness, ids, 'leave');
+        removal = Buffer.from(awarenessProtocol.encodeAwarenessUpdate(session.awareness, ids));
+      }
+
+      if (session.clients.size === 0) {
+        await close(session);
+      }
+      return removal;
+    },
+
+    /**
+     * Replace the whole text of an open note (edits made outside the editor, e.g. the REST API)
+     * Returns { update, state } to relay and store, or null when nobody has the note open
+     */
+    replaceText: async (sourceId, text) => {
+      if (!sessions.has(sourceId)) return null;
+      const session = await sessions.get(sourceId);
+      const ytext = session.doc.getText(TEXT_NAME);
+      let update = null;
+      const capture = (u) => { update = u; };
+
+      session.doc.on('update', capture);
+      session.doc.transact(() => {
+        ytext.delete(0, ytext.length);
+        ytext.insert(0, text);
+      }, 'api');
+      session.doc.off('update', capture);
+
+      return {
+        update: update ? Buffer.from(update) : null,
+        state: Buffer.from(Y.encodeStateAsUpdate(session.doc))
+      };
+    },
+
+    /**
+     * Forget a note without saving (its source was deleted)
+     */
+    discard: async (sourceId) => {
+      if (!sessions.has(sourceId)) return;
+      const session = await sessions.get(sourceId);
+      sessions.delete(sourceId);
+      clearTimeout(session.timer);
+      session.awareness.destroy();
+      session.doc.destroy();
+    },
+
+    /**
+     * Save every open note now (used on shutdown)
+     */
+    flushAll: async () => {
+      const open = await Promise.allSettled([...sessions.values()]);
+      await Promise.all(open
+        .filter(result => result.status === 'fulfilled')
+        .map(result => persist(result.value)));
+    }
+  };
+};
+
+module.exports = {
+  TEXT_NAME,
+  createDoc,
+  createNoteSessions
+};
@@ -0,0 +1,193 @@
+/**
+ * SyncScript Document Extraction
+ *
+ * Pulls text, page count, and embedded metadata (title, author, creation date)
+ * out of uploaded PDF, DOCX, PPTX, and plain-text files.
+ *
+ * Parsing is CPU-heavy for large PDFs, so runExtraction() executes it in a
+ * worker thread; this same file is the worker's entry point.
+ */
+
+const { Worker, isMainThread, parentPort, workerData } = require('worker_threads');
+const fs = require('fs');
+
+const MAX_TEXT_LENGTH = 1000000; // Characters kept per document
+
+const EXTRACTABLE_MIMES = [
+  'application/pdf',
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document', // DOCX
+  'application/vnd.openxmlformats-officedocument.presentationml.presentation', // PPTX
+  'text/plain'
+];
+
+const isExtractable = (mimeType) => EXTRACTABLE_MIMES.includes(mimeType);
+
+// ============================================================================
+// FORMAT PARSERS
+// ============================================================================
+
+const decodeXmlEntities = (text) => text
+  .replace(/&#x([0-9a-f]+);/gi, (_, hex) => String.fromCodePoint(parseInt(hex, 16)))
+  .replace(/&#(\d+);/g, (_, dec) => String.fromCodePoint(parseInt(dec, 10)))
+  .replace(/&lt;/g, '<')
+  .replace(/&gt;/g, '>')
+  .replace(/&quot;/g, '"')
+  .replace(/&apos;/g, "'")
+  .replace(/&amp;/g, '&');
+
+// Turns WordprocessingML / DrawingML into plain text with paragraph breaks
+const officeXmlToText = (xml) => decodeXmlEntities(xml
+  .replace(/<\/(w|a):p>/g, '\n')
+  .replace(/<(w|a):br\s*\/>/g, '\n')
+  .replace(/<w:tab\s*\/>/g, '\t')
+  .replace(/<[^>]+>/g, ''))
+  .replace(/\n{3,}/g, '\n\n')
+  .trim();
+
+const readXmlTag = (xml, tag) => {
+  const match = xml && xml.match(new RegExp(`<${tag}[^>]*>([\\s\\S]*?)</${tag}>`));
+  return match ? decodeXmlEntities(match[1]).trim() || null : null;
+};
+
+// PDF dates look like D:20200131120000+01'00'
+const parsePdfDate = (value) => {
+  const match = value && value.match(/D:(\d{4})(\d{2})?(\d{2})?(\d{2})?(\d{2})?(\d{2})?/);
+  if (!match) return null;
+  const [, year, month = '01', day = '01', hour = '00', minute = '00', second = '00'] = match;
+  const date = new Date(`${year}-${month}-${day}T${hour}:${minute}:${second}Z`);
+  return isNaN(date) ? null : date.toISOString();
+};
+
+const toIsoDate = (value) => {
+  const date = value ? new Date(value) : null;
+  return date && !isNaN(date) ? date.toISOString() : null;
+};
+
+const extractPdf = async (buffer) => {
+  // lib entry skips pdf-parse's debug harness in index.js
+  const pdfParse = require('pdf-parse/lib/pdf-parse.js');
+  const result = await pdfParse(buffer);
+  const info = result.info || {};
+
+  return {
+    text: result.text,
+    pageCount: result.numpages || null,
+    metadata: {
+      title: info.Title || null,
+      author: info.Author || null,
+      createdAt: parsePdfDate(info.CreationDate)
+    }
+  };
+};
+
+// DOCX and PPTX share Office Open XML packaging and docProps/core.xml metadata
+const readOfficeMetadata = async (zip) => {
+  const coreXml = await zip.file('docProps/core.xml')?.async('string');
+  return {
+    title: readXmlTag(coreXml, 'dc:title'),
+    author: readXmlTag(coreXml, 'dc:creator'),
+    createdAt: toIsoDate(readXmlTag(coreXml, 'dcterms:created'))
+  };
+};
+
+const extractDocx = async (buffer) => {
+  const JSZip = require('jszip');
+  const zip = await JSZip.loadAsync(buffer);
+
+  const documentXml = await zip.file('word/document.xml')?.async('string');
+  if (!documentXml) {
+    throw new Error('Not a valid DOCX file (word/document.xml missing)');
+  }
+
+  // Word stores the last-rendered page count in app.xml; absent for generated files
+  const appXml = await zip.file('docProps/app.xml')?.async('string');
+  const pages = parseInt(readXmlTag(appXml, 'Pages'));
+
+  return {
+    text: officeXmlToText(documentXml),
+    pageCount: Number.isNaN(pages) ? null : pages,
+    metadata: await readOfficeMetadata(zip)
+  };
+};
+
+const extractPptx = async (buffer) => {
+  const JSZip = require('jszip');
+  const zip = await JSZip.loadAsync(buffer);
+
+  const slideNames = Object.keys(zip.files)
+    .filter(name => /^ppt\/slides\/slide\d+\.xml$/.test(name))
+    .sort((a, b) => parseInt(a.match(/\d+/)[0]) - parseInt(b.match(/\d+/)[0]));
+
+  if (slideNames.length === 0) {
+    throw new Error('Not a valid PPTX file (no slides found)');
+  }
+
+  const slides = [];
+  for (const name of slideNames) {
+    slides.push(officeXmlToText(await zip.file(name).async('string')));
+  }
+
+  return {
+    text: slides.join('\n\n'),
+    pageCount: slides.length,
+    metadata: await readOfficeMetadata(zip)
+  };
+};
+
+const extractText = async (buffer) => ({
+  text: buffer.toString('utf8'),
+  pageCount: null,
+  metadata: { title: null, author: null, createdAt: null }
+});
+
+const PARSERS = {
+  'application/pdf': extractPdf,
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document': extractDocx,
+  'application/vnd.openxmlformats-officedocument.presentationml.presentation': extractPptx,
+  'text/plain': extractText
+};
+
+/**
+ * Extract a document in the current thread
+ * Resolves to { text, pageCount, metadata: { title, author, createdAt } }
+ */
+const extractDocument = async (filePath, mimeType) => {
+  const parser = PARSERS[mimeType];
+  if (!parser) {
+    throw new Error(`Text extraction is not supported for ${mimeType}`);
+  }
+
+  const result = await parser(fs.readFileSync(filePath));
+  return {
+    ...result,
+    text: (result.text || '').replace(/\u0000/g, '').trim().slice(0, MAX_TEXT_LENGTH)
+  };
+};
+
+/**
+ * Extract a document in a worker thread so parsing never blocks the event loop
+ */
+const runExtraction = (filePath, mimeType) => new Promise((resolve, reject) => {
+  const worker = new Worker(__filename, { workerData: { filePath, mimeType } });
+
+  worker.once('message', (message) => {
+    if (message.error) {
+      reject(new Error(message.error));
+    } else {
+      resolve(message.result);
+    }
+  });
+  worker.once('error', reject);
+  worker.once('exit', (code) => {
+    if (code !== 0) reject(new Error(`Extraction worker exited with code ${code}`));
+  });
+});
+
+// Worker entry point
+if (!isMainThread && workerData && workerData.filePath) {
+  extractDocument(workerData.filePath, workerData.mimeType)
+    .then(result => parentPort.postMessage({ result }))
+    .catch(error => parentPort.postMessage({ error: error.message }));
+}
+
+module.exports = { isExtractable, extractDocument, runExtraction };
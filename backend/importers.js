@@ -0,0 +1,474 @@
+/**
+ * SyncScript Reference Importers
+ *
+ * Parses reference libraries exported from Zotero, Mendeley, EndNote, etc. into
+ * CSL-JSON items, one result per entry so a single bad record doesn't sink the file:
+ * - BibTeX / BibLaTeX (.bib): split per entry, each parsed with @citation-js/plugin-bibtex
+ * - RIS (.ris): parsed here
+ * - CSL-JSON (.json): an array of items, { items: [...] }, or a single item
+ *
+ * Also reads browser bookmark exports (Netscape bookmark HTML) into a folder tree,
+ * maps items onto Source fields, and detects duplicates by DOI, URL, or title.
+ */
+
+const { plugins } = require('@citation-js/core');
+require('@citation-js/plugin-bibtex');
+const { ITEM_TYPES, findDoi } = require('./bibliography');
+const { decodeEntities, parseAttributes } = require('./url-metadata');
+
+const FORMATS = ['bibtex', 'ris', 'csl-json'];
+
+const EXTENSIONS = {
+  '.bib': 'bibtex',
+  '.bibtex': 'bibtex',
+  '.ris': 'ris',
+  '.json': 'csl-json'
+};
+
+const importError = (message) => Object.assign(new Error(message), { code: 'INVALID_IMPORT' });
+
+const firstLine = (message) => String(message).split('\n')[0].slice(0, 300);
+
+/**
+ * Pick the format from an explicit value, the file extension, or the content itself
+ */
+const detectFormat = (requested, filename = '', text = '') => {
+  if (requested) {
+    if (!FORMATS.includes(requested)) {
+      throw importError(`Unknown format "${requested}". Use one of: ${FORMATS.join(', ')}`);
+    }
+    return requested;
+  }
+
+  const extension = (filename.match(/\.[^.]+$/) || [''])[0].toLowerCase();
+  if (EXTENSIONS[extension]) return EXTENSIONS[extension];
+
+  const start = text.trimStart();
+  if (start.startsWith('[') || start.startsWith('{')) return 'csl-json';
+  if (/^TY {2}- /m.test(text)) return 'ris';
+  if (/^\s*@\w+\s*[{(]/m.test(text)) return 'bibtex';
+
+  throw importError('Could not detect the file format. Upload a .bib, .ris, or CSL-JSON file.');
+};
+
+// ============================================================================
+// BIBTEX
+// ============================================================================
+
+/**
+ * Split a .bib file into entries (brace-aware) and shared @string/@preamble blocks
+ */
+const splitBibtex = (text) => {
+  const entries = [];
+  const macros = [];
+  let position = 0;
+
+  while ((position = text.indexOf('@', position)) !== -1) {
+    const header = text.slice(position).match(/^@\s*([a-zA-Z]+)\s*([{(])/);
+    if (!header) {
+      position++;
+      continue;
+    }
+
+    const type = header[1].toLowerCase();
+    const closer = header[2] === '{' ? '}' : ')';
+    let depth = 0;
+    let end = -1;
+
+    for (let i = position + header[0].length; i < text.length; i++) {
+      const char = text[i];
+      if (char === '{') depth++;
+      else if (char === '}' && depth > 0) depth--;
+      else if (char === closer && depth === 0) {
+        end = i + 1;
+        break;
+      }
+    }
+
+    // Unterminated entry: cut it at the next line that starts a new entry
+    if (end === -1) {
+      const next = text.slice(position + 1).search(/\n\s*@\s*[a-zA-Z]+\s*[{(]/);
+      end = next === -1 ? text.length : position + 1 + next;
+    }
+
+    const chunk = text.slice(position, end);
+    if (type === 'string' || type === 'preamble') {
+      macros.push(chunk);
+    } else if (type !== 'comment') {
+      const key = (chunk.match(/^@\s*\w+\s*[{(]\s*([^,\s]+)\s*,/) || [])[1] || null;
+      entries.push({ key, chunk });
+    }
+    position = end;
+  }
+
+  return { entries, macros };
+};
+
+const parseBibtex = (text) => {
+  const { entries, macros } = splitBibtex(text);
+  const prelude = macros.join('\n');
+
+  return entries.map(({ key, chunk }) => {
+    try {
+      const [item] = plugins.input.chain(`${prelude}\n${chunk}`, {
+        generateGraph: false,
+        forceType: '@biblatex/text'
+      });
+      if (!item) throw new Error('Entry could not be read');
+      return { key, item };
+    } catch (error) {
+      return { key, error: `Invalid BibTeX entry: ${firstLine(error.message)}` };
+    }
+  });
+};
+
+// ============================================================================
+// RIS
+// ============================================================================
+
+const RIS_TYPES = {
+  JOUR: 'article-journal', JFULL: 'article-journal', EJOUR: 'article-journal', ABST: 'article-journal',
+  MGZN: 'article-magazine', NEWS: 'article-newspaper',
+  BOOK: 'book', EBOOK: 'book', EDBOOK: 'book',
+  CHAP: 'chapter', ECHAP: 'chapter',
+  CONF: 'paper-conference', CPAPER: 'paper-conference',
+  RPRT: 'report', THES: 'thesis',
+  ELEC: 'webpage', WEB: 'webpage', BLOG: 'post-weblog',
+  VIDEO: 'motion_picture', MPCT: 'motion_picture',
+  DATA: 'dataset', COMP: 'software', UNPB: 'manuscript', MANSCPT: 'manuscript',
+  GEN: 'document'
+};
+
+// "2019/05/01/Spring" or "2019" → CSL date
+const parseRisDate = (value) => {
+  const parts = value.split('/').map(part => parseInt(part)).filter(part => !isNaN(part));
+  return parts.length > 0 && parts[0] > 999 ? { 'date-parts': [parts.slice(0, 3)] } : undefined;
+};
+
+const risRecordToItem = (fields) => {
+  const get = (...tags) => {
+    for (const tag of tags) {
+      if (fields[tag] && fields[tag][0]) return fields[tag][0];
+    }
+    return undefined;
+  };
+  const all = (...tags) => tags.flatMap(tag => fields[tag] || []);
+
+  const risType = get('TY');
+  const type = RIS_TYPES[risType] || 'document';
+  const isBook = type === 'book';
+  const startPage = get('SP');
+  const endPage = get('EP');
+
+  return {
+    type,
+    title: get('TI', 'T1', 'CT') || (isBook ? get('BT') : undefined),
+    author: all('AU', 'A1').map(name => {
+      const [family, given] = name.split(',').map(part => part.trim());
+      return given ? { family, given } : { literal: family };
+    }),
+    'container-title': get('T2', 'JF', 'JO', 'JA', 'J2') || (isBook ? undefined : get('BT')),
+    issued: parseRisDate(get('PY', 'Y1', 'DA') || ''),
+    volume: get('VL'),
+    issue: get('IS'),
+    page: startPage && endPage ? `${startPage}-${endPage}` : startPage,
+    DOI: get('DO'),
+    URL: get('UR', 'L2'),
+    // SN holds ISSNs for articles, so only books and chapters take it as an ISBN
+    ISBN: (type === 'book' || type === 'chapter') ? get('SN') : undefined,
+    publisher: get('PB'),
+    abstract: get('AB', 'N2'),
+    keyword: all('KW').join(', ') || undefined
+  };
+};
+
+const parseRis = (text) => {
+  const results = [];
+  let fields = null;
+  let lastTag = null;
+
+  text.split(/\r?\n/).forEach(line => {
+    const match = line.match(/^([A-Z][A-Z0-9])  -(?: (.*))?$/);
+
+    if (!match) {
+      // Continuation of a wrapped value (abstracts often span lines)
+      if (fields && lastTag && line.trim()) {
+        const values = fields[lastTag];
+        values[values.length - 1] = `${values[values.length - 1]} ${line.trim()}`;
+      }
+      return;
+    }
+
+    const [, tag, rawValue = ''] = match;
+    const value = rawValue.trim();
+
+    if (tag === 'TY') {
+      if (fields) {
+        results.push({ key: null, error: 'RIS record is missing its ER line' });
+      }
+      fields = { TY: [value] };
+    } else if (tag === 'ER') {
+      if (fields) {
+        const item = risRecordToItem(fields);
+        results.push({ key: fields.ID ? fields.ID[0] : null, item });
+      }
+      fields = null;
+    } else if (fields) {
+      (fields[tag] = fields[tag] || []).push(value);
+    }
+    lastTag = tag;
+  });
+
+  if (fields) {
+    results.push({ key: fields.ID ? fields.ID[0] : null, error: 'RIS record is missing its ER line' });
+  }
+  return results;
+};
+
+// ============================================================================
+// CSL-JSON
+// ============================================================================
+
+const parseCslJson = (text) => {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    throw importError(`Invalid CSL-JSON: ${firstLine(error.message)}`);
+  }
+
+  const items = Array.isArray(data) ? data : (Array.isArray(data.items) ? data.items : [data]);
+  return items.map(item => (
+    item && typeof item === 'object' && !Array.isArray(item)
+      ? { key: item.id ? String(item.id) : null, item }
+      : { key: null, error: 'CSL-JSON entry must be an object' }
+  ));
+};
+
+const PARSERS = {
+  bibtex: parseBibtex,
+  ris: parseRis,
+  'csl-json': parseCslJson
+};
+
+/**
+ * Parse a file into [{ index, key, item } | { index, key, error }]
+ * Throws INVALID_IMPORT only when the file as a whole is unreadable
+ */
+const parseReferences = (text, format) => PARSERS[format](text)
+  .map((result, index) => ({ index, ...result }));
+
+// ============================================================================
+// BROWSER BOOKMARKS
+// ============================================================================
+
+const stripTags = (html) => decodeEntities(html.replace(/<[^>]*>/g, '')).replace(/\s+/g, ' ').trim();
+
+// ADD_DATE is Unix seconds; some exporters write milliseconds or microseconds
+const parseAddDate = (value) => {
+  let seconds = parseInt(value);
+  if (!seconds || seconds < 0) return null;
+  while (seconds > 1e11) seconds = Math.floor(seconds / 1000);
+  const date = new Date(seconds * 1000);
+  return isNaN(date) ? null : date;
+};
+
+/**
+ * Parse a Netscape bookmark file (what every browser exports) into a folder tree:
+ * { id, name, path, bookmarks: [{ title, url, addedAt }], folders: [...], unsupported }
+ * Folder ids are sibling-index paths ('root', '0', '0.2', ...), stable for the same file
+ * Only http(s) links are kept; javascript:, place:, etc. are counted as unsupported
+ */
+const parseBookmarks = (html) => {
+  if (!/<!DOCTYPE\s+NETSCAPE-Bookmark-file|<DL\b/i.test(html)) {
+    throw importError('This is not a browser bookmark export (Netscape bookmark HTML)');
+  }
+
+  const root = { id: 'root', name: 'Bookmarks', path: [], bookmarks: [], folders: [], unsupported: 0 };
+  const stack = [root];
+  let pendingFolder = null;
+  let rootListSeen = false;
+  const tagPattern = /<(\/?)(dl|h3|a)\b([^>]*)>/gi;
+  let match;
+
+  while ((match = tagPattern.exec(html)) !== null) {
+    const [, closing, rawName, attributes] = match;
+    const name = rawName.toLowerCase();
+    const current = stack[stack.length - 1];
+
+    if (name === 'dl') {
+      if (closing) {
+        if (stack.length > 1) stack.pop();
+      } else if (pendingFolder) {
+        current.folders.push(pendingFolder);
+        stack.push(pendingFolder);
+        pendingFolder = null;
+      } else if (rootListSeen) {
+        // A list without a heading: keep its bookmarks in the enclosing folder
+        stack.push(current);
+      }
+      rootListSeen = true;
+    } else if (!closing) {
+      const closePattern = new RegExp(`</${name}>`, 'gi');
+      closePattern.lastIndex = tagPattern.lastIndex;
+      const end = closePattern.exec(html) ? closePattern.lastIndex - name.length - 3 : -1;
+      const inner = html.slice(tagPattern.lastIndex, end === -1 ? undefined : end);
+      const attrs = parseAttributes(attributes);
+
+      if (name === 'h3') {
+        const index = current.folders.length + (pendingFolder ? 1 : 0);
+        const folderName = stripTags(inner).slice(0, 191) || 'Untitled folder';
+        pendingFolder = {
+          id: current === root ? String(index) : `${current.id}.${index}`,
+          name: folderName,
+          path: [...current.path, folderName],
+          bookmarks: [],
+          folders: [],
+          unsupported: 0
+        };
+      } else {
+        const url = decodeEntities(attrs.href || '').trim();
+        if (/^https?:\/\//i.test(url)) {
+          current.bookmarks.push({
+            title: stripTags(inner),
+            url,
+            addedAt: parseAddDate(attrs.add_date)
+          });
+        } else {
+          current.unsupported++;
+        }
+      }
+    }
+  }
+
+  return root;
+};
+
+/**
+ * Depth-first list of every folder in a parsed bookmark tree (including the root)
+ */
+const flattenFolders = (folder) => [folder, ...folder.folders.flatMap(flattenFolders)];
+
+// ============================================================================
+// SOURCE MAPPING
+// ============================================================================
+
+const asText = (value) => {
+  if (Array.isArray(value)) return asText(value[0]);
+  if (value === undefined || value === null) return undefined;
+  const text = String(value).replace(/\s+/g, ' ').trim();
+  return text || undefined;
+};
+
+const toPartialDate = (date) => {
+  if (!date) return undefined;
+  const parts = date['date-parts'] && date['date-parts'][0];
+  if (parts && parts[0]) {
+    return parts.slice(0, 3).map((part, i) => (i === 0 ? String(part) : String(part).padStart(2, '0'))).join('-');
+  }
+  const year = String(date.raw || date.literal || '').match(/\d{4}/);
+  return year ? year[0] : undefined;
+};
+
+const toAuthor = (author) => {
+  if (!author || typeof author !== 'object') return author;
+  const family = [author['non-dropping-particle'], author.family].filter(Boolean).join(' ');
+  return author.literal ? { literal: author.literal } : { family, given: author.given };
+};
+
+/**
+ * Map a CSL item onto Source fields
+ * Items with a URL or DOI become link sources; the rest become 'reference' sources
+ */
+const toSourceFields = (item) => {
+  const title = asText(item.title);
+  if (!title) {
+    throw importError('Entry has no title');
+  }
+
+  const doi = asText(item.DOI) ? (findDoi(asText(item.DOI)) || asText(item.DOI)) : undefined;
+  const url = asText(item.URL) || (doi ? `https://doi.org/${doi}` : undefined);
+
+  const bibliography = {
+    // CSL types outside the supported list (e.g. 'entry-encyclopedia') are left to detection
+    itemType: ITEM_TYPES.includes(item.type) ? item.type : undefined,
+    authors: Array.isArray(item.author) ? item.author.map(toAuthor) : undefined,
+    publishedDate: toPartialDate(item.issued),
+    containerTitle: asText(item['container-title']),
+    volume: asText(item.volume),
+    issue: asText(item.issue),
+    pages: asText(item.page),
+    doi,
+    isbn: asText(item.ISBN) ? asText(item.ISBN).split(/[\s,;]+/)[0] : undefined,
+    publisher: asText(item.publisher),
+    abstract: asText(item.abstract)
+  };
+
+  return {
+    type: url ? 'url' : 'reference',
+    title: title.slice(0, 191),
+    content: url || null,
+    bibliography: Object.fromEntries(Object.entries(bibliography).filter(([, value]) => value !== undefined)),
+    keywords: asText(item.keyword) ? asText(item.keyword).split(/\s*[,;]\s*/).filter(Boolean) : []
+  };
+};
+
+// ============================================================================
+// DUPLICATE DETECTION
+// ============================================================================
+
+const normalizeUrl = (value) => {
+  try {
+    const url = new URL(value);
+    return `${url.hostname.replace(/^www\./, '')}${url.pathname.replace(/\/+$/, '')}${url.search}`.toLowerCase();
+  } catch (error) {
+    return null;
+  }
+};
+
+const normalizeTitle = (title) => (title || '')
+  .normalize('NFKD')
+  .toLowerCase()
+  .replace(/[^\p{L}\p{N}]+/gu, ' ')
+  .trim() || null;
+
+/**
+ * Index of known references; find() reports the first matching key (doi, url, title)
+ * Entries look like { doi, url, title }; refs are whatever the caller wants back
+ */
+const createDuplicateIndex = () => {
+  const maps = { doi: new Map(), url: new Map(), title: new Map() };
+
+  const keysFor = (entry) => ({
+    doi: entry.doi ? entry.doi.toLowerCase() : null,
+    url: entry.url ? normalizeUrl(entry.url) : null,
+    title: normalizeTitle(entry.title)
+  });
+
+  return {
+    add(entry, ref) {
+      Object.entries(keysFor(entry)).forEach(([field, key]) => {
+        if (key && !maps[field].has(key)) maps[field].set(key, ref);
+      });
+    },
+    find(entry) {
+      const keys = keysFor(entry);
+      for (const field of ['doi', 'url', 'title']) {
+        if (keys[field] && maps[field].has(keys[field])) {
+          return { field, ref: maps[field].get(keys[field]) };
+        }
+      }
+      return null;
+    }
+  };
+};
+
+module.exports = {
+  FORMATS,
+  detectFormat,
+  parseReferences,
+  parseBookmarks,
+  flattenFolders,
+  toSourceFields,
+  createDuplicateIndex
+};
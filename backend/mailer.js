@@ -0,0 +1,61 @@
+/**
+ * SyncScript Mailer
+ *
+ * Pluggable email delivery, selected with MAIL_TRANSPORT:
+ * - console: prints messages to stdout (default, development)
+ * - file:    writes each message as an .eml file into MAIL_OUTBOX_DIR
+ * - smtp:    delivers through SMTP_HOST/SMTP_PORT (e.g. a local MailHog on port 1025)
+ */
+
+const nodemailer = require('nodemailer');
+const path = require('path');
+const fs = require('fs');
+
+const MAIL_TRANSPORT = process.env.MAIL_TRANSPORT || 'console';
+const MAIL_FROM = process.env.MAIL_FROM || 'SyncScript <no-reply@syncscript.local>';
+const outboxDir = process.env.MAIL_OUTBOX_DIR || path.join(__dirname, 'outbox');
+
+const transports = {
+  console: () => nodemailer.createTransport({ jsonTransport: true }),
+
+  file: () => {
+    if (!fs.existsSync(outboxDir)) {
+      fs.mkdirSync(outboxDir, { recursive: true });
+    }
+    return nodemailer.createTransport({ streamTransport: true, buffer: true, newline: 'unix' });
+  },
+
+  smtp: () => nodemailer.createTransport({
+    host: process.env.SMTP_HOST || 'localhost',
+    port: parseInt(process.env.SMTP_PORT || '1025'),
+    secure: process.env.SMTP_SECURE === 'true',
+    auth: process.env.SMTP_USER
+      ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+      : undefined
+  })
+};
+
+if (!transports[MAIL_TRANSPORT]) {
+  throw new Error(`Unknown MAIL_TRANSPORT "${MAIL_TRANSPORT}". Use console, file, or smtp.`);
+}
+
+const transport = transports[MAIL_TRANSPORT]();
+
+/**
+ * Send an email through the configured transport
+ * Message: { to, subject, text, html? }
+ */
+const sendMail = async ({ to, subject, text, html }) => {
+  const info = await transport.sendMail({ from: MAIL_FROM, to, subject, text, html });
+
+  if (MAIL_TRANSPORT === 'file') {
+    const filename = `${Date.now()}-${info.messageId.replace(/[^a-zA-Z0-9.-]/g, '')}.eml`;
+    fs.writeFileSync(path.join(outboxDir, filename), info.message);
+  } else if (MAIL_TRANSPORT === 'console') {
+    console.log(`📧 Mail to ${to}: ${subject}\n${text}\n`);
+  }
+
+  return info;
+};
+
+module.exports = { sendMail };
@@ -0,0 +1,97 @@
+/**
+ * SyncScript Cursor Pagination
+ *
+ * Listings are ordered by one sort field with the id as tie-breaker. A cursor is
+ * the (sort, value, id) of the last row a client received, encoded as an opaque
+ * base64url string; the next page is every row after that position in the same
+ * order. Unlike offsets, rows added or removed meanwhile never shift a page.
+ */
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 200;
+
+const encodeCursor = (sort, value, id) => Buffer
+  .from(JSON.stringify([sort, value instanceof Date ? value.toISOString() : value, id]))
+  .toString('base64url');
+
+const decodeCursor = (cursor) => {
+  try {
+    const decoded = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    return Array.isArray(decoded) && decoded.length === 3 && Number.isInteger(decoded[2]) ? decoded : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Read sort, order, limit, and cursor from a query string
+ * sorts: { field: { type: 'date' | 'string', order: default 'asc' | 'desc' } }
+ * Returns { page } or { error } for a 400 response
+ */
+const parsePageParams = (query, { sorts, defaultSort }) => {
+  const sort = query.sort ? String(query.sort) : defaultSort;
+  if (!Object.prototype.hasOwnProperty.call(sorts, sort)) {
+    return { error: `sort must be one of: ${Object.keys(sorts).join(', ')}` };
+  }
+
+  const order = query.order ? String(query.order) : sorts[sort].order;
+  if (order !== 'asc' && order !== 'desc') {
+    return { error: 'order must be "asc" or "desc"' };
+  }
+
+  const limit = Math.min(Math.max(parseInt(query.limit) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+
+  let cursor = null;
+  if (query.cursor) {
+    const decoded = decodeCursor(query.cursor);
+    if (!decoded) {
+      return { error: 'Invalid cursor' };
+    }
+    const [cursorSort, value, id] = decoded;
+    if (cursorSort !== sort) {
+      return { error: 'The cursor belongs to a different sort order' };
+    }
+    const typed = sorts[sort].type === 'date' ? new Date(value) : value;
+    if (sorts[sort].type === 'date' ? isNaN(typed) : typeof typed !== 'string') {
+      return { error: 'Invalid cursor' };
+    }
+    cursor = { value: typed, id };
+  }
+
+  return { page: { sort, order, limit, cursor } };
+};
+
+/**
+ * Prisma arguments for one page: where (rows after the cursor), orderBy, take
+ * (one extra row tells whether another page follows)
+ */
+const pageArgs = ({ sort, order, limit, cursor }) => {
+  const after = order === 'asc' ? 'gt' : 'lt';
+  return {
+    where: cursor
+      ? { OR: [{ [sort]: { [after]: cursor.value } }, { [sort]: cursor.value, id: { [after]: cursor.id } }] }
+      : {},
+    orderBy: [{ [sort]: order }, { id: order }],
+    take: limit + 1
+  };
+};
+
+/**
+ * Split the rows of pageArgs into { items, nextCursor } (null on the last page)
+ */
+const toPage = (rows, { sort, limit }) => {
+  const items = rows.slice(0, limit);
+  const last = items[items.length - 1];
+  return {
+    items,
+    nextCursor: rows.length > limit ? encodeCursor(sort, last[sort], last.id) : null
+  };
+};
+
+module.exports = {
+  DEFAULT_LIMIT,
+  MAX_LIMIT,
+  parsePageParams,
+  pageArgs,
+  toPage
+};
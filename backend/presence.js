@@ -0,0 +1,135 @@
+/**
+ * SyncScript Presence
+ *
+ * In-memory record of who is in each vault room and which source each of their
+ * sockets has open. A user is online in a vault while any of their sockets
+ * (tabs, devices) is there; focus is tracked per socket and reported per user
+ * as the set of sources open across their tabs.
+ *
+ * A dropped connection (closed tab, network blip, page reload) keeps the user
+ * listed for a grace period so a quick reconnect does not flash them offline;
+ * leaving the vault on purpose takes effect at once.
+ */
+
+const GRACE_MS = 10000;
+
+/**
+ * Presence registry
+ * onChange(vaultId, event, payload) is called for every visible change:
+ * - 'joined' / 'updated' with the user's entry (see formatEntry)
+ * - 'left' with { userId }
+ */
+const createPresence = ({ onChange, graceMs = GRACE_MS }) => {
+  const vaults = new Map(); // vaultId → Map(userId → { user, sockets: Map(socketId → sourceId), since, timer })
+
+  const formatEntry = (entry) => ({
+    userId: entry.user.id,
+    name: entry.user.name,
+    since: entry.since.toISOString(),
+    tabs: entry.sockets.size,
+    sourceIds: [...new Set([...entry.sockets.values()].filter(id => id !== null))]
+  });
+
+  const getEntry = (vaultId, userId) => {
+    const users = vaults.get(vaultId);
+    return users ? users.get(userId) : undefined;
+  };
+
+  const removeUser = (vaultId, userId) => {
+    const users = vaults.get(vaultId);
+    const entry = users && users.get(userId);
+    if (!entry) return;
+
+    clearTimeout(entry.timer);
+    users.delete(userId);
+    if (users.size === 0) vaults.delete(vaultId);
+    onChange(vaultId, 'left', { userId });
+  };
+
+  return {
+    /**
+     * A socket entered the vault room
+     */
+    join: (vaultId, user, socketId) => {
+      if (!vaults.has(vaultId)) vaults.set(vaultId, new Map());
+      const users = vaults.get(vaultId);
+      let entry = users.get(user.id);
+      const isNew = !entry;
+
+      if (isNew) {
+        entry = { user: { id: user.id, name: user.name }, sockets: new Map(), since: new Date(), timer: null };
+        users.set(user.id, entry);
+      }
+      // Back within the grace period: the pending removal is cancelled
+      clearTimeout(entry.timer);
+      entry.timer = null;
+
+      const hadSocket = entry.sockets.has(socketId);
+      entry.sockets.set(socketId, entry.sockets.get(socketId) ?? null);
+      if (isNew) {
+        onChange(vaultId, 'joined', formatEntry(entry));
+      } else if (!hadSocket) {
+        onChange(vaultId, 'updated', formatEntry(entry));
+      }
+    },
+
+    /**
+     * A socket left the vault room. `graceful` (a dropped connection) delays the
+     * removal of a user's last socket by the grace period.
+     */
+    leave: (vaultId, userId, socketId, { graceful = false } = {}) => {
+      const entry = getEntry(vaultId, userId);
+      if (!entry || !entry.sockets.has(socketId)) return;
+
+      entry.sockets.delete(socketId);
+      if (entry.sockets.size > 0) {
+        onChange(vaultId, 'updated', formatEntry(entry));
+      } else if (graceful) {
+        entry.timer = setTimeout(() => {
+          if (entry.sockets.size === 0) removeUser(vaultId, userId);
+        }, graceMs);
+      } else {
+        removeUser(vaultId, userId);
+      }
+    },
+
+    /**
+     * The source a socket has open (null when none)
+     */
+    focus: (vaultId, userId, socketId, sourceId) => {
+      const entry = getEntry(vaultId, userId);
+      if (!entry || !entry.sockets.has(socketId) || entry.sockets.get(socketId) === sourceId) return;
+
+      entry.sockets.set(socketId, sourceId);
+      onChange(vaultId, 'updated', formatEntry(entry));
+    },
+
+    /**
+     * Drop a user from a vault regardless of their sockets (access revoked)
+     */
+    removeUser,
+
+    /**
+     * Forget a vault entirely (deleted); no events are sent
+     */
+    clearVault: (vaultId) => {
+      const users = vaults.get(vaultId);
+      if (!users) return;
+      users.forEach(entry => clearTimeout(entry.timer));
+      vaults.delete(vaultId);
+    },
+
+    /**
+     * Everyone currently in a vault, longest-present first
+     */
+    snapshot: (vaultId) => {
+      const users = vaults.get(vaultId);
+      if (!users) return [];
+      return [...users.values()]
+        .sort((a, b) => a.since - b.since)
+        .map(formatEntry);
+    }
+  };
+};
+
+module.exports = { GRACE_MS, createPresence };
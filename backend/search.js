@@ -0,0 +1,137 @@
+/**
+ * SyncScript Search Helpers
+ *
+ * Ranking and snippet extraction for GET /vaults/:id/search.
+ * The database narrows candidates with case-insensitive LIKE filters;
+ * scoring happens here so results work on any MySQL setup without FULLTEXT indexes.
+ */
+
+const MAX_TERMS = 10;
+const SNIPPET_LENGTH = 160;
+
+// Field weights: a hit in the title matters more than one deep inside a PDF
+const FIELD_WEIGHTS = {
+  title: 4,
+  content: 2,
+  url: 1,
+  extractedText: 1
+};
+
+/**
+ * Split a query into unique lowercase terms (letters/digits, 2+ chars)
+ */
+const tokenize = (query) => {
+  const terms = (query.toLowerCase().match(/[\p{L}\p{N}]+/gu) || [])
+    .filter(term => term.length >= 2);
+  return [...new Set(terms)].slice(0, MAX_TERMS);
+};
+
+const countOccurrences = (haystack, term) => {
+  let count = 0;
+  let index = haystack.indexOf(term);
+  while (index !== -1) {
+    count++;
+    index = haystack.indexOf(term, index + term.length);
+  }
+  return count;
+};
+
+/**
+ * Character ranges [start, end) of every term occurrence, merged when overlapping
+ */
+const findHighlights = (text, terms) => {
+  if (!text) return [];
+  const lower = text.toLowerCase();
+  const ranges = [];
+
+  terms.forEach(term => {
+    let index = lower.indexOf(term);
+    while (index !== -1) {
+      ranges.push([index, index + term.length]);
+      index = lower.indexOf(term, index + term.length);
+    }
+  });
+
+  ranges.sort((a, b) => a[0] - b[0]);
+  return ranges.reduce((merged, range) => {
+    const last = merged[merged.length - 1];
+    if (last && range[0] <= last[1]) {
+      last[1] = Math.max(last[1], range[1]);
+    } else {
+      merged.push([...range]);
+    }
+    return merged;
+  }, []);
+};
+
+/**
+ * Relevance score: weighted, diminishing term frequency per field,
+ * boosted when every term matches and when the whole phrase is in the title
+ */
+const scoreSource = (fields, terms, phrase) => {
+  let score = 0;
+  const matchedTerms = new Set();
+
+  Object.entries(FIELD_WEIGHTS).forEach(([field, weight]) => {
+    const value = fields[field];
+    if (!value) return;
+    const lower = value.toLowerCase();
+
+    terms.forEach(term => {
+      const count = countOccurrences(lower, term);
+      if (count > 0) {
+        matchedTerms.add(term);
+        score += weight * (1 + Math.log(count));
+      }
+    });
+  });
+
+  if (matchedTerms.size === 0) return 0;
+
+  score *= matchedTerms.size / terms.length;
+  if (terms.length > 1 && matchedTerms.size === terms.length) score *= 1.5;
+  if (phrase && fields.title && fields.title.toLowerCase().includes(phrase)) score += 10;
+
+  return Math.round(score * 100) / 100;
+};
+
+/**
+ * Build a snippet around the densest hit in the body fields (note text / extracted text)
+ */
+const buildSnippet = (fields, terms) => {
+  for (const field of ['content', 'extractedText']) {
+    const text = fields[field];
+    if (!text) continue;
+
+    const highlights = findHighlights(text, terms);
+    if (highlights.length === 0) continue;
+
+    const first = highlights[0][0];
+    let start = Math.max(0, first - Math.floor(SNIPPET_LENGTH / 3));
+    let end = Math.min(text.length, start + SNIPPET_LENGTH);
+
+    // Snap to word boundaries so snippets don't start or end mid-word
+    if (start > 0) {
+      const space = text.indexOf(' ', start);
+      if (space !== -1 && space < first) start = space + 1;
+    }
+    if (end < text.length) {
+      const space = text.lastIndexOf(' ', end);
+      if (space > highlights[0][1]) end = space;
+    }
+
+    const prefix = start > 0 ? '…' : '';
+    const suffix = end < text.length ? '…' : '';
+    const snippetText = prefix + text.slice(start, end).replace(/\s+/g, ' ') + suffix;
+
+    return {
+      field,
+      text: snippetText,
+      highlights: findHighlights(snippetText, terms)
+    };
+  }
+
+  return null;
+};
+
+module.exports = { tokenize, scoreSource, findHighlights, buildSnippet };
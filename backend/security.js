@@ -0,0 +1,55 @@
+/**
+ * SyncScript Account Security Events
+ *
+ * Sign-ins and credential changes are logged per account in SecurityEvent, apart
+ * from the vault AuditLog. Failed sign-ins are keyed by the normalized email tried,
+ * so unknown addresses are tracked and locked out exactly like real accounts and
+ * a lockout never reveals whether an account exists.
+ *
+ * Lockout is progressive: from the LOGIN_LOCKOUT_THRESHOLD-th consecutive failure
+ * on, each failure locks the account for twice as long as the one before, up to
+ * the maximum. A successful sign-in or password reset starts the count over, and
+ * failures older than the window are forgotten.
+ */
+
+const TYPES = [
+  'REGISTERED',
+  'LOGIN_SUCCEEDED',
+  'LOGIN_FAILED',
+  'LOGIN_BLOCKED', // Attempt while locked out; the password is not checked
+  'TOKEN_REFRESHED',
+  'TOKEN_REUSE_DETECTED',
+  'PASSWORD_RESET_REQUESTED',
+  'PASSWORD_RESET',
+  'PASSWORD_CHANGED',
+  'EMAIL_CHANGED'
+];
+
+// Events that start the failure count over
+const LOCKOUT_RESETS = ['LOGIN_SUCCEEDED', 'PASSWORD_RESET'];
+
+const normalizeEmail = (email) => String(email || '').trim().toLowerCase().slice(0, 255);
+
+/**
+ * How long the failures-th consecutive failure locks the account (0 below the threshold)
+ */
+const lockoutDuration = (failures, { threshold, baseMs, maxMs }) => {
+  if (failures < threshold) return 0;
+  return Math.min(baseMs * 2 ** (failures - threshold), maxMs);
+};
+
+/**
+ * "Try again in N minutes" for a lockout ending at lockedUntil
+ */
+const retryMessage = (lockedUntil) => {
+  const minutes = Math.max(1, Math.ceil((lockedUntil - Date.now()) / 60000));
+  return `Too many failed sign-ins for this account. Try again in ${minutes} minute${minutes === 1 ? '' : 's'}.`;
+};
+
+module.exports = {
+  TYPES,
+  LOCKOUT_RESETS,
+  normalizeEmail,
+  lockoutDuration,
+  retryMessage
+};
@@ -23,8 +23,26 @@ const { Server } = require('socket.io');
 const multer = require('multer');
 const path = require('path');
 const fs = require('fs');
+const crypto = require('crypto');
+const os = require('os');
+const { pipeline } = require('stream/promises');
+const { Readable } = require('stream');
 const rateLimit = require('express-rate-limit');
 const Redis = require('redis');
+const { sendMail } = require('./mailer');
+const search = require('./search');
+const extraction = require('./extraction');
+const urlMetadata = require('./url-metadata');
+const citations = require('./citations');
+const bibliography = require('./bibliography');
+const importers = require('./importers');
+const archive = require('./archive');
+const collab = require('./collab');
+const { createPresence } = require('./presence');
+const versions = require('./versions');
+const pagination = require('./pagination');
+const audit = require('./audit');
+const security = require('./security');
 
 // ============================================================================
 // OPTIMIZATION: Redis Configuration
@@ -132,6 +150,41 @@ const upload = multer({
   }
 });
 
+// Reference libraries (BibTeX, RIS, CSL-JSON) and bookmark exports are parsed in memory, never stored
+const importUpload = multer({
+  storage: multer.memoryStorage(),
+  fileFilter: (req, file, cb) => {
+    if (/\.(bib|bibtex|ris|json|html?)$/i.test(file.originalname)) {
+      cb(null, true);
+    } else {
+      cb(Object.assign(new Error('Upload a .bib, .ris, CSL-JSON (.json), or bookmark (.html) file'), { status: 400 }), false);
+    }
+  },
+  limits: {
+    fileSize: 5 * 1024 * 1024 // 5MB limit
+  }
+});
+
+const MAX_IMPORT_ENTRIES = 1000;
+
+// Vault archives can be large, so they are spooled to a temp file instead of memory
+const archiveUpload = multer({
+  dest: os.tmpdir(),
+  fileFilter: (req, file, cb) => {
+    if (/\.zip$/i.test(file.originalname)) {
+      cb(null, true);
+    } else {
+      cb(Object.assign(new Error('Upload a vault archive (.zip)'), { status: 400 }), false);
+    }
+  },
+  limits: {
+    fileSize: parseInt(process.env.ARCHIVE_MAX_BYTES) || 500 * 1024 * 1024 // 500MB default
+  }
+});
+
+const MAX_ARCHIVE_SOURCES = 10000;
+const ARCHIVE_SOURCE_TYPES = ['url', 'file', 'note', 'media', 'image', 'reference'];
+
 const app = express();
 const server = http.createServer(app);
 const io = new Server(server, {
@@ -144,6 +197,27 @@ const io = new Server(server, {
 const prisma = new PrismaClient();
 const PORT = process.env.PORT || 3000;
 const JWT_SECRET = process.env.JWT_SECRET || 'your-super-secret-jwt-key-change-in-production';
+const FRONTEND_URL = process.env.FRONTEND_URL || 'http://localhost:5173';
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS || '30');
+const REFRESH_REUSE_GRACE_MS = 60 * 1000; // Concurrent tabs may replay a just-rotated token
+const PASSWORD_RESET_TTL_MINUTES = parseInt(process.env.PASSWORD_RESET_TTL_MINUTES || '60');
+
+// Per-account sign-in lockout (see security.js); the per-IP authLimiter applies as well
+const LOGIN_LOCKOUT = {
+  threshold: parseInt(process.env.LOGIN_LOCKOUT_THRESHOLD || '5'),
+  baseMs: parseInt(process.env.LOGIN_LOCKOUT_BASE_MINUTES || '1') * 60 * 1000,
+  maxMs: parseInt(process.env.LOGIN_LOCKOUT_MAX_MINUTES || '60') * 60 * 1000
+};
+const LOGIN_LOCKOUT_WINDOW_MS = parseInt(process.env.LOGIN_LOCKOUT_WINDOW_HOURS || '24') * 60 * 60 * 1000;
+
+// Invite tokens use their own secret so they can never pass authenticateToken
+const INVITE_SECRET = process.env.INVITE_SECRET || `${JWT_SECRET}:vault-invite`;
+const INVITE_TTL_DAYS = parseInt(process.env.INVITE_TTL_DAYS || '7');
+
+// Deleted sources and vaults stay in the trash this long before the purge removes them
+const TRASH_RETENTION_DAYS = parseInt(process.env.TRASH_RETENTION_DAYS || '30');
+const TRASH_PURGE_INTERVAL_MS = parseInt(process.env.TRASH_PURGE_INTERVAL_MINUTES || '60') * 60 * 1000;
 
 // ============================================================================
 // MIDDLEWARE
@@ -155,11 +229,41 @@ app.use(express.json());
 // Serve uploaded files statically (DEV ONLY - Use S3/CDN in production)
 app.use('/uploads', express.static(path.join(__dirname, 'uploads')));
 
+/**
+ * Access Token Verification
+ * Resolves to the JWT payload { id, email, name, sid } when the token is valid
+ * and its session has not been revoked. Rejections carry an HTTP status and code.
+ */
+const verifyAccessToken = async (token) => {
+  let user;
+  try {
+    user = jwt.verify(token, JWT_SECRET);
+  } catch (err) {
+    user = null;
+  }
+
+  // Tokens issued before sessions existed carry no sid and must log in again
+  if (!user || !user.sid) {
+    throw Object.assign(new Error('Invalid or expired token'), { status: 403, code: 'TOKEN_INVALID' });
+  }
+
+  const session = await prisma.session.findUnique({
+    where: { id: user.sid },
+    select: { revokedAt: true }
+  });
+
+  if (!session || session.revokedAt) {
+    throw Object.assign(new Error('Session has been revoked'), { status: 401, code: 'SESSION_REVOKED' });
+  }
+
+  return user;
+};
+
 /**
  * Authentication Middleware
  * Verifies JWT token and attaches user to req.user
  */
-const authenticateToken = (req, res, next) => {
+const authenticateToken = async (req, res, next) => {
   const authHeader = req.headers['authorization'];
   const token = authHeader && authHeader.split(' ')[1]; // Bearer TOKEN
 
@@ -170,16 +274,20 @@ const authenticateToken = (req, res, next) => {
     });
   }
 
-  jwt.verify(token, JWT_SECRET, (err, user) => {
-    if (err) {
-      return res.status(403).json({
-        success: false,
-        error: 'Invalid or expired token'
-      });
+  try {
+    req.user = await verifyAccessToken(token); // { id, email, name, sid }
+  } catch (err) {
+    if (!err.status) {
+      console.error('Session check error:', err);
     }
-    req.user = user; // { id, email, name }
-    next();
-  });
+    return res.status(err.status || 500).json({
+      success: false,
+      error: err.status ? err.message : 'Failed to verify session',
+      code: err.code
+    });
+  }
+
+  next();
 };
 
 /**
@@ -204,8 +312,10 @@ const optionalAuth = (req, res, next) => {
 /**
  * RBAC Middleware
  * Checks if user has required role in vault
+ *
+ * A vault in the trash is only reachable by routes that opt in with { allowTrashed: true }
  */
-const requireVaultRole = (allowedRoles) => {
+const requireVaultRole = (allowedRoles, { allowTrashed = false } = {}) => {
   return async (req, res, next) => {
     const vaultId = parseInt(req.params.id);
     const userId = req.user.id;
@@ -215,7 +325,8 @@ const requireVaultRole = (allowedRoles) => {
         where: {
           vaultId: vaultId,
           userId: userId
-        }
+        },
+        include: { vault: { select: { deletedAt: true } } }
       });
 
       if (!membership) {
@@ -225,6 +336,13 @@ const requireVaultRole = (allowedRoles) => {
         });
       }
 
+      if (membership.vault.deletedAt && !allowTrashed) {
+        return res.status(404).json({
+          success: false,
+          error: 'This vault is in the trash'
+        });
+      }
+
       if (!allowedRoles.includes(membership.role)) {
         return res.status(403).json({
           success: false,
@@ -244,807 +362,6227 @@ const requireVaultRole = (allowedRoles) => {
   };
 };
 
+// Entries written in a transaction, published to owners once it commits
+const pendingAudit = new WeakMap();
+
+/**
+ * Audit Log Writer
+ * Appends an entry to its vault's hash chain (see audit.js) inside transaction tx;
+ * every audit write goes through here, in a transaction opened by auditTransaction.
+ * Bumping the vault's chain head first locks the vault row, so concurrent writers to
+ * one vault queue up instead of forking the chain.
+ */
+const recordAudit = async (tx, { vaultId, userId, action, resourceType = null, resourceId = null, metadata = null }) => {
+  const vault = await tx.vault.update({
+    where: { id: vaultId },
+    data: { auditSeq: { increment: 1 } },
+    select: { auditSeq: true, auditHead: true }
+  });
+  const entry = audit.sealEntry({
+    vaultId,
+    userId,
+    action,
+    resourceType,
+    resourceId,
+    metadata: metadata ? JSON.stringify(metadata) : null,
+    createdAt: new Date()
+  }, { seq: vault.auditSeq - 1, hash: vault.auditHead });
+
+  await tx.vault.update({ where: { id: vaultId }, data: { auditHead: entry.hash } });
+  const log = await tx.auditLog.create({ data: entry, include: auditLogInclude });
+  pendingAudit.get(tx).push(log);
+  return log;
+};
+
+/**
+ * prisma.$transaction for work that writes audit entries: once it commits, each
+ * entry goes live to the vault's OWNERs as audit:created (rolled-back ones never do)
+ */
+const auditTransaction = async (fn, options) => {
+  const written = [];
+  const result = await prisma.$transaction(async (tx) => {
+    pendingAudit.set(tx, written);
+    return fn(tx);
+  }, options);
+  publishAudit(written);
+  return result;
+};
+
+const publishAudit = async (logs) => {
+  if (logs.length === 0) return;
+  try {
+    const vaultIds = [...new Set(logs.map(log => log.vaultId))];
+    const owners = await prisma.vaultMember.findMany({
+      where: { vaultId: { in: vaultIds }, role: 'OWNER' },
+      select: { vaultId: true, userId: true }
+    });
+    logs.forEach(log => {
+      owners
+        .filter(owner => owner.vaultId === log.vaultId)
+        .forEach(owner => io.to(`user_${owner.userId}`).emit('audit:created', formatAuditLog(log)));
+    });
+  } catch (error) {
+    console.error('Publish audit log error:', error);
+  }
+};
+
+const auditLogInclude = {
+  user: {
+    select: {
+      id: true,
+      name: true,
+      email: true
+    }
+  }
+};
+
+const formatAuditLog = (log) => ({
+  id: log.id,
+  vaultId: log.vaultId,
+  action: log.action,
+  user: log.user.name,
+  userId: log.userId,
+  resourceType: log.resourceType,
+  resourceId: log.resourceId,
+  metadata: log.metadata ? JSON.parse(log.metadata) : null,
+  seq: log.seq,
+  createdAt: log.createdAt.toISOString()
+});
+
 /**
  * Audit Log Helper
  * Creates audit log entry for critical actions
  */
 const logAction = async (vaultId, userId, action, resourceType = null, resourceId = null, metadata = null) => {
   try {
-    await prisma.auditLog.create({
-      data: {
-        vaultId,
-        userId,
-        action,
-        resourceType,
-        resourceId,
-        metadata: metadata ? JSON.stringify(metadata) : null
-      }
-    });
+    await auditTransaction(tx => recordAudit(tx, { vaultId, userId, action, resourceType, resourceId, metadata }));
   } catch (error) {
     console.error('Audit log error:', error);
     // Don't fail the request if audit logging fails
   }
 };
 
-// ============================================================================
-// AUTHENTICATION ENDPOINTS (Phase 2)
-// ============================================================================
-
 /**
- * User Registration
- * POST /auth/register
- * Body: { email, password, name }
+ * Cache Invalidation Helper
+ * Deletes the given Redis keys; cache failures never fail the request
  */
-app.post('/auth/register', authLimiter, async (req, res) => {
-  const { email, password, name } = req.body;
-
-  // Validation
-  if (!email || !password || !name) {
-    return res.status(400).json({
-      success: false,
-      error: 'Email, password, and name are required'
-    });
+const invalidateCache = async (keys, context) => {
+  if (!redisClient.isReady || keys.length === 0) return;
+  try {
+    await redisClient.del(keys);
+  } catch (cacheError) {
+    console.error(`Redis DEL error (${context}):`, cacheError);
   }
+};
 
-  if (password.length < 6) {
-    return res.status(400).json({
-      success: false,
-      error: 'Password must be at least 6 characters'
-    });
+/**
+ * Paged Cache Keys
+ * Every page of a listing is cached under a generation stamp stored at the listing's
+ * base key, so invalidateCache([baseKey]) retires all of its pages at once (they expire
+ * on their own). A page computed while the stamp changed lands under the old stamp
+ * and is never served.
+ */
+const pageCacheKey = async (baseKey, params) => {
+  let generation = await redisClient.get(baseKey);
+  if (!generation) {
+    await redisClient.set(baseKey, crypto.randomBytes(8).toString('hex'), { NX: true, EX: 3600 });
+    generation = await redisClient.get(baseKey);
   }
+  const hash = crypto.createHash('sha1').update(JSON.stringify(params)).digest('hex');
+  return `${baseKey}:${generation}:${hash}`;
+};
 
-  try {
-    // Check if user already exists
-    const existingUser = await prisma.user.findUnique({
-      where: { email }
-    });
+/**
+ * Source Formatter
+ * Shapes a source (loaded with sourceInclude) for API responses and socket events
+ */
+const sourceInclude = {
+  creator: { select: { id: true, name: true, email: true } },
+  tags: { include: { tag: true }, orderBy: { tag: { name: 'asc' } } }
+};
 
-    if (existingUser) {
-      return res.status(409).json({
-        success: false,
-        error: 'User with this email already exists'
-      });
-    }
+const formatTag = (tag) => ({
+  id: tag.id,
+  vaultId: tag.vaultId,
+  name: tag.name,
+  color: tag.color
+});
 
-    // Hash password
-    const hashedPassword = await bcrypt.hash(password, 10);
+const formatSource = (source) => ({
+  id: source.id,
+  vaultId: source.vaultId,
+  type: source.type,
+  title: source.title,
+  content: source.content || source.url, // Fallback to url for legacy records
+  mimeType: source.mimeType,
+  size: source.size,
+  addedBy: source.creator.name,
+  addedById: source.creator.id,
+  addedAt: source.addedAt.toISOString(),
+  capturedAt: source.capturedAt ? source.capturedAt.toISOString() : null,
+  extractionStatus: source.extractionStatus,
+  extractionError: source.extractionError,
+  pageCount: source.pageCount,
+  metadata: source.metadata ? JSON.parse(source.metadata) : null,
+  bibliography: bibliography.formatBibliography(source),
+  collectionId: source.collectionId,
+  tags: source.tags.map(sourceTag => formatTag(sourceTag.tag)),
+  // Legacy fields for backward compatibility
+  url: source.url
+});
 
-    // Create user
-    const user = await prisma.user.create({
-      data: {
-        email,
-        password: hashedPassword,
-        name
-      }
-    });
+/**
+ * Tag / Collection Filters
+ * ?tag=1,2 matches sources carrying every listed tag; ?collection=<id> or ?collection=none (unfiled)
+ * Returns { where } for prisma.source.findMany or { error } for a 400 response
+ */
+const organizationFilters = (query) => {
+  const where = {};
 
-    // Generate JWT token
-    const token = jwt.sign(
-      { id: user.id, email: user.email, name: user.name },
-      JWT_SECRET,
-      { expiresIn: '7d' }
-    );
+  if (query.tag) {
+    const tagIds = String(query.tag).split(',').map(id => parseInt(id));
+    if (tagIds.some(isNaN)) {
+      return { error: 'tag must be a comma-separated list of tag ids' };
+    }
+    where.AND = tagIds.map(tagId => ({ tags: { some: { tagId } } }));
+  }
 
-    res.status(201).json({
-      success: true,
-      data: {
-        user: {
-          id: user.id,
-          email: user.email,
-          name: user.name
-        },
-        token
-      }
-    });
-  } catch (error) {
-    console.error('Registration error:', error);
-    res.status(500).json({
-      success: false,
-      error: 'Failed to register user'
-    });
+  if (query.collection) {
+    const collectionId = query.collection === 'none' ? null : parseInt(query.collection);
+    if (Number.isNaN(collectionId)) {
+      return { error: 'collection must be a collection id or "none"' };
+    }
+    where.collectionId = collectionId;
   }
-});
+
+  return { where };
+};
 
 /**
- * User Login
- * POST /auth/login
- * Body: { email, password }
+ * Date Range Filter
+ * ?from=&to= as a Prisma range ({ gte, lte }), null when neither is given, or { error }
  */
-app.post('/auth/login', authLimiter, async (req, res) => {
-  const { email, password } = req.body;
-
-  // Validation
-  if (!email || !password) {
-    return res.status(400).json({
-      success: false,
-      error: 'Email and password are required'
-    });
+const dateRange = (from, to) => {
+  if (!from && !to) return { range: null };
+  const range = {};
+  if (from) range.gte = new Date(from);
+  if (to) range.lte = new Date(to);
+  if (Object.values(range).some(date => isNaN(date))) {
+    return { error: 'Invalid date range' };
   }
+  return { range };
+};
 
-  try {
-    // Find user
-    const user = await prisma.user.findUnique({
-      where: { email }
-    });
+/**
+ * Source Filters
+ * ?type=&addedBy=&from=&to= (addedAt) on top of the tag / collection filters
+ * Returns { where } or { error } for a 400 response
+ */
+const sourceFilters = (query) => {
+  const { where, error } = organizationFilters(query);
+  if (error) return { error };
 
-    if (!user) {
-      return res.status(401).json({
-        success: false,
-        error: 'Invalid email or password'
-      });
+  if (query.type) {
+    where.type = String(query.type);
+  }
+
+  if (query.addedBy) {
+    const addedBy = parseInt(query.addedBy);
+    if (Number.isNaN(addedBy)) {
+      return { error: 'addedBy must be a user id' };
     }
+    where.addedBy = addedBy;
+  }
 
-    // Verify password
-    const validPassword = await bcrypt.compare(password, user.password);
+  const { range, error: rangeError } = dateRange(query.from, query.to);
+  if (rangeError) return { error: rangeError };
+  if (range) where.addedAt = range;
 
-    if (!validPassword) {
-      return res.status(401).json({
-        success: false,
-        error: 'Invalid email or password'
-      });
-    }
+  return { where };
+};
 
-    // Generate JWT token
-    const token = jwt.sign(
-      { id: user.id, email: user.email, name: user.name },
-      JWT_SECRET,
-      { expiresIn: '7d' }
+// Source.metadata is a JSON object keyed by origin (document, page, ...); patch replaces top-level keys
+const mergeMetadata = (existing, patch) => JSON.stringify({
+  ...(existing ? JSON.parse(existing) : {}),
+  ...patch
+});
+
+/**
+ * Import Helpers
+ * Shared by the reference and bookmark importers
+ */
+const loadDuplicateIndex = async (vaultId) => {
+  const existingSources = await prisma.source.findMany({
+    where: { vaultId, deletedAt: null },
+    select: { id: true, title: true, content: true, url: true, doi: true }
+  });
+
+  const duplicates = importers.createDuplicateIndex();
+  existingSources.forEach(existing => {
+    duplicates.add(
+      { doi: existing.doi, url: existing.content || existing.url, title: existing.title },
+      { sourceId: existing.id }
     );
+  });
+  return duplicates;
+};
 
-    res.json({
-      success: true,
-      data: {
-        user: {
-          id: user.id,
-          email: user.email,
-          name: user.name
-        },
-        token
+// Creates the sources plus one SOURCES_IMPORTED audit entry, then emits one batched event
+// Rows may carry collectionPath (folder names from the top level down); missing collections are created
+const saveImportedSources = async (vaultId, user, rows, auditMetadata) => {
+  const newCollections = [];
+
+  const created = await auditTransaction(async (tx) => {
+    const collectionIds = new Map();
+    const resolveCollection = async (names) => {
+      let parentId = null;
+      for (let depth = 1; depth <= names.length; depth++) {
+        const key = JSON.stringify(names.slice(0, depth));
+        if (!collectionIds.has(key)) {
+          const name = names[depth - 1].slice(0, 100);
+          let collection = await tx.collection.findFirst({ where: { vaultId, parentId, name } });
+          if (!collection) {
+            collection = await tx.collection.create({ data: { vaultId, parentId, name } });
+            newCollections.push(collection);
+          }
+          collectionIds.set(key, collection.id);
+        }
+        parentId = collectionIds.get(key);
       }
+      return parentId;
+    };
+
+    const sources = [];
+    for (const { collectionPath, ...data } of rows) {
+      const collectionId = collectionPath && collectionPath.length > 0 ? await resolveCollection(collectionPath) : null;
+      sources.push(await tx.source.create({
+        data: { ...data, collectionId, vaultId, addedBy: user.id, ...initialVersion(data, user.id) },
+        include: sourceInclude
+      }));
+    }
+
+    await recordAudit(tx, {
+      vaultId,
+      userId: user.id,
+      action: 'SOURCES_IMPORTED',
+      resourceType: 'vault',
+      resourceId: vaultId,
+      metadata: auditMetadata
     });
-  } catch (error) {
-    console.error('Login error:', error);
-    res.status(500).json({
-      success: false,
-      error: 'Failed to login'
+
+    return sources;
+  }, { timeout: 60000 });
+
+  newCollections.forEach(collection => {
+    io.to(`vault_${vaultId}`).emit('collection:created', formatCollection(collection));
+  });
+
+  if (created.length > 0) {
+    await invalidateCache([`vault:${vaultId}:sources`], 'Import Sources');
+
+    // One event for the whole batch rather than a source:added per entry
+    io.to(`vault_${vaultId}`).emit('sources:imported', {
+      vaultId,
+      sources: created.map(formatSource),
+      importedBy: user.name
     });
   }
-});
 
-// ============================================================================
-// VAULT ENDPOINTS (Phase 1 - Migrated to Prisma)
-// ============================================================================
+  return created;
+};
 
 /**
- * Health Check Endpoint
- * GET /
+ * Version Helpers
+ * initialVersion(data, userId) goes into source.create data so version 1 is written with the source;
+ * recordVersion appends the next version after a change (db is prisma or a transaction)
  */
-app.get('/', (req, res) => {
-  res.json({
-    message: 'SyncScript API v2.0 is running',
-    version: '2.0.0',
-    features: ['PostgreSQL', 'JWT Auth', 'RBAC', 'WebSockets', 'Audit Logs'],
-    endpoints: {
-      auth: '/auth/register, /auth/login',
-      vaults: '/vaults',
-      sources: '/vaults/:id/sources'
+const initialVersion = (data, userId) => ({
+  versions: {
+    create: { version: 1, change: 'created', ...versions.snapshotOf(data), createdById: userId }
+  }
+});
+
+// Sources added before version history existed get their current state as version 1 first
+const ensureBaseline = async (db, source) => {
+  const latest = await db.sourceVersion.findFirst({
+    where: { sourceId: source.id },
+    orderBy: { version: 'desc' },
+    select: { version: true }
+  });
+  if (latest) return latest.version;
+
+  await db.sourceVersion.create({
+    data: {
+      sourceId: source.id,
+      version: 1,
+      change: 'created',
+      ...versions.snapshotOf(source),
+      createdById: source.addedBy,
+      createdAt: source.addedAt
     }
   });
-});
+  return 1;
+};
+
+const recordVersion = async (db, before, after, userId, change, details) => {
+  const latest = await ensureBaseline(db, before);
+  return db.sourceVersion.create({
+    data: {
+      sourceId: after.id,
+      version: latest + 1,
+      change,
+      ...versions.snapshotOf(after),
+      details: JSON.stringify(details),
+      createdById: userId
+    }
+  });
+};
 
 /**
- * Get All Vaults for Authenticated User
- * GET /vaults
- * 
- * UPGRADED: Now uses PostgreSQL and returns only vaults user has access to
+ * Trash Helpers
+ * Deleted sources and vaults keep their rows with deletedAt set until the purge
+ * (or a permanent delete) removes them; every listing filters on deletedAt: null
  */
-app.get('/vaults', authenticateToken, async (req, res) => {
-  const userId = req.user.id;
-  const cacheKey = `vaults:user:${userId}`;
+const trashInclude = { ...sourceInclude, deletedBy: { select: { id: true, name: true } } };
+
+const purgeDate = (deletedAt) => new Date(deletedAt.getTime() + TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000);
+
+const formatTrashedSource = (source) => ({
+  ...formatSource(source),
+  deletedAt: source.deletedAt.toISOString(),
+  deletedBy: source.deletedBy ? source.deletedBy.name : null,
+  purgeAt: purgeDate(source.deletedAt).toISOString()
+});
+
+const formatTrashedVault = (vault) => ({
+  id: vault.id,
+  name: vault.name,
+  createdAt: vault.createdAt.toISOString(),
+  deletedAt: vault.deletedAt.toISOString(),
+  purgeAt: purgeDate(vault.deletedAt).toISOString(),
+  sourceCount: vault._count.sources
+});
+
+/**
+ * Local Upload Helpers
+ * Files live in uploads/ and are referenced by Source.content as "/uploads/<name>"
+ * (current file) or SourceVersion.content (earlier files, kept for version history)
+ */
+const saveUploadedFile = (file) => {
+  const filename = `${Date.now()}-${file.originalname.replace(/\s+/g, '_')}`;
+  fs.writeFileSync(path.join(uploadsDir, filename), file.buffer);
+  return `/uploads/${filename}`;
+};
+
+// Deletes a local upload once no source or version references it anymore (external URLs are skipped)
+const removeUnusedUpload = async (contentPath) => {
+  if (!contentPath || !contentPath.startsWith('/uploads/')) return;
 
   try {
-    // Try to get from cache
-    if (redisClient.isReady) {
-      try {
-        const cachedVaults = await redisClient.get(cacheKey);
-        if (cachedVaults) {
-          return res.json({ success: true, data: JSON.parse(cachedVaults), _cached: true });
-        }
-      } catch (cacheError) {
-        console.error('Redis GET error (Vaults):', cacheError);
-      }
+    const [references, versionReferences] = await Promise.all([
+      prisma.source.count({ where: { content: contentPath } }),
+      prisma.sourceVersion.count({ where: { content: contentPath } })
+    ]);
+    if (references + versionReferences > 0) return;
+
+    const filePath = path.join(uploadsDir, path.basename(contentPath));
+    if (fs.existsSync(filePath)) {
+      fs.unlinkSync(filePath);
     }
+  } catch (error) {
+    console.error('Upload cleanup error:', error);
+  }
+};
 
-    // Get all vaults where user is a member
-    const vaultMemberships = await prisma.vaultMember.findMany({
-      where: { userId: userId },
-      include: { vault: true }
+// Every upload used by the matching sources, current or in their version history
+const uploadsOf = async (sourceWhere) => {
+  const [current, history] = await Promise.all([
+    prisma.source.findMany({
+      where: { ...sourceWhere, type: { in: ['file', 'image'] } },
+      select: { content: true }
+    }),
+    prisma.sourceVersion.findMany({
+      where: { source: sourceWhere, content: { startsWith: '/uploads/' } },
+      select: { content: true },
+      distinct: ['content']
+    })
+  ]);
+  return [...new Set([...current, ...history].map(row => row.content))];
+};
+
+/**
+ * Document Extraction Queue
+ * Uploaded PDF/DOCX/PPTX/TXT files are parsed one at a time in a worker thread
+ * after the upload request has returned; progress is tracked in Source.extractionStatus
+ */
+const extractionQueue = [];
+let extractionRunning = false;
+
+// Extraction fields for a freshly uploaded file (status stays null for images etc.)
+const extractionFieldsFor = (mimeType) => ({
+  extractionStatus: extraction.isExtractable(mimeType) ? 'pending' : null,
+  extractionError: null,
+  extractedText: null,
+  pageCount: null,
+  metadata: null
+});
+
+const extractSource = async (sourceId) => {
+  try {
+    const source = await prisma.source.findUnique({ where: { id: sourceId } });
+    if (!source || source.extractionStatus !== 'pending') return;
+
+    let data;
+    try {
+      const filePath = path.join(uploadsDir, path.basename(source.content));
+      const result = await extraction.runExtraction(filePath, source.mimeType);
+      // Re-read so edits made while the worker ran aren't overwritten
+      const current = await prisma.source.findUnique({ where: { id: sourceId } });
+      if (!current) return;
+      data = {
+        extractionStatus: 'done',
+        extractionError: null,
+        extractedText: result.text || null,
+        pageCount: result.pageCount,
+        metadata: mergeMetadata(current.metadata, { document: result.metadata }),
+        ...bibliography.autoBibliography(current, bibliography.fromDocumentMetadata(result.metadata))
+      };
+    } catch (extractError) {
+      console.error(`Extraction failed for source ${sourceId}:`, extractError.message);
+      data = {
+        extractionStatus: 'failed',
+        extractionError: extractError.message.slice(0, 500)
+      };
+    }
+
+    // Skip the write if the file was replaced while we were parsing; the new upload is queued separately
+    const { count } = await prisma.source.updateMany({
+      where: { id: sourceId, content: source.content, extractionStatus: 'pending' },
+      data
     });
+    if (count === 0) return;
 
-    // Transform to include role
-    const vaults = vaultMemberships.map(membership => ({
-      id: membership.vault.id,
-      name: membership.vault.name,
-      role: membership.role,
-      createdAt: membership.vault.createdAt.toISOString()
-    }));
+    const updated = await prisma.source.findUnique({
+      where: { id: sourceId },
+      include: sourceInclude
+    });
 
-    // Cache the result
-    if (redisClient.isReady) {
-      try {
-        await redisClient.set(cacheKey, JSON.stringify(vaults), { EX: 300 }); // 5 min cache
-      } catch (cacheError) {
-        console.error('Redis SET error (Vaults):', cacheError);
+    await invalidateCache([`vault:${updated.vaultId}:sources`], 'Extraction');
+    if (!updated.deletedAt) {
+      io.to(`vault_${updated.vaultId}`).emit('source:updated', formatSource(updated));
+    }
+  } catch (error) {
+    console.error('Extraction queue error:', error);
+  }
+};
+
+const processExtractionQueue = async () => {
+  if (extractionRunning) return;
+  extractionRunning = true;
+
+  while (extractionQueue.length > 0) {
+    await extractSource(extractionQueue.shift());
+  }
+
+  extractionRunning = false;
+};
+
+const queueExtraction = (sourceId) => {
+  if (!extractionQueue.includes(sourceId)) {
+    extractionQueue.push(sourceId);
+  }
+  processExtractionQueue();
+};
+
+// Picks up sources left pending by a restart
+const resumePendingExtractions = async () => {
+  try {
+    const pending = await prisma.source.findMany({
+      where: { extractionStatus: 'pending' },
+      select: { id: true },
+      orderBy: { id: 'asc' }
+    });
+    pending.forEach(source => queueExtraction(source.id));
+    if (pending.length > 0) {
+      console.log(`📄 Resuming text extraction for ${pending.length} source(s)`);
+    }
+  } catch (error) {
+    console.error('Resume extraction error:', error);
+  }
+};
+
+/**
+ * URL Metadata Capture
+ * Link sources get page metadata (canonical URL, OpenGraph, author, publish date, favicon)
+ * stored under Source.metadata.page; failures are logged and leave the source untouched
+ */
+const captureUrlMetadata = async (sourceId, url) => {
+  let page;
+  try {
+    page = await urlMetadata.fetchUrlMetadata(url);
+  } catch (fetchError) {
+    console.log(`🔗 Metadata fetch skipped for source ${sourceId}: ${fetchError.message}`);
+    return;
+  }
+
+  try {
+    const source = await prisma.source.findUnique({ where: { id: sourceId } });
+    // The link may have been edited while we were fetching
+    if (!source || source.content !== url) return;
+
+    const updated = await prisma.source.update({
+      where: { id: sourceId },
+      data: {
+        metadata: mergeMetadata(source.metadata, { page }),
+        ...bibliography.autoBibliography(source, bibliography.fromPageMetadata(page))
+      },
+      include: sourceInclude
+    });
+
+    await invalidateCache([`vault:${updated.vaultId}:sources`], 'URL Metadata');
+    if (!updated.deletedAt) {
+      io.to(`vault_${updated.vaultId}`).emit('source:updated', formatSource(updated));
+    }
+  } catch (error) {
+    console.error('URL metadata capture error:', error);
+  }
+};
+
+// ============================================================================
+// AUTHENTICATION ENDPOINTS (Phase 2)
+// ============================================================================
+
+/**
+ * Session Helpers
+ * Refresh tokens are random strings; only their SHA-256 hash is stored
+ */
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const generateRefreshToken = () => crypto.randomBytes(48).toString('hex');
+
+const refreshExpiry = () => new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+
+const signAccessToken = (user, sessionId) => jwt.sign(
+  { id: user.id, email: user.email, name: user.name, sid: sessionId },
+  JWT_SECRET,
+  { expiresIn: ACCESS_TOKEN_TTL }
+);
+
+const getClientInfo = (req) => ({
+  userAgent: (req.headers['user-agent'] || '').slice(0, 255) || null,
+  ipAddress: req.ip || null
+});
+
+/**
+ * Create Session
+ * Starts a new device session and returns its access + refresh token pair
+ */
+const createSession = async (user, req) => {
+  const refreshToken = generateRefreshToken();
+
+  const session = await prisma.session.create({
+    data: {
+      userId: user.id,
+      tokenHash: hashToken(refreshToken),
+      expiresAt: refreshExpiry(),
+      ...getClientInfo(req)
+    }
+  });
+
+  return { token: signAccessToken(user, session.id), refreshToken };
+};
+
+/**
+ * Revoke Session
+ * Marks the session revoked and disconnects the sockets that authenticated with it
+ */
+const revokeSession = async (session) => {
+  await prisma.session.updateMany({
+    where: { id: session.id, revokedAt: null },
+    data: { revokedAt: new Date() }
+  });
+
+  const sockets = await io.in(`user_${session.userId}`).fetchSockets();
+  sockets
+    .filter(socket => socket.data.user.sid === session.id)
+    .forEach(socket => socket.disconnect(true));
+};
+
+/**
+ * Revoke All Sessions
+ * Signs the user out everywhere, optionally keeping the session making the request
+ */
+const revokeUserSessions = async (userId, exceptSessionId = null) => {
+  await prisma.session.updateMany({
+    where: {
+      userId,
+      revokedAt: null,
+      ...(exceptSessionId ? { id: { not: exceptSessionId } } : {})
+    },
+    data: { revokedAt: new Date() }
+  });
+
+  const sockets = await io.in(`user_${userId}`).fetchSockets();
+  sockets
+    .filter(socket => socket.data.user.sid !== exceptSessionId)
+    .forEach(socket => socket.disconnect(true));
+};
+
+/**
+ * Security Event Helper
+ * Records a sign-in or credential event with the request's IP and user agent
+ */
+const logSecurityEvent = async (req, { type, userId = null, email = null, metadata = null }) => {
+  try {
+    await prisma.securityEvent.create({
+      data: {
+        type,
+        userId,
+        email: email ? security.normalizeEmail(email) : null,
+        metadata: metadata ? JSON.stringify(metadata) : null,
+        ...getClientInfo(req)
       }
+    });
+  } catch (error) {
+    console.error('Security event error:', error);
+    // Don't fail the request if logging fails
+  }
+};
+
+/**
+ * Login Lockout State
+ * Consecutive failed sign-ins for an email since its last success or password reset
+ * (within the window), and when the lockout they caused ends (null if not locked)
+ */
+const loginLockout = async (email) => {
+  const normalized = security.normalizeEmail(email);
+  const since = new Date(Date.now() - LOGIN_LOCKOUT_WINDOW_MS);
+  const reset = await prisma.securityEvent.findFirst({
+    where: { email: normalized, type: { in: security.LOCKOUT_RESETS }, createdAt: { gte: since } },
+    orderBy: { id: 'desc' },
+    select: { id: true }
+  });
+
+  const where = {
+    email: normalized,
+    type: 'LOGIN_FAILED',
+    createdAt: { gte: since },
+    ...(reset ? { id: { gt: reset.id } } : {})
+  };
+  const [failures, last] = await Promise.all([
+    prisma.securityEvent.count({ where }),
+    prisma.securityEvent.findFirst({ where, orderBy: { id: 'desc' }, select: { createdAt: true } })
+  ]);
+
+  const duration = security.lockoutDuration(failures, LOGIN_LOCKOUT);
+  const lockedUntil = duration > 0 ? new Date(last.createdAt.getTime() + duration) : null;
+  return { failures, lockedUntil: lockedUntil && lockedUntil > new Date() ? lockedUntil : null };
+};
+
+/**
+ * User Registration
+ * POST /auth/register
+ * Body: { email, password, name }
+ */
+app.post('/auth/register', authLimiter, async (req, res) => {
+  const { email, password, name } = req.body;
+
+  // Validation
+  if (!email || !password || !name) {
+    return res.status(400).json({
+      success: false,
+      error: 'Email, password, and name are required'
+    });
+  }
+
+  if (password.length < 6) {
+    return res.status(400).json({
+      success: false,
+      error: 'Password must be at least 6 characters'
+    });
+  }
+
+  try {
+    // Check if user already exists
+    const existingUser = await prisma.user.findUnique({
+      where: { email }
+    });
+
+    if (existingUser) {
+      return res.status(409).json({
+        success: false,
+        error: 'User with this email already exists'
+      });
     }
 
-    res.json({ success: true, data: vaults });
+    // Hash password
+    const hashedPassword = await bcrypt.hash(password, 10);
+
+    // Create user
+    const user = await prisma.user.create({
+      data: {
+        email,
+        password: hashedPassword,
+        name
+      }
+    });
+
+    await logSecurityEvent(req, { type: 'REGISTERED', userId: user.id, email: user.email });
+
+    // Join every vault this email was invited to before registering
+    await acceptPendingInvites(user);
+
+    // Start a session: short-lived access token + rotating refresh token
+    const { token, refreshToken } = await createSession(user, req);
+
+    res.status(201).json({
+      success: true,
+      data: {
+        user: {
+          id: user.id,
+          email: user.email,
+          name: user.name
+        },
+        token,
+        refreshToken
+      }
+    });
   } catch (error) {
-    console.error('Get vaults error:', error);
-    res.status(500).json({ success: false, error: 'Failed to fetch vaults' });
+    console.error('Registration error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to register user'
+    });
   }
 });
 
 /**
- * Create New Vault
- * POST /vaults
- * Body: { name: string }
- * 
- * UPGRADED: Now creates vault in PostgreSQL and adds creator as OWNER
+ * User Login
+ * POST /auth/login
+ * Body: { email, password }
+ *
+ * Repeated failures lock the email out for a growing time (429 with Retry-After),
+ * whether or not an account exists for it
  */
-app.post('/vaults', authenticateToken, async (req, res) => {
-  const { name } = req.body;
-  const userId = req.user.id;
+app.post('/auth/login', authLimiter, async (req, res) => {
+  const { email, password } = req.body;
 
   // Validation
-  if (!name || name.trim().length === 0) {
+  if (!email || !password) {
     return res.status(400).json({
       success: false,
-      error: 'Vault name is required'
+      error: 'Email and password are required'
     });
   }
 
   try {
-    // Create vault and add creator as OWNER in a transaction
-    const result = await prisma.$transaction(async (tx) => {
-      // Create vault
-      const vault = await tx.vault.create({
-        data: {
-          name: name.trim(),
-          ownerId: userId
-        }
+    // Find user
+    const user = await prisma.user.findUnique({
+      where: { email }
+    });
+    const account = user && !user.deletedAt ? user : null;
+
+    const { failures, lockedUntil } = await loginLockout(email);
+    if (lockedUntil) {
+      await logSecurityEvent(req, {
+        type: 'LOGIN_BLOCKED',
+        userId: account ? account.id : null,
+        email,
+        metadata: { lockedUntil: lockedUntil.toISOString() }
       });
+      res.setHeader('Retry-After', Math.ceil((lockedUntil - Date.now()) / 1000));
+      return res.status(429).json({
+        success: false,
+        error: security.retryMessage(lockedUntil)
+      });
+    }
 
-      // Add creator as OWNER in vault_members
-      await tx.vaultMember.create({
-        data: {
-          vaultId: vault.id,
-          userId: userId,
-          role: 'OWNER'
+    // Verify password
+    const validPassword = account ? await bcrypt.compare(password, account.password) : false;
+
+    if (!validPassword) {
+      const duration = security.lockoutDuration(failures + 1, LOGIN_LOCKOUT);
+      const lockedFrom = duration > 0 ? new Date(Date.now() + duration) : null;
+      await logSecurityEvent(req, {
+        type: 'LOGIN_FAILED',
+        userId: account ? account.id : null,
+        email,
+        metadata: {
+          reason: account ? 'WRONG_PASSWORD' : 'UNKNOWN_ACCOUNT',
+          failures: failures + 1,
+          lockedUntil: lockedFrom ? lockedFrom.toISOString() : null
         }
       });
 
-      // Create audit log
-      await tx.auditLog.create({
-        data: {
-          vaultId: vault.id,
-          userId: userId,
-          action: 'VAULT_CREATED',
-          resourceType: 'vault',
-          resourceId: vault.id
+      if (lockedFrom) {
+        res.setHeader('Retry-After', Math.ceil(duration / 1000));
+        return res.status(429).json({
+          success: false,
+          error: security.retryMessage(lockedFrom)
+        });
+      }
+      return res.status(401).json({
+        success: false,
+        error: 'Invalid email or password'
+      });
+    }
+
+    // Start a session: short-lived access token + rotating refresh token
+    const { token, refreshToken } = await createSession(user, req);
+    await logSecurityEvent(req, { type: 'LOGIN_SUCCEEDED', userId: user.id, email });
+
+    res.json({
+      success: true,
+      data: {
+        user: {
+          id: user.id,
+          email: user.email,
+          name: user.name
+        },
+        token,
+        refreshToken
+      }
+    });
+  } catch (error) {
+    console.error('Login error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to login'
+    });
+  }
+});
+
+/**
+ * Refresh Access Token
+ * POST /auth/refresh
+ * Body: { refreshToken }
+ *
+ * Rotates the refresh token on every use. Replaying an already-rotated token
+ * (outside a short grace window for concurrent tabs) revokes the whole session.
+ */
+app.post('/auth/refresh', async (req, res) => {
+  const { refreshToken } = req.body;
+
+  if (!refreshToken) {
+    return res.status(400).json({
+      success: false,
+      error: 'Refresh token is required'
+    });
+  }
+
+  try {
+    const tokenHash = hashToken(refreshToken);
+    const session = await prisma.session.findUnique({
+      where: { tokenHash },
+      include: { user: true }
+    });
+
+    if (!session) {
+      const rotatedSession = await prisma.session.findFirst({
+        where: { previousTokenHash: tokenHash, revokedAt: null }
+      });
+
+      if (rotatedSession && Date.now() - rotatedSession.lastUsedAt.getTime() > REFRESH_REUSE_GRACE_MS) {
+        console.warn(`Refresh token reuse detected for session ${rotatedSession.id}; revoking`);
+        await revokeSession(rotatedSession);
+        await logSecurityEvent(req, {
+          type: 'TOKEN_REUSE_DETECTED',
+          userId: rotatedSession.userId,
+          metadata: { sessionId: rotatedSession.id }
+        });
+      }
+
+      return res.status(401).json({
+        success: false,
+        error: 'Invalid refresh token'
+      });
+    }
+
+    if (session.revokedAt || session.expiresAt < new Date()) {
+      return res.status(401).json({
+        success: false,
+        error: 'Session expired. Please login again.'
+      });
+    }
+
+    const newRefreshToken = generateRefreshToken();
+
+    // Conditional on the old hash so two concurrent refreshes cannot both rotate
+    const rotated = await prisma.session.updateMany({
+      where: { id: session.id, tokenHash },
+      data: {
+        tokenHash: hashToken(newRefreshToken),
+        previousTokenHash: tokenHash,
+        lastUsedAt: new Date(),
+        ...getClientInfo(req)
+      }
+    });
+
+    if (rotated.count === 0) {
+      return res.status(401).json({
+        success: false,
+        error: 'Invalid refresh token'
+      });
+    }
+
+    await logSecurityEvent(req, {
+      type: 'TOKEN_REFRESHED',
+      userId: session.userId,
+      metadata: { sessionId: session.id }
+    });
+
+    res.json({
+      success: true,
+      data: {
+        token: signAccessToken(session.user, session.id),
+        refreshToken: newRefreshToken
+      }
+    });
+  } catch (error) {
+    console.error('Refresh error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to refresh session'
+    });
+  }
+});
+
+/**
+ * Logout
+ * POST /auth/logout
+ *
+ * Revokes the current session so its refresh token stops working
+ */
+app.post('/auth/logout', authenticateToken, async (req, res) => {
+  try {
+    await revokeSession({ id: req.user.sid, userId: req.user.id });
+    res.json({ success: true, message: 'Logged out' });
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to logout'
+    });
+  }
+});
+
+/**
+ * List Active Sessions
+ * GET /auth/sessions
+ */
+app.get('/auth/sessions', authenticateToken, async (req, res) => {
+  try {
+    const sessions = await prisma.session.findMany({
+      where: {
+        userId: req.user.id,
+        revokedAt: null,
+        expiresAt: { gt: new Date() }
+      },
+      orderBy: { lastUsedAt: 'desc' }
+    });
+
+    res.json({
+      success: true,
+      data: sessions.map(session => ({
+        id: session.id,
+        userAgent: session.userAgent,
+        ipAddress: session.ipAddress,
+        createdAt: session.createdAt.toISOString(),
+        lastUsedAt: session.lastUsedAt.toISOString(),
+        expiresAt: session.expiresAt.toISOString(),
+        current: session.id === req.user.sid
+      }))
+    });
+  } catch (error) {
+    console.error('List sessions error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch sessions'
+    });
+  }
+});
+
+/**
+ * Revoke Session (sign out a device)
+ * DELETE /auth/sessions/:sessionId
+ */
+app.delete('/auth/sessions/:sessionId', authenticateToken, async (req, res) => {
+  const sessionId = parseInt(req.params.sessionId);
+
+  try {
+    const session = await prisma.session.findFirst({
+      where: { id: sessionId, userId: req.user.id, revokedAt: null }
+    });
+
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        error: 'Session not found'
+      });
+    }
+
+    await revokeSession(session);
+
+    res.json({ success: true, data: { id: sessionId } });
+  } catch (error) {
+    console.error('Revoke session error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to revoke session'
+    });
+  }
+});
+
+/**
+ * Account Security Activity (one page)
+ * GET /auth/activity?order=desc|asc&limit=&cursor=&type=
+ *
+ * The caller's sign-ins, failed sign-ins, lockouts, token refreshes, and password
+ * and email changes with IP and user agent; newest first by default. type takes
+ * one event type or a comma-separated list.
+ */
+const ACTIVITY_SORTS = {
+  createdAt: { type: 'date', order: 'desc' }
+};
+
+const formatSecurityEvent = (event) => ({
+  id: event.id,
+  type: event.type,
+  ipAddress: event.ipAddress,
+  userAgent: event.userAgent,
+  metadata: event.metadata ? JSON.parse(event.metadata) : null,
+  createdAt: event.createdAt.toISOString()
+});
+
+app.get('/auth/activity', authenticateToken, async (req, res) => {
+  const { page, error: pageError } = pagination.parsePageParams(req.query, { sorts: ACTIVITY_SORTS, defaultSort: 'createdAt' });
+  if (pageError) {
+    return res.status(400).json({ success: false, error: pageError });
+  }
+
+  const where = { userId: req.user.id };
+  if (req.query.type) {
+    const types = String(req.query.type).split(',').map(type => type.trim().toUpperCase());
+    const unknown = types.find(type => !security.TYPES.includes(type));
+    if (unknown) {
+      return res.status(400).json({ success: false, error: `Unknown event type "${unknown}"` });
+    }
+    where.type = { in: types };
+  }
+
+  try {
+    const { where: after, ...args } = pagination.pageArgs(page);
+    const events = await prisma.securityEvent.findMany({
+      where: { AND: [where, after] },
+      ...args
+    });
+
+    const { items, nextCursor } = pagination.toPage(events, page);
+    res.json({
+      success: true,
+      data: items.map(formatSecurityEvent),
+      meta: { nextCursor, order: page.order, limit: page.limit }
+    });
+  } catch (error) {
+    console.error('Get security activity error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch account activity'
+    });
+  }
+});
+
+// ============================================================================
+// ACCOUNT SELF-SERVICE
+// ============================================================================
+
+/**
+ * Forgot Password
+ * POST /auth/forgot-password
+ * Body: { email }
+ *
+ * Always answers the same way so the endpoint cannot be used to probe for accounts
+ */
+app.post('/auth/forgot-password', authLimiter, async (req, res) => {
+  const { email } = req.body;
+
+  if (!email) {
+    return res.status(400).json({
+      success: false,
+      error: 'Email is required'
+    });
+  }
+
+  try {
+    const user = await prisma.user.findUnique({ where: { email } });
+
+    if (user && !user.deletedAt) {
+      const resetToken = crypto.randomBytes(32).toString('hex');
+
+      // Only the newest link works
+      await prisma.passwordResetToken.updateMany({
+        where: { userId: user.id, usedAt: null },
+        data: { usedAt: new Date() }
+      });
+
+      await prisma.passwordResetToken.create({
+        data: {
+          userId: user.id,
+          tokenHash: hashToken(resetToken),
+          expiresAt: new Date(Date.now() + PASSWORD_RESET_TTL_MINUTES * 60 * 1000)
         }
       });
 
-      return vault;
-    });
+      try {
+        await sendMail({
+          to: user.email,
+          subject: 'Reset your SyncScript password',
+          text: [
+            `Hi ${user.name},`,
+            '',
+            `Someone asked to reset the password for your SyncScript account. Use this link within ${PASSWORD_RESET_TTL_MINUTES} minutes:`,
+            `${FRONTEND_URL}/?reset=${resetToken}`,
+            '',
+            'If this was not you, you can ignore this email; your password stays the same.'
+          ].join('\n')
+        });
+      } catch (mailError) {
+        console.error('Password reset email error:', mailError);
+      }
+
+      await logSecurityEvent(req, { type: 'PASSWORD_RESET_REQUESTED', userId: user.id, email: user.email });
+    }
+
+    res.json({
+      success: true,
+      message: 'If an account exists for that email, a reset link has been sent.'
+    });
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to start password reset'
+    });
+  }
+});
+
+/**
+ * Reset Password
+ * POST /auth/reset-password
+ * Body: { token, password }
+ *
+ * Consumes the reset token and signs the user out of every device
+ */
+app.post('/auth/reset-password', authLimiter, async (req, res) => {
+  const { token, password } = req.body;
+
+  if (!token || !password) {
+    return res.status(400).json({
+      success: false,
+      error: 'Token and new password are required'
+    });
+  }
+
+  if (password.length < 6) {
+    return res.status(400).json({
+      success: false,
+      error: 'Password must be at least 6 characters'
+    });
+  }
+
+  try {
+    const resetToken = await prisma.passwordResetToken.findUnique({
+      where: { tokenHash: hashToken(token) },
+      include: { user: { select: { email: true } } }
+    });
+
+    if (!resetToken || resetToken.usedAt || resetToken.expiresAt < new Date()) {
+      return res.status(400).json({
+        success: false,
+        error: 'This reset link is invalid or has expired'
+      });
+    }
+
+    const hashedPassword = await bcrypt.hash(password, 10);
+
+    const consumed = await prisma.$transaction(async (tx) => {
+      // Conditional update makes the token single-use even under concurrent requests
+      const claimed = await tx.passwordResetToken.updateMany({
+        where: { id: resetToken.id, usedAt: null },
+        data: { usedAt: new Date() }
+      });
+
+      if (claimed.count === 0) return false;
+
+      await tx.user.update({
+        where: { id: resetToken.userId },
+        data: { password: hashedPassword }
+      });
+
+      return true;
+    });
+
+    if (!consumed) {
+      return res.status(400).json({
+        success: false,
+        error: 'This reset link is invalid or has expired'
+      });
+    }
+
+    await revokeUserSessions(resetToken.userId);
+    // Also lifts a sign-in lockout on the account
+    await logSecurityEvent(req, { type: 'PASSWORD_RESET', userId: resetToken.userId, email: resetToken.user.email });
+
+    res.json({
+      success: true,
+      message: 'Password updated. Please log in with your new password.'
+    });
+  } catch (error) {
+    console.error('Reset password error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to reset password'
+    });
+  }
+});
+
+/**
+ * Get Profile
+ * GET /auth/me
+ */
+app.get('/auth/me', authenticateToken, async (req, res) => {
+  try {
+    const user = await prisma.user.findUnique({ where: { id: req.user.id } });
+
+    res.json({
+      success: true,
+      data: {
+        id: user.id,
+        email: user.email,
+        name: user.name,
+        createdAt: user.createdAt.toISOString()
+      }
+    });
+  } catch (error) {
+    console.error('Get profile error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch profile'
+    });
+  }
+});
+
+/**
+ * Update Profile
+ * PATCH /auth/me
+ * Body: { name?, email?, currentPassword } (currentPassword required to change email)
+ *
+ * Returns a fresh access token since the JWT carries name and email
+ */
+app.patch('/auth/me', authenticateToken, async (req, res) => {
+  const { name, email, currentPassword } = req.body;
+  const userId = req.user.id;
+
+  try {
+    const user = await prisma.user.findUnique({ where: { id: userId } });
+    const data = {};
+
+    if (name !== undefined) {
+      if (typeof name !== 'string' || name.trim().length === 0) {
+        return res.status(400).json({ success: false, error: 'Name is required' });
+      }
+      data.name = name.trim();
+    }
+
+    if (email !== undefined && typeof email !== 'string') {
+      return res.status(400).json({ success: false, error: 'A valid email is required' });
+    }
+    // Addresses are compared the way invites and sign-in lockouts compare them
+    const newEmail = email !== undefined ? email.trim().toLowerCase() : undefined;
+
+    if (newEmail !== undefined && newEmail !== user.email) {
+      if (!newEmail || !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(newEmail)) {
+        return res.status(400).json({ success: false, error: 'A valid email is required' });
+      }
+
+      if (typeof currentPassword !== 'string' || !(await bcrypt.compare(currentPassword, user.password))) {
+        return res.status(400).json({ success: false, error: 'Current password is incorrect' });
+      }
+
+      const existingUser = await prisma.user.findUnique({ where: { email: newEmail } });
+      if (existingUser && existingUser.id !== userId) {
+        return res.status(409).json({ success: false, error: 'User with this email already exists' });
+      }
+
+      data.email = newEmail;
+    }
+
+    if (Object.keys(data).length === 0) {
+      return res.status(400).json({ success: false, error: 'No changes provided' });
+    }
+
+    const updatedUser = await prisma.user.update({
+      where: { id: userId },
+      data
+    });
+
+    if (data.email) {
+      await logSecurityEvent(req, {
+        type: 'EMAIL_CHANGED',
+        userId,
+        email: updatedUser.email,
+        metadata: { from: user.email, to: updatedUser.email }
+      });
+    }
+
+    // Member lists and source attributions show the name, so drop cached vault data
+    const memberships = await prisma.vaultMember.findMany({
+      where: { userId },
+      select: { vaultId: true }
+    });
+    await invalidateCache([
+      `vaults:user:${userId}`,
+      ...memberships.map(m => `vault:${m.vaultId}:sources`)
+    ], 'Update Profile');
+
+    res.json({
+      success: true,
+      data: {
+        user: {
+          id: updatedUser.id,
+          email: updatedUser.email,
+          name: updatedUser.name
+        },
+        token: signAccessToken(updatedUser, req.user.sid)
+      }
+    });
+  } catch (error) {
+    console.error('Update profile error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update profile'
+    });
+  }
+});
+
+/**
+ * Change Password
+ * POST /auth/change-password
+ * Body: { currentPassword, newPassword }
+ *
+ * Every other session is revoked; the current device stays signed in
+ */
+app.post('/auth/change-password', authenticateToken, async (req, res) => {
+  const { currentPassword, newPassword } = req.body;
+  const userId = req.user.id;
+
+  if (!currentPassword || !newPassword) {
+    return res.status(400).json({
+      success: false,
+      error: 'Current and new password are required'
+    });
+  }
+
+  if (newPassword.length < 6) {
+    return res.status(400).json({
+      success: false,
+      error: 'Password must be at least 6 characters'
+    });
+  }
+
+  try {
+    const user = await prisma.user.findUnique({ where: { id: userId } });
+
+    if (!(await bcrypt.compare(currentPassword, user.password))) {
+      return res.status(400).json({
+        success: false,
+        error: 'Current password is incorrect'
+      });
+    }
+
+    await prisma.user.update({
+      where: { id: userId },
+      data: { password: await bcrypt.hash(newPassword, 10) }
+    });
+
+    await revokeUserSessions(userId, req.user.sid);
+    await logSecurityEvent(req, { type: 'PASSWORD_CHANGED', userId, email: user.email });
+
+    res.json({
+      success: true,
+      message: 'Password changed. Other devices have been signed out.'
+    });
+  } catch (error) {
+    console.error('Change password error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to change password'
+    });
+  }
+});
+
+/**
+ * Export Account Data
+ * GET /auth/me/export
+ *
+ * JSON download of the profile, memberships, owned vaults (with their sources),
+ * every source the user added, their comments, audit trail, sessions, security
+ * activity, and sent invites.
+ * Items in the trash are included with their deletedAt.
+ */
+app.get('/auth/me/export', authenticateToken, async (req, res) => {
+  const userId = req.user.id;
+
+  try {
+    const [user, memberships, ownedVaults, createdSources, auditLogs, sessions, invites, comments, securityEvents] = await Promise.all([
+      prisma.user.findUnique({ where: { id: userId } }),
+      prisma.vaultMember.findMany({ where: { userId }, include: { vault: true } }),
+      prisma.vault.findMany({
+        where: { ownerId: userId },
+        include: { sources: { include: sourceInclude, orderBy: { addedAt: 'asc' } } }
+      }),
+      prisma.source.findMany({
+        where: { addedBy: userId },
+        include: sourceInclude,
+        orderBy: { addedAt: 'asc' }
+      }),
+      prisma.auditLog.findMany({ where: { userId }, orderBy: { createdAt: 'asc' } }),
+      prisma.session.findMany({ where: { userId }, orderBy: { createdAt: 'asc' } }),
+      prisma.vaultInvite.findMany({ where: { invitedBy: userId }, orderBy: { createdAt: 'asc' } }),
+      prisma.comment.findMany({ where: { authorId: userId }, include: commentInclude, orderBy: { createdAt: 'asc' } }),
+      prisma.securityEvent.findMany({ where: { userId }, orderBy: { createdAt: 'asc' } })
+    ]);
+
+    const exportSource = (source) => ({
+      ...formatSource(source),
+      deletedAt: source.deletedAt ? source.deletedAt.toISOString() : null
+    });
+
+    const exportData = {
+      exportedAt: new Date().toISOString(),
+      profile: {
+        id: user.id,
+        email: user.email,
+        name: user.name,
+        createdAt: user.createdAt.toISOString()
+      },
+      memberships: memberships.map(m => ({
+        vaultId: m.vaultId,
+        vaultName: m.vault.name,
+        role: m.role,
+        joinedAt: m.joinedAt.toISOString()
+      })),
+      ownedVaults: ownedVaults.map(vault => ({
+        id: vault.id,
+        name: vault.name,
+        createdAt: vault.createdAt.toISOString(),
+        deletedAt: vault.deletedAt ? vault.deletedAt.toISOString() : null,
+        sources: vault.sources.map(exportSource)
+      })),
+      createdSources: createdSources.map(exportSource),
+      auditLog: auditLogs.map(log => ({
+        vaultId: log.vaultId,
+        action: log.action,
+        resourceType: log.resourceType,
+        resourceId: log.resourceId,
+        metadata: log.metadata ? JSON.parse(log.metadata) : null,
+        createdAt: log.createdAt.toISOString()
+      })),
+      sessions: sessions.map(session => ({
+        userAgent: session.userAgent,
+        ipAddress: session.ipAddress,
+        createdAt: session.createdAt.toISOString(),
+        lastUsedAt: session.lastUsedAt.toISOString(),
+        revokedAt: session.revokedAt ? session.revokedAt.toISOString() : null
+      })),
+      invitesSent: invites.map(formatInvite),
+      comments: comments.map(formatComment),
+      securityActivity: securityEvents.map(formatSecurityEvent)
+    };
+
+    res.setHeader('Content-Disposition', `attachment; filename="syncscript-export-${userId}.json"`);
+    res.json(exportData);
+  } catch (error) {
+    console.error('Export account error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to export account data'
+    });
+  }
+});
+
+/**
+ * Delete Account
+ * DELETE /auth/me
+ * Body: { password, ownedVaults?: 'transfer' | 'delete' }
+ *
+ * Owned vaults go to the longest-standing CONTRIBUTOR (else any member) when
+ * ownedVaults is 'transfer' (default); vaults without a successor are deleted.
+ * The user row is kept as an anonymized "Deleted user" tombstone so
+ * Source.addedBy and audit history stay intact.
+ */
+app.delete('/auth/me', authenticateToken, async (req, res) => {
+  const { password, ownedVaults: ownedVaultPolicy = 'transfer' } = req.body;
+  const userId = req.user.id;
+
+  if (!password) {
+    return res.status(400).json({ success: false, error: 'Password is required to delete your account' });
+  }
+
+  if (!['transfer', 'delete'].includes(ownedVaultPolicy)) {
+    return res.status(400).json({ success: false, error: 'ownedVaults must be "transfer" or "delete"' });
+  }
+
+  try {
+    const user = await prisma.user.findUnique({ where: { id: userId } });
+
+    if (!(await bcrypt.compare(password, user.password))) {
+      return res.status(400).json({ success: false, error: 'Password is incorrect' });
+    }
+
+    const ownedVaults = await prisma.vault.findMany({
+      where: { ownerId: userId },
+      include: {
+        members: {
+          where: { userId: { not: userId } },
+          orderBy: { joinedAt: 'asc' }
+        }
+      }
+    });
+
+    const transfers = [];
+    const deletions = [];
+    for (const vault of ownedVaults) {
+      // Vaults in the trash are never handed on
+      const successor = ownedVaultPolicy === 'transfer' && !vault.deletedAt
+        && (vault.members.find(m => m.role === 'CONTRIBUTOR') || vault.members[0]);
+      if (successor) {
+        transfers.push({ vault, successor });
+      } else {
+        deletions.push(vault);
+      }
+    }
+
+    const deletedVaultIds = deletions.map(vault => vault.id);
+    const orphanedFiles = await uploadsOf({ vaultId: { in: deletedVaultIds } });
+    const memberships = await prisma.vaultMember.findMany({
+      where: { userId, vaultId: { notIn: deletedVaultIds } },
+      select: { vaultId: true }
+    });
+    const unusablePassword = await bcrypt.hash(crypto.randomBytes(32).toString('hex'), 10);
+
+    await auditTransaction(async (tx) => {
+      for (const { vault, successor } of transfers) {
+        await tx.vault.update({ where: { id: vault.id }, data: { ownerId: successor.userId } });
+        await tx.vaultMember.update({ where: { id: successor.id }, data: { role: 'OWNER' } });
+        await recordAudit(tx, {
+          vaultId: vault.id,
+          userId,
+          action: 'VAULT_TRANSFERRED',
+          resourceType: 'vault',
+          resourceId: vault.id,
+          metadata: { fromUserId: userId, toUserId: successor.userId, reason: 'ACCOUNT_DELETED' }
+        });
+      }
+
+      for (const vault of deletions) {
+        await recordAudit(tx, {
+          vaultId: vault.id,
+          userId,
+          action: 'VAULT_DELETED',
+          resourceType: 'vault',
+          resourceId: vault.id,
+          metadata: { name: vault.name, reason: 'ACCOUNT_DELETED' }
+        });
+        await tx.vault.delete({ where: { id: vault.id } });
+      }
+
+      for (const membership of memberships) {
+        await recordAudit(tx, {
+          vaultId: membership.vaultId,
+          userId,
+          action: 'MEMBER_REMOVED',
+          resourceType: 'user',
+          resourceId: userId,
+          metadata: { reason: 'ACCOUNT_DELETED' }
+        });
+      }
+      await tx.vaultMember.deleteMany({ where: { userId } });
+
+      await tx.vaultInvite.updateMany({
+        where: { invitedBy: userId, acceptedAt: null, revokedAt: null },
+        data: { revokedAt: new Date() }
+      });
+      await tx.passwordResetToken.deleteMany({ where: { userId } });
+      // Sign-in history holds IPs; failed attempts are found by the address too
+      await tx.securityEvent.deleteMany({
+        where: { OR: [{ userId }, { email: security.normalizeEmail(user.email) }] }
+      });
+
+      await tx.user.update({
+        where: { id: userId },
+        data: {
+          name: 'Deleted user',
+          email: `deleted-${userId}-${Date.now()}@deleted.invalid`,
+          password: unusablePassword,
+          deletedAt: new Date()
+        }
+      });
+    });
+
+    await revokeUserSessions(userId);
+
+    for (const file of orphanedFiles) {
+      await removeUnusedUpload(file);
+    }
+
+    // Everyone who shared a vault sees new owners, fewer members, and "Deleted user" attributions
+    const affectedVaultIds = memberships.map(m => m.vaultId);
+    const affectedMembers = await prisma.vaultMember.findMany({
+      where: { vaultId: { in: affectedVaultIds } },
+      select: { userId: true }
+    });
+    const deletedVaultMembers = deletions.flatMap(vault => vault.members.map(m => m.userId));
+    await invalidateCache([
+      `vaults:user:${userId}`,
+      ...deletedVaultIds.map(id => `vault:${id}:sources`),
+      ...affectedVaultIds.map(id => `vault:${id}:sources`),
+      ...[...new Set([...affectedMembers.map(m => m.userId), ...deletedVaultMembers])].map(id => `vaults:user:${id}`)
+    ], 'Delete Account');
+
+    // Members of the deleted vaults lose them just as when the owner deletes one
+    for (const vault of deletions) {
+      const memberIds = vault.members.map(m => m.userId);
+      memberIds.forEach(memberId => {
+        io.to(`user_${memberId}`).emit('vault:deleted', { id: vault.id, name: vault.name });
+      });
+      await leaveVaultNotes(await io.in([userId, ...memberIds].map(id => `user_${id}`)).fetchSockets(), vault.id);
+      io.in(`vault_${vault.id}`).socketsLeave(`vault_${vault.id}`);
+      presence.clearVault(vault.id);
+    }
+
+    for (const { vault, successor } of transfers) {
+      io.to(`vault_${vault.id}`).to(`user_${successor.userId}`).emit('vault:transferred', {
+        id: vault.id,
+        name: vault.name,
+        ownerId: successor.userId,
+        previousOwnerId: userId
+      });
+    }
+    for (const vaultId of affectedVaultIds) {
+      io.to(`vault_${vaultId}`).emit('member:removed', { vaultId, userId });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        transferredVaults: transfers.map(t => ({ id: t.vault.id, name: t.vault.name, newOwnerId: t.successor.userId })),
+        deletedVaults: deletions.map(vault => ({ id: vault.id, name: vault.name }))
+      }
+    });
+  } catch (error) {
+    console.error('Delete account error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete account'
+    });
+  }
+});
+
+// ============================================================================
+// VAULT ENDPOINTS (Phase 1 - Migrated to Prisma)
+// ============================================================================
+
+/**
+ * Health Check Endpoint
+ * GET /
+ */
+app.get('/', (req, res) => {
+  res.json({
+    message: 'SyncScript API v2.0 is running',
+    version: '2.0.0',
+    features: ['PostgreSQL', 'JWT Auth', 'RBAC', 'WebSockets', 'Audit Logs'],
+    endpoints: {
+      auth: '/auth/register, /auth/login, /auth/refresh, /auth/logout, /auth/sessions',
+      vaults: '/vaults',
+      sources: '/vaults/:id/sources'
+    }
+  });
+});
+
+/**
+ * Get All Vaults for Authenticated User
+ * GET /vaults
+ * 
+ * UPGRADED: Now uses PostgreSQL and returns only vaults user has access to
+ */
+app.get('/vaults', authenticateToken, async (req, res) => {
+  const userId = req.user.id;
+  const cacheKey = `vaults:user:${userId}`;
+
+  try {
+    // Try to get from cache
+    if (redisClient.isReady) {
+      try {
+        const cachedVaults = await redisClient.get(cacheKey);
+        if (cachedVaults) {
+          return res.json({ success: true, data: JSON.parse(cachedVaults), _cached: true });
+        }
+      } catch (cacheError) {
+        console.error('Redis GET error (Vaults):', cacheError);
+      }
+    }
+
+    // Get all vaults where user is a member
+    const vaultMemberships = await prisma.vaultMember.findMany({
+      where: { userId: userId, vault: { deletedAt: null } },
+      include: { vault: true }
+    });
+
+    // Transform to include role
+    const vaults = vaultMemberships.map(membership => ({
+      id: membership.vault.id,
+      name: membership.vault.name,
+      role: membership.role,
+      createdAt: membership.vault.createdAt.toISOString()
+    }));
+
+    // Cache the result
+    if (redisClient.isReady) {
+      try {
+        await redisClient.set(cacheKey, JSON.stringify(vaults), { EX: 300 }); // 5 min cache
+      } catch (cacheError) {
+        console.error('Redis SET error (Vaults):', cacheError);
+      }
+    }
+
+    res.json({ success: true, data: vaults });
+  } catch (error) {
+    console.error('Get vaults error:', error);
+    res.status(500).json({ success: false, error: 'Failed to fetch vaults' });
+  }
+});
+
+/**
+ * Create New Vault
+ * POST /vaults
+ * Body: { name: string }
+ * 
+ * UPGRADED: Now creates vault in PostgreSQL and adds creator as OWNER
+ */
+app.post('/vaults', authenticateToken, async (req, res) => {
+  const { name } = req.body;
+  const userId = req.user.id;
+
+  // Validation
+  if (!name || name.trim().length === 0) {
+    return res.status(400).json({
+      success: false,
+      error: 'Vault name is required'
+    });
+  }
+
+  try {
+    // Create vault and add creator as OWNER in a transaction
+    const result = await auditTransaction(async (tx) => {
+      // Create vault
+      const vault = await tx.vault.create({
+        data: {
+          name: name.trim(),
+          ownerId: userId
+        }
+      });
+
+      // Add creator as OWNER in vault_members
+      await tx.vaultMember.create({
+        data: {
+          vaultId: vault.id,
+          userId: userId,
+          role: 'OWNER'
+        }
+      });
+
+      // Create audit log
+      await recordAudit(tx, {
+        vaultId: vault.id,
+        userId: userId,
+        action: 'VAULT_CREATED',
+        resourceType: 'vault',
+        resourceId: vault.id
+      });
+
+      return vault;
+    });
+
+    // Invalidate user's vault cache
+    if (redisClient.isReady) {
+      try {
+        await redisClient.del(`vaults:user:${userId}`);
+      } catch (cacheError) {
+        console.error('Redis DEL error (Vaults):', cacheError);
+      }
+    }
+
+    // Emit WebSocket event (Phase 4)
+    io.to(`user_${userId}`).emit('vault:created', {
+      id: result.id,
+      name: result.name,
+      role: 'OWNER',
+      createdAt: result.createdAt.toISOString()
+    });
+
+    res.status(201).json({
+      success: true,
+      data: {
+        id: result.id,
+        name: result.name,
+        role: 'OWNER',
+        createdAt: result.createdAt.toISOString()
+      }
+    });
+  } catch (error) {
+    console.error('Create vault error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create vault'
+    });
+  }
+});
+
+/**
+ * Vault Member Lookup
+ * Returns the user IDs of every member, used for per-user cache invalidation and notifications
+ */
+const getVaultMemberIds = async (vaultId) => {
+  const members = await prisma.vaultMember.findMany({
+    where: { vaultId },
+    select: { userId: true }
+  });
+  return members.map(member => member.userId);
+};
+
+/**
+ * Rename Vault
+ * PATCH /vaults/:id
+ * Body: { name: string }
+ *
+ * Only accessible by OWNER
+ */
+app.patch('/vaults/:id', authenticateToken, requireVaultRole(['OWNER']), async (req, res) => {
+  const vaultId = parseInt(req.params.id);
+  const { name } = req.body;
+  const userId = req.user.id;
+
+  if (!name || name.trim().length === 0) {
+    return res.status(400).json({
+      success: false,
+      error: 'Vault name is required'
+    });
+  }
+
+  try {
+    const existing = await prisma.vault.findUnique({ where: { id: vaultId } });
+
+    const vault = await auditTransaction(async (tx) => {
+      const updatedVault = await tx.vault.update({
+        where: { id: vaultId },
+        data: { name: name.trim() }
+      });
+
+      await recordAudit(tx, {
+        vaultId,
+        userId,
+        action: 'VAULT_RENAMED',
+        resourceType: 'vault',
+        resourceId: vaultId,
+        metadata: { from: existing.name, to: updatedVault.name }
+      });
+
+      return updatedVault;
+    });
+
+    const memberIds = await getVaultMemberIds(vaultId);
+    await invalidateCache(memberIds.map(id => `vaults:user:${id}`), 'Rename Vault');
+
+    memberIds.forEach(memberId => {
+      io.to(`user_${memberId}`).emit('vault:updated', { id: vault.id, name: vault.name });
+    });
+
+    res.json({
+      success: true,
+      data: { id: vault.id, name: vault.name }
+    });
+  } catch (error) {
+    console.error('Rename vault error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to rename vault'
+    });
+  }
+});
+
+/**
+ * Delete Vault
+ * DELETE /vaults/:id
+ *
+ * Only accessible by OWNER. Moves the vault to the owner's trash: members lose access
+ * until it is restored (POST /vaults/:id/restore), and the purge deletes it with its
+ * sources and files after TRASH_RETENTION_DAYS (or at once via DELETE /vaults/:id/permanent).
+ */
+app.delete('/vaults/:id', authenticateToken, requireVaultRole(['OWNER']), async (req, res) => {
+  const vaultId = parseInt(req.params.id);
+  const userId = req.user.id;
+
+  try {
+    const vault = await prisma.vault.update({
+      where: { id: vaultId },
+      data: { deletedAt: new Date(), deletedById: userId }
+    });
+    const memberIds = await getVaultMemberIds(vaultId);
+    const sourceCount = await prisma.source.count({ where: { vaultId, deletedAt: null } });
+
+    await logAction(vaultId, userId, 'VAULT_TRASHED', 'vault', vaultId, {
+      name: vault.name,
+      sources: sourceCount,
+      members: memberIds.length
+    });
+
+    await invalidateCache([
+      `vault:${vaultId}:sources`,
+      ...memberIds.map(id => `vaults:user:${id}`)
+    ], 'Trash Vault');
+
+    memberIds.forEach(memberId => {
+      io.to(`user_${memberId}`).emit('vault:deleted', { id: vaultId, name: vault.name });
+    });
+    // Leaving the notes also closes their sessions (the last editor out saves and closes)
+    await leaveVaultNotes(await io.in(memberIds.map(id => `user_${id}`)).fetchSockets(), vaultId);
+    io.in(`vault_${vaultId}`).socketsLeave(`vault_${vaultId}`);
+    presence.clearVault(vaultId);
+
+    res.json({
+      success: true,
+      data: formatTrashedVault({ ...vault, _count: { sources: sourceCount } })
+    });
+  } catch (error) {
+    console.error('Delete vault error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete vault'
+    });
+  }
+});
+
+/**
+ * Transfer Vault Ownership
+ * POST /vaults/:id/transfer
+ * Body: { userId } or { email } of an existing member
+ *
+ * Only accessible by OWNER. The previous owner stays on as CONTRIBUTOR.
+ */
+app.post('/vaults/:id/transfer', authenticateToken, requireVaultRole(['OWNER']), async (req, res) => {
+  const vaultId = parseInt(req.params.id);
+  const { userId: targetUserId, email } = req.body;
+  const userId = req.user.id;
+
+  if (!targetUserId && !email) {
+    return res.status(400).json({ success: false, error: 'New owner userId or email is required' });
+  }
+
+  try {
+    const newOwnerMembership = await prisma.vaultMember.findFirst({
+      where: targetUserId
+        ? { vaultId, userId: parseInt(targetUserId) }
+        : { vaultId, user: { email } },
+      include: { user: { select: { id: true, name: true, email: true } } }
+    });
+
+    if (!newOwnerMembership) {
+      return res.status(404).json({ success: false, error: 'New owner must already be a member of this vault' });
+    }
+
+    if (newOwnerMembership.userId === userId) {
+      return res.status(400).json({ success: false, error: 'You already own this vault' });
+    }
+
+    const newOwner = newOwnerMembership.user;
+
+    // Vault.ownerId and both VaultMember roles change together or not at all
+    const vault = await auditTransaction(async (tx) => {
+      const updatedVault = await tx.vault.update({
+        where: { id: vaultId },
+        data: { ownerId: newOwner.id }
+      });
+
+      await tx.vaultMember.update({
+        where: { vaultId_userId: { vaultId, userId: newOwner.id } },
+        data: { role: 'OWNER' }
+      });
+
+      await tx.vaultMember.update({
+        where: { vaultId_userId: { vaultId, userId } },
+        data: { role: 'CONTRIBUTOR' }
+      });
+
+      await recordAudit(tx, {
+        vaultId,
+        userId,
+        action: 'VAULT_TRANSFERRED',
+        resourceType: 'vault',
+        resourceId: vaultId,
+        metadata: { fromUserId: userId, toUserId: newOwner.id, toEmail: newOwner.email }
+      });
+
+      return updatedVault;
+    });
+
+    const memberIds = await getVaultMemberIds(vaultId);
+    await invalidateCache(memberIds.map(id => `vaults:user:${id}`), 'Transfer Vault');
+
+    const payload = {
+      id: vault.id,
+      name: vault.name,
+      ownerId: newOwner.id,
+      ownerName: newOwner.name,
+      previousOwnerId: userId
+    };
+    memberIds.forEach(memberId => {
+      io.to(`user_${memberId}`).emit('vault:transferred', payload);
+    });
+
+    io.to(`user_${newOwner.id}`).emit('notification', {
+      type: 'COLLABORATION',
+      message: `You are now the owner of the vault "${vault.name}".`,
+      vaultId,
+      vaultName: vault.name
+    });
+
+    res.json({
+      success: true,
+      data: payload
+    });
+  } catch (error) {
+    console.error('Transfer vault error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to transfer vault ownership'
+    });
+  }
+});
+
+// ============================================================================
+// SOURCE ENDPOINTS (Phase 1 - Migrated to Prisma)
+// ============================================================================
+
+/**
+ * Get Sources for a Vault (one page)
+ * GET /vaults/:id/sources?sort=addedAt|title|type&order=asc|desc&limit=&cursor=
+ *   &type=&addedBy=&from=&to=&tag=1,2&collection=<id>|none
+ *
+ * UPGRADED: Now uses PostgreSQL and verifies user has access
+ * Returns up to `limit` sources (default 50, max 200) with meta.nextCursor for the
+ * next page (null on the last) and meta.total for the whole filtered list.
+ * Newest first unless another sort is given; title and type sort A→Z by default.
+ */
+const SOURCE_SORTS = {
+  addedAt: { type: 'date', order: 'desc' },
+  title: { type: 'string', order: 'asc' },
+  type: { type: 'string', order: 'asc' }
+};
+
+app.get('/vaults/:id/sources', authenticateToken, requireVaultRole(['OWNER', 'CONTRIBUTOR', 'VIEWER']), async (req, res) => {
+  const vaultId = parseInt(req.params.id);
+
+  const { where: filters, error: filterError } = sourceFilters(req.query);
+  if (filterError) {
+    return res.status(400).json({ success: false, error: filterError });
+  }
+  const { page, error: pageError } = pagination.parsePageParams(req.query, { sorts: SOURCE_SORTS, defaultSort: 'addedAt' });
+  if (pageError) {
+    return res.status(400).json({ success: false, error: pageError });
+  }
+
+  let cacheKey = null;
+  try {
+    // Try to get from cache
+    if (redisClient.isReady) {
+      try {
+        cacheKey = await pageCacheKey(`vault:${vaultId}:sources`, {
+          filters: req.query,
+          sort: page.sort,
+          order: page.order,
+          limit: page.limit
+        });
+        const cachedPage = await redisClient.get(cacheKey);
+        if (cachedPage) {
+          return res.json({ success: true, ...JSON.parse(cachedPage), _cached: true });
+        }
+      } catch (cacheError) {
+        console.error('Redis GET error (Sources):', cacheError);
+      }
+    }
+
+    const where = { vaultId, deletedAt: null, ...filters };
+    const { where: after, ...args } = pagination.pageArgs(page);
+    const [rows, total] = await Promise.all([
+      prisma.source.findMany({
+        where: { AND: [where, after] },
+        include: sourceInclude,
+        ...args
+      }),
+      prisma.source.count({ where })
+    ]);
+
+    // Transform to match frontend expectations
+    const { items, nextCursor } = pagination.toPage(rows, page);
+    const body = {
+      data: items.map(formatSource),
+      meta: { total, nextCursor, sort: page.sort, order: page.order, limit: page.limit }
+    };
+
+    // Cache the result
+    if (cacheKey) {
+      try {
+        await redisClient.set(cacheKey, JSON.stringify(body), { EX: 60 }); // 1 min cache for researchers
+      } catch (cacheError) {
+        console.error('Redis SET error (Sources):', cacheError);
+      }
+    }
+
+    res.json({
+      success: true,
+      ...body
+    });
+  } catch (error) {
+    console.error('Get sources error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch sources'
+    });
+  }
+});
+
+/**
+ * Search Sources in a Vault
+ * GET /vaults/:id/search?q=&type=&addedBy=&from=&to=&tag=&collection=&limit=
+ *
+ * Matches titles, note bodies, URLs, and extracted file text. Results are ranked
+ * and carry highlight ranges ([start, end) offsets) for the title and a snippet.
+ * Every candidate is scored, a batch at a time, so meta.total counts all matches.
+ */
+const SEARCH_BATCH = 100;
+
+app.get('/vaults/:id/search', authenticateToken, requireVaultRole(['OWNER', 'CONTRIBUTOR', 'VIEWER']), async (req, res) => {
+  const vaultId = parseInt(req.params.id);
+  const { q = '' } = req.query;
+  const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+
+  if (typeof q !== 'string') {
+    return res.status(400).json({ success: false, error: 'Search query must be a single string' });
+  }
+
+  const terms = search.tokenize(q);
+  if (terms.length === 0) {
+    return res.status(400).json({
+      success: false,
+      error: 'Search query must contain at least one word of 2+ characters'
+    });
+  }
+
+  const { where, error: filterError } = sourceFilters(req.query);
+  if (filterError) {
+    return res.status(400).json({ success: false, error: filterError });
+  }
+
+  const filters = { vaultId, deletedAt: null, ...where };
+
+  try {
+    // Any term in any searchable field makes a candidate; ranking sorts out relevance.
+    // Only the scored fields are loaded, and only the snippet of each match is kept
+    const phrase = q.trim().toLowerCase();
+    const matches = [];
+    let lastId = 0;
+    while (true) {
+      const batch = await prisma.source.findMany({
+        where: {
+          ...filters,
+          id: { gt: lastId },
+          OR: terms.flatMap(term => [
+            { title: { contains: term } },
+            { content: { contains: term } },
+            { url: { contains: term } },
+            { extractedText: { contains: term } }
+          ])
+        },
+        select: { id: true, title: true, content: true, url: true, extractedText: true, addedAt: true },
+        orderBy: { id: 'asc' },
+        take: SEARCH_BATCH
+      });
+
+      batch.forEach(source => {
+        const fields = {
+          title: source.title,
+          content: source.content,
+          url: source.url !== source.content ? source.url : null,
+          extractedText: source.extractedText
+        };
+        const score = search.scoreSource(fields, terms, phrase);
+        if (score > 0) {
+          matches.push({ id: source.id, addedAt: source.addedAt, score, snippet: search.buildSnippet(fields, terms) });
+        }
+      });
+
+      if (batch.length < SEARCH_BATCH) break;
+      lastId = batch[batch.length - 1].id;
+    }
+
+    const top = matches
+      .sort((a, b) => b.score - a.score || b.addedAt - a.addedAt)
+      .slice(0, limit);
+    const sources = await prisma.source.findMany({
+      where: { id: { in: top.map(match => match.id) } },
+      include: sourceInclude
+    });
+    const byId = new Map(sources.map(source => [source.id, source]));
+
+    const results = top
+      .filter(match => byId.has(match.id))
+      .map(match => {
+        const source = byId.get(match.id);
+        return {
+          ...formatSource(source),
+          score: match.score,
+          highlights: { title: search.findHighlights(source.title, terms) },
+          snippet: match.snippet
+        };
+      });
+
+    res.json({
+      success: true,
+      data: results,
+      meta: {
+        query: q,
+        terms,
+        total: matches.length
+      }
+    });
+  } catch (error) {
+    console.error('Search error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to search sources'
+    });
+  }
+});
+
+/**
+ * Add Member to Vault
+ * POST /vaults/:id/members
+ * Body: { email, role }
+ * 
+ * Only accessible by OWNER
+ */
+app.post('/vaults/:id/members', authenticateToken, requireVaultRole(['OWNER']), async (req, res) => {
+  const vaultId = parseInt(req.params.id);
+  const { email, role } = req.body;
+
+  if (!email || !role) {
+    return res.status(400).json({ success: false, error: 'Email and role are required' });
+  }
+
+  const allowedRoles = ['CONTRIBUTOR', 'VIEWER'];
+  if (!allowedRoles.includes(role)) {
+    return res.status(400).json({ success: false, error: 'Invalid role. Use CONTRIBUTOR or VIEWER' });
+  }
+
+  try {
+    // Find user by email
+    const userToAdd = await prisma.user.findUnique({
+      where: { email }
+    });
+
+    // No account yet: send an invitation that is redeemed on registration
+    if (!userToAdd) {
+      const result = await createVaultInvite(vaultId, email, role, req.user);
+      if (result.error) {
+        return res.status(result.status).json({ success: false, error: result.error });
+      }
+      return res.status(201).json({
+        success: true,
+        message: `Invitation sent to ${result.invite.email} as ${role}`,
+        data: { invite: formatInvite(result.invite) }
+      });
+    }
+
+    // Check if user is already a member
+    const existingMembership = await prisma.vaultMember.findFirst({
+      where: { vaultId, userId: userToAdd.id }
+    });
+
+    if (existingMembership) {
+      return res.status(409).json({ success: false, error: 'User is already a member of this vault' });
+    }
+
+    // Add member in transaction
+    const vault = await prisma.vault.findUnique({ where: { id: vaultId } });
+
+    await auditTransaction(async (tx) => {
+      await tx.vaultMember.create({
+        data: {
+          vaultId,
+          userId: userToAdd.id,
+          role
+        }
+      });
+
+      await recordAudit(tx, {
+        vaultId,
+        userId: req.user.id,
+        action: 'MEMBER_ADDED',
+        resourceType: 'user',
+        resourceId: userToAdd.id,
+        metadata: { email, role }
+      });
+    });
+
+    // Invalidate user's vault cache
+    if (redisClient.isReady) {
+      try {
+        await redisClient.del(`vaults:user:${userToAdd.id}`);
+      } catch (cacheError) {
+        console.error('Redis DEL error (Add Member):', cacheError);
+      }
+    }
+
+    io.to(`vault_${vaultId}`).emit('member:added', {
+      vaultId,
+      userId: userToAdd.id,
+      name: userToAdd.name,
+      email: userToAdd.email,
+      role
+    });
+
+    // MISSION: Automated Notifications
+    // Emit real-time notification via Socket.IO
+    if (userToAdd.id && vault) {
+      io.to(`user_${userToAdd.id}`).emit('notification', {
+        type: 'COLLABORATION',
+        message: `You have been added to the vault "${vault.name}" as a ${role}.`,
+        vaultId,
+        vaultName: vault.name
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: `User ${email} added as ${role}`
+    });
+  } catch (error) {
+    console.error('Add member error:', error);
+    res.status(500).json({ success: false, error: 'Failed to add member' });
+  }
+});
+
+/**
+ * List Vault Members
+ * GET /vaults/:id/members
+ *
+ * Accessible by all vault members
+ */
+app.get('/vaults/:id/members', authenticateToken, requireVaultRole(['OWNER', 'CONTRIBUTOR', 'VIEWER']), async (req, res) => {
+  const vaultId = parseInt(req.params.id);
+
+  try {
+    const members = await prisma.vaultMember.findMany({
+      where: { vaultId },
+      include: {
+        user: {
+          select: {
+            id: true,
+            name: true,
+            email: true
+          }
+        }
+      },
+      orderBy: {
+        joinedAt: 'asc'
+      }
+    });
+
+    res.json({
+      success: true,
+      data: members.map(member => ({
+        userId: member.user.id,
+        name: member.user.name,
+        email: member.user.email,
+        role: member.role,
+        joinedAt: member.joinedAt.toISOString()
+      }))
+    });
+  } catch (error) {
+    console.error('List members error:', error);
+    res.status(500).json({ success: false, error: 'Failed to fetch members' });
+  }
+});
+
+/**
+ * Revoke Vault Access
+ * Kicks every socket of the user out of the vault room and the vault's open notes immediately
+ */
+const revokeVaultAccess = async (vaultId, userId) => {
+  io.in(`user_${userId}`).socketsLeave(`vault_${vaultId}`);
+  presence.removeUser(vaultId, userId);
+  await leaveVaultNotes(await io.in(`user_${userId}`).fetchSockets(), vaultId);
+};
+
+/**
+ * Change Member Role
+ * PATCH /vaults/:id/members/:userId
+ * Body: { role }
+ *
+ * Only accessible by OWNER. Ownership itself moves via POST /vaults/:id/transfer.
+ */
+app.patch('/vaults/:id/members/:userId', authenticateToken, requireVaultRole(['OWNER']), async (req, res) => {
+  const vaultId = parseInt(req.params.id);
+  const targetUserId = parseInt(req.params.userId);
+  const { role } = req.body;
+
+  const allowedRoles = ['CONTRIBUTOR', 'VIEWER'];
+  if (!allowedRoles.includes(role)) {
+    return res.status(400).json({ success: false, error: 'Invalid role. Use CONTRIBUTOR or VIEWER' });
+  }
+
+  try {
+    const membership = await prisma.vaultMember.findFirst({
+      where: { vaultId, userId: targetUserId }
+    });
+
+    if (!membership) {
+      return res.status(404).json({ success: false, error: 'Member not found' });
+    }
+
+    if (membership.role === 'OWNER') {
+      return res.status(400).json({ success: false, error: 'Transfer ownership to change the owner\'s role' });
+    }
+
+    if (membership.role === role) {
+      return res.status(400).json({ success: false, error: `Member is already a ${role}` });
+    }
+
+    await auditTransaction(async (tx) => {
+      await tx.vaultMember.update({
+        where: { id: membership.id },
+        data: { role }
+      });
+
+      await recordAudit(tx, {
+        vaultId,
+        userId: req.user.id,
+        action: 'MEMBER_ROLE_CHANGED',
+        resourceType: 'user',
+        resourceId: targetUserId,
+        metadata: { from: membership.role, to: role }
+      });
+    });
+
+    await invalidateCache([`vaults:user:${targetUserId}`], 'Change Role');
+    await refreshNoteAccess(vaultId, targetUserId, role);
+
+    io.to(`vault_${vaultId}`).to(`user_${targetUserId}`).emit('member:updated', {
+      vaultId,
+      userId: targetUserId,
+      role
+    });
+
+    res.json({
+      success: true,
+      data: { vaultId, userId: targetUserId, role }
+    });
+  } catch (error) {
+    console.error('Change role error:', error);
+    res.status(500).json({ success: false, error: 'Failed to change member role' });
+  }
+});
+
+/**
+ * Remove Member from Vault
+ * DELETE /vaults/:id/members/:userId
+ *
+ * Only accessible by OWNER. The owner cannot be removed.
+ */
+app.delete('/vaults/:id/members/:userId', authenticateToken, requireVaultRole(['OWNER']), async (req, res) => {
+  const vaultId = parseInt(req.params.id);
+  const targetUserId = parseInt(req.params.userId);
+
+  try {
+    const membership = await prisma.vaultMember.findFirst({
+      where: { vaultId, userId: targetUserId },
+      include: { user: { select: { email: true } } }
+    });
+
+    if (!membership) {
+      return res.status(404).json({ success: false, error: 'Member not found' });
+    }
+
+    if (membership.role === 'OWNER') {
+      return res.status(400).json({ success: false, error: 'The vault owner cannot be removed' });
+    }
+
+    await auditTransaction(async (tx) => {
+      await tx.vaultMember.delete({ where: { id: membership.id } });
+
+      await recordAudit(tx, {
+        vaultId,
+        userId: req.user.id,
+        action: 'MEMBER_REMOVED',
+        resourceType: 'user',
+        resourceId: targetUserId,
+        metadata: { email: membership.user.email, role: membership.role }
+      });
+    });
+
+    await invalidateCache([`vaults:user:${targetUserId}`], 'Remove Member');
+
+    await revokeVaultAccess(vaultId, targetUserId);
+    io.to(`vault_${vaultId}`).to(`user_${targetUserId}`).emit('member:removed', { vaultId, userId: targetUserId });
+
+    res.json({
+      success: true,
+      data: { vaultId, userId: targetUserId }
+    });
+  } catch (error) {
+    console.error('Remove member error:', error);
+    res.status(500).json({ success: false, error: 'Failed to remove member' });
+  }
+});
+
+/**
+ * Leave Vault
+ * POST /vaults/:id/leave
+ *
+ * Self-service for CONTRIBUTOR and VIEWER; owners must transfer ownership first
+ */
+app.post('/vaults/:id/leave', authenticateToken, requireVaultRole(['CONTRIBUTOR', 'VIEWER']), async (req, res) => {
+  const vaultId = parseInt(req.params.id);
+  const userId = req.user.id;
+
+  try {
+    await auditTransaction(async (tx) => {
+      await tx.vaultMember.delete({
+        where: { vaultId_userId: { vaultId, userId } }
+      });
+
+      await recordAudit(tx, {
+        vaultId,
+        userId,
+        action: 'MEMBER_REMOVED',
+        resourceType: 'user',
+        resourceId: userId,
+        metadata: { email: req.user.email, role: req.userRole, left: true }
+      });
+    });
+
+    await invalidateCache([`vaults:user:${userId}`], 'Leave Vault');
+
+    await revokeVaultAccess(vaultId, userId);
+    io.to(`vault_${vaultId}`).to(`user_${userId}`).emit('member:removed', { vaultId, userId });
+
+    res.json({
+      success: true,
+      data: { vaultId, userId }
+    });
+  } catch (error) {
+    console.error('Leave vault error:', error);
+    res.status(500).json({ success: false, error: 'Failed to leave vault' });
+  }
+});
+
+// ============================================================================
+// VAULT INVITATIONS
+// ============================================================================
+
+const signInviteToken = (invite) => jwt.sign(
+  { inviteId: invite.id, vaultId: invite.vaultId, email: invite.email },
+  INVITE_SECRET,
+  { expiresIn: `${INVITE_TTL_DAYS}d` }
+);
+
+const inviteExpiry = () => new Date(Date.now() + INVITE_TTL_DAYS * 24 * 60 * 60 * 1000);
+
+const formatInvite = (invite) => ({
+  id: invite.id,
+  vaultId: invite.vaultId,
+  email: invite.email,
+  role: invite.role,
+  expiresAt: invite.expiresAt.toISOString(),
+  lastSentAt: invite.lastSentAt.toISOString(),
+  createdAt: invite.createdAt.toISOString(),
+  expired: invite.expiresAt < new Date()
+});
+
+/**
+ * Invite Email
+ * Sends a fresh signed link; delivery failures are logged, the invite itself stays valid
+ */
+const sendInviteEmail = async (invite, vaultName, inviterName) => {
+  const link = `${FRONTEND_URL}/?invite=${signInviteToken(invite)}`;
+
+  try {
+    await sendMail({
+      to: invite.email,
+      subject: `${inviterName} invited you to "${vaultName}" on SyncScript`,
+      text: [
+        `${inviterName} invited you to collaborate on the research vault "${vaultName}" as a ${invite.role}.`,
+        '',
+        `Accept the invitation: ${link}`,
+        '',
+        `New to SyncScript? Register with ${invite.email} and you will join automatically.`,
+        `This invitation expires on ${invite.expiresAt.toUTCString()}.`
+      ].join('\n')
+    });
+    return true;
+  } catch (error) {
+    console.error('Invite email error:', error);
+    return false;
+  }
+};
+
+/**
+ * Create Vault Invite
+ * Returns { invite } or { status, error }
+ */
+const createVaultInvite = async (vaultId, email, role, inviter) => {
+  const normalizedEmail = email.trim().toLowerCase();
+
+  const pendingInvite = await prisma.vaultInvite.findFirst({
+    where: {
+      vaultId,
+      email: normalizedEmail,
+      acceptedAt: null,
+      revokedAt: null,
+      expiresAt: { gt: new Date() }
+    }
+  });
+
+  if (pendingInvite) {
+    return { status: 409, error: 'This email already has a pending invitation. Resend it instead.' };
+  }
+
+  const vault = await prisma.vault.findUnique({ where: { id: vaultId } });
+
+  const invite = await auditTransaction(async (tx) => {
+    const newInvite = await tx.vaultInvite.create({
+      data: {
+        vaultId,
+        email: normalizedEmail,
+        role,
+        invitedBy: inviter.id,
+        expiresAt: inviteExpiry()
+      }
+    });
+
+    await recordAudit(tx, {
+      vaultId,
+      userId: inviter.id,
+      action: 'INVITE_SENT',
+      resourceType: 'invite',
+      resourceId: newInvite.id,
+      metadata: { email: normalizedEmail, role }
+    });
+
+    return newInvite;
+  });
+
+  await sendInviteEmail(invite, vault.name, inviter.name);
+
+  return { invite };
+};
+
+/**
+ * Accept Invite
+ * Adds the user to the invite's vault (unless already a member) and marks the invite used
+ */
+const acceptInvite = async (invite, user) => {
+  const existingMembership = await prisma.vaultMember.findFirst({
+    where: { vaultId: invite.vaultId, userId: user.id }
+  });
+
+  const vault = await auditTransaction(async (tx) => {
+    await tx.vaultInvite.update({
+      where: { id: invite.id },
+      data: { acceptedAt: new Date() }
+    });
+
+    if (!existingMembership) {
+      await tx.vaultMember.create({
+        data: {
+          vaultId: invite.vaultId,
+          userId: user.id,
+          role: invite.role
+        }
+      });
+
+      await recordAudit(tx, {
+        vaultId: invite.vaultId,
+        userId: user.id,
+        action: 'MEMBER_ADDED',
+        resourceType: 'user',
+        resourceId: user.id,
+        metadata: { email: user.email, role: invite.role, inviteId: invite.id }
+      });
+    }
+
+    return tx.vault.findUnique({ where: { id: invite.vaultId } });
+  });
+
+  if (!existingMembership) {
+    await invalidateCache([`vaults:user:${user.id}`], 'Accept Invite');
+
+    io.to(`vault_${invite.vaultId}`).emit('member:added', {
+      vaultId: invite.vaultId,
+      userId: user.id,
+      name: user.name,
+      email: user.email,
+      role: invite.role
+    });
+
+    io.to(`user_${user.id}`).emit('notification', {
+      type: 'COLLABORATION',
+      message: `You have joined the vault "${vault.name}" as a ${invite.role}.`,
+      vaultId: vault.id,
+      vaultName: vault.name
+    });
+  }
+
+  return { vault, role: existingMembership ? existingMembership.role : invite.role };
+};
+
+/**
+ * Accept Pending Invites
+ * Called on registration so invited emails join their vaults automatically
+ */
+const acceptPendingInvites = async (user) => {
+  try {
+    const invites = await prisma.vaultInvite.findMany({
+      where: {
+        email: user.email.trim().toLowerCase(),
+        acceptedAt: null,
+        revokedAt: null,
+        expiresAt: { gt: new Date() },
+        vault: { deletedAt: null }
+      }
+    });
+
+    for (const invite of invites) {
+      await acceptInvite(invite, user);
+    }
+  } catch (error) {
+    console.error('Accept pending invites error:', error);
+    // Registration succeeds even if an invite could not be redeemed
+  }
+};
+
+/**
+ * Resolve Invite Token
+ * Verifies the signature and loads the invite; returns { invite } or { status, error }
+ */
+const resolveInviteToken = async (token) => {
+  let payload;
+  try {
+    payload = jwt.verify(token, INVITE_SECRET);
+  } catch (err) {
+    return { status: 400, error: 'Invalid or expired invitation link' };
+  }
+
+  const invite = await prisma.vaultInvite.findUnique({
+    where: { id: payload.inviteId },
+    include: {
+      vault: { select: { id: true, name: true, deletedAt: true } },
+      inviter: { select: { name: true } }
+    }
+  });
+
+  if (!invite || invite.revokedAt) {
+    return { status: 410, error: 'This invitation has been revoked' };
+  }
+
+  if (invite.vault.deletedAt) {
+    return { status: 410, error: 'This vault has been deleted' };
+  }
+
+  if (!invite.acceptedAt && invite.expiresAt < new Date()) {
+    return { status: 410, error: 'This invitation has expired' };
+  }
+
+  return { invite };
+};
+
+/**
+ * Invite Vault Member by Email
+ * POST /vaults/:id/invites
+ * Body: { email, role }
+ *
+ * Only accessible by OWNER
+ */
+app.post('/vaults/:id/invites', authenticateToken, requireVaultRole(['OWNER']), async (req, res) => {
+  const vaultId = parseInt(req.params.id);
+  const { email, role } = req.body;
+
+  if (!email || !role) {
+    return res.status(400).json({ success: false, error: 'Email and role are required' });
+  }
+
+  const allowedRoles = ['CONTRIBUTOR', 'VIEWER'];
+  if (!allowedRoles.includes(role)) {
+    return res.status(400).json({ success: false, error: 'Invalid role. Use CONTRIBUTOR or VIEWER' });
+  }
+
+  try {
+    const existingMembership = await prisma.vaultMember.findFirst({
+      where: { vaultId, user: { email: email.trim().toLowerCase() } }
+    });
+
+    if (existingMembership) {
+      return res.status(409).json({ success: false, error: 'User is already a member of this vault' });
+    }
+
+    const result = await createVaultInvite(vaultId, email, role, req.user);
+    if (result.error) {
+      return res.status(result.status).json({ success: false, error: result.error });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: `Invitation sent to ${result.invite.email} as ${role}`,
+      data: formatInvite(result.invite)
+    });
+  } catch (error) {
+    console.error('Create invite error:', error);
+    res.status(500).json({ success: false, error: 'Failed to create invitation' });
+  }
+});
+
+/**
+ * List Pending Invites
+ * GET /vaults/:id/invites
+ *
+ * Only accessible by OWNER. Expired invites are included (flagged) so they can be resent.
+ */
+app.get('/vaults/:id/invites', authenticateToken, requireVaultRole(['OWNER']), async (req, res) => {
+  const vaultId = parseInt(req.params.id);
+
+  try {
+    const invites = await prisma.vaultInvite.findMany({
+      where: { vaultId, acceptedAt: null, revokedAt: null },
+      orderBy: { createdAt: 'desc' }
+    });
+
+    res.json({ success: true, data: invites.map(formatInvite) });
+  } catch (error) {
+    console.error('List invites error:', error);
+    res.status(500).json({ success: false, error: 'Failed to fetch invitations' });
+  }
+});
+
+/**
+ * Resend Invite
+ * POST /vaults/:id/invites/:inviteId/resend
+ *
+ * Only accessible by OWNER. Issues a new link and restarts the expiry window.
+ */
+app.post('/vaults/:id/invites/:inviteId/resend', authenticateToken, requireVaultRole(['OWNER']), async (req, res) => {
+  const vaultId = parseInt(req.params.id);
+  const inviteId = parseInt(req.params.inviteId);
+
+  try {
+    const existing = await prisma.vaultInvite.findFirst({
+      where: { id: inviteId, vaultId, acceptedAt: null, revokedAt: null },
+      include: { vault: { select: { name: true } } }
+    });
+
+    if (!existing) {
+      return res.status(404).json({ success: false, error: 'Invitation not found' });
+    }
+
+    const invite = await prisma.vaultInvite.update({
+      where: { id: inviteId },
+      data: { expiresAt: inviteExpiry(), lastSentAt: new Date() }
+    });
+
+    await logAction(vaultId, req.user.id, 'INVITE_RESENT', 'invite', inviteId, { email: invite.email });
+
+    const delivered = await sendInviteEmail(invite, existing.vault.name, req.user.name);
+    if (!delivered) {
+      return res.status(502).json({ success: false, error: 'Failed to deliver invitation email' });
+    }
+
+    res.json({ success: true, data: formatInvite(invite) });
+  } catch (error) {
+    console.error('Resend invite error:', error);
+    res.status(500).json({ success: false, error: 'Failed to resend invitation' });
+  }
+});
+
+/**
+ * Revoke Invite
+ * DELETE /vaults/:id/invites/:inviteId
+ *
+ * Only accessible by OWNER
+ */
+app.delete('/vaults/:id/invites/:inviteId', authenticateToken, requireVaultRole(['OWNER']), async (req, res) => {
+  const vaultId = parseInt(req.params.id);
+  const inviteId = parseInt(req.params.inviteId);
+
+  try {
+    const existing = await prisma.vaultInvite.findFirst({
+      where: { id: inviteId, vaultId, acceptedAt: null, revokedAt: null }
+    });
+
+    if (!existing) {
+      return res.status(404).json({ success: false, error: 'Invitation not found' });
+    }
+
+    await prisma.vaultInvite.update({
+      where: { id: inviteId },
+      data: { revokedAt: new Date() }
+    });
+
+    await logAction(vaultId, req.user.id, 'INVITE_REVOKED', 'invite', inviteId, { email: existing.email });
+
+    res.json({ success: true, data: { id: inviteId } });
+  } catch (error) {
+    console.error('Revoke invite error:', error);
+    res.status(500).json({ success: false, error: 'Failed to revoke invitation' });
+  }
+});
+
+/**
+ * Preview Invite
+ * GET /invites/:token
+ *
+ * Public: lets the invite link show which vault it is for before login/registration
+ */
+app.get('/invites/:token', async (req, res) => {
+  try {
+    const result = await resolveInviteToken(req.params.token);
+    if (result.error) {
+      return res.status(result.status).json({ success: false, error: result.error });
+    }
+
+    const { invite } = result;
+    res.json({
+      success: true,
+      data: {
+        email: invite.email,
+        role: invite.role,
+        vaultName: invite.vault.name,
+        invitedBy: invite.inviter.name,
+        expiresAt: invite.expiresAt.toISOString(),
+        accepted: Boolean(invite.acceptedAt)
+      }
+    });
+  } catch (error) {
+    console.error('Preview invite error:', error);
+    res.status(500).json({ success: false, error: 'Failed to load invitation' });
+  }
+});
+
+/**
+ * Accept Invite
+ * POST /invites/:token/accept
+ *
+ * The logged-in user's email must match the invited address
+ */
+app.post('/invites/:token/accept', authenticateToken, async (req, res) => {
+  try {
+    const result = await resolveInviteToken(req.params.token);
+    if (result.error) {
+      return res.status(result.status).json({ success: false, error: result.error });
+    }
+
+    const { invite } = result;
+    const user = await prisma.user.findUnique({ where: { id: req.user.id } });
+
+    if (!user || user.email.toLowerCase() !== invite.email) {
+      return res.status(403).json({ success: false, error: `This invitation was sent to ${invite.email}` });
+    }
+
+    // Already redeemed (e.g. automatically on registration): only succeed for the member it created
+    if (invite.acceptedAt) {
+      const membership = await prisma.vaultMember.findFirst({
+        where: { vaultId: invite.vaultId, userId: user.id }
+      });
+      if (!membership) {
+        return res.status(410).json({ success: false, error: 'This invitation has already been used' });
+      }
+      return res.json({
+        success: true,
+        data: { id: invite.vault.id, name: invite.vault.name, role: membership.role }
+      });
+    }
+
+    const { vault, role } = await acceptInvite(invite, user);
+
+    res.json({
+      success: true,
+      data: { id: vault.id, name: vault.name, role }
+    });
+  } catch (error) {
+    console.error('Accept invite error:', error);
+    res.status(500).json({ success: false, error: 'Failed to accept invitation' });
+  }
+});
+
+/**
+ * Download Source File
+ * GET /sources/:id/download
+ */
+app.get('/sources/:id/download', authenticateToken, async (req, res) => {
+  const sourceId = parseInt(req.params.id);
+
+  try {
+    // Get source and verify access (nothing in the trash is served)
+    const source = await prisma.source.findFirst({
+      where: { id: sourceId, deletedAt: null, vault: { deletedAt: null } },
+      include: { vault: true }
+    });
+
+    if (!source) {
+      return res.status(404).json({ error: 'Source not found' });
+    }
+
+    // Verify user has access to vault
+    const membership = await prisma.vaultMember.findFirst({
+      where: {
+        vaultId: source.vaultId,
+        userId: req.user.id
+      }
+    });
+
+    if (!membership) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    // Check if source is a file
+    if (source.type !== 'file' && source.type !== 'image') {
+      return res.status(400).json({ error: 'Source is not a file' });
+    }
+
+    // Serve file
+    if (source.content.startsWith('http')) {
+      // Cloudinary/External URL - redirect to it
+      return res.redirect(source.content);
+    }
+
+    // Local file - content stores relative path like "/uploads/filename.ext"
+    const relativePath = source.content.startsWith('/') ? source.content.substring(1) : source.content;
+    const filePath = path.join(__dirname, relativePath);
+
+    if (!fs.existsSync(filePath)) {
+      return res.status(404).json({ error: 'File not found on server' });
+    }
+
+    res.download(filePath, source.title); // Download with original title
+  } catch (error) {
+    console.error('Download error:', error);
+    res.status(500).json({ error: 'Failed to download file' });
+  }
+});
+
+/**
+ * List Citation Styles
+ * GET /citation-styles
+ *
+ * Built-in styles plus any CSL styles loaded from CITATION_STYLES_DIR
+ */
+app.get('/citation-styles', authenticateToken, (req, res) => {
+  res.json({ success: true, data: citations.listStyles() });
+});
+
+/**
+ * Cite Source
+ * GET /sources/:id/citation?style=apa|mla|chicago|ieee|harvard|<csl style>&format=text|html|bibtex
+ */
+app.get('/sources/:id/citation', authenticateToken, async (req, res) => {
+  const sourceId = parseInt(req.params.id);
+  const { style = 'apa', format = 'text' } = req.query;
+
+  try {
+    const source = await prisma.source.findFirst({
+      where: { id: sourceId, deletedAt: null, vault: { deletedAt: null } }
+    });
+
+    if (!source) {
+      return res.status(404).json({ success: false, error: 'Source not found' });
+    }
+
+    const membership = await prisma.vaultMember.findFirst({
+      where: { vaultId: source.vaultId, userId: req.user.id }
+    });
+
+    if (!membership) {
+      return res.status(403).json({ success: false, error: 'Access denied' });
+    }
+
+    let result;
+    try {
+      result = citations.formatCitation(source, { style, format });
+    } catch (formatError) {
+      if (formatError.code === 'UNKNOWN_STYLE' || formatError.code === 'UNKNOWN_FORMAT') {
+        return res.status(400).json({ success: false, error: formatError.message });
+      }
+      throw formatError;
+    }
+
+    res.json({ success: true, data: result });
+  } catch (error) {
+    console.error('Citation error:', error);
+    res.status(500).json({ success: false, error: 'Failed to format citation' });
+  }
+});
+
+/**
+ * Preview URL Metadata
+ * GET /vaults/:id/url-metadata?url=
+ *
+ * Fetches a page's title, OpenGraph data, author, and publish date so the
+ * add-source form can suggest a title before the link is saved
+ */
+app.get('/vaults/:id/url-metadata', authenticateToken, requireVaultRole(['OWNER', 'CONTRIBUTOR']), async (req, res) => {
+  if (!req.query.url) {
+    return res.status(400).json({ success: false, error: 'url query parameter is required' });
+  }
+
+  try {
+    const page = await urlMetadata.fetchUrlMetadata(req.query.url);
+    res.json({ success: true, data: page });
+  } catch (error) {
+    const clientError = error.code === 'INVALID_URL' || error.code === 'BLOCKED_ADDRESS';
+    res.status(clientError ? 400 : 502).json({
+      success: false,
+      error: error.message,
+      code: error.code
+    });
+  }
+});
+
+/**
+ * Add Source to Vault
+ * POST /vaults/:id/sources
+ * Body: { title: string, url: string, bibliography?: JSON string of bibliographic fields }
+ * Link sources may omit the title; the fetched page title is used instead
+ * 
+ * UPGRADED: Now uses PostgreSQL and enforces RBAC (OWNER/CONTRIBUTOR only)
+ */
+app.post('/vaults/:id/sources',
+  authenticateToken,
+  requireVaultRole(['OWNER', 'CONTRIBUTOR']),
+  upload.single('file'), // Handle file upload
+  async (req, res) => {
+    const vaultId = parseInt(req.params.id);
+    // When using multer, text fields are in req.body, file is in req.file
+    const { title, url, type, content } = req.body;
+    const userId = req.user.id;
+
+    // Optional bibliographic fields, sent as a JSON string alongside multipart uploads
+    let bibliographyData = {};
+    if (req.body.bibliography) {
+      const { data, errors } = bibliography.validateBibliography(req.body.bibliography);
+      if (Object.keys(errors).length > 0) {
+        return res.status(400).json({
+          success: false,
+          error: `Invalid bibliographic data: ${Object.values(errors).join('; ')}`,
+          details: errors
+        });
+      }
+      bibliographyData = data;
+    }
+
+    if (title !== undefined && title !== null && (typeof title !== 'string' || title.trim().length > 191)) {
+      return res.status(400).json({ success: false, error: 'Source title must be text of at most 191 characters' });
+    }
+
+    // Determine source type and content
+    let sourceType = type || 'url'; // Default to URL for backward compatibility
+    let sourceTitle = title ? title.trim() : '';
+    let sourceContent = '';
+    let sourceMimeType = null;
+    let sourceSize = null;
+    let sourceMetadata = null;
+    const isLinkSource = sourceType === 'url' || sourceType === 'media';
+
+    // Validation (links may leave the title blank to use the page title)
+    if (!sourceTitle && !isLinkSource) {
+      return res.status(400).json({
+        success: false,
+        error: 'Source title is required'
+      });
+    }
+
+    // Handle different types
+    if (sourceType === 'file' || sourceType === 'image') {
+      if (!req.file) {
+        return res.status(400).json({ success: false, error: 'File is required' });
+      }
+
+      // Simplify: Local Storage only
+      console.log('📦 Saving file to local storage.');
+
+      try {
+        sourceContent = saveUploadedFile(req.file);
+        sourceMimeType = req.file.mimetype;
+        sourceSize = req.file.size;
+      } catch (localError) {
+        console.error('Local save error:', localError);
+        return res.status(500).json({ success: false, error: 'Failed to save file locally' });
+      }
+    } else if (sourceType === 'url' || sourceType === 'media') {
+      // For legacy clients sending only 'url'
+      sourceContent = content || url;
+      if (!sourceContent) {
+        return res.status(400).json({ success: false, error: 'URL is required' });
+      }
+
+      if (!sourceTitle) {
+        try {
+          const page = await urlMetadata.fetchUrlMetadata(sourceContent);
+          sourceTitle = (page.title || new URL(page.url).hostname).slice(0, 191);
+          sourceMetadata = JSON.stringify({ page });
+          bibliographyData = {
+            ...bibliographyData,
+            ...bibliography.autoBibliography(bibliographyData, bibliography.fromPageMetadata(page))
+          };
+        } catch (fetchError) {
+          return res.status(400).json({
+            success: false,
+            error: `Could not read a title from this link (${fetchError.message}). Please enter one.`
+          });
+        }
+      }
+    } else if (sourceType === 'note') {
+      sourceContent = content;
+      if (!sourceContent) {
+        return res.status(400).json({ success: false, error: 'Note content is required' });
+      }
+    } else {
+      return res.status(400).json({ success: false, error: 'Invalid source type' });
+    }
+
+    try {
+      // Create source and audit log in transaction
+      const source = await auditTransaction(async (tx) => {
+        const sourceData = {
+          vaultId: vaultId,
+          type: sourceType,
+          title: sourceTitle,
+          content: sourceContent,
+          mimeType: sourceMimeType,
+          size: sourceSize,
+          metadata: sourceMetadata,
+          ...bibliographyData,
+          extractionStatus: extraction.isExtractable(sourceMimeType) ? 'pending' : null,
+          // Maintained for backward compatibility
+          url: (sourceType === 'url' || sourceType === 'media') ? sourceContent : null,
+          addedBy: userId
+        };
+        const newSource = await tx.source.create({
+          data: { ...sourceData, ...initialVersion(sourceData, userId) },
+          include: sourceInclude
+        });
+
+        // Create audit log
+        await recordAudit(tx, {
+          vaultId: vaultId,
+          userId: userId,
+          action: 'SOURCE_ADDED',
+          resourceType: 'source',
+          resourceId: newSource.id,
+          metadata: {
+            title: newSource.title,
+            type: newSource.type
+          }
+        });
+
+        return newSource;
+      });
+
+      // Invalidate vault sources cache
+      if (redisClient.isReady) {
+        try {
+          await redisClient.del(`vault:${vaultId}:sources`);
+        } catch (cacheError) {
+          console.error('Redis DEL error (Add Source):', cacheError);
+        }
+      }
+
+      // Emit WebSocket event to all vault members
+      io.to(`vault_${vaultId}`).emit('source:added', formatSource(source));
+
+      if (source.extractionStatus === 'pending') {
+        queueExtraction(source.id);
+      }
+      if (isLinkSource && !sourceMetadata) {
+        captureUrlMetadata(source.id, source.content);
+      }
+
+      res.status(201).json({
+        success: true,
+        data: formatSource(source)
+      });
+    } catch (error) {
+      console.error('Add source error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to add source: ' + error.message
+      });
+    }
+  }
+);
+
+/**
+ * Import References
+ * POST /vaults/:id/import
+ * Body: multipart with 'file' (.bib, .ris, or CSL-JSON) and optional format ('bibtex' | 'ris' | 'csl-json')
+ *
+ * Creates one source per entry; entries matching an existing source (or an earlier
+ * entry) by DOI, URL, or title are skipped. Entries with a URL or DOI become links,
+ * the rest become 'reference' sources. Links are not fetched; the file's data is used as-is.
+ * Returns a per-entry report: created / skipped / error
+ */
+app.post('/vaults/:id/import',
+  authenticateToken,
+  requireVaultRole(['OWNER', 'CONTRIBUTOR']),
+  importUpload.single('file'),
+  async (req, res) => {
+    const vaultId = parseInt(req.params.id);
+
+    if (!req.file) {
+      return res.status(400).json({ success: false, error: 'File is required' });
+    }
+
+    let format;
+    let parsed;
+    try {
+      const text = req.file.buffer.toString('utf8').replace(/^\uFEFF/, '');
+      format = importers.detectFormat(req.body.format, req.file.originalname, text);
+      parsed = importers.parseReferences(text, format);
+    } catch (parseError) {
+      return res.status(400).json({ success: false, error: parseError.message });
+    }
+
+    if (parsed.length === 0) {
+      return res.status(400).json({ success: false, error: 'No references found in this file' });
+    }
+    if (parsed.length > MAX_IMPORT_ENTRIES) {
+      return res.status(400).json({
+        success: false,
+        error: `Files may contain at most ${MAX_IMPORT_ENTRIES} references (found ${parsed.length})`
+      });
+    }
+
+    try {
+      const duplicates = await loadDuplicateIndex(vaultId);
+
+      // Decide every entry up front so the writes below can run in one transaction
+      const entries = parsed.map(({ index, key, item, error }) => {
+        if (error) {
+          return { index, key, title: null, status: 'error', error };
+        }
+
+        let fields;
+        try {
+          fields = importers.toSourceFields(item);
+        } catch (mapError) {
+          return { index, key, title: null, status: 'error', error: mapError.message };
+        }
+
+        const report = { index, key, title: fields.title };
+
+        // Imported values count as user-entered; fields that fail validation are dropped with a warning
+        const { data: bibliographyData, errors } = bibliography.validateBibliography(fields.bibliography);
+        if (Object.keys(errors).length > 0) {
+          report.warnings = Object.entries(errors).map(([field, message]) => `${field}: ${message}`);
+        }
+
+        const match = duplicates.find({ doi: bibliographyData.doi, url: fields.content, title: fields.title });
+        if (match) {
+          return { ...report, status: 'skipped', duplicateOf: { ...match.ref, matchedOn: match.field } };
+        }
+        duplicates.add({ doi: bibliographyData.doi, url: fields.content, title: fields.title }, { entry: index });
+
+        return {
+          ...report,
+          status: 'created',
+          data: {
+            type: fields.type,
+            title: fields.title,
+            content: fields.content,
+            url: fields.type === 'url' ? fields.content : null,
+            metadata: JSON.stringify({ import: { format, key, keywords: fields.keywords } }),
+            ...bibliographyData
+          }
+        };
+      });
+
+      const toCreate = entries.filter(entry => entry.status === 'created');
+      const summary = {
+        created: toCreate.length,
+        skipped: entries.filter(entry => entry.status === 'skipped').length,
+        errors: entries.filter(entry => entry.status === 'error').length
+      };
+
+      const created = await saveImportedSources(vaultId, req.user, toCreate.map(entry => entry.data), {
+        format,
+        filename: req.file.originalname,
+        ...summary
+      });
+
+      toCreate.forEach((entry, i) => {
+        entry.sourceId = created[i].id;
+        delete entry.data;
+      });
+
+      res.status(201).json({
+        success: true,
+        data: { format, summary, entries }
+      });
+    } catch (error) {
+      console.error('Import references error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to import references'
+      });
+    }
+  }
+);
+
+// Parsed bookmark folder → preview node with counts (duplicates are URLs already in the vault)
+const previewBookmarkFolder = (folder, duplicates) => ({
+  id: folder.id,
+  name: folder.name,
+  path: folder.path,
+  bookmarks: folder.bookmarks.length,
+  duplicates: folder.bookmarks.filter(bookmark => duplicates.find({ url: bookmark.url })).length,
+  unsupported: folder.unsupported,
+  folders: folder.folders.map(child => previewBookmarkFolder(child, duplicates))
+});
+
+const readBookmarkUpload = (req) => {
+  if (!req.file) {
+    throw Object.assign(new Error('File is required'), { code: 'INVALID_IMPORT' });
+  }
+  return importers.parseBookmarks(req.file.buffer.toString('utf8'));
+};
+
+/**
+ * Preview Bookmark Import
+ * POST /vaults/:id/import/bookmarks/preview
+ * Body: multipart with 'file' (browser bookmark export, .html)
+ *
+ * Returns the folder tree with bookmark and duplicate counts; nothing is saved.
+ * The client sends the same file back with the chosen folder ids to import.
+ */
+app.post('/vaults/:id/import/bookmarks/preview',
+  authenticateToken,
+  requireVaultRole(['OWNER', 'CONTRIBUTOR']),
+  importUpload.single('file'),
+  async (req, res) => {
+    const vaultId = parseInt(req.params.id);
+
+    let tree;
+    try {
+      tree = readBookmarkUpload(req);
+    } catch (parseError) {
+      return res.status(400).json({ success: false, error: parseError.message });
+    }
+
+    try {
+      const duplicates = await loadDuplicateIndex(vaultId);
+      res.json({
+        success: true,
+        data: { root: previewBookmarkFolder(tree, duplicates) }
+      });
+    } catch (error) {
+      console.error('Preview bookmarks error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to read bookmarks'
+      });
+    }
+  }
+);
+
+/**
+ * Import Bookmarks
+ * POST /vaults/:id/import/bookmarks
+ * Body: multipart with 'file' (browser bookmark export) and folders (JSON array of folder ids from the preview)
+ *
+ * Each bookmark directly inside a selected folder becomes a url source filed in a
+ * collection mirroring the folder path (created as needed); ADD_DATE becomes capturedAt.
+ * URLs already in the vault (or repeated in the selection) are skipped.
+ */
+app.post('/vaults/:id/import/bookmarks',
+  authenticateToken,
+  requireVaultRole(['OWNER', 'CONTRIBUTOR']),
+  importUpload.single('file'),
+  async (req, res) => {
+    const vaultId = parseInt(req.params.id);
+
+    let tree;
+    let folderIds;
+    try {
+      tree = readBookmarkUpload(req);
+      folderIds = JSON.parse(req.body.folders || 'null');
+    } catch (parseError) {
+      return res.status(400).json({
+        success: false,
+        error: parseError.code === 'INVALID_IMPORT' ? parseError.message : 'folders must be a JSON array of folder ids'
+      });
+    }
+
+    if (!Array.isArray(folderIds) || folderIds.length === 0) {
+      return res.status(400).json({ success: false, error: 'Select at least one folder to import' });
+    }
+
+    const folders = importers.flattenFolders(tree);
+    const unknown = folderIds.filter(id => !folders.some(folder => folder.id === id));
+    if (unknown.length > 0) {
+      return res.status(400).json({ success: false, error: `Unknown folder: ${unknown.join(', ')}` });
+    }
+
+    const selected = folders.filter(folder => folderIds.includes(folder.id));
+    const bookmarkCount = selected.reduce((total, folder) => total + folder.bookmarks.length, 0);
+    if (bookmarkCount > MAX_IMPORT_ENTRIES) {
+      return res.status(400).json({
+        success: false,
+        error: `At most ${MAX_IMPORT_ENTRIES} bookmarks can be imported at once (selected ${bookmarkCount})`
+      });
+    }
+
+    try {
+      const duplicates = await loadDuplicateIndex(vaultId);
+
+      const entries = selected.flatMap(folder => folder.bookmarks.map(bookmark => {
+        const report = { folderId: folder.id, title: bookmark.title, url: bookmark.url };
+
+        const match = duplicates.find({ url: bookmark.url });
+        if (match) {
+          return { ...report, status: 'skipped', duplicateOf: { ...match.ref, matchedOn: match.field } };
+        }
+        duplicates.add({ url: bookmark.url }, { url: bookmark.url });
+
+        return {
+          ...report,
+          status: 'created',
+          data: {
+            type: 'url',
+            title: (bookmark.title || bookmark.url).slice(0, 191),
+            content: bookmark.url,
+            url: bookmark.url,
+            capturedAt: bookmark.addedAt,
+            collectionPath: folder.path,
+            metadata: JSON.stringify({ import: { format: 'bookmarks', folder: folder.path } })
+          }
+        };
+      }));
+
+      const toCreate = entries.filter(entry => entry.status === 'created');
+      const summary = {
+        created: toCreate.length,
+        skipped: entries.length - toCreate.length,
+        errors: 0
+      };
+
+      const created = await saveImportedSources(vaultId, req.user, toCreate.map(entry => entry.data), {
+        format: 'bookmarks',
+        filename: req.file.originalname,
+        folders: selected.map(folder => folder.path.join(' / ') || tree.name),
+        ...summary
+      });
+
+      toCreate.forEach((entry, i) => {
+        entry.sourceId = created[i].id;
+        delete entry.data;
+      });
+
+      res.status(201).json({
+        success: true,
+        data: { format: 'bookmarks', summary, entries }
+      });
+    } catch (error) {
+      console.error('Import bookmarks error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to import bookmarks'
+      });
+    }
+  }
+);
+
+/**
+ * Update Source
+ * PATCH /vaults/:id/sources/:sourceId
+ * Body: { title?, content?, bibliography?, collectionId? (null/'' = unfiled), tagIds? (JSON array, replaces all tags) }
+ * (multipart with 'file' replaces an uploaded file)
+ *
+ * OWNER can edit any source, CONTRIBUTOR only the sources they added
+ */
+app.patch('/vaults/:id/sources/:sourceId',
+  authenticateToken,
+  requireVaultRole(['OWNER', 'CONTRIBUTOR']),
+  upload.single('file'),
+  async (req, res) => {
+    const vaultId = parseInt(req.params.id);
+    const sourceId = parseInt(req.params.sourceId);
+    const { title, content, url } = req.body;
+    const userId = req.user.id;
+    let newUpload = null;
+
+    try {
+      const existing = await prisma.source.findFirst({
+        where: { id: sourceId, vaultId, deletedAt: null }
+      });
+
+      if (!existing) {
+        return res.status(404).json({ success: false, error: 'Source not found' });
+      }
+
+      if (req.userRole === 'CONTRIBUTOR' && existing.addedBy !== userId) {
+        return res.status(403).json({ success: false, error: 'Contributors can only edit their own sources' });
+      }
+
+      const data = {};
+
+      if (title !== undefined) {
+        if (typeof title !== 'string' || title.trim().length === 0) {
+          return res.status(400).json({ success: false, error: 'Source title is required' });
+        }
+        if (title.trim().length > 191) {
+          return res.status(400).json({ success: false, error: 'Source title must be at most 191 characters' });
+        }
+        data.title = title.trim();
+      }
+
+      if (req.body.bibliography !== undefined) {
+        const { data: bibliographyData, errors } = bibliography.validateBibliography(req.body.bibliography, existing);
+        if (Object.keys(errors).length > 0) {
+          return res.status(400).json({
+            success: false,
+            error: `Invalid bibliographic data: ${Object.values(errors).join('; ')}`,
+            details: errors
+          });
+        }
+        Object.assign(data, bibliographyData);
+      }
+
+      if (req.body.collectionId !== undefined) {
+        const raw = req.body.collectionId;
+        const collectionId = raw === null || raw === '' || raw === 'null' ? null : parseInt(raw);
+        if (collectionId !== null) {
+          const collection = isNaN(collectionId)
+            ? null
+            : await prisma.collection.findFirst({ where: { id: collectionId, vaultId } });
+          if (!collection) {
+            return res.status(400).json({ success: false, error: 'Collection not found in this vault' });
+          }
+        }
+        data.collectionId = collectionId;
+      }
+
+      if (req.body.tagIds !== undefined) {
+        let tagIds = req.body.tagIds;
+        try {
+          tagIds = typeof tagIds === 'string' ? JSON.parse(tagIds) : tagIds;
+        } catch (parseError) {
+          tagIds = null;
+        }
+        if (!Array.isArray(tagIds) || tagIds.some(id => !Number.isInteger(id))) {
+          return res.status(400).json({ success: false, error: 'tagIds must be a JSON array of tag ids' });
+        }
+        tagIds = [...new Set(tagIds)];
+        const found = await prisma.tag.count({ where: { id: { in: tagIds }, vaultId } });
+        if (found !== tagIds.length) {
+          return res.status(400).json({ success: false, error: 'Tag not found in this vault' });
+        }
+        data.tags = { deleteMany: {}, create: tagIds.map(tagId => ({ tagId })) };
+      }
+
+      const isFileSource = existing.type === 'file' || existing.type === 'image';
+      const newContent = content !== undefined ? content : url;
+
+      if (isFileSource) {
+        if (newContent !== undefined) {
+          return res.status(400).json({ success: false, error: 'Upload a new file to replace the content of a file source' });
+        }
+      } else {
+        if (req.file) {
+          return res.status(400).json({ success: false, error: 'Only file sources accept uploads' });
+        }
+        if (newContent !== undefined && typeof newContent !== 'string') {
+          return res.status(400).json({
+            success: false,
+            error: existing.type === 'note' || existing.type === 'reference' ? 'Content must be text' : 'URL must be text'
+          });
+        }
+        if (newContent !== undefined && existing.type === 'reference') {
+          // Imported references have no link or body; content is an optional annotation
+          data.content = newContent.trim() || null;
+        } else if (newContent !== undefined) {
+          if (!newContent || newContent.trim().length === 0) {
+            return res.status(400).json({
+              success: false,
+              error: existing.type === 'note' ? 'Note content is required' : 'URL is required'
+            });
+          }
+          data.content = newContent;
+          if (existing.type === 'url' || existing.type === 'media') {
+            data.url = newContent; // Maintained for backward compatibility
+          }
+        }
+      }
+
+      if (isFileSource && req.file) {
+        newUpload = saveUploadedFile(req.file);
+        data.content = newUpload;
+        data.mimeType = req.file.mimetype;
+        data.size = req.file.size;
+      }
+
+      const changedFields = Object.keys(data).filter(field => field !== 'fieldOrigins');
+      const linkChanged = (existing.type === 'url' || existing.type === 'media') &&
+        data.content !== undefined && data.content !== existing.content;
+      if (changedFields.length === 0) {
+        return res.status(400).json({ success: false, error: 'No changes provided' });
+      }
+
+      // Text edited outside the collaborative editor: update the open session, or drop the
+      // stored document so the next session starts from the new text
+      let noteSync = null;
+      if (existing.type === 'note' && data.content !== undefined && data.content !== existing.content) {
+        noteSync = await noteSessions.replaceText(sourceId, data.content);
+        if (noteSync) {
+          data.noteDocument = { upsert: { create: { state: noteSync.state }, update: { state: noteSync.state } } };
+        } else {
+          await prisma.noteDocument.deleteMany({ where: { sourceId } });
+        }
+      }
+
+      const source = await prisma.$transaction(async (tx) => {
+        const updated = await tx.source.update({
+          where: { id: sourceId },
+          data: {
+            ...data,
+            ...(newUpload ? extractionFieldsFor(data.mimeType) : {}),
+            // Page metadata belongs to the old link; a fresh capture runs below
+            ...(linkChanged ? { metadata: mergeMetadata(existing.metadata, { page: null }) } : {})
+          },
+          include: sourceInclude
+        });
+
+        // Collection and tag changes are organization, not content, so they add no version
+        const fields = versions.changedFields(existing, updated);
+        if (fields.length > 0) {
+          await recordVersion(tx, existing, updated, userId, 'updated', { fields });
+        }
+        return updated;
+      });
+
+      await logAction(vaultId, userId, 'SOURCE_UPDATED', 'source', source.id, {
+        title: source.title,
+        type: source.type,
+        fields: changedFields
+      });
+
+      await invalidateCache([`vault:${vaultId}:sources`], 'Update Source');
+
+      // Replaced uploads are kept for version history; this only removes files nothing points at
+      if (newUpload && existing.content !== newUpload) {
+        await removeUnusedUpload(existing.content);
+      }
+
+      io.to(`vault_${vaultId}`).emit('source:updated', formatSource(source));
+      if (noteSync && noteSync.update) {
+        io.to(`note_${sourceId}`).emit('note:update', { sourceId, update: noteSync.update });
+      }
+
+      if (source.extractionStatus === 'pending' && newUpload) {
+        queueExtraction(source.id);
+      }
+      if (linkChanged) {
+        captureUrlMetadata(source.id, source.content);
+      }
+
+      res.json({
+        success: true,
+        data: formatSource(source)
+      });
+    } catch (error) {
+      console.error('Update source error:', error);
+      if (newUpload) {
+        await removeUnusedUpload(newUpload);
+      }
+      res.status(500).json({
+        success: false,
+        error: 'Failed to update source'
+      });
+    }
+  }
+);
+
+/**
+ * Delete Source
+ * DELETE /vaults/:id/sources/:sourceId
+ *
+ * OWNER can delete any source, CONTRIBUTOR only the sources they added.
+ * The source moves to the vault's trash (see TRASH below).
+ */
+app.delete('/vaults/:id/sources/:sourceId', authenticateToken, requireVaultRole(['OWNER', 'CONTRIBUTOR']), async (req, res) => {
+  const vaultId = parseInt(req.params.id);
+  const sourceId = parseInt(req.params.sourceId);
+  const userId = req.user.id;
+
+  try {
+    const existing = await prisma.source.findFirst({
+      where: { id: sourceId, vaultId, deletedAt: null }
+    });
+
+    if (!existing) {
+      return res.status(404).json({ success: false, error: 'Source not found' });
+    }
+
+    if (req.userRole === 'CONTRIBUTOR' && existing.addedBy !== userId) {
+      return res.status(403).json({ success: false, error: 'Contributors can only delete their own sources' });
+    }
+
+    // An open note session keeps saving until its editors close it (the list drops it now)
+    const trashed = await prisma.source.update({
+      where: { id: sourceId },
+      data: { deletedAt: new Date(), deletedById: userId },
+      include: trashInclude
+    });
+
+    await logAction(vaultId, userId, 'SOURCE_TRASHED', 'source', sourceId, {
+      title: existing.title,
+      type: existing.type
+    });
+
+    await invalidateCache([`vault:${vaultId}:sources`], 'Delete Source');
+
+    io.to(`vault_${vaultId}`).emit('source:deleted', { id: sourceId, vaultId });
+    io.to(`vault_${vaultId}`).emit('trash:added', formatTrashedSource(trashed));
+
+    res.json({
+      success: true,
+      data: { id: sourceId, purgeAt: purgeDate(trashed.deletedAt).toISOString() }
+    });
+  } catch (error) {
+    console.error('Delete source error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete source'
+    });
+  }
+});
+
+// ============================================================================
+// SOURCE VERSIONS
+// ============================================================================
+
+const versionInclude = { createdBy: { select: { id: true, name: true } } };
+
+/**
+ * Source Access Helper
+ * Loads a source and the requester's role in its vault for the /sources/:id routes;
+ * sends the 404/403 itself and returns null when access is denied (or the source is in the trash)
+ */
+const loadSourceForMember = async (req, res) => {
+  const source = await prisma.source.findFirst({
+    where: { id: parseInt(req.params.id) || 0, deletedAt: null, vault: { deletedAt: null } }
+  });
+  if (!source) {
+    res.status(404).json({ success: false, error: 'Source not found' });
+    return null;
+  }
+
+  const membership = await prisma.vaultMember.findFirst({
+    where: { vaultId: source.vaultId, userId: req.user.id }
+  });
+  if (!membership) {
+    res.status(403).json({ success: false, error: 'Access denied' });
+    return null;
+  }
+
+  return { source, role: membership.role };
+};
+
+const findVersion = (sourceId, version) => prisma.sourceVersion.findUnique({
+  where: { sourceId_version: { sourceId, version: parseInt(version) || 0 } },
+  include: versionInclude
+});
+
+/**
+ * List Versions
+ * GET /sources/:id/versions
+ *
+ * Newest first; note text is left out (fetch a single version for it)
+ */
+app.get('/sources/:id/versions', authenticateToken, async (req, res) => {
+  try {
+    const access = await loadSourceForMember(req, res);
+    if (!access) return;
+
+    await ensureBaseline(prisma, access.source);
+    const rows = await prisma.sourceVersion.findMany({
+      where: { sourceId: access.source.id },
+      include: versionInclude,
+      orderBy: { version: 'desc' }
+    });
+
+    res.json({
+      success: true,
+      data: rows.map(row => {
+        const { content, ...summary } = versions.formatVersion(row);
+        return access.source.type === 'note' ? summary : { ...summary, content };
+      })
+    });
+  } catch (error) {
+    console.error('List versions error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch versions'
+    });
+  }
+});
+
+/**
+ * Compare Two Versions of a Note
+ * GET /sources/:id/versions/diff?from=<version>&to=<version>
+ *
+ * Returns line changes [{ type: 'added' | 'removed' | 'unchanged', text }] plus the
+ * title of each side; `to` defaults to the latest version
+ */
+app.get('/sources/:id/versions/diff', authenticateToken, async (req, res) => {
+  try {
+    const access = await loadSourceForMember(req, res);
+    if (!access) return;
+
+    if (access.source.type !== 'note') {
+      return res.status(400).json({ success: false, error: 'Text comparison is only available for notes' });
+    }
+
+    const latest = await prisma.sourceVersion.findFirst({
+      where: { sourceId: access.source.id },
+      orderBy: { version: 'desc' },
+      select: { version: true }
+    });
+    const [from, to] = await Promise.all([
+      findVersion(access.source.id, req.query.from),
+      findVersion(access.source.id, req.query.to || (latest && latest.version))
+    ]);
+    if (!from || !to) {
+      return res.status(404).json({ success: false, error: 'Version not found' });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        from: { version: from.version, title: from.title, createdBy: from.createdBy.name, createdAt: from.createdAt.toISOString() },
+        to: { version: to.version, title: to.title, createdBy: to.createdBy.name, createdAt: to.createdAt.toISOString() },
+        changes: versions.diffText(from.content, to.content)
+      }
+    });
+  } catch (error) {
+    console.error('Diff versions error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to compare versions'
+    });
+  }
+});
+
+/**
+ * Get Version
+ * GET /sources/:id/versions/:version
+ */
+app.get('/sources/:id/versions/:version', authenticateToken, async (req, res) => {
+  try {
+    const access = await loadSourceForMember(req, res);
+    if (!access) return;
+
+    const version = await findVersion(access.source.id, req.params.version);
+    if (!version) {
+      return res.status(404).json({ success: false, error: 'Version not found' });
+    }
+
+    res.json({
+      success: true,
+      data: versions.formatVersion(version)
+    });
+  } catch (error) {
+    console.error('Get version error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch version'
+    });
+  }
+});
+
+/**
+ * Download a Version's File
+ * GET /sources/:id/versions/:version/file
+ */
+app.get('/sources/:id/versions/:version/file', authenticateToken, async (req, res) => {
+  try {
+    const access = await loadSourceForMember(req, res);
+    if (!access) return;
+
+    const version = await findVersion(access.source.id, req.params.version);
+    if (!version) {
+      return res.status(404).json({ success: false, error: 'Version not found' });
+    }
+    if (!version.content || !version.mimeType) {
+      return res.status(400).json({ success: false, error: 'This version has no file' });
+    }
+    if (version.content.startsWith('http')) {
+      return res.redirect(version.content);
+    }
+
+    const filePath = path.join(uploadsDir, path.basename(version.content));
+    if (!fs.existsSync(filePath)) {
+      return res.status(404).json({ success: false, error: 'File not found on server' });
+    }
+
+    res.download(filePath, version.title);
+  } catch (error) {
+    console.error('Version download error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to download file'
+    });
+  }
+});
+
+/**
+ * Restore a Version
+ * POST /sources/:id/versions/:version/restore
+ *
+ * Brings back the version's title, content (or file), metadata, and bibliographic
+ * fields as a new version; earlier versions are never changed. Same rules as editing:
+ * OWNER any source, CONTRIBUTOR their own sources and any note, VIEWER none.
+ */
+app.post('/sources/:id/versions/:version/restore', authenticateToken, async (req, res) => {
+  const userId = req.user.id;
+
+  try {
+    const access = await loadSourceForMember(req, res);
+    if (!access) return;
+    const { source: existing, role } = access;
+    const sourceId = existing.id;
+    const vaultId = existing.vaultId;
+
+    if (role === 'VIEWER') {
+      return res.status(403).json({ success: false, error: 'Viewers cannot restore versions' });
+    }
+    if (role === 'CONTRIBUTOR' && existing.addedBy !== userId && existing.type !== 'note') {
+      return res.status(403).json({ success: false, error: 'Contributors can only restore their own sources' });
+    }
+
+    const version = await findVersion(sourceId, req.params.version);
+    if (!version) {
+      return res.status(404).json({ success: false, error: 'Version not found' });
+    }
+
+    const data = versions.restoreData(version);
+    const fields = versions.changedFields(existing, data);
+    if (fields.length === 0) {
+      return res.status(400).json({ success: false, error: `The source already matches version ${version.version}` });
+    }
+
+    const isFileSource = existing.type === 'file' || existing.type === 'image';
+    const fileChanged = isFileSource && data.content !== existing.content;
+    if (fileChanged && data.content && data.content.startsWith('/uploads/') &&
+      !fs.existsSync(path.join(uploadsDir, path.basename(data.content)))) {
+      return res.status(409).json({ success: false, error: 'The file of this version is no longer available' });
+    }
+    if (existing.type === 'url' || existing.type === 'media') {
+      data.url = data.content; // Maintained for backward compatibility
+    }
+
+    // Same as a REST edit of a note: keep an open editing session in step
+    let noteSync = null;
+    if (existing.type === 'note' && data.content !== existing.content) {
+      noteSync = await noteSessions.replaceText(sourceId, data.content || '');
+      if (noteSync) {
+        data.noteDocument = { upsert: { create: { state: noteSync.state }, update: { state: noteSync.state } } };
+      } else {
+        await prisma.noteDocument.deleteMany({ where: { sourceId } });
+      }
+    }
+
+    const { source, restored } = await prisma.$transaction(async (tx) => {
+      const updated = await tx.source.update({
+        where: { id: sourceId },
+        data: {
+          ...data,
+          // The extracted text belongs to the file being replaced
+          ...(fileChanged ? extractionFieldsFor(data.mimeType) : {})
+        },
+        include: sourceInclude
+      });
+      const newVersion = await recordVersion(tx, existing, updated, userId, 'restored', {
+        fields,
+        restoredFrom: version.version
+      });
+      return { source: updated, restored: newVersion };
+    });
+
+    await logAction(vaultId, userId, 'SOURCE_RESTORED', 'source', sourceId, {
+      title: source.title,
+      type: source.type,
+      restoredFrom: version.version,
+      version: restored.version,
+      fields
+    });
+
+    await invalidateCache([`vault:${vaultId}:sources`], 'Restore Source');
+
+    io.to(`vault_${vaultId}`).emit('source:updated', formatSource(source));
+    if (noteSync && noteSync.update) {
+      io.to(`note_${sourceId}`).emit('note:update', { sourceId, update: noteSync.update });
+    }
+    if (fileChanged && source.extractionStatus === 'pending') {
+      queueExtraction(source.id);
+    }
+
+    res.json({
+      success: true,
+      data: formatSource(source),
+      version: restored.version
+    });
+  } catch (error) {
+    console.error('Restore version error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to restore version'
+    });
+  }
+});
+
+// ============================================================================
+// TRASH
+// ============================================================================
+
+/**
+ * Permanent Deletion
+ * Removes trashed sources (rows, versions, comments, and files nothing else uses).
+ * userId is who deleted them for good, or null for the retention purge, which is
+ * logged under whoever moved each source to the trash.
+ */
+const destroySources = async (sources, { userId = null, reason }) => {
+  if (sources.length === 0) return;
+  const ids = sources.map(source => source.id);
+  const files = await uploadsOf({ id: { in: ids } });
+
+  await auditTransaction(async (tx) => {
+    for (const source of sources) {
+      await recordAudit(tx, {
+        vaultId: source.vaultId,
+        userId: userId ?? source.deletedById ?? source.addedBy,
+        action: 'SOURCE_PURGED',
+        resourceType: 'source',
+        resourceId: source.id,
+        metadata: { title: source.title, type: source.type, reason }
+      });
+    }
+    await tx.source.deleteMany({ where: { id: { in: ids } } });
+  });
+
+  for (const source of sources) {
+    if (source.type === 'note') await noteSessions.discard(source.id);
+    io.to(`vault_${source.vaultId}`).emit('trash:removed', { id: source.id, vaultId: source.vaultId });
+  }
+  for (const file of files) {
+    await removeUnusedUpload(file);
+  }
+};
+
+const destroyVault = async (vault, { userId = null, reason }) => {
+  const [files, notes, sourceCount] = await Promise.all([
+    uploadsOf({ vaultId: vault.id }),
+    prisma.source.findMany({ where: { vaultId: vault.id, type: 'note' }, select: { id: true } }),
+    prisma.source.count({ where: { vaultId: vault.id } })
+  ]);
+
+  await auditTransaction(async (tx) => {
+    // Logged before the delete; the row outlives the vault with vaultId set to null
+    await recordAudit(tx, {
+      vaultId: vault.id,
+      userId: userId ?? vault.deletedById ?? vault.ownerId,
+      action: 'VAULT_PURGED',
+      resourceType: 'vault',
+      resourceId: vault.id,
+      metadata: { name: vault.name, sources: sourceCount, reason }
+    });
+    await tx.vault.delete({ where: { id: vault.id } });
+  });
+
+  for (const note of notes) {
+    await noteSessions.discard(note.id);
+  }
+  for (const file of files) {
+    await removeUnusedUpload(file);
+  }
+  io.to(`user_${vault.ownerId}`).emit('vault:purged', { id: vault.id });
+};
+
+/**
+ * Trash Purge
+ * Runs at startup and every TRASH_PURGE_INTERVAL_MINUTES; deletes whatever has been
+ * in the trash longer than TRASH_RETENTION_DAYS
+ */
+const purgeTrash = async () => {
+  const cutoff = new Date(Date.now() - TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000);
+
+  try {
+    const vaults = await prisma.vault.findMany({ where: { deletedAt: { lte: cutoff } } });
+    for (const vault of vaults) {
+      await destroyVault(vault, { reason: 'RETENTION' });
+    }
+
+    const sources = await prisma.source.findMany({
+      where: { deletedAt: { lte: cutoff } },
+      select: { id: true, vaultId: true, title: true, type: true, addedBy: true, deletedById: true }
+    });
+    await destroySources(sources, { reason: 'RETENTION' });
+
+    if (vaults.length + sources.length > 0) {
+      console.log(`🗑️ Purged ${vaults.length} vault(s) and ${sources.length} source(s) from the trash`);
+    }
+  } catch (error) {
+    console.error('Trash purge error:', error);
+  }
+};
+
+/**
+ * List Trashed Sources
+ * GET /vaults/:id/trash
+ *
+ * Newest deletions first, each with deletedBy and the date the purge will remove it
+ */
+app.get('/vaults/:id/trash', authenticateToken, requireVaultRole(['OWNER', 'CONTRIBUTOR', 'VIEWER']), async (req, res) => {
+  const vaultId = parseInt(req.params.id);
+
+  try {
+    const sources = await prisma.source.findMany({
+      where: { vaultId, deletedAt: { not: null } },
+      include: trashInclude,
+      orderBy: { deletedAt: 'desc' }
+    });
+
+    res.json({
+      success: true,
+      data: sources.map(formatTrashedSource),
+      meta: { retentionDays: TRASH_RETENTION_DAYS }
+    });
+  } catch (error) {
+    console.error('List trash error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch trash'
+    });
+  }
+});
+
+/**
+ * Restore Trashed Source
+ * POST /vaults/:id/trash/:sourceId/restore
+ *
+ * Same rule as deleting: OWNER any source, CONTRIBUTOR the sources they added
+ */
+app.post('/vaults/:id/trash/:sourceId/restore', authenticateToken, requireVaultRole(['OWNER', 'CONTRIBUTOR']), async (req, res) => {
+  const vaultId = parseInt(req.params.id);
+  const sourceId = parseInt(req.params.sourceId);
+  const userId = req.user.id;
+
+  try {
+    const existing = await prisma.source.findFirst({
+      where: { id: sourceId, vaultId, deletedAt: { not: null } }
+    });
+
+    if (!existing) {
+      return res.status(404).json({ success: false, error: 'Source not found in the trash' });
+    }
+
+    if (req.userRole === 'CONTRIBUTOR' && existing.addedBy !== userId) {
+      return res.status(403).json({ success: false, error: 'Contributors can only restore their own sources' });
+    }
+
+    const source = await prisma.source.update({
+      where: { id: sourceId },
+      data: { deletedAt: null, deletedById: null },
+      include: sourceInclude
+    });
+
+    await logAction(vaultId, userId, 'SOURCE_UNTRASHED', 'source', sourceId, {
+      title: source.title,
+      type: source.type
+    });
+
+    await invalidateCache([`vault:${vaultId}:sources`], 'Restore Trashed Source');
+
+    const formatted = formatSource(source);
+    io.to(`vault_${vaultId}`).emit('source:added', formatted);
+    io.to(`vault_${vaultId}`).emit('trash:removed', { id: sourceId, vaultId });
+
+    res.json({
+      success: true,
+      data: formatted
+    });
+  } catch (error) {
+    console.error('Restore trashed source error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to restore source'
+    });
+  }
+});
+
+/**
+ * Permanently Delete Trashed Source
+ * DELETE /vaults/:id/trash/:sourceId
+ *
+ * Only accessible by OWNER
+ */
+app.delete('/vaults/:id/trash/:sourceId', authenticateToken, requireVaultRole(['OWNER']), async (req, res) => {
+  const vaultId = parseInt(req.params.id);
+  const sourceId = parseInt(req.params.sourceId);
+
+  try {
+    const existing = await prisma.source.findFirst({
+      where: { id: sourceId, vaultId, deletedAt: { not: null } }
+    });
+
+    if (!existing) {
+      return res.status(404).json({ success: false, error: 'Source not found in the trash' });
+    }
+
+    await destroySources([existing], { userId: req.user.id, reason: 'MANUAL' });
+
+    res.json({
+      success: true,
+      data: { id: sourceId }
+    });
+  } catch (error) {
+    console.error('Purge source error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete source permanently'
+    });
+  }
+});
+
+/**
+ * Empty Trash
+ * DELETE /vaults/:id/trash
+ *
+ * Only accessible by OWNER. Permanently deletes every trashed source in the vault.
+ */
+app.delete('/vaults/:id/trash', authenticateToken, requireVaultRole(['OWNER']), async (req, res) => {
+  const vaultId = parseInt(req.params.id);
+
+  try {
+    const sources = await prisma.source.findMany({
+      where: { vaultId, deletedAt: { not: null } }
+    });
+
+    await destroySources(sources, { userId: req.user.id, reason: 'MANUAL' });
+
+    res.json({
+      success: true,
+      data: { deleted: sources.length }
+    });
+  } catch (error) {
+    console.error('Empty trash error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to empty trash'
+    });
+  }
+});
+
+/**
+ * List Trashed Vaults
+ * GET /vaults/trash
+ *
+ * Vaults the user owns that are in the trash
+ */
+app.get('/vaults/trash', authenticateToken, async (req, res) => {
+  try {
+    const vaults = await prisma.vault.findMany({
+      where: { ownerId: req.user.id, deletedAt: { not: null } },
+      include: { _count: { select: { sources: { where: { deletedAt: null } } } } },
+      orderBy: { deletedAt: 'desc' }
+    });
+
+    res.json({
+      success: true,
+      data: vaults.map(formatTrashedVault),
+      meta: { retentionDays: TRASH_RETENTION_DAYS }
+    });
+  } catch (error) {
+    console.error('List trashed vaults error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch trashed vaults'
+    });
+  }
+});
+
+/**
+ * Restore Trashed Vault
+ * POST /vaults/:id/restore
+ *
+ * Only accessible by OWNER. Members get the vault back with their previous roles.
+ */
+app.post('/vaults/:id/restore', authenticateToken, requireVaultRole(['OWNER'], { allowTrashed: true }), async (req, res) => {
+  const vaultId = parseInt(req.params.id);
+  const userId = req.user.id;
+
+  try {
+    const existing = await prisma.vault.findUnique({ where: { id: vaultId } });
+    if (!existing.deletedAt) {
+      return res.status(400).json({ success: false, error: 'This vault is not in the trash' });
+    }
+
+    const vault = await prisma.vault.update({
+      where: { id: vaultId },
+      data: { deletedAt: null, deletedById: null },
+      include: { members: { select: { userId: true, role: true } } }
+    });
+
+    await logAction(vaultId, userId, 'VAULT_UNTRASHED', 'vault', vaultId, { name: vault.name });
+
+    await invalidateCache(vault.members.map(m => `vaults:user:${m.userId}`), 'Restore Vault');
+
+    vault.members.forEach(member => {
+      io.to(`user_${member.userId}`).emit('vault:created', {
+        id: vault.id,
+        name: vault.name,
+        role: member.role,
+        createdAt: vault.createdAt.toISOString()
+      });
+    });
+
+    res.json({
+      success: true,
+      data: {
+        id: vault.id,
+        name: vault.name,
+        role: 'OWNER',
+        createdAt: vault.createdAt.toISOString()
+      }
+    });
+  } catch (error) {
+    console.error('Restore vault error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to restore vault'
+    });
+  }
+});
+
+/**
+ * Permanently Delete Vault
+ * DELETE /vaults/:id/permanent
+ *
+ * Only accessible by OWNER, for a vault already in the trash
+ */
+app.delete('/vaults/:id/permanent', authenticateToken, requireVaultRole(['OWNER'], { allowTrashed: true }), async (req, res) => {
+  const vaultId = parseInt(req.params.id);
+
+  try {
+    const vault = await prisma.vault.findUnique({ where: { id: vaultId } });
+    if (!vault.deletedAt) {
+      return res.status(400).json({ success: false, error: 'Move the vault to the trash first' });
+    }
+
+    await destroyVault(vault, { userId: req.user.id, reason: 'MANUAL' });
+
+    res.json({
+      success: true,
+      data: { id: vaultId }
+    });
+  } catch (error) {
+    console.error('Purge vault error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete vault permanently'
+    });
+  }
+});
+
+// ============================================================================
+// COMMENTS
+// ============================================================================
+
+const MAX_COMMENT_LENGTH = 5000;
+
+const commentInclude = {
+  author: { select: { id: true, name: true } },
+  resolvedBy: { select: { id: true, name: true } }
+};
+
+const formatComment = (comment) => ({
+  id: comment.id,
+  vaultId: comment.vaultId,
+  sourceId: comment.sourceId,
+  parentId: comment.parentId,
+  body: comment.body,
+  author: comment.author.name,
+  authorId: comment.author.id,
+  mentions: comment.mentions ? JSON.parse(comment.mentions) : [],
+  resolved: Boolean(comment.resolvedAt),
+  resolvedAt: comment.resolvedAt ? comment.resolvedAt.toISOString() : null,
+  resolvedBy: comment.resolvedBy ? comment.resolvedBy.name : null,
+  createdAt: comment.createdAt.toISOString(),
+  editedAt: comment.editedAt ? comment.editedAt.toISOString() : null
+});
+
+/**
+ * Mention Parser
+ * Finds "@Name" for each vault member (case-insensitive, longest names first so
+ * "@Ada Lovelace" wins over "@Ada"). Returns [{ id, name }] without duplicates.
+ */
+const findMentions = async (vaultId, body) => {
+  if (!body.includes('@')) return [];
+
+  const members = await prisma.vaultMember.findMany({
+    where: { vaultId },
+    include: { user: { select: { id: true, name: true } } }
+  });
+
+  const escape = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  let remaining = body;
+  const mentioned = new Map();
+
+  members
+    .map(member => member.user)
+    .sort((a, b) => b.name.length - a.name.length)
+    .forEach(user => {
+      const pattern = new RegExp(`(^|[^\\w@])@${escape(user.name)}(?![\\w])`, 'gi');
+      if (remaining.search(pattern) !== -1) {
+        mentioned.set(user.id, { id: user.id, name: user.name });
+        // Blank out the match so "@Ada" does not also fire inside "@Ada Lovelace"
+        remaining = remaining.replace(pattern, '$1');
+      }
+    });
+
+  return [...mentioned.values()];
+};
+
+// Mention notifications go to each user's personal room, skipping the author
+const notifyMentions = (mentions, { comment, source, vaultName, author }) => {
+  mentions
+    .filter(mention => mention.id !== author.id)
+    .forEach(mention => {
+      io.to(`user_${mention.id}`).emit('notification', {
+        type: 'MENTION',
+        message: `${author.name} mentioned you on "${source.title}" in "${vaultName}".`,
+        vaultId: comment.vaultId,
+        vaultName,
+        sourceId: source.id,
+        commentId: comment.id
+      });
+    });
+};
+
+const validateCommentBody = (body) => {
+  const text = typeof body === 'string' ? body.trim() : '';
+  if (!text || text.length > MAX_COMMENT_LENGTH) {
+    return { error: `Comment must be 1-${MAX_COMMENT_LENGTH} characters` };
+  }
+  return { text };
+};
+
+/**
+ * List Comments on a Source
+ * GET /vaults/:id/sources/:sourceId/comments
+ *
+ * Returns threads (oldest first), each with its replies
+ */
+app.get('/vaults/:id/sources/:sourceId/comments', authenticateToken, requireVaultRole(['OWNER', 'CONTRIBUTOR', 'VIEWER']), async (req, res) => {
+  const vaultId = parseInt(req.params.id);
+  const sourceId = parseInt(req.params.sourceId);
+
+  try {
+    const source = await prisma.source.findFirst({ where: { id: sourceId, vaultId, deletedAt: null } });
+    if (!source) {
+      return res.status(404).json({ success: false, error: 'Source not found' });
+    }
+
+    const threads = await prisma.comment.findMany({
+      where: { sourceId, parentId: null },
+      include: {
+        ...commentInclude,
+        replies: { include: commentInclude, orderBy: { createdAt: 'asc' } }
+      },
+      orderBy: { createdAt: 'asc' }
+    });
+
+    res.json({
+      success: true,
+      data: threads.map(thread => ({
+        ...formatComment(thread),
+        replies: thread.replies.map(formatComment)
+      }))
+    });
+  } catch (error) {
+    console.error('Get comments error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch comments'
+    });
+  }
+});
+
+/**
+ * Add Comment
+ * POST /vaults/:id/sources/:sourceId/comments
+ * Body: { body: string, parentId? (reply to a thread) }
+ *
+ * Every vault member can comment, VIEWERs included. "@Name" mentions of members
+ * send them a notification.
+ */
+app.post('/vaults/:id/sources/:sourceId/comments', authenticateToken, requireVaultRole(['OWNER', 'CONTRIBUTOR', 'VIEWER']), async (req, res) => {
+  const vaultId = parseInt(req.params.id);
+  const sourceId = parseInt(req.params.sourceId);
+  const { text, error: bodyError } = validateCommentBody(req.body.body);
+
+  if (bodyError) {
+    return res.status(400).json({ success: false, error: bodyError });
+  }
+
+  try {
+    const source = await prisma.source.findFirst({
+      where: { id: sourceId, vaultId, deletedAt: null },
+      include: { vault: { select: { name: true } } }
+    });
+    if (!source) {
+      return res.status(404).json({ success: false, error: 'Source not found' });
+    }
+
+    // Replies always attach to the thread root, so threads stay one level deep
+    let parentId = null;
+    if (req.body.parentId !== undefined && req.body.parentId !== null) {
+      const parent = await prisma.comment.findFirst({ where: { id: parseInt(req.body.parentId), sourceId } });
+      if (!parent) {
+        return res.status(400).json({ success: false, error: 'Parent comment not found on this source' });
+      }
+      parentId = parent.parentId || parent.id;
+    }
+
+    const mentions = await findMentions(vaultId, text);
+
+    const comment = await prisma.comment.create({
+      data: {
+        vaultId,
+        sourceId,
+        parentId,
+        authorId: req.user.id,
+        body: text,
+        mentions: mentions.length > 0 ? JSON.stringify(mentions) : null
+      },
+      include: commentInclude
+    });
+
+    await logAction(vaultId, req.user.id, 'COMMENT_CREATED', 'comment', comment.id, {
+      sourceId,
+      sourceTitle: source.title,
+      parentId,
+      mentions: mentions.map(mention => mention.id)
+    });
+
+    const formatted = formatComment(comment);
+    io.to(`vault_${vaultId}`).emit('comment:created', formatted);
+    notifyMentions(mentions, { comment, source, vaultName: source.vault.name, author: req.user });
+
+    res.status(201).json({
+      success: true,
+      data: formatted
+    });
+  } catch (error) {
+    console.error('Create comment error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to add comment'
+    });
+  }
+});
+
+/**
+ * Update Comment
+ * PATCH /vaults/:id/comments/:commentId
+ * Body: { body?, resolved? }
+ *
+ * Only the author can edit the text (newly added mentions are notified).
+ * Resolving applies to thread roots and is open to the thread's author,
+ * OWNERs, and CONTRIBUTORs.
+ */
+app.patch('/vaults/:id/comments/:commentId', authenticateToken, requireVaultRole(['OWNER', 'CONTRIBUTOR', 'VIEWER']), async (req, res) => {
+  const vaultId = parseInt(req.params.id);
+  const commentId = parseInt(req.params.commentId);
+  const { body, resolved } = req.body;
+
+  if (body === undefined && resolved === undefined) {
+    return res.status(400).json({ success: false, error: 'No changes provided' });
+  }
+  if (resolved !== undefined && typeof resolved !== 'boolean') {
+    return res.status(400).json({ success: false, error: 'resolved must be true or false' });
+  }
+
+  try {
+    const existing = await prisma.comment.findFirst({
+      where: { id: commentId, vaultId, source: { deletedAt: null } },
+      include: { source: { include: { vault: { select: { name: true } } } } }
+    });
+    if (!existing) {
+      return res.status(404).json({ success: false, error: 'Comment not found' });
+    }
+
+    const data = {};
+    let addedMentions = [];
+
+    if (body !== undefined) {
+      if (existing.authorId !== req.user.id) {
+        return res.status(403).json({ success: false, error: 'Only the author can edit a comment' });
+      }
+      const { text, error: bodyError } = validateCommentBody(body);
+      if (bodyError) {
+        return res.status(400).json({ success: false, error: bodyError });
+      }
+      if (text !== existing.body) {
+        const mentions = await findMentions(vaultId, text);
+        const previous = new Set((existing.mentions ? JSON.parse(existing.mentions) : []).map(mention => mention.id));
+        addedMentions = mentions.filter(mention => !previous.has(mention.id));
+        Object.assign(data, {
+          body: text,
+          mentions: mentions.length > 0 ? JSON.stringify(mentions) : null,
+          editedAt: new Date()
+        });
+      }
+    }
+
+    if (resolved !== undefined && resolved !== Boolean(existing.resolvedAt)) {
+      if (existing.parentId !== null) {
+        return res.status(400).json({ success: false, error: 'Only a thread can be resolved, not a reply' });
+      }
+      if (req.userRole === 'VIEWER' && existing.authorId !== req.user.id) {
+        return res.status(403).json({ success: false, error: 'Viewers can only resolve their own threads' });
+      }
+      Object.assign(data, resolved
+        ? { resolvedAt: new Date(), resolvedById: req.user.id }
+        : { resolvedAt: null, resolvedById: null });
+    }
+
+    if (Object.keys(data).length === 0) {
+      const unchanged = await prisma.comment.findUnique({ where: { id: commentId }, include: commentInclude });
+      return res.json({ success: true, data: formatComment(unchanged) });
+    }
+
+    const comment = await prisma.comment.update({
+      where: { id: commentId },
+      data,
+      include: commentInclude
+    });
+
+    const auditContext = { sourceId: existing.sourceId, sourceTitle: existing.source.title };
+    if (data.body !== undefined) {
+      await logAction(vaultId, req.user.id, 'COMMENT_UPDATED', 'comment', commentId, {
+        ...auditContext,
+        mentions: addedMentions.map(mention => mention.id)
+      });
+    }
+    if ('resolvedAt' in data) {
+      await logAction(vaultId, req.user.id, resolved ? 'COMMENT_RESOLVED' : 'COMMENT_UNRESOLVED', 'comment', commentId, auditContext);
+    }
+
+    const formatted = formatComment(comment);
+    io.to(`vault_${vaultId}`).emit('comment:updated', formatted);
+    notifyMentions(addedMentions, {
+      comment,
+      source: existing.source,
+      vaultName: existing.source.vault.name,
+      author: req.user
+    });
+
+    res.json({
+      success: true,
+      data: formatted
+    });
+  } catch (error) {
+    console.error('Update comment error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update comment'
+    });
+  }
+});
+
+/**
+ * Delete Comment
+ * DELETE /vaults/:id/comments/:commentId
+ *
+ * Authors can delete their own comments, OWNERs any comment.
+ * Deleting a thread root deletes its replies.
+ */
+app.delete('/vaults/:id/comments/:commentId', authenticateToken, requireVaultRole(['OWNER', 'CONTRIBUTOR', 'VIEWER']), async (req, res) => {
+  const vaultId = parseInt(req.params.id);
+  const commentId = parseInt(req.params.commentId);
+
+  try {
+    const existing = await prisma.comment.findFirst({
+      where: { id: commentId, vaultId, source: { deletedAt: null } },
+      include: { source: { select: { title: true } }, _count: { select: { replies: true } } }
+    });
+    if (!existing) {
+      return res.status(404).json({ success: false, error: 'Comment not found' });
+    }
+
+    if (req.userRole !== 'OWNER' && existing.authorId !== req.user.id) {
+      return res.status(403).json({ success: false, error: 'You can only delete your own comments' });
+    }
+
+    await prisma.comment.delete({ where: { id: commentId } });
+
+    await logAction(vaultId, req.user.id, 'COMMENT_DELETED', 'comment', commentId, {
+      sourceId: existing.sourceId,
+      sourceTitle: existing.source.title,
+      parentId: existing.parentId,
+      authorId: existing.authorId,
+      replies: existing._count.replies
+    });
+
+    io.to(`vault_${vaultId}`).emit('comment:deleted', {
+      id: commentId,
+      vaultId,
+      sourceId: existing.sourceId,
+      parentId: existing.parentId
+    });
+
+    res.json({
+      success: true,
+      data: { id: commentId }
+    });
+  } catch (error) {
+    console.error('Delete comment error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete comment'
+    });
+  }
+});
+
+// ============================================================================
+// AUDIT LOG ENDPOINTS (Phase 6)
+// ============================================================================
+
+/**
+ * Get Audit Logs for a Vault (one page)
+ * GET /vaults/:id/audit?order=desc|asc&limit=&cursor=&action=&userId=&from=&to=
+ *
+ * Only accessible by OWNER
+ * Newest first by default; action takes one action or a comma-separated list.
+ * meta.nextCursor fetches the next page (null on the last).
+ */
+const AUDIT_SORTS = {
+  createdAt: { type: 'date', order: 'desc' }
+};
+
+app.get('/vaults/:id/audit', authenticateToken, requireVaultRole(['OWNER']), async (req, res) => {
+  const vaultId = parseInt(req.params.id);
+
+  const { page, error: pageError } = pagination.parsePageParams(req.query, { sorts: AUDIT_SORTS, defaultSort: 'createdAt' });
+  if (pageError) {
+    return res.status(400).json({ success: false, error: pageError });
+  }
+
+  const where = { vaultId };
+  if (req.query.action) {
+    where.action = { in: String(req.query.action).split(',').map(action => action.trim().toUpperCase()) };
+  }
+  if (req.query.userId) {
+    where.userId = parseInt(req.query.userId);
+    if (Number.isNaN(where.userId)) {
+      return res.status(400).json({ success: false, error: 'userId must be a user id' });
+    }
+  }
+  const { range, error: rangeError } = dateRange(req.query.from, req.query.to);
+  if (rangeError) {
+    return res.status(400).json({ success: false, error: rangeError });
+  }
+  if (range) where.createdAt = range;
+
+  try {
+    const { where: after, ...args } = pagination.pageArgs(page);
+    const logs = await prisma.auditLog.findMany({
+      where: { AND: [where, after] },
+      include: auditLogInclude,
+      ...args
+    });
+
+    const { items, nextCursor } = pagination.toPage(logs, page);
+
+    res.json({
+      success: true,
+      data: items.map(formatAuditLog),
+      meta: { nextCursor, order: page.order, limit: page.limit }
+    });
+  } catch (error) {
+    console.error('Get audit logs error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch audit logs'
+    });
+  }
+});
+
+/**
+ * Verify Audit Chain
+ * GET /vaults/:id/audit/verify
+ *
+ * Only accessible by OWNER
+ * Recomputes the vault's audit hash chain from its first entry and reports the first
+ * broken link: MISSING_ENTRIES, PREVIOUS_HASH_MISMATCH (an entry inserted or moved),
+ * HASH_MISMATCH (an entry edited), or TRUNCATED (entries cut off the end). Entries
+ * written while the walk runs are left for the next check.
+ */
+const AUDIT_VERIFY_BATCH = 500;
+
+app.get('/vaults/:id/audit/verify', authenticateToken, requireVaultRole(['OWNER']), async (req, res) => {
+  const vaultId = parseInt(req.params.id);
+
+  try {
+    const vault = await prisma.vault.findUnique({
+      where: { id: vaultId },
+      select: { auditSeq: true, auditHead: true }
+    });
+    const head = { seq: vault.auditSeq, hash: vault.auditHead };
+    const unsealed = await prisma.auditLog.count({ where: { vaultId, seq: null } });
+
+    let last = null;
+    let broken = null;
+    let checked = 0;
+    while (!broken) {
+      const batch = await prisma.auditLog.findMany({
+        where: { vaultId, seq: { gt: last ? last.seq : 0, lte: head.seq } },
+        orderBy: { seq: 'asc' },
+        take: AUDIT_VERIFY_BATCH
+      });
+      if (batch.length === 0) break;
+
+      const walked = audit.walkChain(batch, last);
+      ({ broken, last } = walked);
+      checked += walked.checked;
+      if (batch.length < AUDIT_VERIFY_BATCH) break;
+    }
+
+    let brokenAt = null;
+    if (broken) {
+      brokenAt = {
+        reason: broken.reason,
+        id: broken.entry.id,
+        seq: broken.entry.seq,
+        action: broken.entry.action,
+        createdAt: broken.entry.createdAt.toISOString(),
+        // The last entry that still checks out
+        after: last ? { id: last.id, seq: last.seq } : null
+      };
+    } else {
+      const reason = audit.checkHead(last, head);
+      if (reason) {
+        brokenAt = { reason, id: null, seq: last ? last.seq + 1 : 1, after: last ? { id: last.id, seq: last.seq } : null };
+      }
+    }
+
+    res.json({
+      success: true,
+      data: {
+        valid: !brokenAt,
+        checked,
+        unsealed,
+        head,
+        brokenAt
+      }
+    });
+  } catch (error) {
+    console.error('Verify audit chain error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to verify audit log'
+    });
+  }
+});
+
+// Audit entries matching where in id order, a page at a time so large logs are never loaded at once
+async function* auditLogBatches(where, { select, include, pageSize = 500 } = {}) {
+  let cursor = null;
+  while (true) {
+    const page = await prisma.auditLog.findMany({
+      where,
+      ...(select ? { select } : { include }),
+      orderBy: { id: 'asc' },
+      take: pageSize,
+      ...(cursor ? { cursor: { id: cursor }, skip: 1 } : {})
+    });
+    if (page.length > 0) yield page;
+
+    if (page.length < pageSize) return;
+    cursor = page[page.length - 1].id;
+  }
+}
+
+/**
+ * Export Audit Log
+ * GET /vaults/:id/audit/export?format=csv|jsonl&from=&to=
+ *
+ * Only accessible by OWNER
+ * Streams the vault's audit entries, oldest first, with their hash-chain fields.
+ * JSON Lines keeps metadata as an object; CSV gives each metadata key its own
+ * metadata.<key> column, found by a first pass over the entries so neither pass
+ * holds the log in memory.
+ */
+app.get('/vaults/:id/audit/export', authenticateToken, requireVaultRole(['OWNER']), async (req, res) => {
+  const vaultId = parseInt(req.params.id);
+  const format = String(req.query.format || 'csv').toLowerCase();
+
+  if (!audit.EXPORT_FORMATS[format]) {
+    return res.status(400).json({ success: false, error: 'format must be "csv" or "jsonl"' });
+  }
+  const { range, error: rangeError } = dateRange(req.query.from, req.query.to);
+  if (rangeError) {
+    return res.status(400).json({ success: false, error: rangeError });
+  }
+  const where = { vaultId, ...(range ? { createdAt: range } : {}) };
+
+  let vault;
+  let keys = [];
+  try {
+    vault = await prisma.vault.findUnique({ where: { id: vaultId }, select: { name: true } });
+    if (format === 'csv') {
+      const found = new Set();
+      for await (const page of auditLogBatches(where, { select: { id: true, metadata: true } })) {
+        page.forEach(log => audit.metadataKeys(log.metadata).forEach(key => found.add(key)));
+      }
+      keys = [...found].sort();
+    }
+  } catch (error) {
+    console.error('Export audit log error:', error);
+    return res.status(500).json({ success: false, error: 'Failed to export audit log' });
+  }
+
+  await logAction(vaultId, req.user.id, 'AUDIT_EXPORTED', 'vault', vaultId, {
+    format,
+    from: req.query.from || null,
+    to: req.query.to || null
+  });
+
+  async function* lines() {
+    if (format === 'csv') yield audit.csvHeader(keys);
+    for await (const page of auditLogBatches(where, { include: auditLogInclude })) {
+      yield page.map(log => {
+        const record = audit.exportRecord(log);
+        return format === 'csv' ? audit.csvLine(record, keys) : audit.jsonLine(record);
+      }).join('');
+    }
+  }
+
+  const { contentType, extension } = audit.EXPORT_FORMATS[format];
+  const filename = `${archive.safeName(vault.name, 'vault')}-audit-${new Date().toISOString().slice(0, 10)}.${extension}`;
+  res.setHeader('Content-Type', contentType);
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+
+  try {
+    await pipeline(Readable.from(lines()), res);
+  } catch (error) {
+    if (error.code === 'ERR_STREAM_PREMATURE_CLOSE') return;
+    // Headers are already sent; cutting the stream marks the download as failed
+    console.error('Export audit log stream error:', error);
+    res.destroy(error);
+  }
+});
+
+// ============================================================================
+// TAGS & COLLECTIONS
+// ============================================================================
+
+// New tags cycle through this palette unless a color is given
+const TAG_COLORS = ['#60a5fa', '#f87171', '#4ade80', '#facc15', '#c084fc', '#fb923c', '#2dd4bf', '#f472b6'];
+const HEX_COLOR = /^#[0-9a-f]{6}$/i;
+
+// Source counts leave out the trash
+const tagSourceCount = { _count: { select: { sources: { where: { source: { deletedAt: null } } } } } };
+const collectionSourceCount = { _count: { select: { sources: { where: { deletedAt: null } } } } };
+
+const formatCollection = (collection) => ({
+  id: collection.id,
+  vaultId: collection.vaultId,
+  parentId: collection.parentId,
+  name: collection.name,
+  sourceCount: collection._count ? collection._count.sources : 0
+});
+
+/**
+ * List Tags
+ * GET /vaults/:id/tags
+ */
+app.get('/vaults/:id/tags', authenticateToken, requireVaultRole(['OWNER', 'CONTRIBUTOR', 'VIEWER']), async (req, res) => {
+  const vaultId = parseInt(req.params.id);
+
+  try {
+    const tags = await prisma.tag.findMany({
+      where: { vaultId },
+      include: tagSourceCount,
+      orderBy: { name: 'asc' }
+    });
+
+    res.json({
+      success: true,
+      data: tags.map(tag => ({ ...formatTag(tag), sourceCount: tag._count.sources }))
+    });
+  } catch (error) {
+    console.error('Get tags error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch tags'
+    });
+  }
+});
+
+/**
+ * Create Tag
+ * POST /vaults/:id/tags
+ * Body: { name: string, color?: '#rrggbb' }
+ */
+app.post('/vaults/:id/tags', authenticateToken, requireVaultRole(['OWNER', 'CONTRIBUTOR']), async (req, res) => {
+  const vaultId = parseInt(req.params.id);
+  const name = typeof req.body.name === 'string' ? req.body.name.trim() : '';
+  const { color } = req.body;
+
+  if (!name || name.length > 50) {
+    return res.status(400).json({ success: false, error: 'Tag name must be 1-50 characters' });
+  }
+  if (color !== undefined && !HEX_COLOR.test(color)) {
+    return res.status(400).json({ success: false, error: 'Color must be a hex value like #60a5fa' });
+  }
+
+  try {
+    const existing = await prisma.tag.findFirst({ where: { vaultId, name } });
+    if (existing) {
+      return res.status(409).json({ success: false, error: 'A tag with this name already exists' });
+    }
+
+    const tagCount = await prisma.tag.count({ where: { vaultId } });
+    const tag = await prisma.tag.create({
+      data: {
+        vaultId,
+        name,
+        color: (color || TAG_COLORS[tagCount % TAG_COLORS.length]).toLowerCase()
+      }
+    });
+
+    await logAction(vaultId, req.user.id, 'TAG_CREATED', 'tag', tag.id, { name: tag.name });
+
+    io.to(`vault_${vaultId}`).emit('tag:created', formatTag(tag));
+
+    res.status(201).json({
+      success: true,
+      data: formatTag(tag)
+    });
+  } catch (error) {
+    console.error('Create tag error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create tag'
+    });
+  }
+});
+
+/**
+ * Update Tag
+ * PATCH /vaults/:id/tags/:tagId
+ * Body: { name?, color? }
+ *
+ * Only accessible by OWNER
+ */
+app.patch('/vaults/:id/tags/:tagId', authenticateToken, requireVaultRole(['OWNER']), async (req, res) => {
+  const vaultId = parseInt(req.params.id);
+  const tagId = parseInt(req.params.tagId);
+  const { name, color } = req.body;
+  const data = {};
+
+  if (name !== undefined) {
+    if (typeof name !== 'string' || !name.trim() || name.trim().length > 50) {
+      return res.status(400).json({ success: false, error: 'Tag name must be 1-50 characters' });
+    }
+    data.name = name.trim();
+  }
+  if (color !== undefined) {
+    if (!HEX_COLOR.test(color)) {
+      return res.status(400).json({ success: false, error: 'Color must be a hex value like #60a5fa' });
+    }
+    data.color = color.toLowerCase();
+  }
+  if (Object.keys(data).length === 0) {
+    return res.status(400).json({ success: false, error: 'No changes provided' });
+  }
+
+  try {
+    const existing = await prisma.tag.findFirst({ where: { id: tagId, vaultId } });
+    if (!existing) {
+      return res.status(404).json({ success: false, error: 'Tag not found' });
+    }
 
-    // Invalidate user's vault cache
-    if (redisClient.isReady) {
-      try {
-        await redisClient.del(`vaults:user:${userId}`);
-      } catch (cacheError) {
-        console.error('Redis DEL error (Vaults):', cacheError);
+    if (data.name && data.name !== existing.name) {
+      const duplicate = await prisma.tag.findFirst({ where: { vaultId, name: data.name } });
+      if (duplicate) {
+        return res.status(409).json({ success: false, error: 'A tag with this name already exists' });
       }
     }
 
-    // Emit WebSocket event (Phase 4)
-    io.to(`user_${userId}`).emit('vault:created', {
-      id: result.id,
-      name: result.name,
-      role: 'OWNER',
-      createdAt: result.createdAt.toISOString()
+    const tag = await prisma.tag.update({ where: { id: tagId }, data });
+
+    await logAction(vaultId, req.user.id, 'TAG_UPDATED', 'tag', tag.id, {
+      name: tag.name,
+      fields: Object.keys(data)
     });
 
-    res.status(201).json({
+    await invalidateCache([`vault:${vaultId}:sources`], 'Update Tag');
+
+    io.to(`vault_${vaultId}`).emit('tag:updated', formatTag(tag));
+
+    res.json({
       success: true,
-      data: {
-        id: result.id,
-        name: result.name,
-        role: 'OWNER',
-        createdAt: result.createdAt.toISOString()
-      }
+      data: formatTag(tag)
     });
   } catch (error) {
-    console.error('Create vault error:', error);
+    console.error('Update tag error:', error);
     res.status(500).json({
       success: false,
-      error: 'Failed to create vault'
+      error: 'Failed to update tag'
     });
   }
 });
 
-// ============================================================================
-// SOURCE ENDPOINTS (Phase 1 - Migrated to Prisma)
-// ============================================================================
-
 /**
- * Get All Sources for a Vault
- * GET /vaults/:id/sources
- * 
- * UPGRADED: Now uses PostgreSQL and verifies user has access
+ * Delete Tag
+ * DELETE /vaults/:id/tags/:tagId
+ *
+ * Removes the tag from every source. Only accessible by OWNER
  */
-app.get('/vaults/:id/sources', authenticateToken, requireVaultRole(['OWNER', 'CONTRIBUTOR', 'VIEWER']), async (req, res) => {
+app.delete('/vaults/:id/tags/:tagId', authenticateToken, requireVaultRole(['OWNER']), async (req, res) => {
   const vaultId = parseInt(req.params.id);
-  const cacheKey = `vault:${vaultId}:sources`;
+  const tagId = parseInt(req.params.tagId);
 
   try {
-    // Try to get from cache
-    if (redisClient.isReady) {
-      try {
-        const cachedSources = await redisClient.get(cacheKey);
-        if (cachedSources) {
-          return res.json({ success: true, data: JSON.parse(cachedSources), _cached: true });
-        }
-      } catch (cacheError) {
-        console.error('Redis GET error (Sources):', cacheError);
-      }
+    const existing = await prisma.tag.findFirst({ where: { id: tagId, vaultId } });
+    if (!existing) {
+      return res.status(404).json({ success: false, error: 'Tag not found' });
     }
 
-    const sources = await prisma.source.findMany({
-      where: {
-        vaultId: vaultId
-      },
-      include: {
-        creator: {
-          select: {
-            id: true,
-            name: true,
-            email: true
-          }
-        }
-      },
-      orderBy: {
-        addedAt: 'desc'
-      }
-    });
+    await prisma.tag.delete({ where: { id: tagId } });
 
-    // Transform to match frontend expectations
-    const formattedSources = sources.map(source => ({
-      id: source.id,
-      vaultId: source.vaultId,
-      type: source.type,
-      title: source.title,
-      content: source.content || source.url, // Fallback to url for legacy records
-      mimeType: source.mimeType,
-      size: source.size,
-      addedBy: source.creator.name,
-      addedAt: source.addedAt.toISOString(),
-      // Legacy fields for backward compatibility
-      url: source.url
-    }));
+    await logAction(vaultId, req.user.id, 'TAG_DELETED', 'tag', tagId, { name: existing.name });
 
-    // Cache the result
-    if (redisClient.isReady) {
-      try {
-        await redisClient.set(cacheKey, JSON.stringify(formattedSources), { EX: 60 }); // 1 min cache for researchers
-      } catch (cacheError) {
-        console.error('Redis SET error (Sources):', cacheError);
-      }
-    }
+    await invalidateCache([`vault:${vaultId}:sources`], 'Delete Tag');
+
+    io.to(`vault_${vaultId}`).emit('tag:deleted', { id: tagId, vaultId });
 
     res.json({
       success: true,
-      data: formattedSources
+      data: { id: tagId }
     });
   } catch (error) {
-    console.error('Get sources error:', error);
+    console.error('Delete tag error:', error);
     res.status(500).json({
       success: false,
-      error: 'Failed to fetch sources'
+      error: 'Failed to delete tag'
     });
   }
 });
 
 /**
- * Add Member to Vault
- * POST /vaults/:id/members
- * Body: { email, role }
- * 
- * Only accessible by OWNER
+ * List Collections
+ * GET /vaults/:id/collections
+ *
+ * Flat list with parentId; clients build the tree
  */
-app.post('/vaults/:id/members', authenticateToken, requireVaultRole(['OWNER']), async (req, res) => {
+app.get('/vaults/:id/collections', authenticateToken, requireVaultRole(['OWNER', 'CONTRIBUTOR', 'VIEWER']), async (req, res) => {
   const vaultId = parseInt(req.params.id);
-  const { email, role } = req.body;
 
-  if (!email || !role) {
-    return res.status(400).json({ success: false, error: 'Email and role are required' });
+  try {
+    const collections = await prisma.collection.findMany({
+      where: { vaultId },
+      include: collectionSourceCount,
+      orderBy: { name: 'asc' }
+    });
+
+    res.json({
+      success: true,
+      data: collections.map(formatCollection)
+    });
+  } catch (error) {
+    console.error('Get collections error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch collections'
+    });
   }
+});
 
-  const allowedRoles = ['CONTRIBUTOR', 'VIEWER'];
-  if (!allowedRoles.includes(role)) {
-    return res.status(400).json({ success: false, error: 'Invalid role. Use CONTRIBUTOR or VIEWER' });
+// Resolves a parentId from a request body: null for the top level, a collection, or { error }
+const resolveParentCollection = async (vaultId, rawParentId) => {
+  if (rawParentId === undefined || rawParentId === null || rawParentId === '') return { parent: null };
+
+  const parent = await prisma.collection.findFirst({ where: { id: parseInt(rawParentId) || 0, vaultId } });
+  return parent ? { parent } : { error: 'Parent collection not found in this vault' };
+};
+
+/**
+ * Create Collection
+ * POST /vaults/:id/collections
+ * Body: { name: string, parentId?: number }
+ */
+app.post('/vaults/:id/collections', authenticateToken, requireVaultRole(['OWNER', 'CONTRIBUTOR']), async (req, res) => {
+  const vaultId = parseInt(req.params.id);
+  const name = typeof req.body.name === 'string' ? req.body.name.trim() : '';
+
+  if (!name || name.length > 100) {
+    return res.status(400).json({ success: false, error: 'Collection name must be 1-100 characters' });
   }
 
   try {
-    // Find user by email
-    const userToAdd = await prisma.user.findUnique({
-      where: { email }
-    });
+    const { parent, error: parentError } = await resolveParentCollection(vaultId, req.body.parentId);
+    if (parentError) {
+      return res.status(400).json({ success: false, error: parentError });
+    }
 
-    if (!userToAdd) {
-      return res.status(404).json({ success: false, error: 'User not found' });
+    const parentId = parent ? parent.id : null;
+    const sibling = await prisma.collection.findFirst({ where: { vaultId, parentId, name } });
+    if (sibling) {
+      return res.status(409).json({ success: false, error: 'A collection with this name already exists here' });
     }
 
-    // Check if user is already a member
-    const existingMembership = await prisma.vaultMember.findFirst({
-      where: { vaultId, userId: userToAdd.id }
+    const collection = await prisma.collection.create({
+      data: { vaultId, parentId, name }
     });
 
-    if (existingMembership) {
-      return res.status(409).json({ success: false, error: 'User is already a member of this vault' });
+    await logAction(vaultId, req.user.id, 'COLLECTION_CREATED', 'collection', collection.id, {
+      name: collection.name,
+      parentId
+    });
+
+    io.to(`vault_${vaultId}`).emit('collection:created', formatCollection(collection));
+
+    res.status(201).json({
+      success: true,
+      data: formatCollection(collection)
+    });
+  } catch (error) {
+    console.error('Create collection error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create collection'
+    });
+  }
+});
+
+/**
+ * Update Collection
+ * PATCH /vaults/:id/collections/:collectionId
+ * Body: { name?, parentId? (null moves it to the top level) }
+ *
+ * Only accessible by OWNER
+ */
+app.patch('/vaults/:id/collections/:collectionId', authenticateToken, requireVaultRole(['OWNER']), async (req, res) => {
+  const vaultId = parseInt(req.params.id);
+  const collectionId = parseInt(req.params.collectionId);
+  const data = {};
+
+  if (req.body.name !== undefined) {
+    const name = String(req.body.name).trim();
+    if (!name || name.length > 100) {
+      return res.status(400).json({ success: false, error: 'Collection name must be 1-100 characters' });
     }
+    data.name = name;
+  }
 
-    // Add member in transaction
-    const vault = await prisma.vault.findUnique({ where: { id: vaultId } });
+  try {
+    const existing = await prisma.collection.findFirst({ where: { id: collectionId, vaultId } });
+    if (!existing) {
+      return res.status(404).json({ success: false, error: 'Collection not found' });
+    }
 
-    await prisma.$transaction(async (tx) => {
-      await tx.vaultMember.create({
-        data: {
-          vaultId,
-          userId: userToAdd.id,
-          role
-        }
-      });
+    if (req.body.parentId !== undefined) {
+      const { parent, error: parentError } = await resolveParentCollection(vaultId, req.body.parentId);
+      if (parentError) {
+        return res.status(400).json({ success: false, error: parentError });
+      }
 
-      await tx.auditLog.create({
-        data: {
-          vaultId,
-          userId: req.user.id,
-          action: 'MEMBER_ADDED',
-          resourceType: 'user',
-          resourceId: userToAdd.id,
-          metadata: JSON.stringify({ email, role })
+      // Walk up from the new parent; meeting this collection would create a cycle
+      for (let ancestor = parent; ancestor; ) {
+        if (ancestor.id === collectionId) {
+          return res.status(400).json({ success: false, error: 'A collection cannot be moved inside itself' });
         }
-      });
-    });
-
-    // Invalidate user's vault cache
-    if (redisClient.isReady) {
-      try {
-        await redisClient.del(`vaults:user:${userToAdd.id}`);
-      } catch (cacheError) {
-        console.error('Redis DEL error (Add Member):', cacheError);
+        ancestor = ancestor.parentId ? await prisma.collection.findUnique({ where: { id: ancestor.parentId } }) : null;
       }
+      data.parentId = parent ? parent.id : null;
     }
 
-    // MISSION: Automated Notifications
-    // Emit real-time notification via Socket.IO
-    if (userToAdd.id && vault) {
-      io.to(`user_${userToAdd.id}`).emit('notification', {
-        type: 'COLLABORATION',
-        message: `You have been added to the vault "${vault.name}" as a ${role}.`,
-        vaultId,
-        vaultName: vault.name
-      });
+    if (Object.keys(data).length === 0) {
+      return res.status(400).json({ success: false, error: 'No changes provided' });
     }
 
-    res.status(201).json({
+    const name = data.name || existing.name;
+    const parentId = data.parentId !== undefined ? data.parentId : existing.parentId;
+    const sibling = await prisma.collection.findFirst({
+      where: { vaultId, parentId, name, id: { not: collectionId } }
+    });
+    if (sibling) {
+      return res.status(409).json({ success: false, error: 'A collection with this name already exists here' });
+    }
+
+    const collection = await prisma.collection.update({
+      where: { id: collectionId },
+      data,
+      include: collectionSourceCount
+    });
+
+    await logAction(vaultId, req.user.id, 'COLLECTION_UPDATED', 'collection', collectionId, {
+      name: collection.name,
+      fields: Object.keys(data)
+    });
+
+    io.to(`vault_${vaultId}`).emit('collection:updated', formatCollection(collection));
+
+    res.json({
       success: true,
-      message: `User ${email} added as ${role}`
+      data: formatCollection(collection)
     });
   } catch (error) {
-    console.error('Add member error:', error);
-    res.status(500).json({ success: false, error: 'Failed to add member' });
+    console.error('Update collection error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update collection'
+    });
   }
 });
 
 /**
- * Download Source File
- * GET /sources/:id/download
+ * Delete Collection
+ * DELETE /vaults/:id/collections/:collectionId
+ *
+ * Its sources and subcollections move up to its parent. Only accessible by OWNER
+ * 409 when a subcollection would end up next to a sibling of the same name
  */
-app.get('/sources/:id/download', authenticateToken, async (req, res) => {
-  const sourceId = parseInt(req.params.id);
+app.delete('/vaults/:id/collections/:collectionId', authenticateToken, requireVaultRole(['OWNER']), async (req, res) => {
+  const vaultId = parseInt(req.params.id);
+  const collectionId = parseInt(req.params.collectionId);
 
   try {
-    // Get source and verify access
-    const source = await prisma.source.findUnique({
-      where: { id: sourceId },
-      include: { vault: true }
-    });
+    const existing = await prisma.collection.findFirst({ where: { id: collectionId, vaultId } });
+    if (!existing) {
+      return res.status(404).json({ success: false, error: 'Collection not found' });
+    }
 
-    if (!source) {
-      return res.status(404).json({ error: 'Source not found' });
+    const parentId = existing.parentId;
+    const children = await prisma.collection.findMany({
+      where: { parentId: collectionId },
+      select: { name: true }
+    });
+    const clashes = children.length === 0 ? [] : await prisma.collection.findMany({
+      where: { vaultId, parentId, id: { not: collectionId }, name: { in: children.map(child => child.name) } },
+      select: { name: true }
+    });
+    if (clashes.length > 0) {
+      return res.status(409).json({
+        success: false,
+        error: `Rename or move these subcollections first; their names are already taken where they would move: ${clashes.map(c => c.name).join(', ')}`
+      });
     }
 
-    // Verify user has access to vault
-    const membership = await prisma.vaultMember.findFirst({
-      where: {
-        vaultId: source.vaultId,
-        userId: req.user.id
-      }
+    const movedSources = await auditTransaction(async (tx) => {
+      const moved = await tx.source.updateMany({ where: { collectionId }, data: { collectionId: parentId } });
+      await tx.collection.updateMany({ where: { parentId: collectionId }, data: { parentId } });
+      await tx.collection.delete({ where: { id: collectionId } });
+
+      await recordAudit(tx, {
+        vaultId,
+        userId: req.user.id,
+        action: 'COLLECTION_DELETED',
+        resourceType: 'collection',
+        resourceId: collectionId,
+        metadata: { name: existing.name, movedSources: moved.count }
+      });
+
+      return moved.count;
     });
 
-    if (!membership) {
-      return res.status(403).json({ error: 'Access denied' });
-    }
+    await invalidateCache([`vault:${vaultId}:sources`], 'Delete Collection');
 
-    // Check if source is a file
-    if (source.type !== 'file' && source.type !== 'image') {
-      return res.status(400).json({ error: 'Source is not a file' });
-    }
+    io.to(`vault_${vaultId}`).emit('collection:deleted', { id: collectionId, vaultId, parentId });
 
-    // Serve file
-    if (source.content.startsWith('http')) {
-      // Cloudinary/External URL - redirect to it
-      return res.redirect(source.content);
-    }
+    res.json({
+      success: true,
+      data: { id: collectionId, parentId, movedSources }
+    });
+  } catch (error) {
+    console.error('Delete collection error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete collection'
+    });
+  }
+});
 
-    // Local file - content stores relative path like "/uploads/filename.ext"
-    const relativePath = source.content.startsWith('/') ? source.content.substring(1) : source.content;
-    const filePath = path.join(__dirname, relativePath);
+// ============================================================================
+// VAULT ARCHIVES
+// ============================================================================
 
-    if (!fs.existsSync(filePath)) {
-      return res.status(404).json({ error: 'File not found on server' });
+// Audit entries for a vault archive, in id order (see auditLogBatches)
+async function* auditLogPages(vaultId) {
+  for await (const page of auditLogBatches({ vaultId }, { include: auditLogInclude })) {
+    for (const log of page) {
+      yield {
+        action: log.action,
+        user: { name: log.user.name, email: log.user.email },
+        resourceType: log.resourceType,
+        resourceId: log.resourceId,
+        metadata: log.metadata ? JSON.parse(log.metadata) : null,
+        createdAt: log.createdAt.toISOString()
+      };
     }
+  }
+}
 
-    res.download(filePath, source.title); // Download with original title
+/**
+ * Export Vault
+ * GET /vaults/:id/export?style=apa&includeAudit=true
+ *
+ * Streams a ZIP with manifest.json, uploaded files, notes as Markdown, and the
+ * bibliography as BibTeX and in the chosen citation style (see archive.js).
+ * The audit log is included only for OWNERs who ask for it.
+ */
+app.get('/vaults/:id/export', authenticateToken, requireVaultRole(['OWNER', 'CONTRIBUTOR', 'VIEWER']), async (req, res) => {
+  const vaultId = parseInt(req.params.id);
+  const style = String(req.query.style || 'apa').toLowerCase();
+  const includeAudit = req.query.includeAudit === 'true';
+
+  if (!citations.listStyles().some(known => known.id === style)) {
+    return res.status(400).json({ success: false, error: `Unknown citation style "${style}"` });
+  }
+  if (includeAudit && req.userRole !== 'OWNER') {
+    return res.status(403).json({ success: false, error: 'Only the vault owner can export the audit log' });
+  }
+
+  let vault;
+  let sources;
+  let tags;
+  let collections;
+  try {
+    [vault, sources, tags, collections] = await Promise.all([
+      prisma.vault.findUnique({ where: { id: vaultId } }),
+      prisma.source.findMany({
+        where: { vaultId, deletedAt: null },
+        include: sourceInclude,
+        orderBy: { addedAt: 'asc' }
+      }),
+      prisma.tag.findMany({ where: { vaultId }, orderBy: { name: 'asc' } }),
+      prisma.collection.findMany({ where: { vaultId }, orderBy: { id: 'asc' } })
+    ]);
   } catch (error) {
-    console.error('Download error:', error);
-    res.status(500).json({ error: 'Failed to download file' });
+    console.error('Export vault error:', error);
+    return res.status(500).json({ success: false, error: 'Failed to export vault' });
+  }
+
+  await logAction(vaultId, req.user.id, 'VAULT_EXPORTED', 'vault', vaultId, {
+    sources: sources.length,
+    style,
+    includeAudit
+  });
+
+  const filename = `${archive.safeName(vault.name, 'vault')}-${new Date().toISOString().slice(0, 10)}.zip`;
+  res.setHeader('Content-Type', 'application/zip');
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+
+  try {
+    await archive.writeVaultArchive(res, {
+      vault,
+      sources,
+      tags,
+      collections,
+      style,
+      auditLogs: includeAudit ? auditLogPages(vaultId) : null,
+      uploadsDir
+    });
+  } catch (error) {
+    if (error.code === 'ABORTED') return;
+    // Headers are already sent; cutting the stream marks the download as failed
+    console.error('Export vault stream error:', error);
+    res.destroy(error);
   }
 });
 
 /**
- * Add Source to Vault
- * POST /vaults/:id/sources
- * Body: { title: string, url: string }
- * 
- * UPGRADED: Now uses PostgreSQL and enforces RBAC (OWNER/CONTRIBUTOR only)
+ * Import Vault Archive
+ * POST /vaults/import-archive
+ * Body: multipart with 'file' (ZIP from GET /vaults/:id/export) and optional name
+ *
+ * Creates a new vault owned by the caller with every source, tag, and collection from the archive.
+ * Sources keep their original dates; the original author is recorded in
+ * metadata.archive since accounts don't carry over between instances.
+ * Audit logs in the archive are not replayed.
  */
-app.post('/vaults/:id/sources',
-  authenticateToken,
-  requireVaultRole(['OWNER', 'CONTRIBUTOR']),
-  upload.single('file'), // Handle file upload
-  async (req, res) => {
-    const vaultId = parseInt(req.params.id);
-    // When using multer, text fields are in req.body, file is in req.file
-    const { title, url, type, content } = req.body;
-    const userId = req.user.id;
+app.post('/vaults/import-archive', authenticateToken, archiveUpload.single('file'), async (req, res) => {
+  const userId = req.user.id;
+  const savedFiles = [];
+  let reader = null;
+
+  if (!req.file) {
+    return res.status(400).json({ success: false, error: 'Archive file is required' });
+  }
 
-    // Validation
-    if (!title || title.trim().length === 0) {
+  try {
+    try {
+      reader = await archive.readVaultArchive(req.file.path);
+    } catch (readError) {
+      return res.status(400).json({ success: false, error: readError.message });
+    }
+
+    const { manifest } = reader;
+    const name = (req.body.name || manifest.vault.name || '').trim();
+    if (!name) {
+      return res.status(400).json({ success: false, error: 'Vault name is required' });
+    }
+    if (manifest.sources.length > MAX_ARCHIVE_SOURCES) {
       return res.status(400).json({
         success: false,
-        error: 'Source title is required'
+        error: `Archives may contain at most ${MAX_ARCHIVE_SOURCES} sources (found ${manifest.sources.length})`
       });
     }
 
-    // Determine source type and content
-    let sourceType = type || 'url'; // Default to URL for backward compatibility
-    let sourceContent = '';
-    let sourceMimeType = null;
-    let sourceSize = null;
+    const warnings = [];
+    const rows = [];
 
-    // Handle different types
-    if (sourceType === 'file' || sourceType === 'image') {
-      if (!req.file) {
-        return res.status(400).json({ success: false, error: 'File is required' });
+    for (const [index, entry] of manifest.sources.entries()) {
+      const label = entry && typeof entry.title === 'string' && entry.title ? `"${entry.title}"` : `source #${index + 1}`;
+      const { fields, dropped, error: entryError } = archive.readSourceEntry(entry);
+      if (entryError) {
+        warnings.push(`Skipped ${label}: ${entryError}`);
+        continue;
+      }
+      if (typeof entry.title !== 'string' || !entry.title.trim() || !ARCHIVE_SOURCE_TYPES.includes(entry.type)) {
+        warnings.push(`Skipped ${label}: missing title or unknown type`);
+        continue;
       }
+      Object.keys(dropped).forEach(field => warnings.push(`${label}: dropped ${field} (${dropped[field]})`));
 
-      // Simplify: Local Storage only
-      console.log('📦 Saving file to local storage.');
-      const filename = `${Date.now()}-${req.file.originalname.replace(/\s+/g, '_')}`;
-      const filePath = path.join(uploadsDir, filename);
+      const data = {
+        type: entry.type,
+        title: entry.title.trim().slice(0, 191),
+        content: fields.content,
+        mimeType: fields.mimeType,
+        size: fields.size,
+        addedAt: fields.addedAt,
+        capturedAt: fields.capturedAt,
+        metadata: JSON.stringify({
+          ...fields.metadata,
+          archive: { sourceId: entry.id, addedBy: fields.addedBy }
+        }),
+        // Archive ids, mapped to the new tags and collections below
+        collectionRef: entry.collectionId,
+        tagRefs: Array.isArray(entry.tagIds) ? entry.tagIds : []
+      };
 
-      try {
-        fs.writeFileSync(filePath, req.file.buffer);
-        sourceContent = `/uploads/${filename}`;
-        sourceMimeType = req.file.mimetype;
-        sourceSize = req.file.size;
-      } catch (localError) {
-        console.error('Local save error:', localError);
-        return res.status(500).json({ success: false, error: 'Failed to save file locally' });
+      if (entry.type === 'file' || entry.type === 'image') {
+        const stream = fields.file ? await reader.openEntry(fields.file) : null;
+        if (!stream) {
+          warnings.push(`Skipped ${label}: its file is not in the archive`);
+          continue;
+        }
+        const filename = `${Date.now()}-${archive.safeName(path.basename(fields.file), 'file')}`;
+        savedFiles.push(path.join(uploadsDir, filename));
+        await pipeline(stream, fs.createWriteStream(path.join(uploadsDir, filename)));
+        data.content = `/uploads/${filename}`;
+        data.extractionStatus = extraction.isExtractable(data.mimeType) ? 'pending' : null;
+      } else if ((entry.type === 'url' || entry.type === 'media') && !data.content) {
+        warnings.push(`Skipped ${label}: missing URL`);
+        continue;
+      } else if (entry.type === 'note' && !data.content) {
+        warnings.push(`Skipped ${label}: empty note`);
+        continue;
       }
-    } else if (sourceType === 'url' || sourceType === 'media') {
-      // For legacy clients sending only 'url'
-      sourceContent = content || url;
-      if (!sourceContent) {
-        return res.status(400).json({ success: false, error: 'URL is required' });
+      if (entry.type === 'url' || entry.type === 'media') {
+        data.url = data.content; // Maintained for backward compatibility
       }
-    } else if (sourceType === 'note') {
-      sourceContent = content;
-      if (!sourceContent) {
-        return res.status(400).json({ success: false, error: 'Note content is required' });
+
+      // Bibliographic fields go through the same validation as user input, keeping their origins
+      if (entry.bibliography && (typeof entry.bibliography !== 'object' || Array.isArray(entry.bibliography))) {
+        warnings.push(`${label}: dropped bibliography (must be an object)`);
+      } else if (entry.bibliography) {
+        const { origins: storedOrigins, ...bibliographyFields } = entry.bibliography;
+        const origins = storedOrigins && typeof storedOrigins === 'object' ? storedOrigins : {};
+        const provided = Object.fromEntries(Object.entries(bibliographyFields).filter(([, value]) => (
+          value !== null && !(Array.isArray(value) && value.length === 0)
+        )));
+        const { data: bibliographyData, errors } = bibliography.validateBibliography(provided);
+        Object.keys(errors).forEach(field => warnings.push(`${label}: dropped ${field} (${errors[field]})`));
+        if (bibliographyData.fieldOrigins) {
+          const keptOrigins = Object.fromEntries(Object.keys(bibliographyData)
+            .filter(field => field !== 'fieldOrigins')
+            .map(field => [field, origins[field] === 'auto' ? 'auto' : 'user']));
+          bibliographyData.fieldOrigins = JSON.stringify(keptOrigins);
+        }
+        Object.assign(data, bibliographyData);
       }
-    } else {
-      return res.status(400).json({ success: false, error: 'Invalid source type' });
+
+      rows.push(data);
     }
 
-    try {
-      // Create source and audit log in transaction
-      const source = await prisma.$transaction(async (tx) => {
-        const newSource = await tx.source.create({
-          data: {
-            vaultId: vaultId,
-            type: sourceType,
-            title: title.trim(),
-            content: sourceContent,
-            mimeType: sourceMimeType,
-            size: sourceSize,
-            // Maintained for backward compatibility
-            url: (sourceType === 'url' || sourceType === 'media') ? sourceContent : null,
-            addedBy: userId
-          },
-          include: {
-            creator: {
-              select: {
-                id: true,
-                name: true,
-                email: true
-              }
-            }
-          }
-        });
+    const namedEntries = (entries, kind) => (Array.isArray(entries) ? entries : []).filter((entry, index) => {
+      if (archive.isPlainObject(entry) && typeof entry.name === 'string' && entry.name.trim()) return true;
+      warnings.push(`Skipped ${kind} #${index + 1}: missing name`);
+      return false;
+    });
+    const manifestTags = namedEntries(manifest.tags, 'tag');
+    const manifestCollections = namedEntries(manifest.collections, 'collection');
 
-        // Create audit log
-        await tx.auditLog.create({
+    const { vault, sources } = await auditTransaction(async (tx) => {
+      const newVault = await tx.vault.create({
+        data: { name, ownerId: userId }
+      });
+
+      await tx.vaultMember.create({
+        data: { vaultId: newVault.id, userId, role: 'OWNER' }
+      });
+
+      const tagIds = new Map();
+      for (const tag of manifestTags) {
+        const tagName = tag.name.trim().slice(0, 50);
+        const known = [...tagIds.values()].find(existing => existing.name === tagName);
+        if (known) {
+          tagIds.set(tag.id, known);
+          continue;
+        }
+        const newTag = await tx.tag.create({
           data: {
-            vaultId: vaultId,
-            userId: userId,
-            action: 'SOURCE_ADDED',
-            resourceType: 'source',
-            resourceId: newSource.id,
-            metadata: JSON.stringify({
-              title: newSource.title,
-              type: newSource.type
-            })
+            vaultId: newVault.id,
+            name: tagName,
+            color: typeof tag.color === 'string' && HEX_COLOR.test(tag.color)
+              ? tag.color.toLowerCase()
+              : TAG_COLORS[tagIds.size % TAG_COLORS.length]
           }
         });
+        tagIds.set(tag.id, newTag);
+      }
 
-        return newSource;
-      });
-
-      // Invalidate vault sources cache
-      if (redisClient.isReady) {
-        try {
-          await redisClient.del(`vault:${vaultId}:sources`);
-        } catch (cacheError) {
-          console.error('Redis DEL error (Add Source):', cacheError);
+      // Parents before children; anything whose parent never appears lands at the top level.
+      // Sibling names stay unique as in POST /collections: a repeated name merges into the first
+      const collectionIds = new Map();
+      const siblingNames = new Map(); // new parent id (null at the top) -> Map of name -> new collection id
+      let pending = manifestCollections;
+      while (pending.length > 0) {
+        const ready = pending.filter(collection => collection.parentId == null || collectionIds.has(collection.parentId));
+        const batch = ready.length > 0 ? ready : [{ ...pending[0], parentId: null }];
+        for (const collection of batch) {
+          const parentId = collection.parentId == null ? null : collectionIds.get(collection.parentId);
+          const collectionName = collection.name.trim().slice(0, 100);
+          if (!siblingNames.has(parentId)) siblingNames.set(parentId, new Map());
+          const siblings = siblingNames.get(parentId);
+          if (siblings.has(collectionName)) {
+            warnings.push(`Merged collection "${collectionName}" into the one of the same name beside it`);
+            collectionIds.set(collection.id, siblings.get(collectionName));
+            continue;
+          }
+          const newCollection = await tx.collection.create({
+            data: { vaultId: newVault.id, parentId, name: collectionName }
+          });
+          siblings.set(collectionName, newCollection.id);
+          collectionIds.set(collection.id, newCollection.id);
         }
+        const done = new Set(batch.map(collection => collection.id));
+        pending = pending.filter(collection => !done.has(collection.id));
       }
 
-      // Emit WebSocket event to all vault members
-      io.to(`vault_${vaultId}`).emit('source:added', {
-        id: source.id,
-        vaultId: source.vaultId,
-        type: source.type,
-        title: source.title,
-        content: source.content,
-        mimeType: source.mimeType,
-        size: source.size,
-        addedBy: source.creator.name,
-        addedAt: source.addedAt.toISOString(),
-        url: source.url // Legacy compat
-      });
+      const created = [];
+      for (const { collectionRef, tagRefs, ...row } of rows) {
+        const sourceTagIds = [...new Set(tagRefs.filter(ref => tagIds.has(ref)).map(ref => tagIds.get(ref).id))];
+        created.push(await tx.source.create({
+          data: {
+            ...row,
+            vaultId: newVault.id,
+            addedBy: userId,
+            collectionId: collectionIds.get(collectionRef) || null,
+            tags: { create: sourceTagIds.map(tagId => ({ tagId })) },
+            ...initialVersion(row, userId)
+          },
+          select: { id: true, extractionStatus: true }
+        }));
+      }
 
-      res.status(201).json({
-        success: true,
-        data: {
-          id: source.id,
-          vaultId: source.vaultId,
-          type: source.type,
-          title: source.title,
-          content: source.content,
-          mimeType: source.mimeType,
-          size: source.size,
-          addedBy: source.creator.name,
-          addedAt: source.addedAt.toISOString(),
-          url: source.url
+      await recordAudit(tx, {
+        vaultId: newVault.id,
+        userId,
+        action: 'VAULT_IMPORTED',
+        resourceType: 'vault',
+        resourceId: newVault.id,
+        metadata: {
+          filename: req.file.originalname,
+          originalVault: manifest.vault.name,
+          exportedAt: manifest.exportedAt,
+          sources: created.length,
+          skipped: manifest.sources.length - created.length
         }
       });
-    } catch (error) {
-      console.error('Add source error:', error);
-      res.status(500).json({
-        success: false,
-        error: 'Failed to add source: ' + error.message
-      });
-    }
+
+      return { vault: newVault, sources: created };
+    }, { timeout: 120000 });
+
+    sources
+      .filter(source => source.extractionStatus === 'pending')
+      .forEach(source => queueExtraction(source.id));
+
+    await invalidateCache([`vaults:user:${userId}`], 'Import Archive');
+
+    const vaultData = {
+      id: vault.id,
+      name: vault.name,
+      role: 'OWNER',
+      createdAt: vault.createdAt.toISOString()
+    };
+    io.to(`user_${userId}`).emit('vault:created', vaultData);
+
+    res.status(201).json({
+      success: true,
+      data: {
+        vault: vaultData,
+        sources: sources.length,
+        warnings
+      }
+    });
+  } catch (error) {
+    console.error('Import archive error:', error);
+    await Promise.all(savedFiles.map(file => fs.promises.unlink(file).catch(() => {})));
+    res.status(500).json({
+      success: false,
+      error: 'Failed to import archive'
+    });
+  } finally {
+    if (reader) reader.close();
+    fs.promises.unlink(req.file.path).catch(() => {});
   }
-);
+});
 
 // ============================================================================
-// AUDIT LOG ENDPOINTS (Phase 6)
+// COLLABORATIVE NOTES
 // ============================================================================
 
 /**
- * Get Audit Logs for a Vault
- * GET /vaults/:id/audit
- * 
- * Only accessible by OWNER
+ * Open note documents (see collab.js). Saves write the Yjs state and mirror the
+ * text into Source.content, then refresh everyone's source list. When the last
+ * editor leaves, the session's changes become one version of the note and each
+ * user who changed it gets a NOTE_EDITED audit entry.
  */
-app.get('/vaults/:id/audit', authenticateToken, requireVaultRole(['OWNER']), async (req, res) => {
-  const vaultId = parseInt(req.params.id);
-
-  try {
-    const logs = await prisma.auditLog.findMany({
-      where: {
-        vaultId: vaultId
-      },
-      include: {
-        user: {
-          select: {
-            id: true,
-            name: true,
-            email: true
-          }
-        }
-      },
-      orderBy: {
-        createdAt: 'desc'
+const noteSessions = collab.createNoteSessions({
+  load: async (sourceId) => {
+    const source = await prisma.source.findUnique({
+      where: { id: sourceId },
+      include: { noteDocument: true }
+    });
+    if (!source) {
+      throw new Error(`Note ${sourceId} not found`);
+    }
+    await ensureBaseline(prisma, source);
+    return {
+      state: source.noteDocument ? source.noteDocument.state : null,
+      content: source.content
+    };
+  },
+  save: async (sourceId, { state, content, editors, closing }) => {
+    const source = await prisma.source.update({
+      where: { id: sourceId },
+      data: {
+        content,
+        noteDocument: { upsert: { create: { state }, update: { state } } }
       },
-      take: 100 // Limit to last 100 entries
+      include: sourceInclude
     });
 
-    const formattedLogs = logs.map(log => ({
-      id: log.id,
-      action: log.action,
-      user: log.user.name,
-      resourceType: log.resourceType,
-      resourceId: log.resourceId,
-      metadata: log.metadata ? JSON.parse(log.metadata) : null,
-      createdAt: log.createdAt.toISOString()
-    }));
+    await invalidateCache([`vault:${source.vaultId}:sources`], 'Save Note');
+    // A note moved to the trash mid-session still saves, but stays out of the lists
+    if (!source.deletedAt) {
+      io.to(`vault_${source.vaultId}`).emit('source:updated', formatSource(source));
+    }
 
-    res.json({
-      success: true,
-      data: formattedLogs
-    });
+    if (closing && editors.length > 0) {
+      const latest = await prisma.sourceVersion.findFirst({
+        where: { sourceId },
+        orderBy: { version: 'desc' },
+        select: { content: true }
+      });
+      if (!latest || latest.content !== content) {
+        await recordVersion(prisma, source, source, editors[0], 'note-edit', {
+          fields: ['content'],
+          collaborators: editors
+        });
+      }
+
+      for (const editorId of editors) {
+        await logAction(source.vaultId, editorId, 'NOTE_EDITED', 'source', sourceId, {
+          title: source.title,
+          collaborators: editors
+        });
+      }
+    }
+  }
+});
+
+/**
+ * Leave a note's editing session and tell the others to drop the user's cursor
+ */
+const leaveNote = async (socket, sourceId) => {
+  socket.data.notes.delete(sourceId);
+  socket.leave(`note_${sourceId}`);
+  try {
+    const removal = await noteSessions.leave(sourceId, socket.id);
+    if (removal) {
+      io.to(`note_${sourceId}`).emit('note:awareness', { sourceId, update: removal });
+    }
   } catch (error) {
-    console.error('Get audit logs error:', error);
-    res.status(500).json({
-      success: false,
-      error: 'Failed to fetch audit logs'
+    console.error('Note leave error:', error);
+  }
+};
+
+/**
+ * Take sockets out of every note of a vault they had open (access revoked or vault trashed)
+ */
+const leaveVaultNotes = async (sockets, vaultId) => {
+  for (const socket of sockets) {
+    if (!socket.data.notes) continue;
+    for (const [sourceId, note] of [...socket.data.notes]) {
+      if (note.vaultId === vaultId) await leaveNote(socket, sourceId);
+    }
+  }
+};
+
+/**
+ * Keep open editors in step with a role change (VIEWERs are read-only)
+ */
+const refreshNoteAccess = async (vaultId, userId, role) => {
+  const sockets = await io.in(`user_${userId}`).fetchSockets();
+  sockets.forEach(socket => {
+    if (!socket.data.notes) return;
+    socket.data.notes.forEach(note => {
+      if (note.vaultId === vaultId) note.canEdit = role !== 'VIEWER';
     });
+  });
+};
+
+// ============================================================================
+// PRESENCE
+// ============================================================================
+
+// Join, leave, and focus changes go to the vault room as presence:joined|left|updated
+const presence = createPresence({
+  onChange: (vaultId, event, payload) => {
+    io.to(`vault_${vaultId}`).emit(`presence:${event}`, { vaultId, ...payload });
   }
 });
 
+/**
+ * Who Is Online
+ * GET /vaults/:id/presence
+ *
+ * Returns [{ userId, name, since, tabs, sourceIds }]; tabs is 0 while a dropped
+ * connection is within its reconnect grace period
+ */
+app.get('/vaults/:id/presence', authenticateToken, requireVaultRole(['OWNER', 'CONTRIBUTOR', 'VIEWER']), (req, res) => {
+  res.json({
+    success: true,
+    data: presence.snapshot(parseInt(req.params.id))
+  });
+});
+
 // ============================================================================
 // WEBSOCKET SETUP (Phase 4)
 // ============================================================================
 
+/**
+ * Socket Authentication Middleware
+ * Requires the same JWT as authenticateToken (handshake auth.token or Bearer header)
+ */
+io.use((socket, next) => {
+  const authHeader = socket.handshake.headers['authorization'];
+  const token = socket.handshake.auth?.token || (authHeader && authHeader.split(' ')[1]);
+
+  if (!token) {
+    return next(new Error('Authentication required'));
+  }
+
+  verifyAccessToken(token)
+    .then((user) => {
+      socket.data.user = user; // { id, email, name, sid }
+      next();
+    })
+    .catch((err) => {
+      next(new Error(err.status ? err.message : 'Failed to verify session'));
+    });
+});
+
 io.on('connection', (socket) => {
-  console.log('Client connected:', socket.id);
+  const user = socket.data.user;
+  console.log(`Client connected: ${socket.id} (user ${user.id})`);
+
+  // Personal room always comes from the token, never from the client
+  socket.join(`user_${user.id}`);
 
-  // Join user's personal room
-  socket.on('join:user', (userId) => {
-    socket.join(`user_${userId}`);
-    console.log(`User ${userId} joined personal room`);
+  // Kept for older clients; the room is already joined on connect
+  socket.on('join:user', () => {
+    socket.join(`user_${user.id}`);
   });
 
-  // Join vault room
-  socket.on('join:vault', (vaultId) => {
-    socket.join(`vault_${vaultId}`);
-    console.log(`Socket ${socket.id} joined vault ${vaultId}`);
+  // Join vault room (members only)
+  socket.data.vaults = new Set(); // Vaults this socket is present in
+  socket.on('join:vault', async (vaultId, ack) => {
+    const respond = typeof ack === 'function' ? ack : () => {};
+
+    try {
+      const membership = await prisma.vaultMember.findFirst({
+        where: {
+          vaultId: parseInt(vaultId),
+          userId: user.id,
+          vault: { deletedAt: null }
+        }
+      });
+
+      if (!membership) {
+        console.log(`Socket ${socket.id} denied vault ${vaultId}`);
+        return respond({ success: false, error: 'You do not have access to this vault' });
+      }
+
+      socket.join(`vault_${membership.vaultId}`);
+      socket.data.vaults.add(membership.vaultId);
+      presence.join(membership.vaultId, user, socket.id);
+      console.log(`Socket ${socket.id} joined vault ${membership.vaultId}`);
+      respond({ success: true });
+    } catch (error) {
+      console.error('Socket join error:', error);
+      respond({ success: false, error: 'Failed to verify permissions' });
+    }
   });
 
   // Leave vault room
   socket.on('leave:vault', (vaultId) => {
     socket.leave(`vault_${vaultId}`);
+    socket.data.vaults.delete(parseInt(vaultId));
+    presence.leave(parseInt(vaultId), user.id, socket.id);
     console.log(`Socket ${socket.id} left vault ${vaultId}`);
   });
 
+  // The source this tab has open (null when none)
+  socket.on('presence:focus', async (payload) => {
+    const vaultId = parseInt(payload && payload.vaultId);
+    const sourceId = payload && payload.sourceId !== null ? parseInt(payload.sourceId) : null;
+    if (!socket.rooms.has(`vault_${vaultId}`) || Number.isNaN(sourceId)) return;
+
+    try {
+      if (sourceId !== null && !(await prisma.source.findFirst({ where: { id: sourceId, vaultId, deletedAt: null }, select: { id: true } }))) {
+        return;
+      }
+      presence.focus(vaultId, user.id, socket.id, sourceId);
+    } catch (error) {
+      console.error('Presence focus error:', error);
+    }
+  });
+
+  // Collaborative note editing: Yjs document and awareness updates relayed through note_<sourceId>
+  socket.data.notes = new Map(); // sourceId → { vaultId, canEdit }
+
+  socket.on('note:join', async (payload, ack) => {
+    const respond = typeof ack === 'function' ? ack : () => {};
+    const vaultId = parseInt(payload && payload.vaultId);
+    const sourceId = parseInt(payload && payload.sourceId);
+
+    try {
+      const [membership, source] = await Promise.all([
+        prisma.vaultMember.findFirst({ where: { vaultId, userId: user.id } }),
+        prisma.source.findFirst({ where: { id: sourceId, vaultId, deletedAt: null, vault: { deletedAt: null } }, select: { type: true } })
+      ]);
+
+      if (!membership) {
+        return respond({ success: false, error: 'You do not have access to this vault' });
+      }
+      if (!source || source.type !== 'note') {
+        return respond({ success: false, error: 'Note not found' });
+      }
+
+      const snapshot = await noteSessions.join(sourceId, socket.id);
+      const canEdit = membership.role !== 'VIEWER';
+      socket.data.notes.set(sourceId, { vaultId, canEdit });
+      socket.join(`note_${sourceId}`);
+      respond({ success: true, data: { ...snapshot, readOnly: !canEdit } });
+    } catch (error) {
+      console.error('Note join error:', error);
+      respond({ success: false, error: 'Failed to open note' });
+    }
+  });
+
+  socket.on('note:update', async (payload, ack) => {
+    const respond = typeof ack === 'function' ? ack : () => {};
+    const { sourceId, update } = payload || {};
+    const note = socket.data.notes.get(sourceId);
+
+    // Removed members are kicked out of the vault room, which also ends their edits here
+    if (!note || !socket.rooms.has(`vault_${note.vaultId}`)) {
+      return respond({ success: false, error: 'Join the note before editing it' });
+    }
+    if (!note.canEdit) {
+      return respond({ success: false, error: 'Viewers cannot edit notes' });
+    }
+
+    try {
+      await noteSessions.applyUpdate(sourceId, socket.id, update, user.id);
+      socket.to(`note_${sourceId}`).emit('note:update', { sourceId, update });
+      respond({ success: true });
+    } catch (error) {
+      console.error('Note update error:', error);
+      respond({ success: false, error: error.code === 'NOT_JOINED' ? error.message : 'Invalid note update' });
+    }
+  });
+
+  socket.on('note:awareness', async (payload) => {
+    const { sourceId, update } = payload || {};
+    const note = socket.data.notes.get(sourceId);
+    if (!note || !socket.rooms.has(`vault_${note.vaultId}`)) return;
+
+    try {
+      await noteSessions.applyAwareness(sourceId, socket.id, update);
+      socket.to(`note_${sourceId}`).emit('note:awareness', { sourceId, update });
+    } catch (error) {
+      console.error('Note awareness error:', error);
+    }
+  });
+
+  socket.on('note:leave', (sourceId) => {
+    if (socket.data.notes.has(sourceId)) {
+      leaveNote(socket, sourceId);
+    }
+  });
+
   socket.on('disconnect', () => {
     console.log('Client disconnected:', socket.id);
+    socket.data.notes.forEach((note, sourceId) => leaveNote(socket, sourceId));
+    // A dropped connection may come straight back (reload, network blip), so presence waits
+    socket.data.vaults.forEach(vaultId => presence.leave(vaultId, user.id, socket.id, { graceful: true }));
   });
 });
 
@@ -1071,11 +6609,16 @@ server.listen(PORT, () => {
   console.log(`   - Real RBAC enforcement`);
   console.log(`   - WebSocket support (Socket.IO)`);
   console.log(`   - Audit logging\n`);
+
+  resumePendingExtractions();
+  purgeTrash();
+  setInterval(purgeTrash, TRASH_PURGE_INTERVAL_MS);
 });
 
 // Graceful shutdown
 process.on('SIGINT', async () => {
   console.log('\n🛑 Shutting down gracefully...');
+  await noteSessions.flushAll();
   await prisma.$disconnect();
   process.exit(0);
 });
@@ -0,0 +1,380 @@
+/**
+ * SyncScript URL Metadata Fetcher
+ *
+ * Fetches a web page server-side and reads its canonical URL, <title>,
+ * OpenGraph / Twitter card tags, author, site name, publish date, and favicon.
+ *
+ * Safety limits:
+ * - Only http(s) URLs; at most MAX_REDIRECTS hops, each re-validated
+ * - Every resolved address is checked against private/reserved ranges and the
+ *   socket connects to that same address, so DNS rebinding can't slip past
+ * - Overall deadline (URL_FETCH_TIMEOUT_MS) and body cap (URL_FETCH_MAX_BYTES);
+ *   oversized pages are truncated, which still leaves the <head> to parse
+ *
+ * URL_FETCH_ALLOW_HOSTS lists host:port pairs exempt from the private-range check,
+ * e.g. "127.0.0.1:4010" for a local fixture server during development.
+ */
+
+const http = require('http');
+const https = require('https');
+const dns = require('dns');
+const net = require('net');
+
+const FETCH_TIMEOUT_MS = parseInt(process.env.URL_FETCH_TIMEOUT_MS || '5000');
+const MAX_RESPONSE_BYTES = parseInt(process.env.URL_FETCH_MAX_BYTES || String(1024 * 1024));
+const MAX_REDIRECTS = 5;
+const USER_AGENT = 'SyncScriptBot/1.0 (+metadata preview)';
+const ALLOWED_HOSTS = (process.env.URL_FETCH_ALLOW_HOSTS || '')
+  .split(',')
+  .map(host => host.trim().toLowerCase())
+  .filter(Boolean);
+
+const fetchError = (code, message) => Object.assign(new Error(message), { code });
+
+// ============================================================================
+// SSRF PROTECTION
+// ============================================================================
+
+const blockedRanges = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8],
+  ['169.254.0.0', 16], ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.0.2.0', 24],
+  ['192.168.0.0', 16], ['198.18.0.0', 15], ['198.51.100.0', 24], ['203.0.113.0', 24],
+  ['224.0.0.0', 4], ['240.0.0.0', 4]
+].forEach(([address, prefix]) => blockedRanges.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 128], ['::1', 128], ['64:ff9b::', 96], ['2001:db8::', 32],
+  ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([address, prefix]) => blockedRanges.addSubnet(address, prefix, 'ipv6'));
+
+// IPv4-mapped IPv6 (::ffff:127.0.0.1 or ::ffff:7f00:1) is checked as the IPv4 address
+const unmapIPv4 = (address) => {
+  const match = address.toLowerCase().match(/^::ffff:(?:(\d+\.\d+\.\d+\.\d+)|([0-9a-f]{1,4}):([0-9a-f]{1,4}))$/);
+  if (!match) return null;
+  if (match[1]) return match[1];
+  const high = parseInt(match[2], 16);
+  const low = parseInt(match[3], 16);
+  return [high >> 8, high & 255, low >> 8, low & 255].join('.');
+};
+
+const isPrivateAddress = (address) => {
+  const mapped = unmapIPv4(address);
+  if (mapped) return blockedRanges.check(mapped, 'ipv4');
+  const family = net.isIP(address);
+  if (family === 0) return true;
+  return blockedRanges.check(address, family === 4 ? 'ipv4' : 'ipv6');
+};
+
+// DNS lookup that refuses private results; the socket then connects to the checked address
+const guardedLookup = (hostname, options, callback) => {
+  dns.lookup(hostname, { ...options, all: true }, (err, addresses) => {
+    if (err) return callback(err);
+    if (addresses.some(entry => isPrivateAddress(entry.address))) {
+      return callback(fetchError('BLOCKED_ADDRESS', `${hostname} resolves to a private or reserved address`));
+    }
+    if (options.all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+};
+
+/**
+ * Parse and validate a user-supplied URL
+ * Throws INVALID_URL for anything but absolute http(s) URLs
+ */
+const parseUrl = (value) => {
+  let url;
+  try {
+    url = new URL(String(value).trim());
+  } catch (error) {
+    throw fetchError('INVALID_URL', 'Invalid URL');
+  }
+  if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+    throw fetchError('INVALID_URL', 'Only http and https URLs are supported');
+  }
+  if (url.username || url.password) {
+    throw fetchError('INVALID_URL', 'URLs with credentials are not supported');
+  }
+  return url;
+};
+
+const isAllowedHost = (url) => ALLOWED_HOSTS.includes(url.host.toLowerCase());
+
+// ============================================================================
+// FETCHING
+// ============================================================================
+
+const requestOnce = (url, signal) => new Promise((resolve, reject) => {
+  const fail = (error) => {
+    if (error.name === 'AbortError') {
+      reject(fetchError('TIMEOUT', `Timed out after ${FETCH_TIMEOUT_MS}ms`));
+    } else if (error.code === 'BLOCKED_ADDRESS') {
+      reject(error);
+    } else {
+      reject(fetchError('FETCH_FAILED', `Could not fetch page: ${error.message}`));
+    }
+  };
+
+  const allowPrivate = isAllowedHost(url);
+  const hostname = url.hostname.replace(/^\[|\]$/g, '');
+
+  // IP literals never hit the lookup hook, so check them up front
+  if (!allowPrivate && net.isIP(hostname) && isPrivateAddress(hostname)) {
+    return reject(fetchError('BLOCKED_ADDRESS', `${hostname} is a private or reserved address`));
+  }
+
+  const client = url.protocol === 'https:' ? https : http;
+  const req = client.get(url, {
+    signal,
+    lookup: allowPrivate ? undefined : guardedLookup,
+    headers: {
+      'User-Agent': USER_AGENT,
+      'Accept': 'text/html,application/xhtml+xml;q=0.9,*/*;q=0.1'
+    }
+  }, (res) => {
+    if (res.statusCode >= 300 && res.statusCode < 400 && res.headers.location) {
+      res.resume();
+      return resolve({ redirect: new URL(res.headers.location, url) });
+    }
+    if (res.statusCode >= 400) {
+      res.resume();
+      return reject(fetchError('HTTP_ERROR', `Page responded with HTTP ${res.statusCode}`));
+    }
+
+    const contentType = res.headers['content-type'] || '';
+    if (!/text\/html|application\/xhtml\+xml/i.test(contentType)) {
+      // Still a valid source (PDF, image, ...); there is just no markup to read
+      res.resume();
+      return resolve({ url, contentType, body: null });
+    }
+
+    const chunks = [];
+    let received = 0;
+    let finished = false;
+    const finish = () => {
+      if (finished) return;
+      finished = true;
+      resolve({ url, contentType, body: Buffer.concat(chunks) });
+    };
+
+    res.on('data', (chunk) => {
+      const remaining = MAX_RESPONSE_BYTES - received;
+      chunks.push(chunk.length > remaining ? chunk.subarray(0, remaining) : chunk);
+      received += chunk.length;
+      if (received >= MAX_RESPONSE_BYTES) {
+        finish();
+        res.destroy();
+      }
+    });
+    res.on('end', finish);
+    res.on('error', fail);
+  });
+
+  req.on('error', fail);
+});
+
+const decodeBody = (body, contentType) => {
+  const headerCharset = (contentType.match(/charset=["']?([\w-]+)/i) || [])[1];
+  const metaCharset = (body.subarray(0, 2048).toString('latin1').match(/<meta[^>]+charset=["']?([\w-]+)/i) || [])[1];
+  try {
+    return new TextDecoder(headerCharset || metaCharset || 'utf-8').decode(body);
+  } catch (error) {
+    return body.toString('utf8');
+  }
+};
+
+// ============================================================================
+// HTML PARSING
+// ============================================================================
+
+const NAMED_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ', ndash: '–', mdash: '—', hellip: '…', rsquo: '’', lsquo: '‘', rdquo: '”', ldquo: '“' };
+
+const decodeEntities = (text) => text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, name) => {
+  if (name[0] === '#') {
+    const code = name[1].toLowerCase() === 'x' ? parseInt(name.slice(2), 16) : parseInt(name.slice(1), 10);
+    return code > 0 && code <= 0x10ffff ? String.fromCodePoint(code) : entity;
+  }
+  return NAMED_ENTITIES[name.toLowerCase()] ?? entity;
+});
+
+const clean = (value, maxLength = 500) => {
+  if (!value) return null;
+  const text = decodeEntities(String(value)).replace(/\s+/g, ' ').trim();
+  return text ? text.slice(0, maxLength) : null;
+};
+
+const parseAttributes = (tag) => {
+  const attributes = {};
+  const pattern = /([a-zA-Z_:][-\w:.]*)\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'>]+))/g;
+  let match;
+  while ((match = pattern.exec(tag)) !== null) {
+    attributes[match[1].toLowerCase()] = match[2] ?? match[3] ?? match[4];
+  }
+  return attributes;
+};
+
+const absoluteUrl = (value, base) => {
+  if (!value) return null;
+  try {
+    const url = new URL(decodeEntities(value.trim()), base);
+    return url.protocol === 'http:' || url.protocol === 'https:' ? url.href : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+const toIsoDate = (value) => {
+  if (!value) return null;
+  const date = new Date(value);
+  return isNaN(date) ? null : date.toISOString();
+};
+
+// Pulls author / date fields out of schema.org JSON-LD blocks (Article, NewsArticle, ...)
+const readJsonLd = (html) => {
+  const result = { authors: [], publishedAt: null };
+  const pattern = /<script[^>]+type=["']application\/ld\+json["'][^>]*>([\s\S]*?)<\/script>/gi;
+  let match;
+
+  while ((match = pattern.exec(html)) !== null) {
+    let data;
+    try {
+      data = JSON.parse(match[1].trim());
+    } catch (error) {
+      continue;
+    }
+
+    const nodes = [].concat(data).flatMap(node => (node && node['@graph']) ? node['@graph'] : [node]);
+    nodes.forEach(node => {
+      if (!node || typeof node !== 'object') return;
+      if (!result.publishedAt && node.datePublished) {
+        result.publishedAt = toIsoDate(node.datePublished);
+      }
+      if (result.authors.length === 0 && node.author) {
+        result.authors = [].concat(node.author)
+          .map(author => (typeof author === 'string' ? author : author && author.name))
+          .map(name => clean(name, 200))
+          .filter(Boolean);
+      }
+    });
+  }
+
+  return result;
+};
+
+/**
+ * Extract metadata from an HTML document fetched from pageUrl
+ */
+const parseHtmlMetadata = (html, pageUrl) => {
+  const headEnd = html.search(/<\/head>/i);
+  const head = headEnd === -1 ? html : html.slice(0, headEnd);
+
+  const meta = {};
+  const metaValues = {}; // Keeps repeated tags such as citation_author
+  (head.match(/<meta\s[^>]*>/gi) || []).forEach(tag => {
+    const attributes = parseAttributes(tag);
+    const key = (attributes.property || attributes.name || attributes.itemprop || '').toLowerCase();
+    if (!key || attributes.content === undefined) return;
+    if (!(key in meta)) meta[key] = attributes.content;
+    (metaValues[key] = metaValues[key] || []).push(attributes.content);
+  });
+
+  const links = (head.match(/<link\s[^>]*>/gi) || []).map(parseAttributes);
+  const findLink = (...rels) => {
+    for (const rel of rels) {
+      const link = links.find(l => (l.rel || '').toLowerCase().split(/\s+/).includes(rel) && l.href);
+      if (link) return link.href;
+    }
+    return null;
+  };
+
+  const titleMatch = head.match(/<title[^>]*>([\s\S]*?)<\/title>/i);
+  const jsonLd = readJsonLd(html);
+
+  const pick = (...keys) => {
+    for (const key of keys) {
+      if (meta[key]) return meta[key];
+    }
+    return null;
+  };
+
+  const collect = (prefix) => Object.fromEntries(
+    Object.entries(meta)
+      .filter(([key]) => key.startsWith(prefix))
+      .slice(0, 30)
+      .map(([key, value]) => [key.slice(prefix.length), clean(value)])
+  );
+
+  const metaAuthors = (metaValues.citation_author || metaValues.author || metaValues['article:author'] || [])
+    .map(author => clean(author, 200))
+    .filter(author => author && !/^https?:\/\//i.test(author)); // article:author is often a profile URL
+
+  const htmlTitle = clean(titleMatch && titleMatch[1]);
+
+  return {
+    url: pageUrl.href,
+    canonicalUrl: absoluteUrl(findLink('canonical'), pageUrl) || absoluteUrl(meta['og:url'], pageUrl) || pageUrl.href,
+    title: clean(pick('citation_title', 'og:title', 'twitter:title')) || htmlTitle,
+    htmlTitle,
+    description: clean(pick('og:description', 'twitter:description', 'description'), 1000),
+    siteName: clean(pick('og:site_name', 'application-name', 'citation_journal_title'), 200),
+    authors: metaAuthors.length > 0 ? metaAuthors : jsonLd.authors,
+    publishedAt: toIsoDate(pick('citation_publication_date', 'article:published_time', 'og:published_time', 'date', 'dc.date', 'dcterms.created'))
+      || jsonLd.publishedAt,
+    image: absoluteUrl(pick('og:image', 'og:image:url', 'twitter:image', 'twitter:image:src'), pageUrl),
+    favicon: absoluteUrl(findLink('icon', 'shortcut', 'apple-touch-icon'), pageUrl) || new URL('/favicon.ico', pageUrl).href,
+    openGraph: collect('og:'),
+    twitter: collect('twitter:'),
+    // Highwire Press tags used by journals and repositories (Google Scholar conventions)
+    scholar: {
+      journal: clean(pick('citation_journal_title', 'citation_conference_title', 'citation_inbook_title'), 500),
+      volume: clean(pick('citation_volume'), 50),
+      issue: clean(pick('citation_issue'), 50),
+      firstPage: clean(pick('citation_firstpage'), 20),
+      lastPage: clean(pick('citation_lastpage'), 20),
+      doi: clean(pick('citation_doi', 'dc.identifier', 'prism.doi'), 255),
+      isbn: clean(pick('citation_isbn'), 20),
+      publisher: clean(pick('citation_publisher', 'dc.publisher'), 255),
+      abstract: clean(pick('citation_abstract'), 10000)
+    }
+  };
+};
+
+/**
+ * Fetch a page and return its metadata
+ * Rejects with an Error carrying `code`: INVALID_URL, BLOCKED_ADDRESS, TIMEOUT,
+ * HTTP_ERROR, TOO_MANY_REDIRECTS, or FETCH_FAILED
+ */
+const fetchUrlMetadata = async (value) => {
+  let url = parseUrl(value);
+  const controller = new AbortController();
+  const deadline = setTimeout(() => controller.abort(), FETCH_TIMEOUT_MS);
+
+  try {
+    for (let hop = 0; hop <= MAX_REDIRECTS; hop++) {
+      const response = await requestOnce(url, controller.signal);
+
+      if (response.redirect) {
+        url = parseUrl(response.redirect.href);
+        continue;
+      }
+
+      const metadata = response.body
+        ? parseHtmlMetadata(decodeBody(response.body, response.contentType), response.url)
+        : {
+          url: response.url.href,
+          canonicalUrl: response.url.href,
+          title: null,
+          authors: [],
+          publishedAt: null,
+          favicon: new URL('/favicon.ico', response.url).href
+        };
+
+      return { ...metadata, contentType: response.contentType || null, fetchedAt: new Date().toISOString() };
+    }
+
+    throw fetchError('TOO_MANY_REDIRECTS', `More than ${MAX_REDIRECTS} redirects`);
+  } finally {
+    clearTimeout(deadline);
+  }
+};
+
+module.exports = { fetchUrlMetadata, parseHtmlMetadata, isPrivateAddress, decodeEntities, parseAttributes };
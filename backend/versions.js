@@ -0,0 +1,93 @@
+/**
+ * SyncScript Source Versions
+ *
+ * Every change to a source's title, content (note text, link, or uploaded file),
+ * metadata, or bibliographic fields is kept as an immutable SourceVersion row
+ * holding a full snapshot of those fields, so any version can be shown, compared,
+ * or restored on its own. Uploaded files stay on disk while a version points at them.
+ */
+
+const { diffLines } = require('diff');
+const bibliography = require('./bibliography');
+
+// Source columns captured in the snapshot JSON (title and content have their own columns)
+const SNAPSHOT_FIELDS = ['metadata', ...bibliography.FIELD_NAMES, 'fieldOrigins'];
+const VERSIONED_FIELDS = ['title', 'content', 'mimeType', 'size', ...SNAPSHOT_FIELDS];
+
+/**
+ * SourceVersion columns for the current state of a source
+ */
+const snapshotOf = (source) => {
+  const snapshot = {};
+  SNAPSHOT_FIELDS.forEach(field => {
+    if (source[field] !== null && source[field] !== undefined) snapshot[field] = source[field];
+  });
+  return {
+    title: source.title,
+    content: source.content || source.url || null,
+    mimeType: source.mimeType,
+    size: source.size,
+    snapshot: JSON.stringify(snapshot)
+  };
+};
+
+/**
+ * Versioned fields that differ between two states of a source
+ */
+const changedFields = (before, after) => VERSIONED_FIELDS.filter(field =>
+  (before[field] ?? null) !== (after[field] ?? null)
+);
+
+/**
+ * Source update data that brings a source back to a version
+ */
+const restoreData = (version) => {
+  const snapshot = version.snapshot ? JSON.parse(version.snapshot) : {};
+  const data = {
+    title: version.title,
+    content: version.content,
+    mimeType: version.mimeType,
+    size: version.size
+  };
+  SNAPSHOT_FIELDS.forEach(field => {
+    data[field] = snapshot[field] ?? null;
+  });
+  return data;
+};
+
+const formatVersion = (version) => {
+  const fields = restoreData(version);
+  return {
+    id: version.id,
+    sourceId: version.sourceId,
+    version: version.version,
+    change: version.change,
+    title: version.title,
+    content: version.content,
+    mimeType: version.mimeType,
+    size: version.size,
+    metadata: fields.metadata ? JSON.parse(fields.metadata) : null,
+    bibliography: bibliography.formatBibliography(fields),
+    details: version.details ? JSON.parse(version.details) : {},
+    createdBy: version.createdBy.name,
+    createdById: version.createdById,
+    createdAt: version.createdAt.toISOString()
+  };
+};
+
+/**
+ * Line diff of two texts: [{ type: 'added' | 'removed' | 'unchanged', text }]
+ */
+const diffText = (before, after) => diffLines(before || '', after || '').map(part => ({
+  type: part.added ? 'added' : part.removed ? 'removed' : 'unchanged',
+  text: part.value
+}));
+
+module.exports = {
+  VERSIONED_FIELDS,
+  snapshotOf,
+  changedFields,
+  restoreData,
+  formatVersion,
+  diffText
+};
@@ -12,10 +12,80 @@
 import { useState, useEffect, useRef } from 'react';
 import { io } from 'socket.io-client';
 import Auth from './components/Auth';
+import Account from './components/Account';
+import BibliographyForm, { toFormValues, toPayload, emptyBibliography } from './components/BibliographyForm';
+import BookmarkFolderTree, { defaultSelection } from './components/BookmarkFolderTree';
+import VaultOrganizer, { collectionPath } from './components/VaultOrganizer';
+import SourceComments from './components/SourceComments';
+import SourceHistory from './components/SourceHistory';
+import TrashBin from './components/TrashBin';
+import TrashedVaults from './components/TrashedVaults';
+import LoadMore from './components/LoadMore';
+import NoteEditor from './components/NoteEditor';
+import PresenceAvatars, { Avatar } from './components/PresenceAvatars';
 import './App.css';
 
 const API_BASE_URL = 'http://localhost:3000';
 
+// Does a source belong in the list under the current tag / collection filter?
+const matchesOrganizationFilter = (source, filter) =>
+    (!filter.tag || source.tags.some((tag) => tag.id === filter.tag)) &&
+    (filter.collection === null ||
+        (filter.collection === 'none' ? source.collectionId === null : source.collectionId === filter.collection));
+
+// ...and under the type / added-by / date filters of the search bar (they narrow the list too)?
+const matchesListFilters = (source, filters) =>
+    (!filters.type || source.type === filters.type) &&
+    (!filters.addedBy || source.addedById === Number(filters.addedBy)) &&
+    (!filters.from || new Date(source.addedAt) >= new Date(filters.from)) &&
+    (!filters.to || new Date(source.addedAt) <= new Date(`${filters.to}T23:59:59.999`));
+
+// Does a live audit entry belong in the filtered Audit Log?
+const matchesAuditFilters = (log, filters) => {
+    const actions = filters.action.split(',').map(a => a.trim().toUpperCase()).filter(Boolean);
+    return (actions.length === 0 || actions.includes(log.action)) &&
+        (!filters.userId || log.userId === Number(filters.userId)) &&
+        (!filters.from || new Date(log.createdAt) >= new Date(filters.from)) &&
+        (!filters.to || new Date(log.createdAt) <= new Date(`${filters.to}T23:59:59.999`));
+};
+
+// Why GET /vaults/:id/audit/verify stopped
+const AUDIT_BREAKS = {
+    MISSING_ENTRIES: 'entries before it were deleted',
+    PREVIOUS_HASH_MISMATCH: 'it was inserted or moved',
+    HASH_MISMATCH: 'it was edited',
+    TRUNCATED: 'the latest entries were deleted'
+};
+const describeAuditBreak = (reason) => AUDIT_BREAKS[reason] || reason;
+
+// List orders; the value is "<sort>:<order>" as GET /vaults/:id/sources takes them
+const SOURCE_SORTS = [
+    { value: 'addedAt:desc', label: 'Newest first' },
+    { value: 'addedAt:asc', label: 'Oldest first' },
+    { value: 'title:asc', label: 'Title A–Z' },
+    { value: 'title:desc', label: 'Title Z–A' },
+    { value: 'type:asc', label: 'Type' }
+];
+
+// Same order as the server: the sort field, then the id
+const compareSources = (a, b, sortValue) => {
+    const [sort, order] = sortValue.split(':');
+    let diff = sort === 'addedAt'
+        ? new Date(a.addedAt) - new Date(b.addedAt)
+        : a[sort].localeCompare(b[sort], undefined, { sensitivity: 'base' });
+    if (diff === 0) diff = a.id - b.id;
+    return order === 'asc' ? diff : -diff;
+};
+
+// Puts a new or changed source where it sorts; one that sorts past the loaded pages
+// is left for the page that will bring it
+const placeSource = (list, source, sortValue, hasMore) => {
+    const rest = list.filter((s) => s.id !== source.id);
+    const index = rest.findIndex((s) => compareSources(source, s, sortValue) < 0);
+    if (index === -1) return hasMore ? rest : [...rest, source];
+    return [...rest.slice(0, index), source, ...rest.slice(index)];
+};
+
 function App() {
     // Authentication state
     const [user, setUser] = useState(null);
@@ -26,8 +96,16 @@ function App() {
     const [vaults, setVaults] = useState([]);
     const [selectedVault, setSelectedVault] = useState(null);
     const [sources, setSources] = useState([]);
+    const [sourceSort, setSourceSort] = useState('addedAt:desc');
+    const [sourcesPage, setSourcesPage] = useState({ nextCursor: null, total: 0 });
+    const [loadingMoreSources, setLoadingMoreSources] = useState(false);
     const [auditLogs, setAuditLogs] = useState([]);
+    const [auditFilters, setAuditFilters] = useState({ action: '', userId: '', from: '', to: '' });
+    const [auditCursor, setAuditCursor] = useState(null);
+    const [loadingMoreAudit, setLoadingMoreAudit] = useState(false);
+    const [auditCheck, setAuditCheck] = useState(null);
     const [showAudit, setShowAudit] = useState(false);
+    const [showTrash, setShowTrash] = useState(false);
     const [loading, setLoading] = useState(false);
     const [error, setError] = useState(null);
 
@@ -35,11 +113,22 @@ function App() {
     const [newVaultName, setNewVaultName] = useState('');
     const [newSourceTitle, setNewSourceTitle] = useState('');
     const [newSourceUrl, setNewSourceUrl] = useState('');
+    const [urlSuggestion, setUrlSuggestion] = useState(null); // Page metadata fetched for the URL being added
+    const [fetchingUrlMetadata, setFetchingUrlMetadata] = useState(false);
+
+    // Citation style for the Cite button ('bibtex' copies a BibTeX entry instead)
+    const [citationStyles, setCitationStyles] = useState([]);
+    const [citationStyle, setCitationStyle] = useState(localStorage.getItem('citationStyle') || 'apa');
 
     // Multi-type source states (v2.1)
     const [sourceType, setSourceType] = useState('url'); // url, file, note, media, image
     const [sourceFile, setSourceFile] = useState(null);
     const [noteContent, setNoteContent] = useState('');
+    const [newBibliography, setNewBibliography] = useState(emptyBibliography);
+    const [importFile, setImportFile] = useState(null); // .bib / .ris / CSL-JSON library or bookmark .html
+    const [importReport, setImportReport] = useState(null);
+    const [bookmarkPreview, setBookmarkPreview] = useState(null); // Folder tree of a bookmark export
+    const [selectedFolders, setSelectedFolders] = useState(new Set());
 
     // Case Study: Collaboration & Notifications states
     const [notifications, setNotifications] = useState([]);
@@ -47,18 +136,123 @@ function App() {
     const [memberEmail, setMemberEmail] = useState('');
     const [memberRole, setMemberRole] = useState('VIEWER');
 
+    // Source editing states
+    const [editingSourceId, setEditingSourceId] = useState(null);
+    const [editTitle, setEditTitle] = useState('');
+    const [editContent, setEditContent] = useState('');
+    const [editFile, setEditFile] = useState(null);
+    const [editBibliography, setEditBibliography] = useState(emptyBibliography);
+    const [editTagIds, setEditTagIds] = useState([]);
+    const [editCollectionId, setEditCollectionId] = useState('');
+    const [commentsSourceId, setCommentsSourceId] = useState(null); // Source whose discussion is open
+    const [openNoteId, setOpenNoteId] = useState(null); // Note open in the live editor
+    const [historySourceId, setHistorySourceId] = useState(null); // Source whose version history is open
+    const [presence, setPresence] = useState([]); // Who is online in the selected vault
+
+    // Tags & collections of the selected vault; the filter narrows the source list
+    const [tags, setTags] = useState([]);
+    const [collections, setCollections] = useState([]);
+    const [organizationFilter, setOrganizationFilter] = useState({ tag: null, collection: null });
+
+    // Participants state
+    const [members, setMembers] = useState([]);
+    const [invites, setInvites] = useState([]);
+
+    // Invitation link (?invite=<token>) waiting to be redeemed after login
+    const [pendingInvite, setPendingInvite] = useState(() => new URLSearchParams(window.location.search).get('invite'));
+
     // WebSocket state
     const [socket, setSocket] = useState(null);
     const [isConnected, setIsConnected] = useState(false);
 
+    // Search states (searchResults is null when no query is active)
+    const [searchQuery, setSearchQuery] = useState('');
+    const [searchFilters, setSearchFilters] = useState({ type: '', addedBy: '', from: '', to: '' });
+    const [searchResults, setSearchResults] = useState(null);
+    const [searching, setSearching] = useState(false);
+
+    // Account settings panel
+    const [showAccount, setShowAccount] = useState(false);
+
     // Ref to track current selected vault (for WebSocket callbacks)
     const selectedVaultRef = useRef(null);
 
+    // Latest access token for requests and socket handshakes (updated on refresh)
+    const tokenRef = useRef(null);
+    // In-flight refresh, shared so parallel 401s trigger a single rotation
+    const refreshPromiseRef = useRef(null);
+
     // Update ref when selectedVault changes
     useEffect(() => {
         selectedVaultRef.current = selectedVault;
     }, [selectedVault]);
 
+    // The source this tab has open, reported to the vault's presence list
+    const focusedSourceId = openNoteId ?? commentsSourceId ?? historySourceId ?? editingSourceId ?? null;
+    const focusedSourceRef = useRef(focusedSourceId);
+    useEffect(() => {
+        focusedSourceRef.current = focusedSourceId;
+    }, [focusedSourceId]);
+
+    // Socket handlers read the filter through a ref, like the selected vault
+    const organizationFilterRef = useRef(organizationFilter);
+    useEffect(() => {
+        organizationFilterRef.current = organizationFilter;
+    }, [organizationFilter]);
+
+    // ...and the list's order, filters, and whether more pages follow
+    const sourceListRef = useRef({ sort: sourceSort, filters: searchFilters, hasMore: false });
+    useEffect(() => {
+        sourceListRef.current = { sort: sourceSort, filters: searchFilters, hasMore: sourcesPage.nextCursor !== null };
+    }, [sourceSort, searchFilters, sourcesPage]);
+    const auditFiltersRef = useRef(auditFilters);
+    useEffect(() => {
+        auditFiltersRef.current = auditFilters;
+    }, [auditFilters]);
+    // ...and the sources loaded so far, to keep meta.total in step with live changes
+    const sourcesRef = useRef(sources);
+    useEffect(() => {
+        sourcesRef.current = sources;
+    }, [sources]);
+    // Bumped by every fresh fetch so pages of an outdated list are dropped
+    const sourcesRequestRef = useRef(0);
+    const auditRequestRef = useRef(0);
+
+    // Does a source belong in the current list?
+    const inSourceList = (source) => matchesOrganizationFilter(source, organizationFilterRef.current) &&
+        matchesListFilters(source, sourceListRef.current.filters);
+
+    const changeSourceTotal = (delta) => {
+        if (delta !== 0) setSourcesPage(page => ({ ...page, total: page.total + delta }));
+    };
+
+    // Take a source out of the list, counting it once whether the API response or the
+    // socket event gets here first (the ref is updated now, not after the next render)
+    const removeLoadedSource = (id) => {
+        if (!sourcesRef.current.some(s => s.id === id)) return;
+        sourcesRef.current = sourcesRef.current.filter(s => s.id !== id);
+        setSources(prev => prev.filter(s => s.id !== id));
+        changeSourceTotal(-1);
+    };
+
+    /**
+     * Put a changed source where it now belongs in the list, or take it out. Only a
+     * source that was loaded is known to have been counted; with every page loaded,
+     * one that was not is new to the list.
+     */
+    const applySourceUpdate = (source) => {
+        const wasLoaded = sourcesRef.current.some(s => s.id === source.id);
+        const { sort, hasMore } = sourceListRef.current;
+        if (!inSourceList(source)) {
+            if (!wasLoaded) return;
+            setSources(prev => prev.filter(s => s.id !== source.id));
+            changeSourceTotal(-1);
+            return;
+        }
+        setSources(prev => placeSource(prev, source, sort, hasMore));
+        if (!wasLoaded && !hasMore) changeSourceTotal(1);
+    };
+
     /**
      * Check for existing auth on mount
      */
@@ -67,6 +261,7 @@ function App() {
         const storedUser = localStorage.getItem('user');
 
         if (storedToken && storedUser) {
+            tokenRef.current = storedToken;
             setToken(storedToken);
             setUser(JSON.parse(storedUser));
             setIsAuthenticated(true);
@@ -79,12 +274,40 @@ function App() {
     useEffect(() => {
         if (!isAuthenticated || !user) return;
 
-        const newSocket = io(API_BASE_URL);
+        // Server authenticates the handshake and joins our personal room from the token.
+        // auth is a callback so every (re)connect sends the latest access token.
+        const newSocket = io(API_BASE_URL, {
+            auth: (cb) => cb({ token: tokenRef.current })
+        });
+        let authRetried = false;
 
         newSocket.on('connect', () => {
             console.log('✅ WebSocket connected');
             setIsConnected(true);
-            newSocket.emit('join:user', user.id);
+            authRetried = false;
+            // Rooms are per connection: rejoin the open vault after a reconnect
+            if (selectedVaultRef.current) {
+                const vaultId = selectedVaultRef.current.id;
+                newSocket.emit('join:vault', vaultId, (res) => {
+                    if (res && res.success) {
+                        newSocket.emit('presence:focus', { vaultId, sourceId: focusedSourceRef.current });
+                        fetchPresence(vaultId);
+                    }
+                });
+            }
+        });
+
+        newSocket.on('connect_error', (err) => {
+            console.error('❌ WebSocket rejected:', err.message);
+            setIsConnected(false);
+
+            // Expired access token: refresh once, then retry the handshake
+            if (!authRetried && (err.message === 'Invalid or expired token' || err.message === 'Session has been revoked')) {
+                authRetried = true;
+                refreshSession()
+                    .then(() => newSocket.connect())
+                    .catch(() => handleLogout());
+            }
         });
 
         newSocket.on('disconnect', () => {
@@ -95,7 +318,72 @@ function App() {
         // Listen for vault created event
         newSocket.on('vault:created', (vault) => {
             console.log('📦 Vault created:', vault);
-            setVaults(prev => [...prev, vault]);
+            // Also sent when a vault comes back from the trash
+            setVaults(prev => prev.some(v => v.id === vault.id) ? prev : [...prev, vault]);
+        });
+
+        // Listen for vault renamed event
+        newSocket.on('vault:updated', (vault) => {
+            console.log('✏️ Vault updated:', vault);
+            setVaults(prev => prev.map(v => v.id === vault.id ? { ...v, name: vault.name } : v));
+            setSelectedVault(prev => prev && prev.id === vault.id ? { ...prev, name: vault.name } : prev);
+        });
+
+        // Listen for vault deleted event
+        newSocket.on('vault:deleted', (vault) => {
+            console.log('🗑️ Vault deleted:', vault);
+            dropVault(vault.id);
+        });
+
+        // Listen for ownership transfer event
+        newSocket.on('vault:transferred', (transfer) => {
+            console.log('🔑 Vault transferred:', transfer);
+            const roleFor = (v) => {
+                if (transfer.ownerId === user.id) return 'OWNER';
+                if (transfer.previousOwnerId === user.id) return 'CONTRIBUTOR';
+                return v.role;
+            };
+            setVaults(prev => prev.map(v => v.id === transfer.id ? { ...v, role: roleFor(v) } : v));
+            setSelectedVault(prev => prev && prev.id === transfer.id ? { ...prev, role: roleFor(prev) } : prev);
+            if (transfer.previousOwnerId === user.id) {
+                setShowAudit(false);
+            }
+            if (selectedVaultRef.current && selectedVaultRef.current.id === transfer.id) {
+                fetchMembers(transfer.id);
+            }
+        });
+
+        // Participants: live membership changes
+        newSocket.on('member:added', (member) => {
+            console.log('👥 Member added:', member);
+            const currentVault = selectedVaultRef.current;
+            if (currentVault && member.vaultId === currentVault.id) {
+                setMembers(prev => prev.some(m => m.userId === member.userId) ? prev : [...prev, member]);
+            }
+        });
+
+        newSocket.on('member:updated', (member) => {
+            console.log('👥 Member updated:', member);
+            if (member.userId === user.id) {
+                setVaults(prev => prev.map(v => v.id === member.vaultId ? { ...v, role: member.role } : v));
+                setSelectedVault(prev => prev && prev.id === member.vaultId ? { ...prev, role: member.role } : prev);
+            }
+            const currentVault = selectedVaultRef.current;
+            if (currentVault && member.vaultId === currentVault.id) {
+                setMembers(prev => prev.map(m => m.userId === member.userId ? { ...m, role: member.role } : m));
+            }
+        });
+
+        newSocket.on('member:removed', (member) => {
+            console.log('👥 Member removed:', member);
+            if (member.userId === user.id) {
+                dropVault(member.vaultId);
+                return;
+            }
+            const currentVault = selectedVaultRef.current;
+            if (currentVault && member.vaultId === currentVault.id) {
+                setMembers(prev => prev.filter(m => m.userId !== member.userId));
+            }
         });
 
         // Listen for source added event
@@ -104,17 +392,108 @@ function App() {
             // Use ref to get current selectedVault value
             const currentVault = selectedVaultRef.current;
             if (currentVault && source.vaultId === currentVault.id) {
+                fetchOrganization(currentVault.id);
+                // Prevent duplicates
+                if (!inSourceList(source) || sourcesRef.current.some(s => s.id === source.id)) return;
+                const { sort, hasMore } = sourceListRef.current;
+                setSources(prev => prev.some(s => s.id === source.id) ? prev : placeSource(prev, source, sort, hasMore));
+                changeSourceTotal(1);
+            }
+        });
+
+        // Listen for batch imports (one event per imported file)
+        newSocket.on('sources:imported', ({ vaultId, sources: imported }) => {
+            console.log(`📚 ${imported.length} sources imported`);
+            const currentVault = selectedVaultRef.current;
+            if (currentVault && vaultId === currentVault.id) {
+                fetchOrganization(currentVault.id);
+                const loaded = new Set(sourcesRef.current.map(s => s.id));
+                const added = imported.filter(s => inSourceList(s) && !loaded.has(s.id));
+                const { sort, hasMore } = sourceListRef.current;
                 setSources(prev => {
-                    // Prevent duplicates
-                    const exists = prev.some(s => s.id === source.id);
-                    if (!exists) {
-                        return [...prev, source];
-                    }
-                    return prev;
+                    const known = new Set(prev.map(s => s.id));
+                    return added.filter(s => !known.has(s.id)).reduce((list, s) => placeSource(list, s, sort, hasMore), prev);
                 });
+                changeSourceTotal(added.length);
+            }
+        });
+
+        // Listen for source updated event
+        newSocket.on('source:updated', (source) => {
+            console.log('✏️ Source updated:', source);
+            const currentVault = selectedVaultRef.current;
+            if (currentVault && source.vaultId === currentVault.id) {
+                fetchOrganization(currentVault.id);
+                // Retagging or refiling can move a source into or out of the filtered list,
+                // and a new title can move it within the order
+                applySourceUpdate(source);
+            }
+        });
+
+        // Listen for source deleted event
+        newSocket.on('source:deleted', ({ id, vaultId }) => {
+            console.log('🗑️ Source deleted:', id);
+            const currentVault = selectedVaultRef.current;
+            if (currentVault && vaultId === currentVault.id) {
+                fetchOrganization(currentVault.id);
+                removeLoadedSource(id);
+            }
+        });
+
+        // Tags & collections: counts and names come from a refetch; renames, deletions,
+        // and moved sources also change the source list
+        ['tag:created', 'collection:created', 'collection:updated'].forEach((event) => {
+            newSocket.on(event, ({ vaultId }) => {
+                const currentVault = selectedVaultRef.current;
+                if (currentVault && vaultId === currentVault.id) {
+                    fetchOrganization(currentVault.id);
+                }
+            });
+        });
+
+        ['tag:updated', 'tag:deleted', 'collection:deleted'].forEach((event) => {
+            newSocket.on(event, ({ id, vaultId }) => {
+                console.log(`🏷️ ${event}:`, id);
+                const currentVault = selectedVaultRef.current;
+                if (!currentVault || vaultId !== currentVault.id) return;
+
+                const filter = organizationFilterRef.current;
+                if ((event === 'tag:deleted' && filter.tag === id) || (event === 'collection:deleted' && filter.collection === id)) {
+                    // The filter's target is gone; the effect on organizationFilter refetches sources
+                    setOrganizationFilter(prev => ({ ...prev, [event === 'tag:deleted' ? 'tag' : 'collection']: null }));
+                } else {
+                    fetchSources(currentVault.id);
+                }
+                fetchOrganization(currentVault.id);
+            });
+        });
+
+        // Presence: one entry per user, replaced whole on every change
+        ['presence:joined', 'presence:updated'].forEach((event) => {
+            newSocket.on(event, ({ vaultId, ...entry }) => {
+                const currentVault = selectedVaultRef.current;
+                if (!currentVault || vaultId !== currentVault.id) return;
+                setPresence(prev => prev.some(p => p.userId === entry.userId)
+                    ? prev.map(p => p.userId === entry.userId ? entry : p)
+                    : [...prev, entry]);
+            });
+        });
+
+        newSocket.on('presence:left', ({ vaultId, userId }) => {
+            const currentVault = selectedVaultRef.current;
+            if (currentVault && vaultId === currentVault.id) {
+                setPresence(prev => prev.filter(p => p.userId !== userId));
             }
         });
 
+        // New audit entries of vaults this user owns, newest first like the Audit Log
+        newSocket.on('audit:created', (log) => {
+            const currentVault = selectedVaultRef.current;
+            if (!currentVault || log.vaultId !== currentVault.id) return;
+            if (!matchesAuditFilters(log, auditFiltersRef.current)) return;
+            setAuditLogs(prev => prev.some(l => l.id === log.id) ? prev : [log, ...prev]);
+        });
+
         // MISSION: Automated Notifications
         newSocket.on('notification', (notif) => {
             console.log('🔔 Notification received:', notif);
@@ -143,13 +522,29 @@ function App() {
      */
     useEffect(() => {
         if (socket && selectedVault) {
-            socket.emit('join:vault', selectedVault.id);
+            socket.emit('join:vault', selectedVault.id, (res) => {
+                if (res && !res.success) {
+                    console.error('❌ Vault room refused:', res.error);
+                    return;
+                }
+                socket.emit('presence:focus', { vaultId: selectedVault.id, sourceId: focusedSourceRef.current });
+                fetchPresence(selectedVault.id);
+            });
             return () => {
                 socket.emit('leave:vault', selectedVault.id);
             };
         }
     }, [socket, selectedVault]);
 
+    /**
+     * Report which source this tab has open
+     */
+    useEffect(() => {
+        if (socket && selectedVault) {
+            socket.emit('presence:focus', { vaultId: selectedVault.id, sourceId: focusedSourceId });
+        }
+    }, [socket, selectedVault?.id, focusedSourceId]);
+
     /**
      * Polling fallback (every 30 seconds if WebSocket disconnected)
      */
@@ -167,35 +562,179 @@ function App() {
         return () => clearInterval(pollInterval);
     }, [isAuthenticated, isConnected, selectedVault]);
 
+    /**
+     * Debounced vault search (300ms after the last keystroke or filter change)
+     */
+    useEffect(() => {
+        if (!selectedVault || searchQuery.trim().length < 2) {
+            setSearchResults(null);
+            return;
+        }
+
+        let cancelled = false;
+        const handle = setTimeout(async () => {
+            const params = new URLSearchParams({ q: searchQuery });
+            if (searchFilters.type) params.set('type', searchFilters.type);
+            if (searchFilters.addedBy) params.set('addedBy', searchFilters.addedBy);
+            if (searchFilters.from) params.set('from', searchFilters.from);
+            if (searchFilters.to) params.set('to', `${searchFilters.to}T23:59:59.999`);
+            if (organizationFilter.tag) params.set('tag', organizationFilter.tag);
+            if (organizationFilter.collection) params.set('collection', organizationFilter.collection);
+
+            setSearching(true);
+            try {
+                const data = await apiCall(`/vaults/${selectedVault.id}/search?${params}`);
+                if (!cancelled) setSearchResults(data.data);
+            } catch (err) {
+                console.error('Search error:', err);
+                if (!cancelled) setError(err.message || 'Search failed');
+            } finally {
+                if (!cancelled) setSearching(false);
+            }
+        }, 300);
+
+        return () => {
+            cancelled = true;
+            clearTimeout(handle);
+        };
+    }, [searchQuery, searchFilters, organizationFilter, selectedVault?.id]);
+
+    /**
+     * Reload the source list when its order or the tag / collection, type, added-by, or date filter changes
+     */
+    useEffect(() => {
+        if (selectedVault) {
+            fetchSources(selectedVault.id);
+        }
+    }, [organizationFilter, searchFilters, sourceSort]);
+
+    /**
+     * Redeem an invitation link once the user is logged in
+     */
+    useEffect(() => {
+        if (!isAuthenticated || !pendingInvite) return;
+
+        const acceptInvite = async () => {
+            try {
+                const data = await apiCall(`/invites/${pendingInvite}/accept`, { method: 'POST' });
+                fetchVaults();
+                handleVaultSelect(data.data);
+            } catch (err) {
+                console.error('Accept invite error:', err);
+                setError(err.message || 'Failed to accept invitation');
+            } finally {
+                setPendingInvite(null);
+                window.history.replaceState(null, '', window.location.pathname);
+            }
+        };
+
+        acceptInvite();
+    }, [isAuthenticated, pendingInvite]);
+
     /**
      * Fetch vaults on auth
      */
     useEffect(() => {
         if (isAuthenticated) {
             fetchVaults();
+            fetchCitationStyles();
         }
     }, [isAuthenticated]);
 
+    useEffect(() => {
+        localStorage.setItem('citationStyle', citationStyle);
+    }, [citationStyle]);
+
     /**
-     * API Helper with JWT
+     * Store a fresh token pair (login, register, or refresh)
      */
-    const apiCall = async (endpoint, options = {}) => {
-        const headers = {
-            'Content-Type': 'application/json',
-            'Authorization': `Bearer ${token}`,
-            ...options.headers
-        };
+    const storeTokens = (accessToken, refreshToken) => {
+        localStorage.setItem('token', accessToken);
+        if (refreshToken) {
+            localStorage.setItem('refreshToken', refreshToken);
+        }
+        tokenRef.current = accessToken;
+        setToken(accessToken);
+    };
+
+    /**
+     * Exchange the refresh token for a new token pair
+     */
+    const refreshSession = () => {
+        if (!refreshPromiseRef.current) {
+            refreshPromiseRef.current = (async () => {
+                const refreshToken = localStorage.getItem('refreshToken');
+                const response = refreshToken && await fetch(`${API_BASE_URL}/auth/refresh`, {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ refreshToken })
+                });
+                const data = response ? await response.json() : {};
+
+                if (!data.success) {
+                    // Another tab may have rotated the token first: adopt its result
+                    const latestToken = localStorage.getItem('token');
+                    if (latestToken && latestToken !== tokenRef.current) {
+                        tokenRef.current = latestToken;
+                        setToken(latestToken);
+                        return latestToken;
+                    }
+                    throw new Error('Session expired. Please login again.');
+                }
 
-        const response = await fetch(`${API_BASE_URL}${endpoint}`, {
+                storeTokens(data.data.token, data.data.refreshToken);
+                return data.data.token;
+            })().finally(() => {
+                refreshPromiseRef.current = null;
+            });
+        }
+        return refreshPromiseRef.current;
+    };
+
+    /**
+     * Authenticated fetch: refreshes the access token once on 401/403 token errors
+     */
+    const authFetch = async (endpoint, options = {}) => {
+        const isFormData = options.body instanceof FormData;
+        const send = (accessToken) => fetch(`${API_BASE_URL}${endpoint}`, {
             ...options,
-            headers
+            headers: {
+                // Content-Type left blank for FormData so the browser sets the boundary
+                ...(isFormData ? {} : { 'Content-Type': 'application/json' }),
+                'Authorization': `Bearer ${accessToken}`,
+                ...options.headers
+            }
         });
 
-        if (response.status === 401) {
-            handleLogout();
-            throw new Error('Session expired. Please login again.');
+        const isTokenFailure = async (res) => {
+            if (res.status === 401) return true;
+            if (res.status !== 403) return false;
+            const body = await res.clone().json().catch(() => ({}));
+            return body.code === 'TOKEN_INVALID';
+        };
+
+        let response = await send(tokenRef.current);
+
+        if (await isTokenFailure(response)) {
+            let newToken;
+            try {
+                newToken = await refreshSession();
+            } catch (err) {
+                handleLogout();
+                throw err;
+            }
+            response = await send(newToken);
         }
 
+        return response;
+    };
+
+    /**
+     * API Helper with JWT
+     */
+    const apiCall = async (endpoint, options = {}) => {
+        const response = await authFetch(endpoint, options);
+
         const data = await response.json();
 
         if (data.success === false) {
@@ -209,20 +748,32 @@ function App() {
      * Authentication handlers
      */
     const handleAuthSuccess = (userData, authToken) => {
+        tokenRef.current = authToken;
         setUser(userData);
         setToken(authToken);
         setIsAuthenticated(true);
     };
 
     const handleLogout = () => {
+        // Revoke the session server-side; local state is cleared regardless
+        if (tokenRef.current) {
+            fetch(`${API_BASE_URL}/auth/logout`, {
+                method: 'POST',
+                headers: { 'Authorization': `Bearer ${tokenRef.current}` }
+            }).catch(() => {});
+        }
+
         localStorage.removeItem('token');
+        localStorage.removeItem('refreshToken');
         localStorage.removeItem('user');
+        tokenRef.current = null;
         setUser(null);
         setToken(null);
         setIsAuthenticated(false);
         setVaults([]);
         setSelectedVault(null);
         setSources([]);
+        setShowAccount(false);
         if (socket) {
             socket.disconnect();
         }
@@ -244,32 +795,203 @@ function App() {
     };
 
     /**
-     * Fetch sources for selected vault
+     * Fetch sources for selected vault: the first page, or the page after `cursor`
      */
-    const fetchSources = async (vaultId) => {
+    const fetchSources = async (vaultId, cursor = null) => {
+        const request = cursor ? sourcesRequestRef.current : ++sourcesRequestRef.current;
         try {
-            const data = await apiCall(`/vaults/${vaultId}/sources`);
-            if (data.success) {
-                setSources(data.data);
-            }
+            const filter = organizationFilterRef.current;
+            const { sort: sortValue, filters } = sourceListRef.current;
+            const [sort, order] = sortValue.split(':');
+            const params = new URLSearchParams({ sort, order });
+            if (filter.tag) params.set('tag', filter.tag);
+            if (filter.collection) params.set('collection', filter.collection);
+            if (filters.type) params.set('type', filters.type);
+            if (filters.addedBy) params.set('addedBy', filters.addedBy);
+            if (filters.from) params.set('from', filters.from);
+            if (filters.to) params.set('to', `${filters.to}T23:59:59.999`);
+            if (cursor) params.set('cursor', cursor);
+
+            const data = await apiCall(`/vaults/${vaultId}/sources?${params}`);
+            if (!data.success || request !== sourcesRequestRef.current) return;
+            setSources(prev => {
+                if (!cursor) return data.data;
+                const known = new Set(prev.map(s => s.id));
+                return [...prev, ...data.data.filter(s => !known.has(s.id))];
+            });
+            setSourcesPage({ nextCursor: data.meta.nextCursor, total: data.meta.total });
         } catch (err) {
             console.error('Error fetching sources:', err);
             setError('Failed to load sources');
         }
     };
 
+    const loadMoreSources = async () => {
+        if (!selectedVault || !sourcesPage.nextCursor || loadingMoreSources) return;
+        setLoadingMoreSources(true);
+        await fetchSources(selectedVault.id, sourcesPage.nextCursor);
+        setLoadingMoreSources(false);
+    };
+
     /**
-     * Fetch audit logs (OWNER only)
+     * Fetch tags and collections (with source counts) for selected vault
      */
-    const fetchAuditLogs = async (vaultId) => {
+    const fetchOrganization = async (vaultId) => {
         try {
-            const data = await apiCall(`/vaults/${vaultId}/audit`);
-            if (data.success) {
-                setAuditLogs(data.data);
+            const [tagData, collectionData] = await Promise.all([
+                apiCall(`/vaults/${vaultId}/tags`),
+                apiCall(`/vaults/${vaultId}/collections`)
+            ]);
+            if (selectedVaultRef.current && selectedVaultRef.current.id !== vaultId) return;
+            if (tagData.success) setTags(tagData.data);
+            if (collectionData.success) setCollections(collectionData.data);
+        } catch (err) {
+            console.error('Error fetching tags and collections:', err);
+            setError('Failed to load tags and collections');
+        }
+    };
+
+    /**
+     * Fetch who is online in a vault
+     */
+    const fetchPresence = async (vaultId) => {
+        try {
+            const data = await apiCall(`/vaults/${vaultId}/presence`);
+            if (data.success && selectedVaultRef.current && selectedVaultRef.current.id === vaultId) {
+                setPresence(data.data);
             }
+        } catch (err) {
+            console.error('Error fetching presence:', err);
+        }
+    };
+
+    /**
+     * Fetch audit logs (OWNER only): the newest page, or the page after `cursor`
+     */
+    const fetchAuditLogs = async (vaultId, cursor = null, filters = auditFilters) => {
+        const request = cursor ? auditRequestRef.current : ++auditRequestRef.current;
+        try {
+            const params = new URLSearchParams();
+            if (filters.action.trim()) params.set('action', filters.action.trim());
+            if (filters.userId) params.set('userId', filters.userId);
+            if (filters.from) params.set('from', filters.from);
+            if (filters.to) params.set('to', `${filters.to}T23:59:59.999`);
+            if (cursor) params.set('cursor', cursor);
+
+            const data = await apiCall(`/vaults/${vaultId}/audit?${params}`);
+            if (!data.success || request !== auditRequestRef.current) return;
+            setAuditLogs(prev => cursor ? [...prev, ...data.data] : data.data);
+            setAuditCursor(data.meta.nextCursor);
         } catch (err) {
             console.error('Error fetching audit logs:', err);
-            setError('Failed to load audit logs');
+            setError(err.message || 'Failed to load audit logs');
+        }
+    };
+
+    const loadMoreAuditLogs = async () => {
+        if (!selectedVault || !auditCursor || loadingMoreAudit) return;
+        setLoadingMoreAudit(true);
+        await fetchAuditLogs(selectedVault.id, auditCursor);
+        setLoadingMoreAudit(false);
+    };
+
+    /**
+     * Download the audit log as CSV or JSON Lines (OWNER only), limited to the date filter
+     */
+    const exportAuditLog = async (format) => {
+        const params = new URLSearchParams({ format });
+        if (auditFilters.from) params.set('from', auditFilters.from);
+        if (auditFilters.to) params.set('to', `${auditFilters.to}T23:59:59.999`);
+
+        try {
+            const response = await authFetch(`/vaults/${selectedVault.id}/audit/export?${params}`);
+            if (!response.ok) {
+                const data = await response.json().catch(() => ({}));
+                throw new Error(data.error || 'Export failed');
+            }
+
+            const filename = (response.headers.get('Content-Disposition') || '').match(/filename="([^"]+)"/);
+            const blob = await response.blob();
+            const url = window.URL.createObjectURL(blob);
+            const a = document.createElement('a');
+            a.href = url;
+            a.download = filename ? filename[1] : `${selectedVault.name}-audit.${format}`;
+            document.body.appendChild(a);
+            a.click();
+            window.URL.revokeObjectURL(url);
+            document.body.removeChild(a);
+        } catch (err) {
+            console.error('Audit export error:', err);
+            setError('Failed to export audit log: ' + err.message);
+        }
+    };
+
+    /**
+     * Walk the vault's audit hash chain (OWNER only)
+     */
+    const verifyAuditLog = async () => {
+        setAuditCheck({ checking: true });
+        try {
+            const data = await apiCall(`/vaults/${selectedVault.id}/audit/verify`);
+            setAuditCheck(data.data);
+        } catch (err) {
+            console.error('Error verifying audit log:', err);
+            setAuditCheck(null);
+            setError(err.message || 'Failed to verify audit log');
+        }
+    };
+
+    const changeAuditFilters = (changes) => {
+        const filters = { ...auditFilters, ...changes };
+        setAuditFilters(filters);
+        if (selectedVault) fetchAuditLogs(selectedVault.id, null, filters);
+    };
+
+    /**
+     * Fetch participants for selected vault
+     */
+    const fetchMembers = async (vaultId) => {
+        try {
+            const data = await apiCall(`/vaults/${vaultId}/members`);
+            if (data.success) {
+                setMembers(data.data);
+            }
+        } catch (err) {
+            console.error('Error fetching members:', err);
+            setError('Failed to load participants');
+        }
+    };
+
+    /**
+     * Fetch pending invitations (OWNER only)
+     */
+    const fetchInvites = async (vaultId) => {
+        try {
+            const data = await apiCall(`/vaults/${vaultId}/invites`);
+            if (data.success) {
+                setInvites(data.data);
+            }
+        } catch (err) {
+            console.error('Error fetching invites:', err);
+            setError('Failed to load invitations');
+        }
+    };
+
+    /**
+     * Forget a vault the user can no longer access (deleted, removed, or left)
+     */
+    const dropVault = (vaultId) => {
+        setVaults(prev => prev.filter(v => v.id !== vaultId));
+        if (selectedVaultRef.current && selectedVaultRef.current.id === vaultId) {
+            setSelectedVault(null);
+            setSources([]);
+            setMembers([]);
+            setTags([]);
+            setCollections([]);
+            setPresence([]);
+            setShowAudit(false);
+            setShowMembers(false);
+            setShowTrash(false);
         }
     };
 
@@ -295,103 +1017,373 @@ function App() {
                 }
             }
         } catch (err) {
-            console.error('Error creating vault:', err);
-            setError(err.message || 'Failed to create vault');
+            console.error('Error creating vault:', err);
+            setError(err.message || 'Failed to create vault');
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    /**
+     * Recreate a vault from an archive made by Export
+     */
+    const importArchive = async (e) => {
+        const file = e.target.files[0];
+        e.target.value = '';
+        if (!file) return;
+
+        setLoading(true);
+        try {
+            const formData = new FormData();
+            formData.append('file', file);
+
+            const data = await apiCall('/vaults/import-archive', {
+                method: 'POST',
+                body: formData
+            });
+
+            if (data.data.warnings.length > 0) {
+                window.alert(`Imported "${data.data.vault.name}" with ${data.data.warnings.length} warning(s):\n\n${data.data.warnings.join('\n')}`);
+            }
+            if (!isConnected) {
+                fetchVaults(); // Fallback if WebSocket disconnected
+            }
+        } catch (err) {
+            console.error('Error importing archive:', err);
+            setError(err.message || 'Failed to import archive');
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    /**
+     * Download the selected vault as a ZIP archive (bibliography in the chosen citation style)
+     */
+    const exportVault = async () => {
+        const includeAudit = selectedVault.role === 'OWNER' && window.confirm('Include the audit log in the export?');
+        const style = citationStyle === 'bibtex' ? 'apa' : citationStyle;
+
+        try {
+            const response = await authFetch(`/vaults/${selectedVault.id}/export?style=${encodeURIComponent(style)}&includeAudit=${includeAudit}`);
+            if (!response.ok) {
+                const data = await response.json().catch(() => ({}));
+                throw new Error(data.error || 'Export failed');
+            }
+
+            const filename = (response.headers.get('Content-Disposition') || '').match(/filename="([^"]+)"/);
+            const blob = await response.blob();
+            const url = window.URL.createObjectURL(blob);
+            const a = document.createElement('a');
+            a.href = url;
+            a.download = filename ? filename[1] : `${selectedVault.name}.zip`;
+            document.body.appendChild(a);
+            a.click();
+            window.URL.revokeObjectURL(url);
+            document.body.removeChild(a);
+        } catch (err) {
+            console.error('Export error:', err);
+            setError('Failed to export vault: ' + err.message);
+        }
+    };
+
+    /**
+     * Add a source to the selected vault
+     * UPGRADED: Supports multiple types and file uploads
+     */
+    const addSource = async (e) => {
+        e.preventDefault();
+
+        // Basic validation
+        if (!selectedVault) {
+            setError('Please select a vault first.');
+            return;
+        }
+        // Links without a title get the page title server-side
+        if (!newSourceTitle.trim() && sourceType !== 'url' && sourceType !== 'media') {
+            setError('Please provide a title for the source.');
+            return;
+        }
+
+        // Type-specific validation
+        if ((sourceType === 'url' || sourceType === 'media') && !newSourceUrl.trim()) {
+            setError('Please provide a URL.');
+            return;
+        }
+        if ((sourceType === 'file' || sourceType === 'image') && !sourceFile) {
+            setError('Please select a file.');
+            return;
+        }
+        if (sourceType === 'note' && !noteContent.trim()) {
+            setError('Please write something in the note.');
+            return;
+        }
+
+        setLoading(true);
+
+        try {
+            // Use FormData for file uploads
+            const formData = new FormData();
+            formData.append('title', newSourceTitle);
+            formData.append('type', sourceType);
+
+            if (sourceType === 'url' || sourceType === 'media') {
+                formData.append('content', newSourceUrl);
+            } else if (sourceType === 'file' || sourceType === 'image') {
+                formData.append('file', sourceFile);
+            } else if (sourceType === 'note') {
+                formData.append('content', noteContent);
+            }
+
+            const bibliography = toPayload(newBibliography);
+            if (Object.keys(bibliography).length > 0) {
+                formData.append('bibliography', JSON.stringify(bibliography));
+            }
+
+            const data = await apiCall(`/vaults/${selectedVault.id}/sources`, {
+                method: 'POST',
+                body: formData
+            });
+
+            if (data.success) {
+                // Reset form
+                setNewSourceTitle('');
+                setNewSourceUrl('');
+                setUrlSuggestion(null);
+                setSourceFile(null);
+                setNoteContent('');
+                setNewBibliography(emptyBibliography());
+                setSourceType('url'); // Reset type to default
+
+                // WebSocket will handle adding to list
+                if (!isConnected) {
+                    fetchSources(selectedVault.id); // Fallback
+                }
+            } else {
+                throw new Error(data.error || 'Failed to add source');
+            }
+        } catch (err) {
+            console.error('Error adding source:', err);
+            setError(err.message || 'Failed to add source');
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    /**
+     * Fetch page metadata for the URL being added; fills an empty title, otherwise offers it
+     */
+    const previewUrlMetadata = async () => {
+        const url = newSourceUrl.trim();
+        if (!url || !selectedVault) return;
+
+        setFetchingUrlMetadata(true);
+        try {
+            const data = await apiCall(`/vaults/${selectedVault.id}/url-metadata?url=${encodeURIComponent(url)}`);
+            const page = data.data;
+            if (!newSourceTitle.trim() && page.title) {
+                setNewSourceTitle(page.title);
+                setUrlSuggestion(null);
+            } else {
+                setUrlSuggestion(page.title && page.title !== newSourceTitle.trim() ? page : null);
+            }
+        } catch (err) {
+            // Previews are best-effort; the link can still be added with a typed title
+            console.error('URL metadata preview failed:', err);
+            setUrlSuggestion(null);
+        } finally {
+            setFetchingUrlMetadata(false);
+        }
+    };
+
+    /**
+     * Source editing: OWNER edits anything, CONTRIBUTOR only their own sources
+     */
+    const isBookmarkFile = (file) => /\.html?$/i.test(file.name);
+
+    const chooseImportFile = (file) => {
+        setImportFile(file);
+        setBookmarkPreview(null);
+        setImportReport(null);
+    };
+
+    /**
+     * Import a reference library (BibTeX, RIS, CSL-JSON); duplicates are skipped server-side
+     * Bookmark exports take two steps: preview the folder tree, then import the chosen folders
+     */
+    const importReferences = async (e) => {
+        e.preventDefault();
+        if (!importFile) {
+            setError('Please select a .bib, .ris, .json, or bookmark .html file.');
+            return;
+        }
+        if (bookmarkPreview && selectedFolders.size === 0) {
+            setError('Please select at least one folder.');
+            return;
+        }
+
+        setLoading(true);
+        try {
+            const formData = new FormData();
+            formData.append('file', importFile);
+
+            if (isBookmarkFile(importFile) && !bookmarkPreview) {
+                const preview = await apiCall(`/vaults/${selectedVault.id}/import/bookmarks/preview`, {
+                    method: 'POST',
+                    body: formData
+                });
+                setBookmarkPreview(preview.data.root);
+                setSelectedFolders(defaultSelection(preview.data.root));
+                return;
+            }
+
+            if (bookmarkPreview) {
+                formData.append('folders', JSON.stringify([...selectedFolders]));
+            }
+
+            const endpoint = bookmarkPreview ? 'import/bookmarks' : 'import';
+            const data = await apiCall(`/vaults/${selectedVault.id}/${endpoint}`, {
+                method: 'POST',
+                body: formData
+            });
+
+            setImportReport(data.data);
+            setImportFile(null);
+            setBookmarkPreview(null);
+            if (!isConnected) {
+                fetchSources(selectedVault.id); // Fallback
+            }
+        } catch (err) {
+            console.error('Error importing references:', err);
+            setError(err.message || 'Failed to import references');
         } finally {
             setLoading(false);
         }
     };
 
-    /**
-     * Add a source to the selected vault
-     */
-    /**
-     * Add a source to the selected vault
-     * UPGRADED: Supports multiple types and file uploads
-     */
-    const addSource = async (e) => {
-        e.preventDefault();
+    const renderImportReport = () => {
+        if (!importReport) return null;
+        const { summary, entries } = importReport;
+        const problems = entries.filter((entry) => entry.status !== 'created' || entry.warnings);
 
-        // Basic validation
-        if (!selectedVault) {
-            setError('Please select a vault first.');
-            return;
-        }
-        if (!newSourceTitle.trim()) {
-            setError('Please provide a title for the source.');
-            return;
-        }
+        return (
+            <div className="import-report">
+                <div className="import-summary">
+                    ✅ {summary.created} imported • ⏭️ {summary.skipped} duplicates skipped • ⚠️ {summary.errors} failed
+                    <button type="button" className="cancel-btn" onClick={() => setImportReport(null)}>Dismiss</button>
+                </div>
+                {problems.length > 0 && (
+                    <ul>
+                        {problems.map((entry, i) => (
+                            <li key={i} className={`import-${entry.status}`}>
+                                {entry.index !== undefined && <strong>#{entry.index + 1}{entry.key ? ` (${entry.key})` : ''} </strong>}
+                                {(entry.title || entry.url) && `${entry.title || entry.url}: `}
+                                {entry.status === 'error' && entry.error}
+                                {entry.status === 'skipped' && (entry.duplicateOf.sourceId
+                                    ? `already in this vault (same ${entry.duplicateOf.matchedOn})`
+                                    : entry.duplicateOf.entry !== undefined
+                                        ? `same ${entry.duplicateOf.matchedOn} as entry #${entry.duplicateOf.entry + 1}`
+                                        : 'listed more than once')}
+                                {entry.warnings && ` ${entry.warnings.join('; ')}`}
+                            </li>
+                        ))}
+                    </ul>
+                )}
+            </div>
+        );
+    };
 
-        // Type-specific validation
-        if ((sourceType === 'url' || sourceType === 'media') && !newSourceUrl.trim()) {
-            setError('Please provide a URL.');
-            return;
-        }
-        if ((sourceType === 'file' || sourceType === 'image') && !sourceFile) {
-            setError('Please select a file.');
-            return;
-        }
-        if (sourceType === 'note' && !noteContent.trim()) {
-            setError('Please write something in the note.');
+    const canModifySource = (source) => {
+        if (!selectedVault) return false;
+        if (selectedVault.role === 'OWNER') return true;
+        return selectedVault.role === 'CONTRIBUTOR' && source.addedById === user?.id;
+    };
+
+    const startEditSource = (source) => {
+        setEditingSourceId(source.id);
+        setEditTitle(source.title);
+        setEditContent(source.type === 'file' || source.type === 'image' ? '' : (source.content || ''));
+        setEditFile(null);
+        setEditBibliography(toFormValues(source.bibliography));
+        setEditTagIds(source.tags.map(tag => tag.id));
+        setEditCollectionId(source.collectionId === null ? '' : String(source.collectionId));
+    };
+
+    const cancelEditSource = () => {
+        setEditingSourceId(null);
+        setEditTitle('');
+        setEditContent('');
+        setEditFile(null);
+        setEditBibliography(emptyBibliography());
+        setEditTagIds([]);
+        setEditCollectionId('');
+    };
+
+    const updateSource = async (e, source) => {
+        e.preventDefault();
+        if (!editTitle.trim()) {
+            setError('Please provide a title for the source.');
             return;
         }
 
         setLoading(true);
-
         try {
-            // Use FormData for file uploads
+            // FormData so file sources can upload a replacement
             const formData = new FormData();
-            formData.append('title', newSourceTitle);
-            formData.append('type', sourceType);
-
-            if (sourceType === 'url' || sourceType === 'media') {
-                formData.append('content', newSourceUrl);
-            } else if (sourceType === 'file' || sourceType === 'image') {
-                formData.append('file', sourceFile);
-            } else if (sourceType === 'note') {
-                formData.append('content', noteContent);
+            formData.append('title', editTitle);
+            if (source.type === 'file' || source.type === 'image') {
+                if (editFile) formData.append('file', editFile);
+            } else if (source.type !== 'note') {
+                // Note text is edited live in the NoteEditor
+                formData.append('content', editContent);
             }
 
-            // Custom API call since we can't use JSON for FormData
-            const response = await fetch(`${API_BASE_URL}/vaults/${selectedVault.id}/sources`, {
-                method: 'POST',
-                headers: {
-                    'Authorization': `Bearer ${token}`
-                    // Content-Type left blank for browser to set boundary
-                },
-                body: formData
-            });
+            // Only changed fields are sent, so untouched auto-filled values stay marked as auto
+            const bibliography = toPayload(editBibliography, source.bibliography);
+            if (Object.keys(bibliography).length > 0) {
+                formData.append('bibliography', JSON.stringify(bibliography));
+            }
 
-            if (response.status === 401) {
-                handleLogout();
-                throw new Error('Session expired. Please login again.');
+            if (editCollectionId !== (source.collectionId === null ? '' : String(source.collectionId))) {
+                formData.append('collectionId', editCollectionId);
+            }
+            const originalTagIds = source.tags.map(tag => tag.id);
+            if (editTagIds.length !== originalTagIds.length || editTagIds.some(id => !originalTagIds.includes(id))) {
+                formData.append('tagIds', JSON.stringify(editTagIds));
             }
 
-            const data = await response.json();
+            const data = await apiCall(`/vaults/${selectedVault.id}/sources/${source.id}`, {
+                method: 'PATCH',
+                body: formData
+            });
 
             if (data.success) {
-                // Reset form
-                setNewSourceTitle('');
-                setNewSourceUrl('');
-                setSourceFile(null);
-                setNoteContent('');
-                setSourceType('url'); // Reset type to default
-
-                // WebSocket will handle adding to list
-                if (!isConnected) {
-                    fetchSources(selectedVault.id); // Fallback
-                }
+                applySourceUpdate(data.data);
+                cancelEditSource();
             } else {
-                throw new Error(data.error || 'Failed to add source');
+                throw new Error(data.error || 'Failed to update source');
             }
         } catch (err) {
-            console.error('Error adding source:', err);
-            setError(err.message || 'Failed to add source');
+            console.error('Error updating source:', err);
+            setError(err.message || 'Failed to update source');
         } finally {
             setLoading(false);
         }
     };
 
+    const deleteSource = async (source) => {
+        if (!window.confirm(`Move "${source.title}" to the trash?`)) return;
+
+        try {
+            await apiCall(`/vaults/${selectedVault.id}/sources/${source.id}`, {
+                method: 'DELETE'
+            });
+            removeLoadedSource(source.id);
+        } catch (err) {
+            console.error('Error deleting source:', err);
+            setError(err.message || 'Failed to delete source');
+        }
+    };
+
     /**
      * Format file size helper
      */
@@ -404,6 +1396,93 @@ function App() {
         return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i];
     };
 
+    /**
+     * Extraction status line for uploaded documents (null for sources without an extractor)
+     */
+    const renderExtractionStatus = (source) => {
+        if (!source.extractionStatus) return null;
+
+        if (source.extractionStatus === 'pending') {
+            return <div className="extraction-status pending">⏳ Extracting text…</div>;
+        }
+        if (source.extractionStatus === 'failed') {
+            return <div className="extraction-status failed" title={source.extractionError || ''}>⚠️ Text extraction failed</div>;
+        }
+
+        const doc = source.metadata?.document || {};
+        const details = [
+            source.pageCount ? `${source.pageCount} page${source.pageCount === 1 ? '' : 's'}` : null,
+            doc.title && doc.title !== source.title ? `"${doc.title}"` : null,
+            doc.author,
+            doc.createdAt ? new Date(doc.createdAt).toLocaleDateString() : null
+        ].filter(Boolean);
+
+        return <div className="extraction-status done">✅ Text extracted{details.length > 0 && ` • ${details.join(' • ')}`}</div>;
+    };
+
+    /**
+     * One-line bibliographic summary: authors, year, container, volume/issue/pages, DOI
+     */
+    const renderBibliography = (source) => {
+        const bib = source.bibliography;
+        if (!bib) return null;
+
+        const names = bib.authors.map(a => a.literal || a.family);
+        const authors = names.length > 3 ? `${names[0]} et al.` : names.join(', ');
+        const numbering = [bib.volume, bib.issue ? `(${bib.issue})` : null].filter(Boolean).join('');
+        const details = [
+            authors,
+            bib.publishedDate ? bib.publishedDate.slice(0, 4) : null,
+            bib.containerTitle,
+            [numbering, bib.pages].filter(Boolean).join(', ') || null
+        ].filter(Boolean);
+        if (details.length === 0 && !bib.doi) return null;
+
+        return (
+            <div className="source-bibliography">
+                {details.join(' • ')}
+                {bib.doi && <> {details.length > 0 && '• '}<a href={`https://doi.org/${bib.doi}`} target="_blank" rel="noreferrer">doi:{bib.doi}</a></>}
+            </div>
+        );
+    };
+
+    /**
+     * Site, author, and publish date captured from a link's page
+     */
+    const renderLinkMetadata = (source) => {
+        const page = source.metadata?.page;
+        if (!page) return null;
+
+        const details = [
+            page.siteName,
+            page.authors?.length > 0 ? page.authors.join(', ') : null,
+            page.publishedAt ? new Date(page.publishedAt).toLocaleDateString() : null
+        ].filter(Boolean);
+        if (details.length === 0) return null;
+
+        return (
+            <div className="link-metadata">
+                {page.favicon && <img src={page.favicon} alt="" onError={(e) => { e.target.style.display = 'none'; }} />}
+                {details.join(' • ')}
+            </div>
+        );
+    };
+
+    /**
+     * Wrap highlight ranges ([start, end) offsets from the search API) in <mark>
+     */
+    const renderHighlighted = (text, ranges = []) => {
+        const parts = [];
+        let cursor = 0;
+        ranges.forEach(([start, end], i) => {
+            if (start > cursor) parts.push(text.slice(cursor, start));
+            parts.push(<mark key={i}>{text.slice(start, end)}</mark>);
+            cursor = end;
+        });
+        parts.push(text.slice(cursor));
+        return parts;
+    };
+
     /**
      * Get badge for source type
      */
@@ -414,18 +1493,68 @@ function App() {
             case 'note': return '📝 Note';
             case 'media': return '🎥 Media';
             case 'image': return '🖼️ Image';
+            case 'reference': return '📚 Reference';
             default: return '🔗 URL';
         }
     };
 
+    /**
+     * Profile changes return a new access token carrying the updated name/email
+     */
+    const handleUserUpdated = (userData, authToken) => {
+        storeTokens(authToken);
+        localStorage.setItem('user', JSON.stringify(userData));
+        setUser(userData);
+    };
+
     /**
      * Handle vault selection
      */
     const handleVaultSelect = (vault) => {
+        setShowAccount(false);
         setSelectedVault(vault);
+        setCommentsSourceId(null);
+        setOpenNoteId(null);
+        setHistorySourceId(null);
+        setPresence([]);
         setShowAudit(false);
         setShowMembers(false);
+        setShowTrash(false);
+        setMembers([]);
+        setInvites([]);
+        setSearchQuery('');
+        setTags([]);
+        setCollections([]);
+        setSources([]);
+        setSourcesPage({ nextCursor: null, total: 0 });
+        setAuditLogs([]);
+        setAuditCursor(null);
+        setAuditFilters({ action: '', userId: '', from: '', to: '' });
+        setAuditCheck(null);
+        // The filters are read through refs, so reset them before fetching
+        organizationFilterRef.current = { tag: null, collection: null };
+        setOrganizationFilter(organizationFilterRef.current);
+        const searchFilters = { type: '', addedBy: '', from: '', to: '' };
+        sourceListRef.current = { ...sourceListRef.current, filters: searchFilters, hasMore: false };
+        setSearchFilters(searchFilters);
         fetchSources(vault.id);
+        fetchOrganization(vault.id);
+        fetchMembers(vault.id);
+    };
+
+    /**
+     * Show participants
+     */
+    const handleShowMembers = () => {
+        if (selectedVault) {
+            setShowMembers(true);
+            setShowAudit(false);
+            setShowTrash(false);
+            fetchMembers(selectedVault.id);
+            if (selectedVault.role === 'OWNER') {
+                fetchInvites(selectedVault.id);
+            }
+        }
     };
 
     /**
@@ -435,6 +1564,7 @@ function App() {
         if (selectedVault && selectedVault.role === 'OWNER') {
             setShowAudit(true);
             setShowMembers(false);
+            setShowTrash(false);
             fetchAuditLogs(selectedVault.id);
         }
     };
@@ -445,16 +1575,7 @@ function App() {
     const handleDownload = async (e, source) => {
         e.preventDefault();
         try {
-            const response = await fetch(`${API_BASE_URL}/sources/${source.id}/download`, {
-                headers: {
-                    'Authorization': `Bearer ${token}`
-                }
-            });
-
-            if (response.status === 401) {
-                handleLogout();
-                throw new Error('Session expired');
-            }
+            const response = await authFetch(`/sources/${source.id}/download`);
 
             if (!response.ok) {
                 throw new Error('Download failed');
@@ -492,6 +1613,8 @@ function App() {
             if (data.success) {
                 setMemberEmail('');
                 setError(null);
+                fetchMembers(selectedVault.id);
+                fetchInvites(selectedVault.id);
                 alert(`Success: ${data.message}`);
             } else {
                 throw new Error(data.error || 'Failed to add member');
@@ -504,18 +1627,172 @@ function App() {
         }
     };
 
+    const changeMemberRole = async (member, role) => {
+        try {
+            await apiCall(`/vaults/${selectedVault.id}/members/${member.userId}`, {
+                method: 'PATCH',
+                body: JSON.stringify({ role })
+            });
+            setMembers(prev => prev.map(m => m.userId === member.userId ? { ...m, role } : m));
+        } catch (err) {
+            console.error('Change role error:', err);
+            setError(err.message);
+        }
+    };
+
+    const removeMember = async (member) => {
+        if (!window.confirm(`Remove ${member.name} from "${selectedVault.name}"?`)) return;
+
+        try {
+            await apiCall(`/vaults/${selectedVault.id}/members/${member.userId}`, {
+                method: 'DELETE'
+            });
+            setMembers(prev => prev.filter(m => m.userId !== member.userId));
+        } catch (err) {
+            console.error('Remove member error:', err);
+            setError(err.message);
+        }
+    };
+
+    const resendInvite = async (invite) => {
+        try {
+            const data = await apiCall(`/vaults/${selectedVault.id}/invites/${invite.id}/resend`, { method: 'POST' });
+            setInvites(prev => prev.map(i => i.id === invite.id ? data.data : i));
+            alert(`Invitation resent to ${invite.email}`);
+        } catch (err) {
+            console.error('Resend invite error:', err);
+            setError(err.message);
+        }
+    };
+
+    const revokeInvite = async (invite) => {
+        if (!window.confirm(`Revoke the invitation for ${invite.email}?`)) return;
+
+        try {
+            await apiCall(`/vaults/${selectedVault.id}/invites/${invite.id}`, { method: 'DELETE' });
+            setInvites(prev => prev.filter(i => i.id !== invite.id));
+        } catch (err) {
+            console.error('Revoke invite error:', err);
+            setError(err.message);
+        }
+    };
+
+    const leaveVault = async () => {
+        if (!selectedVault) return;
+        if (!window.confirm(`Leave "${selectedVault.name}"? You will lose access until someone adds you again.`)) return;
+
+        try {
+            await apiCall(`/vaults/${selectedVault.id}/leave`, { method: 'POST' });
+            dropVault(selectedVault.id);
+        } catch (err) {
+            console.error('Leave vault error:', err);
+            setError(err.message);
+        }
+    };
+
+    /**
+     * Vault Lifecycle (OWNER only): rename, delete, transfer ownership
+     */
+    const renameVault = async () => {
+        if (!selectedVault) return;
+        const name = window.prompt('Rename vault:', selectedVault.name);
+        if (!name || !name.trim() || name.trim() === selectedVault.name) return;
+
+        try {
+            const data = await apiCall(`/vaults/${selectedVault.id}`, {
+                method: 'PATCH',
+                body: JSON.stringify({ name })
+            });
+            setVaults(prev => prev.map(v => v.id === data.data.id ? { ...v, name: data.data.name } : v));
+            setSelectedVault(prev => ({ ...prev, name: data.data.name }));
+        } catch (err) {
+            console.error('Rename vault error:', err);
+            setError(err.message || 'Failed to rename vault');
+        }
+    };
+
+    const deleteVault = async () => {
+        if (!selectedVault) return;
+        if (!window.confirm(`Move "${selectedVault.name}" to the trash? Members lose access until you restore it.`)) return;
+
+        try {
+            await apiCall(`/vaults/${selectedVault.id}`, { method: 'DELETE' });
+            setVaults(prev => prev.filter(v => v.id !== selectedVault.id));
+            setSelectedVault(null);
+            setSources([]);
+        } catch (err) {
+            console.error('Delete vault error:', err);
+            setError(err.message || 'Failed to delete vault');
+        }
+    };
+
+    const transferVault = async (member) => {
+        if (!selectedVault) return;
+        if (!window.confirm(`Transfer ownership of "${selectedVault.name}" to ${member.name}? You will become a contributor.`)) return;
+
+        setLoading(true);
+        try {
+            await apiCall(`/vaults/${selectedVault.id}/transfer`, {
+                method: 'POST',
+                body: JSON.stringify({ userId: member.userId })
+            });
+            setVaults(prev => prev.map(v => v.id === selectedVault.id ? { ...v, role: 'CONTRIBUTOR' } : v));
+            setSelectedVault(prev => ({ ...prev, role: 'CONTRIBUTOR' }));
+            fetchMembers(selectedVault.id);
+        } catch (err) {
+            console.error('Transfer vault error:', err);
+            setError(err.message);
+        } finally {
+            setLoading(false);
+        }
+    };
+
     /**
      * MISSION: Auto-Citation Generator
      */
-    const generateCitation = (source) => {
-        const author = source.addedBy || "Unknown Author";
-        const date = new Date(source.addedAt).getFullYear();
-        const title = source.title;
-        const url = source.content || source.url;
-        const citation = `${author}. (${date}). ${title}.${url ? ` Retrieved from ${url}` : ''}`;
+    const fetchCitationStyles = async () => {
+        try {
+            const data = await apiCall('/citation-styles');
+            setCitationStyles(data.data);
+        } catch (err) {
+            console.error('Error fetching citation styles:', err);
+        }
+    };
+
+    /**
+     * Format a citation server-side in the chosen style and copy it
+     * (as rich text where the browser allows, so italics survive pasting)
+     */
+    const generateCitation = async (source) => {
+        try {
+            if (citationStyle === 'bibtex') {
+                const data = await apiCall(`/sources/${source.id}/citation?format=bibtex`);
+                await navigator.clipboard.writeText(data.data.citation);
+                alert(`BibTeX Copied:\n${data.data.citation}`);
+                return;
+            }
+
+            const query = `style=${encodeURIComponent(citationStyle)}`;
+            const [text, html] = await Promise.all([
+                apiCall(`/sources/${source.id}/citation?${query}&format=text`),
+                apiCall(`/sources/${source.id}/citation?${query}&format=html`)
+            ]);
+
+            if (window.ClipboardItem) {
+                await navigator.clipboard.write([new window.ClipboardItem({
+                    'text/plain': new Blob([text.data.citation], { type: 'text/plain' }),
+                    'text/html': new Blob([html.data.citation], { type: 'text/html' })
+                })]);
+            } else {
+                await navigator.clipboard.writeText(text.data.citation);
+            }
 
-        navigator.clipboard.writeText(citation);
-        alert(`Citation Copied (APA 7th Gen):\n${citation}`);
+            const styleName = citationStyles.find(s => s.id === citationStyle)?.name || citationStyle.toUpperCase();
+            alert(`Citation Copied (${styleName}):\n${text.data.citation}`);
+        } catch (err) {
+            console.error('Citation error:', err);
+            setError(err.message || 'Failed to generate citation');
+        }
     };
 
     const canAddSources = () => {
@@ -536,6 +1813,7 @@ function App() {
                 </div>
                 <div className="header-actions">
                     <span className="user-badge">👤 {user?.name}</span>
+                    <button onClick={() => setShowAccount(true)} className="logout-btn" title="Profile, password and devices">⚙️ Account</button>
                     <span className={`connection-status ${isConnected ? 'connected' : 'disconnected'}`}>
                         {isConnected ? '🟢 Live' : '🔴 Offline'}
                     </span>
@@ -575,6 +1853,10 @@ function App() {
                         />
                         <button type="submit" disabled={loading || !newVaultName.trim()}>+ Create</button>
                     </form>
+                    <label className="import-archive-btn" title="Recreate a vault from an exported archive">
+                        📦 Import vault archive
+                        <input type="file" accept=".zip" onChange={importArchive} disabled={loading} hidden />
+                    </label>
 
                     <div className="vault-list">
                         {vaults.length === 0 ? (
@@ -592,54 +1874,187 @@ function App() {
                             ))
                         )}
                     </div>
+
+                    <TrashedVaults socket={socket} apiCall={apiCall} onError={setError} />
+
+                    {selectedVault && (
+                        <VaultOrganizer
+                            vaultId={selectedVault.id}
+                            role={selectedVault.role}
+                            tags={tags}
+                            collections={collections}
+                            filter={organizationFilter}
+                            onFilterChange={setOrganizationFilter}
+                            apiCall={apiCall}
+                            onChanged={() => {
+                                fetchOrganization(selectedVault.id);
+                                fetchSources(selectedVault.id);
+                            }}
+                            onError={setError}
+                        />
+                    )}
                 </aside>
 
                 <main className="content-area">
-                    {selectedVault ? (
+                    {showAccount ? (
+                        <Account
+                            user={user}
+                            apiCall={apiCall}
+                            authFetch={authFetch}
+                            onUserUpdated={handleUserUpdated}
+                            onLogout={handleLogout}
+                            onClose={() => setShowAccount(false)}
+                        />
+                    ) : selectedVault ? (
                         <>
                             <div className="content-header">
                                 <div>
                                     <h2>{selectedVault.name}</h2>
                                     <span className="role-badge">{selectedVault.role}</span>
+                                    <PresenceAvatars users={presence} sources={sources} currentUserId={user?.id} />
+                                    <span className="vault-actions">
+                                        <button className="cancel-btn" onClick={exportVault} title="Download the vault as a ZIP archive">📦 Export</button>
+                                    </span>
+                                    {selectedVault.role === 'OWNER' && (
+                                        <span className="vault-actions">
+                                            <button className="edit-btn" onClick={renameVault} title="Rename vault">✏️</button>
+                                            <button className="delete-btn" onClick={deleteVault} title="Delete vault">🗑️</button>
+                                        </span>
+                                    )}
+                                    {selectedVault.role !== 'OWNER' && (
+                                        <span className="vault-actions">
+                                            <button className="cancel-btn leave-btn" onClick={leaveVault}>🚪 Leave</button>
+                                        </span>
+                                    )}
                                 </div>
                                 <div className="content-tabs">
-                                    <button className={!showAudit && !showMembers ? 'active' : ''} onClick={() => { setShowAudit(false); setShowMembers(false); }}>Sources</button>
+                                    <button className={!showAudit && !showMembers && !showTrash ? 'active' : ''} onClick={() => { setShowAudit(false); setShowMembers(false); setShowTrash(false); }}>Sources</button>
+                                    <button className={showMembers ? 'active' : ''} onClick={handleShowMembers}>Participants</button>
                                     {selectedVault.role === 'OWNER' && (
-                                        <>
-                                            <button className={showMembers ? 'active' : ''} onClick={() => { setShowAudit(false); setShowMembers(true); }}>Participants</button>
-                                            <button className={showAudit ? 'active' : ''} onClick={handleShowAudit}>Audit Log</button>
-                                        </>
+                                        <button className={showAudit ? 'active' : ''} onClick={handleShowAudit}>Audit Log</button>
                                     )}
+                                    <button className={showTrash ? 'active' : ''} onClick={() => { setShowTrash(true); setShowAudit(false); setShowMembers(false); }}>Trash</button>
                                 </div>
                             </div>
 
                             {showMembers ? (
                                 <div className="members-section" style={{ padding: '2rem' }}>
-                                    <h3>Vault Participants</h3>
-                                    <form onSubmit={addMember} className="add-member-form" style={{ display: 'flex', gap: '1rem', marginBottom: '2rem' }}>
-                                        <input
-                                            type="email"
-                                            placeholder="researcher@email.com"
-                                            value={memberEmail}
-                                            onChange={(e) => setMemberEmail(e.target.value)}
-                                            required
-                                            style={{ flex: 1, padding: '0.75rem', borderRadius: '8px', border: '1px solid var(--border-color)', background: 'var(--bg-dark)', color: 'white' }}
-                                        />
-                                        <select
-                                            value={memberRole}
-                                            onChange={(e) => setMemberRole(e.target.value)}
-                                            style={{ padding: '0.75rem', borderRadius: '8px', border: '1px solid var(--border-color)', background: 'var(--bg-dark)', color: 'white' }}
-                                        >
-                                            <option value="VIEWER">Viewer</option>
-                                            <option value="CONTRIBUTOR">Contributor</option>
-                                        </select>
-                                        <button type="submit" disabled={loading} className="add-btn">+ Add</button>
-                                    </form>
-                                    <p className="subtitle">Invite collaborators to this research vault.</p>
+                                    <h3>Vault Participants ({members.length})</h3>
+                                    <div className="member-list">
+                                        {members.map((m) => (
+                                            <div key={m.userId} className="member-item">
+                                                <div>
+                                                    <div className="member-name">{m.name}{m.userId === user?.id ? ' (you)' : ''}</div>
+                                                    <div className="member-email">{m.email}</div>
+                                                </div>
+                                                {selectedVault.role === 'OWNER' && m.role !== 'OWNER' ? (
+                                                    <div className="member-actions">
+                                                        <select value={m.role} onChange={(e) => changeMemberRole(m, e.target.value)}>
+                                                            <option value="VIEWER">Viewer</option>
+                                                            <option value="CONTRIBUTOR">Contributor</option>
+                                                        </select>
+                                                        <button className="edit-btn" onClick={() => transferVault(m)} disabled={loading} title="Make owner">🔑</button>
+                                                        <button className="delete-btn" onClick={() => removeMember(m)} title="Remove from vault">✕</button>
+                                                    </div>
+                                                ) : (
+                                                    <span className="vault-role">{m.role}</span>
+                                                )}
+                                            </div>
+                                        ))}
+                                    </div>
+
+                                    {selectedVault.role === 'OWNER' && (
+                                        <>
+                                            <form onSubmit={addMember} className="add-member-form" style={{ display: 'flex', gap: '1rem', marginBottom: '2rem' }}>
+                                                <input
+                                                    type="email"
+                                                    placeholder="researcher@email.com"
+                                                    value={memberEmail}
+                                                    onChange={(e) => setMemberEmail(e.target.value)}
+                                                    required
+                                                    style={{ flex: 1, padding: '0.75rem', borderRadius: '8px', border: '1px solid var(--border-color)', background: 'var(--bg-dark)', color: 'white' }}
+                                                />
+                                                <select
+                                                    value={memberRole}
+                                                    onChange={(e) => setMemberRole(e.target.value)}
+                                                    style={{ padding: '0.75rem', borderRadius: '8px', border: '1px solid var(--border-color)', background: 'var(--bg-dark)', color: 'white' }}
+                                                >
+                                                    <option value="VIEWER">Viewer</option>
+                                                    <option value="CONTRIBUTOR">Contributor</option>
+                                                </select>
+                                                <button type="submit" disabled={loading} className="add-btn">+ Add</button>
+                                            </form>
+                                            <p className="subtitle">Invite collaborators to this research vault. People without an account receive an email invitation. Use 🔑 to hand ownership to a participant; you will stay on as a contributor.</p>
+
+                                            {invites.length > 0 && (
+                                                <>
+                                                    <h3>Pending Invitations ({invites.length})</h3>
+                                                    <div className="member-list">
+                                                        {invites.map((i) => (
+                                                            <div key={i.id} className="member-item">
+                                                                <div>
+                                                                    <div className="member-name">{i.email}</div>
+                                                                    <div className="member-email">
+                                                                        {i.role} • {i.expired ? 'Expired' : `Expires ${new Date(i.expiresAt).toLocaleDateString()}`}
+                                                                    </div>
+                                                                </div>
+                                                                <div className="member-actions">
+                                                                    <button className="edit-btn" onClick={() => resendInvite(i)} title="Resend invitation">📧</button>
+                                                                    <button className="delete-btn" onClick={() => revokeInvite(i)} title="Revoke invitation">✕</button>
+                                                                </div>
+                                                            </div>
+                                                        ))}
+                                                    </div>
+                                                </>
+                                            )}
+                                        </>
+                                    )}
                                 </div>
+                            ) : showTrash ? (
+                                <TrashBin
+                                    vaultId={selectedVault.id}
+                                    role={selectedVault.role}
+                                    userId={user?.id}
+                                    socket={socket}
+                                    apiCall={apiCall}
+                                    onError={setError}
+                                />
                             ) : showAudit ? (
                                 <div className="audit-section">
-                                    <h3>Audit Log</h3>
+                                    <div className="audit-header">
+                                        <h3>Audit Log</h3>
+                                        <div className="audit-actions">
+                                            <button className="cancel-btn" onClick={() => exportAuditLog('csv')} title="Entries in the date range as CSV">⬇ CSV</button>
+                                            <button className="cancel-btn" onClick={() => exportAuditLog('jsonl')} title="Entries in the date range as JSON Lines">⬇ JSONL</button>
+                                            <button className="cancel-btn" onClick={verifyAuditLog} disabled={auditCheck?.checking}>
+                                                {auditCheck?.checking ? '⏳ Verifying...' : '🔒 Verify integrity'}
+                                            </button>
+                                        </div>
+                                    </div>
+                                    {auditCheck && !auditCheck.checking && (
+                                        <p className={`audit-check ${auditCheck.valid ? 'valid' : 'broken'}`}>
+                                            {auditCheck.valid
+                                                ? `✓ All ${auditCheck.checked} chained entries check out.`
+                                                : `⚠ The chain breaks at entry #${auditCheck.brokenAt.seq} (${describeAuditBreak(auditCheck.brokenAt.reason)}); ${auditCheck.checked} entries before it check out.`}
+                                            {auditCheck.unsealed > 0 && ` ${auditCheck.unsealed} older entries predate the chain and cannot be checked.`}
+                                        </p>
+                                    )}
+                                    <div className="audit-filters">
+                                        <input
+                                            type="search"
+                                            placeholder="Actions, e.g. SOURCE_TRASHED, MEMBER_REMOVED"
+                                            value={auditFilters.action}
+                                            onChange={(e) => changeAuditFilters({ action: e.target.value })}
+                                        />
+                                        <select value={auditFilters.userId} onChange={(e) => changeAuditFilters({ userId: e.target.value })}>
+                                            <option value="">Anyone</option>
+                                            {members.map((m) => (
+                                                <option key={m.userId} value={m.userId}>{m.name}</option>
+                                            ))}
+                                        </select>
+                                        <input type="date" value={auditFilters.from} onChange={(e) => changeAuditFilters({ from: e.target.value })} title="From" />
+                                        <input type="date" value={auditFilters.to} onChange={(e) => changeAuditFilters({ to: e.target.value })} title="Until" />
+                                    </div>
                                     {auditLogs.length === 0 ? (
                                         <p className="empty-state">No activities recorded yet.</p>
                                     ) : (
@@ -652,69 +2067,313 @@ function App() {
                                             ))}
                                         </div>
                                     )}
+                                    {auditCursor && (
+                                        <LoadMore onLoadMore={loadMoreAuditLogs} loading={loadingMoreAudit} />
+                                    )}
                                 </div>
                             ) : (
                                 <>
                                     {canAddSources() && (
-                                        <form onSubmit={addSource} className="add-source-form">
+                                        <form onSubmit={sourceType === 'import' ? importReferences : addSource} className="add-source-form">
                                             <div className="source-type-selector">
                                                 <button type="button" onClick={() => setSourceType('url')} className={sourceType === 'url' ? 'active' : ''}>🔗 URL</button>
                                                 <button type="button" onClick={() => setSourceType('file')} className={sourceType === 'file' ? 'active' : ''}>📄 File</button>
                                                 <button type="button" onClick={() => setSourceType('note')} className={sourceType === 'note' ? 'active' : ''}>📝 Note</button>
+                                                <button type="button" onClick={() => setSourceType('import')} className={sourceType === 'import' ? 'active' : ''}>📚 Import</button>
                                             </div>
-                                            <div className="form-column">
-                                                <input
-                                                    type="text"
-                                                    placeholder="Source title..."
-                                                    value={newSourceTitle}
-                                                    onChange={(e) => setNewSourceTitle(e.target.value)}
-                                                    required
-                                                />
-                                                {(sourceType === 'url') && (
-                                                    <input type="url" placeholder="https://..." value={newSourceUrl} onChange={(e) => setNewSourceUrl(e.target.value)} required />
-                                                )}
-                                                {(sourceType === 'file') && (
+                                            {sourceType === 'import' ? (
+                                                <div className="form-column">
                                                     <div className="file-input-wrapper">
                                                         <input
                                                             type="file"
-                                                            onChange={(e) => setSourceFile(e.target.files[0])}
+                                                            accept=".bib,.bibtex,.ris,.json,.html,.htm"
+                                                            onChange={(e) => chooseImportFile(e.target.files[0])}
                                                             required
-                                                            id="source-file-input"
                                                         />
-                                                        {sourceFile && (
-                                                            <div className="file-selected">
-                                                                ✅ {sourceFile.name} ({formatFileSize(sourceFile.size)})
-                                                            </div>
-                                                        )}
+                                                        <div className="url-suggestion">BibTeX (.bib), RIS (.ris), or CSL-JSON (.json) from Zotero, Mendeley, EndNote..., or a browser bookmark export (.html)</div>
                                                     </div>
-                                                )}
-                                                {sourceType === 'note' && (
-                                                    <textarea placeholder="Write your note..." value={noteContent} onChange={(e) => setNoteContent(e.target.value)} required />
-                                                )}
-                                                <button type="submit" disabled={loading} className="add-btn">
-                                                    {loading ? '⏳ Adding...' : '+ Add Source'}
-                                                </button>
-                                            </div>
+                                                    {bookmarkPreview && (
+                                                        <ul className="bookmark-folders">
+                                                            <BookmarkFolderTree folder={bookmarkPreview} selected={selectedFolders} onChange={setSelectedFolders} />
+                                                        </ul>
+                                                    )}
+                                                    <button type="submit" disabled={loading} className="add-btn">
+                                                        {loading
+                                                            ? '⏳ Importing...'
+                                                            : importFile && isBookmarkFile(importFile) && !bookmarkPreview
+                                                                ? '📁 Show Folders'
+                                                                : bookmarkPreview ? '🔖 Import Selected Folders' : '📚 Import References'}
+                                                    </button>
+                                                    {renderImportReport()}
+                                                </div>
+                                            ) : (
+                                                <div className="form-column">
+                                                    <input
+                                                        type="text"
+                                                        placeholder={sourceType === 'url' ? 'Source title (leave blank to use the page title)...' : 'Source title...'}
+                                                        value={newSourceTitle}
+                                                        onChange={(e) => setNewSourceTitle(e.target.value)}
+                                                        required={sourceType !== 'url'}
+                                                    />
+                                                    {(sourceType === 'url') && (
+                                                        <>
+                                                            <input
+                                                                type="url"
+                                                                placeholder="https://..."
+                                                                value={newSourceUrl}
+                                                                onChange={(e) => { setNewSourceUrl(e.target.value); setUrlSuggestion(null); }}
+                                                                onBlur={previewUrlMetadata}
+                                                                required
+                                                            />
+                                                            {fetchingUrlMetadata && <div className="url-suggestion">⏳ Reading page details...</div>}
+                                                            {urlSuggestion && (
+                                                                <div className="url-suggestion">
+                                                                    Suggested title: <strong>{urlSuggestion.title}</strong>
+                                                                    <button type="button" className="cancel-btn" onClick={() => { setNewSourceTitle(urlSuggestion.title); setUrlSuggestion(null); }}>Use</button>
+                                                                </div>
+                                                            )}
+                                                        </>
+                                                    )}
+                                                    {(sourceType === 'file') && (
+                                                        <div className="file-input-wrapper">
+                                                            <input
+                                                                type="file"
+                                                                onChange={(e) => setSourceFile(e.target.files[0])}
+                                                                required
+                                                                id="source-file-input"
+                                                            />
+                                                            {sourceFile && (
+                                                                <div className="file-selected">
+                                                                    ✅ {sourceFile.name} ({formatFileSize(sourceFile.size)})
+                                                                </div>
+                                                            )}
+                                                        </div>
+                                                    )}
+                                                    {sourceType === 'note' && (
+                                                        <textarea placeholder="Write your note..." value={noteContent} onChange={(e) => setNoteContent(e.target.value)} required />
+                                                    )}
+                                                    <BibliographyForm values={newBibliography} onChange={setNewBibliography} />
+                                                    <button type="submit" disabled={loading} className="add-btn">
+                                                        {loading ? '⏳ Adding...' : '+ Add Source'}
+                                                    </button>
+                                                </div>
+                                            )}
                                         </form>
                                     )}
 
                                     <div className="sources-section">
-                                        <h3>Sources ({sources.length})</h3>
+                                        <div className="citation-style-picker">
+                                            <label htmlFor="citation-style">📜 Citation style</label>
+                                            <select id="citation-style" value={citationStyle} onChange={(e) => setCitationStyle(e.target.value)}>
+                                                {citationStyles.map((style) => (
+                                                    <option key={style.id} value={style.id}>{style.name}</option>
+                                                ))}
+                                                <option value="bibtex">BibTeX</option>
+                                            </select>
+                                        </div>
+                                        <div className="search-bar">
+                                            <input
+                                                type="search"
+                                                placeholder="🔍 Search titles, notes, URLs and document text..."
+                                                value={searchQuery}
+                                                onChange={(e) => setSearchQuery(e.target.value)}
+                                            />
+                                            <select value={searchFilters.type} onChange={(e) => setSearchFilters({ ...searchFilters, type: e.target.value })}>
+                                                <option value="">All types</option>
+                                                <option value="url">URL</option>
+                                                <option value="file">File</option>
+                                                <option value="note">Note</option>
+                                                <option value="media">Media</option>
+                                                <option value="image">Image</option>
+                                                <option value="reference">Reference</option>
+                                            </select>
+                                            <select value={searchFilters.addedBy} onChange={(e) => setSearchFilters({ ...searchFilters, addedBy: e.target.value })}>
+                                                <option value="">Anyone</option>
+                                                {/* Members, plus authors of loaded sources who have since left */}
+                                                {[...new Map([
+                                                    ...members.map(m => [m.userId, m.name]),
+                                                    ...sources.map(s => [s.addedById, s.addedBy])
+                                                ]).entries()].map(([id, name]) => (
+                                                    <option key={id} value={id}>{name}</option>
+                                                ))}
+                                            </select>
+                                            <input type="date" value={searchFilters.from} onChange={(e) => setSearchFilters({ ...searchFilters, from: e.target.value })} title="Added from" />
+                                            <input type="date" value={searchFilters.to} onChange={(e) => setSearchFilters({ ...searchFilters, to: e.target.value })} title="Added until" />
+                                            <select value={sourceSort} onChange={(e) => setSourceSort(e.target.value)} title="Order" disabled={!!searchResults}>
+                                                {SOURCE_SORTS.map((option) => (
+                                                    <option key={option.value} value={option.value}>{option.label}</option>
+                                                ))}
+                                            </select>
+                                        </div>
+                                        <h3>
+                                            {searchResults
+                                                ? `${searchResults.length} result${searchResults.length === 1 ? '' : 's'} for "${searchQuery}"`
+                                                : `Sources (${sourcesPage.total})`}
+                                            {searching && ' ⏳'}
+                                        </h3>
                                         <div className="sources-grid">
-                                            {sources.map((s) => (
+                                            {(searchResults || sources).map((s) => (
                                                 <div key={s.id} className="source-card">
-                                                    <div className="source-header">
-                                                        <h4>{s.title}</h4>
-                                                        <button className="cite-btn" onClick={() => generateCitation(s)}>📜 Cite</button>
-                                                    </div>
-                                                    <div className="source-content">
-                                                        {s.type === 'note' ? <p>{s.content}</p> : <a href={s.content || s.url} target="_blank" rel="noreferrer">{s.content || s.url}</a>}
-                                                        {s.type === 'file' && <button onClick={(e) => handleDownload(e, s)} className="download-btn">📥 Download</button>}
-                                                    </div>
-                                                    <div className="source-meta">By {s.addedBy} • {new Date(s.addedAt).toLocaleDateString()}</div>
+                                                    {editingSourceId === s.id ? (
+                                                        <form onSubmit={(e) => updateSource(e, s)} className="edit-source-form">
+                                                            <input
+                                                                type="text"
+                                                                value={editTitle}
+                                                                onChange={(e) => setEditTitle(e.target.value)}
+                                                                required
+                                                            />
+                                                            {s.type === 'reference' && (
+                                                                <textarea placeholder="Annotation (optional)" value={editContent} onChange={(e) => setEditContent(e.target.value)} />
+                                                            )}
+                                                            {(s.type === 'url' || s.type === 'media') && (
+                                                                <input type="url" value={editContent} onChange={(e) => setEditContent(e.target.value)} required />
+                                                            )}
+                                                            {(s.type === 'file' || s.type === 'image') && (
+                                                                <input type="file" onChange={(e) => setEditFile(e.target.files[0])} />
+                                                            )}
+                                                            <BibliographyForm
+                                                                values={editBibliography}
+                                                                origins={s.bibliography?.origins}
+                                                                onChange={setEditBibliography}
+                                                            />
+                                                            <select value={editCollectionId} onChange={(e) => setEditCollectionId(e.target.value)}>
+                                                                <option value="">📥 Unfiled</option>
+                                                                {collections.map((c) => (
+                                                                    <option key={c.id} value={c.id}>📁 {collectionPath(collections, c.id)}</option>
+                                                                ))}
+                                                            </select>
+                                                            {tags.length > 0 && (
+                                                                <div className="source-tags">
+                                                                    {tags.map((tag) => (
+                                                                        <button
+                                                                            type="button"
+                                                                            key={tag.id}
+                                                                            className={`tag-chip ${editTagIds.includes(tag.id) ? 'selected' : ''}`}
+                                                                            style={{ borderColor: tag.color }}
+                                                                            onClick={() => setEditTagIds(prev => prev.includes(tag.id)
+                                                                                ? prev.filter(id => id !== tag.id)
+                                                                                : [...prev, tag.id])}
+                                                                        >
+                                                                            {tag.name}
+                                                                        </button>
+                                                                    ))}
+                                                                </div>
+                                                            )}
+                                                            <div className="edit-actions">
+                                                                <button type="submit" disabled={loading} className="add-btn">💾 Save</button>
+                                                                <button type="button" onClick={cancelEditSource} className="cancel-btn">Cancel</button>
+                                                            </div>
+                                                        </form>
+                                                    ) : (
+                                                        <>
+                                                            <div className="source-header">
+                                                                <h4>{s.highlights ? renderHighlighted(s.title, s.highlights.title) : s.title}</h4>
+                                                                {presence.some(p => p.userId !== user?.id && p.sourceIds.includes(s.id)) && (
+                                                                    <span className="source-viewers">
+                                                                        {presence
+                                                                            .filter(p => p.userId !== user?.id && p.sourceIds.includes(s.id))
+                                                                            .map(p => <Avatar key={p.userId} userId={p.userId} name={p.name} title={`${p.name} has this open`} />)}
+                                                                    </span>
+                                                                )}
+                                                                <div className="source-actions">
+                                                                    <button className="cite-btn" onClick={() => generateCitation(s)}>📜 Cite</button>
+                                                                    {s.type === 'note' && (
+                                                                        <button
+                                                                            className={`cite-btn ${openNoteId === s.id ? 'active' : ''}`}
+                                                                            onClick={() => setOpenNoteId(openNoteId === s.id ? null : s.id)}
+                                                                            title={selectedVault.role === 'VIEWER' ? 'Follow live edits' : 'Edit together in real time'}
+                                                                        >
+                                                                            📝 {openNoteId === s.id ? 'Close' : 'Live'}
+                                                                        </button>
+                                                                    )}
+                                                                    <button
+                                                                        className={`cite-btn ${commentsSourceId === s.id ? 'active' : ''}`}
+                                                                        onClick={() => setCommentsSourceId(commentsSourceId === s.id ? null : s.id)}
+                                                                        title="Discussion"
+                                                                    >
+                                                                        💬
+                                                                    </button>
+                                                                    <button
+                                                                        className={`cite-btn ${historySourceId === s.id ? 'active' : ''}`}
+                                                                        onClick={() => setHistorySourceId(historySourceId === s.id ? null : s.id)}
+                                                                        title="Version history"
+                                                                    >
+                                                                        🕘
+                                                                    </button>
+                                                                    {canModifySource(s) && (
+                                                                        <>
+                                                                            <button className="edit-btn" onClick={() => startEditSource(s)} title="Edit source">✏️</button>
+                                                                            <button className="delete-btn" onClick={() => deleteSource(s)} title="Delete source">🗑️</button>
+                                                                        </>
+                                                                    )}
+                                                                </div>
+                                                            </div>
+                                                            <div className="source-content">
+                                                                {s.type === 'reference'
+                                                                    ? (s.content && <p>{s.content}</p>)
+                                                                    : s.type === 'note' && openNoteId === s.id
+                                                                    ? <NoteEditor vaultId={selectedVault.id} sourceId={s.id} user={user} socket={socket} onError={setError} />
+                                                                    : s.type === 'note'
+                                                                    ? <p>{s.snippet?.field === 'content' ? renderHighlighted(s.snippet.text, s.snippet.highlights) : s.content}</p>
+                                                                    : <a href={s.content || s.url} target="_blank" rel="noreferrer">{s.snippet?.field === 'content' ? renderHighlighted(s.snippet.text, s.snippet.highlights) : (s.content || s.url)}</a>}
+                                                                {s.type === 'file' && <button onClick={(e) => handleDownload(e, s)} className="download-btn">📥 Download</button>}
+                                                                {renderExtractionStatus(s)}
+                                                                {renderLinkMetadata(s)}
+                                                                {renderBibliography(s)}
+                                                                {s.snippet && s.snippet.field === 'extractedText' && (
+                                                                    <p className="search-snippet">{renderHighlighted(s.snippet.text, s.snippet.highlights)}</p>
+                                                                )}
+                                                            </div>
+                                                            <div className="source-meta">
+                                                                By {s.addedBy} • {new Date(s.addedAt).toLocaleDateString()}
+                                                                {s.capturedAt && ` • Saved ${new Date(s.capturedAt).toLocaleDateString()}`}
+                                                                {s.collectionId !== null && ` • 📁 ${collectionPath(collections, s.collectionId)}`}
+                                                            </div>
+                                                            {s.tags.length > 0 && (
+                                                                <div className="source-tags">
+                                                                    {s.tags.map((tag) => (
+                                                                        <button
+                                                                            type="button"
+                                                                            key={tag.id}
+                                                                            className="tag-chip"
+                                                                            style={{ borderColor: tag.color }}
+                                                                            onClick={() => setOrganizationFilter(prev => ({ ...prev, tag: tag.id }))}
+                                                                            title="Show sources with this tag"
+                                                                        >
+                                                                            {tag.name}
+                                                                        </button>
+                                                                    ))}
+                                                                </div>
+                                                            )}
+                                                            {commentsSourceId === s.id && (
+                                                                <SourceComments
+                                                                    vaultId={selectedVault.id}
+                                                                    sourceId={s.id}
+                                                                    user={user}
+                                                                    role={selectedVault.role}
+                                                                    socket={socket}
+                                                                    apiCall={apiCall}
+                                                                    onError={setError}
+                                                                />
+                                                            )}
+                                                            {historySourceId === s.id && (
+                                                                <SourceHistory
+                                                                    source={s}
+                                                                    canRestore={canModifySource(s) || (s.type === 'note' && selectedVault.role !== 'VIEWER')}
+                                                                    socket={socket}
+                                                                    apiCall={apiCall}
+                                                                    authFetch={authFetch}
+                                                                    onError={setError}
+                                                                />
+                                                            )}
+                                                        </>
+                                                    )}
                                                 </div>
                                             ))}
                                         </div>
+                                        {!searchResults && sourcesPage.nextCursor && (
+                                            <LoadMore onLoadMore={loadMoreSources} loading={loadingMoreSources} />
+                                        )}
                                     </div>
                                 </>
                             )}
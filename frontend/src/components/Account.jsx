@@ -0,0 +1,304 @@
+/**
+ * Account Component
+ * Profile, password, signed-in devices, security activity, data export, and account deletion
+ */
+
+import { useState, useEffect } from 'react';
+import LoadMore from './LoadMore';
+
+const ACTIVITY_LABELS = {
+    REGISTERED: '🎉 Account created',
+    LOGIN_SUCCEEDED: '✅ Signed in',
+    LOGIN_FAILED: '⚠️ Failed sign-in',
+    LOGIN_BLOCKED: '🔒 Sign-in blocked (locked out)',
+    TOKEN_REFRESHED: '🔄 Session refreshed',
+    TOKEN_REUSE_DETECTED: '🚨 Reused sign-in token; session revoked',
+    PASSWORD_RESET_REQUESTED: '✉️ Password reset requested',
+    PASSWORD_RESET: '🔑 Password reset',
+    PASSWORD_CHANGED: '🔑 Password changed',
+    EMAIL_CHANGED: '📧 Email changed'
+};
+
+// Session refreshes happen every few minutes per tab, so they are hidden unless asked for
+const QUIET_ACTIVITY = ['TOKEN_REFRESHED'];
+
+export const describeActivity = (event) => {
+    const label = ACTIVITY_LABELS[event.type] || event.type;
+    if (event.type === 'EMAIL_CHANGED' && event.metadata) return `${label}: ${event.metadata.from} → ${event.metadata.to}`;
+    if (event.type === 'LOGIN_FAILED' && event.metadata?.lockedUntil) {
+        return `${label}; locked until ${new Date(event.metadata.lockedUntil).toLocaleTimeString()}`;
+    }
+    return label;
+};
+
+function Account({ user, apiCall, authFetch, onUserUpdated, onLogout, onClose }) {
+    const [profile, setProfile] = useState({ name: user.name, email: user.email, currentPassword: '' });
+    const [passwords, setPasswords] = useState({ currentPassword: '', newPassword: '' });
+    const [sessions, setSessions] = useState([]);
+    const [activity, setActivity] = useState([]);
+    const [activityCursor, setActivityCursor] = useState(null);
+    const [showRefreshes, setShowRefreshes] = useState(false);
+    const [loadingActivity, setLoadingActivity] = useState(false);
+    const [deleteForm, setDeleteForm] = useState({ password: '', ownedVaults: 'transfer' });
+    const [message, setMessage] = useState(null);
+    const [error, setError] = useState(null);
+    const [loading, setLoading] = useState(false);
+
+    useEffect(() => {
+        fetchSessions();
+    }, []);
+
+    useEffect(() => {
+        fetchActivity();
+    }, [showRefreshes]);
+
+    /**
+     * Run an account action with shared loading/error handling
+     */
+    const run = async (action) => {
+        setLoading(true);
+        setError(null);
+        setMessage(null);
+        try {
+            await action();
+        } catch (err) {
+            console.error('Account error:', err);
+            setError(err.message);
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    const fetchSessions = async () => {
+        try {
+            const data = await apiCall('/auth/sessions');
+            setSessions(data.data);
+        } catch (err) {
+            console.error('Error fetching sessions:', err);
+            setError('Failed to load sessions');
+        }
+    };
+
+    /**
+     * Sign-in and credential history: the newest page, or the page after `cursor`
+     */
+    const fetchActivity = async (cursor = null) => {
+        setLoadingActivity(true);
+        try {
+            const params = new URLSearchParams({ limit: '20' });
+            if (!showRefreshes) {
+                const types = Object.keys(ACTIVITY_LABELS).filter(type => !QUIET_ACTIVITY.includes(type));
+                params.set('type', types.join(','));
+            }
+            if (cursor) params.set('cursor', cursor);
+
+            const data = await apiCall(`/auth/activity?${params}`);
+            setActivity(prev => cursor ? [...prev, ...data.data] : data.data);
+            setActivityCursor(data.meta.nextCursor);
+        } catch (err) {
+            console.error('Error fetching activity:', err);
+            setError('Failed to load security activity');
+        } finally {
+            setLoadingActivity(false);
+        }
+    };
+
+    const updateProfile = (e) => {
+        e.preventDefault();
+        run(async () => {
+            const data = await apiCall('/auth/me', {
+                method: 'PATCH',
+                body: JSON.stringify(profile)
+            });
+            onUserUpdated(data.data.user, data.data.token);
+            setProfile(prev => ({ ...prev, currentPassword: '' }));
+            setMessage('Profile updated.');
+            fetchActivity();
+        });
+    };
+
+    const changePassword = (e) => {
+        e.preventDefault();
+        run(async () => {
+            const data = await apiCall('/auth/change-password', {
+                method: 'POST',
+                body: JSON.stringify(passwords)
+            });
+            setPasswords({ currentPassword: '', newPassword: '' });
+            setMessage(data.message);
+            fetchSessions();
+            fetchActivity();
+        });
+    };
+
+    const revokeSession = async (session) => {
+        if (session.current) {
+            onLogout();
+            return;
+        }
+        if (!window.confirm('Sign out this device?')) return;
+
+        run(async () => {
+            await apiCall(`/auth/sessions/${session.id}`, { method: 'DELETE' });
+            setSessions(prev => prev.filter(s => s.id !== session.id));
+        });
+    };
+
+    const exportData = () => {
+        run(async () => {
+            const response = await authFetch('/auth/me/export');
+            if (!response.ok) {
+                throw new Error('Export failed');
+            }
+
+            const blob = await response.blob();
+            const url = window.URL.createObjectURL(blob);
+            const a = document.createElement('a');
+            a.href = url;
+            a.download = `syncscript-export-${user.id}.json`;
+            document.body.appendChild(a);
+            a.click();
+            window.URL.revokeObjectURL(url);
+            document.body.removeChild(a);
+        });
+    };
+
+    const deleteAccount = (e) => {
+        e.preventDefault();
+        const vaultPolicy = deleteForm.ownedVaults === 'transfer'
+            ? 'Vaults you own will be handed to another member (or deleted if you are the only one).'
+            : 'Vaults you own will be deleted with all of their sources.';
+        if (!window.confirm(`Delete your account permanently? ${vaultPolicy}`)) return;
+
+        run(async () => {
+            await apiCall('/auth/me', {
+                method: 'DELETE',
+                body: JSON.stringify(deleteForm)
+            });
+            onLogout();
+        });
+    };
+
+    return (
+        <div className="members-section account-section">
+            <div className="account-header">
+                <h3>Account Settings</h3>
+                <button className="cancel-btn" onClick={onClose}>Close</button>
+            </div>
+
+            {message && <p className="account-message">{message}</p>}
+            {error && <p className="account-error">{error}</p>}
+
+            <h4>Profile</h4>
+            <form onSubmit={updateProfile} className="account-form">
+                <input
+                    type="text"
+                    placeholder="Full Name"
+                    value={profile.name}
+                    onChange={(e) => setProfile({ ...profile, name: e.target.value })}
+                    required
+                />
+                <input
+                    type="email"
+                    placeholder="Email"
+                    value={profile.email}
+                    onChange={(e) => setProfile({ ...profile, email: e.target.value })}
+                    required
+                />
+                {profile.email !== user.email && (
+                    <input
+                        type="password"
+                        placeholder="Current password (required to change email)"
+                        value={profile.currentPassword}
+                        onChange={(e) => setProfile({ ...profile, currentPassword: e.target.value })}
+                        required
+                    />
+                )}
+                <button type="submit" disabled={loading} className="add-btn">Save Profile</button>
+            </form>
+
+            <h4>Change Password</h4>
+            <form onSubmit={changePassword} className="account-form">
+                <input
+                    type="password"
+                    placeholder="Current password"
+                    value={passwords.currentPassword}
+                    onChange={(e) => setPasswords({ ...passwords, currentPassword: e.target.value })}
+                    required
+                />
+                <input
+                    type="password"
+                    placeholder="New password (min 6 characters)"
+                    value={passwords.newPassword}
+                    onChange={(e) => setPasswords({ ...passwords, newPassword: e.target.value })}
+                    minLength="6"
+                    required
+                />
+                <button type="submit" disabled={loading} className="add-btn">Change Password</button>
+            </form>
+
+            <h4>Active Sessions ({sessions.length})</h4>
+            <div className="member-list">
+                {sessions.map((s) => (
+                    <div key={s.id} className="member-item">
+                        <div>
+                            <div className="member-name">{s.userAgent || 'Unknown device'}{s.current ? ' (this device)' : ''}</div>
+                            <div className="member-email">
+                                {s.ipAddress || 'Unknown IP'} • Signed in {new Date(s.createdAt).toLocaleString()} • Last active {new Date(s.lastUsedAt).toLocaleString()}
+                            </div>
+                        </div>
+                        <button className="delete-btn" onClick={() => revokeSession(s)} title={s.current ? 'Log out' : 'Sign out device'}>✕</button>
+                    </div>
+                ))}
+            </div>
+
+            <div className="activity-header">
+                <h4>Security Activity</h4>
+                <label>
+                    <input type="checkbox" checked={showRefreshes} onChange={(e) => setShowRefreshes(e.target.checked)} />
+                    Show session refreshes
+                </label>
+            </div>
+            <div className="member-list">
+                {activity.length === 0 && !loadingActivity && <p className="empty-state">No activity recorded yet.</p>}
+                {activity.map((event) => (
+                    <div key={event.id} className={`member-item activity-item activity-${event.type.toLowerCase()}`}>
+                        <div>
+                            <div className="member-name">{describeActivity(event)}</div>
+                            <div className="member-email">
+                                {new Date(event.createdAt).toLocaleString()} • {event.ipAddress || 'Unknown IP'} • {event.userAgent || 'Unknown device'}
+                            </div>
+                        </div>
+                    </div>
+                ))}
+            </div>
+            {activityCursor && <LoadMore onLoadMore={() => fetchActivity(activityCursor)} loading={loadingActivity} />}
+
+            <h4>Your Data</h4>
+            <p className="subtitle">Download everything you own or created as JSON.</p>
+            <button onClick={exportData} disabled={loading} className="download-btn">📥 Export My Data</button>
+
+            <h4 className="danger-title">Delete Account</h4>
+            <form onSubmit={deleteAccount} className="account-form">
+                <select
+                    value={deleteForm.ownedVaults}
+                    onChange={(e) => setDeleteForm({ ...deleteForm, ownedVaults: e.target.value })}
+                >
+                    <option value="transfer">Hand my vaults to another member</option>
+                    <option value="delete">Delete the vaults I own</option>
+                </select>
+                <input
+                    type="password"
+                    placeholder="Confirm with your password"
+                    value={deleteForm.password}
+                    onChange={(e) => setDeleteForm({ ...deleteForm, password: e.target.value })}
+                    required
+                />
+                <p className="subtitle">Sources you added stay in shared vaults, attributed to "Deleted user".</p>
+                <button type="submit" disabled={loading} className="add-btn danger-btn">Delete My Account</button>
+            </form>
+        </div>
+    );
+}
+
+export default Account;
@@ -1,6 +1,6 @@
 /**
  * Authentication Component
- * Handles user registration and login
+ * Handles user registration, login, and password reset
  */
 
 import { useState } from 'react';
@@ -18,6 +18,52 @@ function Auth({ onAuthSuccess }) {
     const [error, setError] = useState(null);
     const [loading, setLoading] = useState(false);
 
+    // Password reset: 'forgot' asks for an email, 'reset' consumes a ?reset=<token> link
+    const [resetToken] = useState(() => new URLSearchParams(window.location.search).get('reset'));
+    const [recoveryView, setRecoveryView] = useState(resetToken ? 'reset' : null);
+    const [info, setInfo] = useState(null);
+
+    const handleRecovery = async (e) => {
+        e.preventDefault();
+        setError(null);
+        setInfo(null);
+        setLoading(true);
+
+        const endpoint = recoveryView === 'reset' ? '/auth/reset-password' : '/auth/forgot-password';
+        const body = recoveryView === 'reset'
+            ? { token: resetToken, password: formData.password }
+            : { email: formData.email };
+
+        try {
+            const response = await fetch(`${API_BASE_URL}${endpoint}`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                },
+                body: JSON.stringify(body),
+            });
+
+            const data = await response.json();
+
+            if (data.success) {
+                setInfo(data.message);
+                if (recoveryView === 'reset') {
+                    window.history.replaceState(null, '', window.location.pathname);
+                    setFormData({ ...formData, password: '' });
+                    setRecoveryView(null);
+                    setIsLogin(true);
+                }
+            } else {
+                setError(data.error || 'Request failed');
+            }
+        } catch (err) {
+            console.error('Recovery error:', err);
+            setError('Failed to connect to server. Make sure backend is running on port 3000.');
+        } finally {
+            setLoading(false);
+        }
+    };
+
     const handleSubmit = async (e) => {
         e.preventDefault();
         setError(null);
@@ -42,6 +88,7 @@ function Auth({ onAuthSuccess }) {
             if (data.success) {
                 // Store token and user info
                 localStorage.setItem('token', data.data.token);
+                localStorage.setItem('refreshToken', data.data.refreshToken);
                 localStorage.setItem('user', JSON.stringify(data.data.user));
                 onAuthSuccess(data.data.user, data.data.token);
             } else {
@@ -83,46 +130,89 @@ function Auth({ onAuthSuccess }) {
                     </button>
                 </div>
 
-                <form onSubmit={handleSubmit} className="auth-form">
-                    {!isLogin && (
+                {recoveryView ? (
+                    <form onSubmit={handleRecovery} className="auth-form">
+                        {recoveryView === 'forgot' ? (
+                            <input
+                                type="email"
+                                name="email"
+                                placeholder="Email"
+                                value={formData.email}
+                                onChange={handleChange}
+                                required
+                                disabled={loading}
+                            />
+                        ) : (
+                            <input
+                                type="password"
+                                name="password"
+                                placeholder="New password (min 6 characters)"
+                                value={formData.password}
+                                onChange={handleChange}
+                                required
+                                minLength="6"
+                                disabled={loading}
+                            />
+                        )}
+
+                        {error && <div className="auth-error">{error}</div>}
+                        {info && <div className="auth-info">{info}</div>}
+
+                        <button type="submit" disabled={loading}>
+                            {loading ? 'Please wait...' : (recoveryView === 'forgot' ? 'Send Reset Link' : 'Set New Password')}
+                        </button>
+                        <button type="button" className="auth-link" onClick={() => { setRecoveryView(null); setError(null); setInfo(null); }}>
+                            Back to login
+                        </button>
+                    </form>
+                ) : (
+                    <form onSubmit={handleSubmit} className="auth-form">
+                        {!isLogin && (
+                            <input
+                                type="text"
+                                name="name"
+                                placeholder="Full Name"
+                                value={formData.name}
+                                onChange={handleChange}
+                                required={!isLogin}
+                                disabled={loading}
+                            />
+                        )}
+
                         <input
-                            type="text"
-                            name="name"
-                            placeholder="Full Name"
-                            value={formData.name}
+                            type="email"
+                            name="email"
+                            placeholder="Email"
+                            value={formData.email}
                             onChange={handleChange}
-                            required={!isLogin}
+                            required
                             disabled={loading}
                         />
-                    )}
-
-                    <input
-                        type="email"
-                        name="email"
-                        placeholder="Email"
-                        value={formData.email}
-                        onChange={handleChange}
-                        required
-                        disabled={loading}
-                    />
-
-                    <input
-                        type="password"
-                        name="password"
-                        placeholder="Password (min 6 characters)"
-                        value={formData.password}
-                        onChange={handleChange}
-                        required
-                        minLength="6"
-                        disabled={loading}
-                    />
-
-                    {error && <div className="auth-error">{error}</div>}
-
-                    <button type="submit" disabled={loading}>
-                        {loading ? 'Please wait...' : (isLogin ? 'Login' : 'Create Account')}
-                    </button>
-                </form>
+
+                        <input
+                            type="password"
+                            name="password"
+                            placeholder="Password (min 6 characters)"
+                            value={formData.password}
+                            onChange={handleChange}
+                            required
+                            minLength="6"
+                            disabled={loading}
+                        />
+
+                        {error && <div className="auth-error">{error}</div>}
+                        {info && <div className="auth-info">{info}</div>}
+
+                        <button type="submit" disabled={loading}>
+                            {loading ? 'Please wait...' : (isLogin ? 'Login' : 'Create Account')}
+                        </button>
+                        {isLogin && (
+                            <button type="button" className="auth-link" onClick={() => { setRecoveryView('forgot'); setError(null); setInfo(null); }}>
+                                Forgot password?
+                            </button>
+                        )}
+                    </form>
+                )}
 
                 <div className="auth-features">
                     <h3>✨ New in v2.0:</h3>
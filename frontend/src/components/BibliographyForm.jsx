@@ -0,0 +1,112 @@
+/**
+ * BibliographyForm Component
+ * Edits a source's bibliographic fields; auto-filled values carry an "auto" badge
+ */
+
+const ITEM_TYPES = [
+    ['', 'Detect from source'],
+    ['article-journal', 'Journal article'],
+    ['article-magazine', 'Magazine article'],
+    ['article-newspaper', 'Newspaper article'],
+    ['book', 'Book'],
+    ['chapter', 'Book chapter'],
+    ['paper-conference', 'Conference paper'],
+    ['report', 'Report'],
+    ['thesis', 'Thesis'],
+    ['webpage', 'Web page'],
+    ['post-weblog', 'Blog post'],
+    ['motion_picture', 'Video'],
+    ['document', 'Document'],
+    ['dataset', 'Dataset'],
+    ['software', 'Software'],
+    ['manuscript', 'Manuscript'],
+    ['graphic', 'Image']
+];
+
+const TEXT_FIELDS = [
+    ['containerTitle', 'Journal / website / book'],
+    ['publisher', 'Publisher'],
+    ['publishedDate', 'Published (YYYY, YYYY-MM or YYYY-MM-DD)'],
+    ['volume', 'Volume'],
+    ['issue', 'Issue'],
+    ['pages', 'Pages (e.g. 12–19)'],
+    ['doi', 'DOI'],
+    ['isbn', 'ISBN']
+];
+
+const FIELDS = ['itemType', 'authors', ...TEXT_FIELDS.map(([field]) => field), 'abstract'];
+
+const formatAuthor = (author) => (author.literal ? author.literal : `${author.family}, ${author.given}`);
+
+/**
+ * API bibliography → form values (authors as one "Family, Given" per line)
+ */
+export const toFormValues = (bibliography) => {
+    const values = {};
+    FIELDS.forEach((field) => {
+        values[field] = field === 'authors'
+            ? (bibliography?.authors || []).map(formatAuthor).join('\n')
+            : (bibliography?.[field] || '');
+    });
+    return values;
+};
+
+/**
+ * Form values → PATCH/POST payload containing only fields that differ from `original`
+ * (pass null to send every non-empty field). Empty strings clear a field.
+ */
+export const toPayload = (values, original = null) => {
+    const base = original ? toFormValues(original) : toFormValues(null);
+    const payload = {};
+
+    FIELDS.forEach((field) => {
+        if (values[field].trim() === base[field].trim()) return;
+        payload[field] = field === 'authors'
+            ? values.authors.split('\n').map((line) => line.trim()).filter(Boolean)
+            : values[field].trim();
+    });
+    return payload;
+};
+
+export const emptyBibliography = () => toFormValues(null);
+
+function BibliographyForm({ values, origins = {}, onChange }) {
+    const set = (field) => (e) => onChange({ ...values, [field]: e.target.value });
+
+    const label = (field, text) => (
+        <span className="bib-label">
+            {text}
+            {origins[field] === 'auto' && <span className="auto-badge" title="Filled in automatically; edit to override">auto</span>}
+        </span>
+    );
+
+    return (
+        <details className="bibliography-form">
+            <summary>📚 Bibliographic details</summary>
+            <div className="bib-grid">
+                <label>
+                    {label('itemType', 'Type')}
+                    <select value={values.itemType} onChange={set('itemType')}>
+                        {ITEM_TYPES.map(([value, name]) => <option key={value} value={value}>{name}</option>)}
+                    </select>
+                </label>
+                <label className="bib-wide">
+                    {label('authors', 'Authors (one per line, "Family, Given")')}
+                    <textarea rows="3" value={values.authors} onChange={set('authors')} />
+                </label>
+                {TEXT_FIELDS.map(([field, text]) => (
+                    <label key={field}>
+                        {label(field, text)}
+                        <input type="text" value={values[field]} onChange={set(field)} />
+                    </label>
+                ))}
+                <label className="bib-wide">
+                    {label('abstract', 'Abstract')}
+                    <textarea rows="3" value={values.abstract} onChange={set('abstract')} />
+                </label>
+            </div>
+        </details>
+    );
+}
+
+export default BibliographyForm;
@@ -0,0 +1,47 @@
+/**
+ * BookmarkFolderTree Component
+ * Checkbox tree for choosing which folders of a bookmark export to import
+ */
+
+const flatten = (folder) => [folder, ...folder.folders.flatMap(flatten)];
+
+// Ids of a folder and everything below it
+export const folderIds = (folder) => flatten(folder).map((f) => f.id);
+
+// Folders that hold bookmarks are selected by default
+export const defaultSelection = (folder) => new Set(
+    flatten(folder).filter((f) => f.bookmarks > 0).map((f) => f.id)
+);
+
+function BookmarkFolderTree({ folder, selected, onChange }) {
+    // Toggling a folder applies to its subfolders too
+    const toggle = () => {
+        const next = new Set(selected);
+        const ids = folderIds(folder);
+        const select = !selected.has(folder.id);
+        ids.forEach((id) => (select ? next.add(id) : next.delete(id)));
+        onChange(next);
+    };
+
+    return (
+        <li>
+            <label>
+                <input type="checkbox" checked={selected.has(folder.id)} onChange={toggle} />
+                📁 {folder.name}
+                <span className="folder-counts">
+                    {folder.bookmarks} bookmark{folder.bookmarks === 1 ? '' : 's'}
+                    {folder.duplicates > 0 && ` • ${folder.duplicates} already in vault`}
+                </span>
+            </label>
+            {folder.folders.length > 0 && (
+                <ul>
+                    {folder.folders.map((child) => (
+                        <BookmarkFolderTree key={child.id} folder={child} selected={selected} onChange={onChange} />
+                    ))}
+                </ul>
+            )}
+        </li>
+    );
+}
+
+export default BookmarkFolderTree;
@@ -0,0 +1,34 @@
+/**
+ * LoadMore Component
+ * Sits under a paged list and asks for the next page when it scrolls into view;
+ * the button covers browsers without IntersectionObserver.
+ */
+
+import { useEffect, useRef } from 'react';
+
+function LoadMore({ onLoadMore, loading }) {
+    const sentinelRef = useRef(null);
+    const onLoadMoreRef = useRef(onLoadMore);
+    onLoadMoreRef.current = onLoadMore;
+
+    // Observing again after each page reports at once if the sentinel is still visible
+    // (a short page), so the list keeps filling the screen
+    useEffect(() => {
+        if (loading || !sentinelRef.current || typeof IntersectionObserver === 'undefined') return;
+        const observer = new IntersectionObserver((entries) => {
+            if (entries[0].isIntersecting) onLoadMoreRef.current();
+        }, { rootMargin: '200px' });
+        observer.observe(sentinelRef.current);
+        return () => observer.disconnect();
+    }, [loading]);
+
+    return (
+        <div ref={sentinelRef} className="load-more">
+            <button type="button" onClick={() => onLoadMore()} disabled={loading}>
+                {loading ? '⏳ Loading...' : 'Load more'}
+            </button>
+        </div>
+    );
+}
+
+export default LoadMore;
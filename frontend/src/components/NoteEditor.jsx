@@ -0,0 +1,251 @@
+/**
+ * NoteEditor Component
+ * Live multi-user editor for a note source. The text is a Yjs document synced
+ * through the vault's socket (note:join / note:update / note:awareness), so
+ * concurrent edits merge; collaborators' cursors are drawn over the textarea.
+ */
+
+import { useState, useEffect, useLayoutEffect, useRef } from 'react';
+import * as Y from 'yjs';
+import { Awareness, encodeAwarenessUpdate, applyAwarenessUpdate } from 'y-protocols/awareness';
+
+const TEXT_NAME = 'content'; // Must match backend/collab.js
+const COLORS = ['#60a5fa', '#f87171', '#4ade80', '#facc15', '#c084fc', '#fb923c', '#2dd4bf', '#f472b6'];
+
+export const userColor = (userId) => COLORS[userId % COLORS.length];
+
+// Smallest single splice turning `before` into `after`
+export const diffText = (before, after) => {
+    let start = 0;
+    const max = Math.min(before.length, after.length);
+    while (start < max && before[start] === after[start]) start++;
+
+    let end = 0;
+    while (
+        end < before.length - start &&
+        end < after.length - start &&
+        before[before.length - 1 - end] === after[after.length - 1 - end]
+    ) end++;
+
+    return {
+        index: start,
+        remove: before.length - start - end,
+        insert: after.slice(start, after.length - end)
+    };
+};
+
+// Moves a caret index through a Yjs text delta (remote edits before the caret shift it)
+export const transformIndex = (index, delta) => {
+    let pos = 0;
+    let result = index;
+    delta.forEach((op) => {
+        if (op.retain) {
+            pos += op.retain;
+        } else if (op.insert) {
+            if (pos < index) result += op.insert.length;
+        } else if (op.delete) {
+            if (pos < index) result -= Math.min(op.delete, index - pos);
+            pos += op.delete;
+        }
+    });
+    return result;
+};
+
+function NoteEditor({ vaultId, sourceId, user, socket, onError }) {
+    const [text, setText] = useState('');
+    const [status, setStatus] = useState('connecting'); // 'connecting' | 'ready' | 'error'
+    const [readOnly, setReadOnly] = useState(true);
+    const [peers, setPeers] = useState([]); // [{ clientId, user, index }]
+    const textareaRef = useRef(null);
+    const mirrorRef = useRef(null);
+    const docRef = useRef(null);
+    const awarenessRef = useRef(null);
+    const pendingSelection = useRef(null);
+
+    useEffect(() => {
+        if (!socket) return;
+
+        const doc = new Y.Doc();
+        const ytext = doc.getText(TEXT_NAME);
+        const awareness = new Awareness(doc);
+        awareness.setLocalStateField('user', { id: user.id, name: user.name, color: userColor(user.id) });
+        docRef.current = doc;
+        awarenessRef.current = awareness;
+
+        const refreshPeers = () => {
+            const list = [];
+            awareness.getStates().forEach((state, clientId) => {
+                if (clientId === doc.clientID || !state.user) return;
+                let index = null;
+                if (state.cursor) {
+                    const position = Y.createAbsolutePositionFromRelativePosition(Y.createRelativePositionFromJSON(state.cursor), doc);
+                    if (position) index = position.index;
+                }
+                list.push({ clientId, user: state.user, index });
+            });
+            setPeers(list);
+        };
+
+        ytext.observe((event) => {
+            // Keep the local caret where it was relative to the surrounding text
+            const el = textareaRef.current;
+            if (event.transaction.origin !== 'local' && el && document.activeElement === el) {
+                pendingSelection.current = [
+                    transformIndex(el.selectionStart, event.delta),
+                    transformIndex(el.selectionEnd, event.delta)
+                ];
+            }
+            setText(ytext.toString());
+            refreshPeers();
+        });
+
+        doc.on('update', (update, origin) => {
+            if (origin !== 'local') return;
+            socket.emit('note:update', { sourceId, update }, (res) => {
+                if (res && !res.success) onError(res.error);
+            });
+        });
+
+        awareness.on('update', ({ added, updated, removed }, origin) => {
+            if (origin !== 'local') return;
+            socket.emit('note:awareness', {
+                sourceId,
+                update: encodeAwarenessUpdate(awareness, [...added, ...updated, ...removed])
+            });
+        });
+        awareness.on('change', refreshPeers);
+
+        const onUpdate = ({ sourceId: id, update }) => {
+            if (id === sourceId) Y.applyUpdate(doc, new Uint8Array(update), 'remote');
+        };
+        const onAwareness = ({ sourceId: id, update }) => {
+            if (id === sourceId) applyAwarenessUpdate(awareness, new Uint8Array(update), 'remote');
+        };
+
+        // Runs on open and again after every reconnect
+        const join = () => {
+            socket.emit('note:join', { vaultId, sourceId }, (res) => {
+                if (!res || !res.success) {
+                    setStatus('error');
+                    onError(res?.error || 'Failed to open note');
+                    return;
+                }
+                const { state, stateVector, awareness: others, readOnly: viewOnly } = res.data;
+                Y.applyUpdate(doc, new Uint8Array(state), 'remote');
+                applyAwarenessUpdate(awareness, new Uint8Array(others), 'remote');
+
+                // Send edits the server has not seen (typed while disconnected); an empty update is 2 bytes
+                const missing = Y.encodeStateAsUpdate(doc, new Uint8Array(stateVector));
+                if (!viewOnly && missing.length > 2) {
+                    socket.emit('note:update', { sourceId, update: missing });
+                }
+                socket.emit('note:awareness', { sourceId, update: encodeAwarenessUpdate(awareness, [doc.clientID]) });
+
+                setReadOnly(viewOnly);
+                setStatus('ready');
+            });
+        };
+
+        socket.on('note:update', onUpdate);
+        socket.on('note:awareness', onAwareness);
+        socket.on('connect', join);
+        if (socket.connected) join();
+
+        return () => {
+            socket.off('note:update', onUpdate);
+            socket.off('note:awareness', onAwareness);
+            socket.off('connect', join);
+            socket.emit('note:leave', sourceId);
+            awareness.destroy();
+            doc.destroy();
+        };
+    }, [socket, vaultId, sourceId]);
+
+    useLayoutEffect(() => {
+        if (pendingSelection.current && textareaRef.current) {
+            textareaRef.current.setSelectionRange(...pendingSelection.current);
+            pendingSelection.current = null;
+        }
+    }, [text]);
+
+    const publishCursor = () => {
+        const el = textareaRef.current;
+        const doc = docRef.current;
+        if (!el || !doc) return;
+        const position = Y.createRelativePositionFromTypeIndex(doc.getText(TEXT_NAME), el.selectionStart);
+        awarenessRef.current.setLocalStateField('cursor', Y.relativePositionToJSON(position));
+    };
+
+    const handleChange = (e) => {
+        const doc = docRef.current;
+        const ytext = doc.getText(TEXT_NAME);
+        const { index, remove, insert } = diffText(ytext.toString(), e.target.value);
+        doc.transact(() => {
+            if (remove > 0) ytext.delete(index, remove);
+            if (insert) ytext.insert(index, insert);
+        }, 'local');
+        publishCursor();
+    };
+
+    const syncScroll = () => {
+        if (mirrorRef.current && textareaRef.current) {
+            mirrorRef.current.scrollTop = textareaRef.current.scrollTop;
+        }
+    };
+
+    // The mirror repeats the text invisibly so carets land where the characters are
+    const renderCarets = () => {
+        const carets = peers.filter((p) => p.index !== null).sort((a, b) => a.index - b.index);
+        const parts = [];
+        let last = 0;
+        carets.forEach((peer) => {
+            parts.push(text.slice(last, peer.index));
+            parts.push(
+                <span key={peer.clientId} className="remote-caret" style={{ borderColor: peer.user.color }}>
+                    <span className="remote-caret-label" style={{ background: peer.user.color }}>{peer.user.name}</span>
+                </span>
+            );
+            last = peer.index;
+        });
+        parts.push(`${text.slice(last)}\u200b`); // Keeps a trailing newline's line height
+        return parts;
+    };
+
+    // One entry per person, even with the note open in several tabs
+    const editors = [...new Map(peers.map((p) => [p.user.id, p.user])).values()];
+
+    return (
+        <div className="note-editor">
+            <div className="note-editor-status">
+                {status === 'connecting' && 'Connecting...'}
+                {status === 'error' && 'Could not open this note'}
+                {status === 'ready' && (
+                    <>
+                        {readOnly && <span className="note-readonly">👁️ Read-only</span>}
+                        {editors.length === 0 ? 'Only you are here' : 'Also here:'}
+                        {editors.map((editor) => (
+                            <span key={editor.id} className="note-peer">
+                                <span className="tag-dot" style={{ background: editor.color }} /> {editor.name}
+                            </span>
+                        ))}
+                    </>
+                )}
+            </div>
+            <div className="note-editor-body">
+                <div ref={mirrorRef} className="note-mirror" aria-hidden="true">{renderCarets()}</div>
+                <textarea
+                    ref={textareaRef}
+                    value={text}
+                    onChange={handleChange}
+                    onSelect={publishCursor}
+                    onScroll={syncScroll}
+                    onBlur={() => awarenessRef.current?.setLocalStateField('cursor', null)}
+                    readOnly={readOnly || status !== 'ready'}
+                    rows="10"
+                />
+            </div>
+        </div>
+    );
+}
+
+export default NoteEditor;
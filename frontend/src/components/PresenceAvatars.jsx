@@ -0,0 +1,64 @@
+/**
+ * PresenceAvatars Component
+ * Stack of initials avatars for the people online in a vault. Hovering one
+ * shows the name and which source(s) they have open.
+ */
+
+import { userColor } from './NoteEditor';
+
+const MAX_SHOWN = 5;
+
+export const initials = (name) => name
+    .split(/\s+/)
+    .filter(Boolean)
+    .slice(0, 2)
+    .map((part) => part[0].toUpperCase())
+    .join('') || '?';
+
+export function Avatar({ userId, name, away = false, title }) {
+    return (
+        <span
+            className={`avatar ${away ? 'away' : ''}`}
+            style={{ background: userColor(userId) }}
+            title={title || name}
+        >
+            {initials(name)}
+        </span>
+    );
+}
+
+function PresenceAvatars({ users, sources, currentUserId }) {
+    if (users.length === 0) return null;
+
+    const describe = (entry) => {
+        const titles = entry.sourceIds
+            .map((id) => sources.find((s) => s.id === id)?.title)
+            .filter(Boolean);
+        const who = entry.userId === currentUserId ? `${entry.name} (you)` : entry.name;
+        if (entry.tabs === 0) return `${who} • reconnecting...`;
+        return titles.length > 0 ? `${who} • viewing ${titles.join(', ')}` : who;
+    };
+
+    const shown = users.slice(0, MAX_SHOWN);
+    return (
+        <span className="presence-avatars">
+            {shown.map((entry) => (
+                <Avatar
+                    key={entry.userId}
+                    userId={entry.userId}
+                    name={entry.name}
+                    away={entry.tabs === 0}
+                    title={describe(entry)}
+                />
+            ))}
+            {users.length > MAX_SHOWN && (
+                <span className="avatar more" title={users.slice(MAX_SHOWN).map(describe).join('\n')}>
+                    +{users.length - MAX_SHOWN}
+                </span>
+            )}
+            <span className="presence-count">{users.length} online</span>
+        </span>
+    );
+}
+
+export default PresenceAvatars;
@@ -0,0 +1,230 @@
+/**
+ * SourceComments Component
+ * Discussion threads on one source: replies, editing, deletion, resolve/unresolve.
+ * Threads update live from the vault's socket events; "@Name" mentions are highlighted.
+ */
+
+import { useState, useEffect } from 'react';
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Comment text with each "@Name" mention wrapped in a highlight
+export const renderMentions = (body, mentions) => {
+    if (mentions.length === 0) return body;
+    const names = [...mentions].sort((a, b) => b.name.length - a.name.length).map((m) => escapeRegExp(m.name));
+    return body.split(new RegExp(`(@(?:${names.join('|')}))`, 'gi')).map((part, i) => (
+        i % 2 === 1 ? <span key={i} className="mention">{part}</span> : part
+    ));
+};
+
+// Applies a comment:* socket event to a thread list
+export const applyCommentEvent = (threads, event, payload) => {
+    if (event === 'created') {
+        if (payload.parentId === null) {
+            return threads.some((t) => t.id === payload.id) ? threads : [...threads, { ...payload, replies: [] }];
+        }
+        return threads.map((t) => (t.id === payload.parentId && !t.replies.some((r) => r.id === payload.id)
+            ? { ...t, replies: [...t.replies, payload] }
+            : t));
+    }
+    if (event === 'updated') {
+        return threads.map((t) => (t.id === payload.id
+            ? { ...payload, replies: t.replies }
+            : { ...t, replies: t.replies.map((r) => (r.id === payload.id ? payload : r)) }));
+    }
+    // deleted: a thread root takes its replies with it
+    return threads
+        .filter((t) => t.id !== payload.id)
+        .map((t) => ({ ...t, replies: t.replies.filter((r) => r.id !== payload.id) }));
+};
+
+function SourceComments({ vaultId, sourceId, user, role, socket, apiCall, onError }) {
+    const [threads, setThreads] = useState([]);
+    const [loading, setLoading] = useState(true);
+    const [showResolved, setShowResolved] = useState(false);
+    const [newComment, setNewComment] = useState('');
+    const [replyTo, setReplyTo] = useState(null);
+    const [replyText, setReplyText] = useState('');
+    const [editingId, setEditingId] = useState(null);
+    const [editText, setEditText] = useState('');
+
+    useEffect(() => {
+        let cancelled = false;
+        setLoading(true);
+        apiCall(`/vaults/${vaultId}/sources/${sourceId}/comments`)
+            .then((data) => {
+                if (!cancelled) setThreads(data.data);
+            })
+            .catch((err) => {
+                console.error('Error fetching comments:', err);
+                if (!cancelled) onError(err.message || 'Failed to load comments');
+            })
+            .finally(() => {
+                if (!cancelled) setLoading(false);
+            });
+        return () => {
+            cancelled = true;
+        };
+    }, [vaultId, sourceId]);
+
+    useEffect(() => {
+        if (!socket) return;
+        const handlers = ['created', 'updated', 'deleted'].map((event) => {
+            const handler = (payload) => {
+                if (payload.sourceId !== sourceId) return;
+                setThreads((prev) => applyCommentEvent(prev, event, payload));
+            };
+            socket.on(`comment:${event}`, handler);
+            return [`comment:${event}`, handler];
+        });
+        return () => handlers.forEach(([event, handler]) => socket.off(event, handler));
+    }, [socket, sourceId]);
+
+    const run = async (action, fallback) => {
+        try {
+            await action();
+            return true;
+        } catch (err) {
+            console.error('Comment error:', err);
+            onError(err.message || fallback);
+            return false;
+        }
+    };
+
+    // Responses are applied right away; the matching socket event is then a no-op
+    const postComment = async (e, body, parentId = null) => {
+        e.preventDefault();
+        if (!body.trim()) return;
+        const ok = await run(async () => {
+            const data = await apiCall(`/vaults/${vaultId}/sources/${sourceId}/comments`, {
+                method: 'POST',
+                body: JSON.stringify({ body, parentId })
+            });
+            setThreads((prev) => applyCommentEvent(prev, 'created', data.data));
+        }, 'Failed to add comment');
+        if (!ok) return;
+        if (parentId) {
+            setReplyTo(null);
+            setReplyText('');
+        } else {
+            setNewComment('');
+        }
+    };
+
+    const updateComment = (commentId, changes) => run(async () => {
+        const data = await apiCall(`/vaults/${vaultId}/comments/${commentId}`, {
+            method: 'PATCH',
+            body: JSON.stringify(changes)
+        });
+        setThreads((prev) => applyCommentEvent(prev, 'updated', data.data));
+    }, 'Failed to update comment');
+
+    const saveEdit = async (e) => {
+        e.preventDefault();
+        if (await updateComment(editingId, { body: editText })) {
+            setEditingId(null);
+        }
+    };
+
+    const deleteComment = (comment) => {
+        const replies = comment.replies?.length || 0;
+        if (!window.confirm(replies > 0 ? `Delete this thread and its ${replies} repl${replies === 1 ? 'y' : 'ies'}?` : 'Delete this comment?')) return;
+        run(async () => {
+            await apiCall(`/vaults/${vaultId}/comments/${comment.id}`, { method: 'DELETE' });
+            setThreads((prev) => applyCommentEvent(prev, 'deleted', comment));
+        }, 'Failed to delete comment');
+    };
+
+    const canResolve = (thread) => role !== 'VIEWER' || thread.authorId === user?.id;
+
+    const renderComment = (comment, thread) => (
+        <div key={comment.id} className="comment">
+            <div className="comment-meta">
+                <strong>{comment.author}</strong> • {new Date(comment.createdAt).toLocaleString()}
+                {comment.editedAt && ' (edited)'}
+            </div>
+            {editingId === comment.id ? (
+                <form className="comment-form" onSubmit={saveEdit}>
+                    <textarea value={editText} onChange={(e) => setEditText(e.target.value)} rows="2" maxLength={5000} />
+                    <button type="submit" disabled={!editText.trim()}>Save</button>
+                    <button type="button" onClick={() => setEditingId(null)}>Cancel</button>
+                </form>
+            ) : (
+                <p className="comment-body">{renderMentions(comment.body, comment.mentions)}</p>
+            )}
+            <div className="comment-actions">
+                {comment === thread && !thread.resolved && (
+                    <button onClick={() => setReplyTo(thread.id)}>↩ Reply</button>
+                )}
+                {comment === thread && canResolve(thread) && (
+                    <button onClick={() => updateComment(thread.id, { resolved: !thread.resolved })}>
+                        {thread.resolved ? '↺ Reopen' : '✓ Resolve'}
+                    </button>
+                )}
+                {comment.authorId === user?.id && editingId !== comment.id && (
+                    <button onClick={() => { setEditingId(comment.id); setEditText(comment.body); }}>✏️ Edit</button>
+                )}
+                {(comment.authorId === user?.id || role === 'OWNER') && (
+                    <button onClick={() => deleteComment(comment)}>🗑️ Delete</button>
+                )}
+            </div>
+        </div>
+    );
+
+    const resolvedCount = threads.filter((t) => t.resolved).length;
+    const visible = threads.filter((t) => showResolved || !t.resolved);
+
+    return (
+        <div className="source-comments">
+            {loading ? (
+                <p className="empty-state">Loading comments...</p>
+            ) : (
+                <>
+                    {visible.length === 0 && <p className="empty-state">No open comments.</p>}
+                    {visible.map((thread) => (
+                        <div key={thread.id} className={`comment-thread ${thread.resolved ? 'resolved' : ''}`}>
+                            {thread.resolved && (
+                                <div className="comment-resolved">✓ Resolved by {thread.resolvedBy}</div>
+                            )}
+                            {renderComment(thread, thread)}
+                            <div className="comment-replies">
+                                {thread.replies.map((reply) => renderComment(reply, thread))}
+                            </div>
+                            {replyTo === thread.id && (
+                                <form className="comment-form" onSubmit={(e) => postComment(e, replyText, thread.id)}>
+                                    <textarea
+                                        placeholder="Reply... (@Name to mention)"
+                                        value={replyText}
+                                        onChange={(e) => setReplyText(e.target.value)}
+                                        rows="2"
+                                        maxLength={5000}
+                                        autoFocus
+                                    />
+                                    <button type="submit" disabled={!replyText.trim()}>Reply</button>
+                                    <button type="button" onClick={() => setReplyTo(null)}>Cancel</button>
+                                </form>
+                            )}
+                        </div>
+                    ))}
+                    {resolvedCount > 0 && (
+                        <button className="comment-toggle" onClick={() => setShowResolved(!showResolved)}>
+                            {showResolved ? 'Hide' : 'Show'} {resolvedCount} resolved thread{resolvedCount === 1 ? '' : 's'}
+                        </button>
+                    )}
+                </>
+            )}
+            <form className="comment-form" onSubmit={(e) => postComment(e, newComment)}>
+                <textarea
+                    placeholder="Start a thread... (@Name to mention a member)"
+                    value={newComment}
+                    onChange={(e) => setNewComment(e.target.value)}
+                    rows="2"
+                    maxLength={5000}
+                />
+                <button type="submit" disabled={!newComment.trim()}>Comment</button>
+            </form>
+        </div>
+    );
+}
+
+export default SourceComments;
@@ -0,0 +1,196 @@
+/**
+ * SourceHistory Component
+ * Version list for one source: who changed what and when. Notes can compare any
+ * two versions line by line, earlier files can be downloaded, and members who may
+ * edit the source can restore a version (which is added as a new version).
+ */
+
+import { useState, useEffect } from 'react';
+
+const CHANGE_LABELS = {
+    created: 'Created',
+    updated: 'Edited',
+    'note-edit': 'Edited live',
+    restored: 'Restored'
+};
+
+const FIELD_LABELS = {
+    title: 'title',
+    content: 'content',
+    mimeType: 'file',
+    size: 'file',
+    metadata: 'link details',
+    fieldOrigins: 'citation details'
+};
+
+// Readable summary of what a version changed
+export const describeVersion = (version) => {
+    const { fields = [], collaborators, restoredFrom } = version.details;
+    const changed = [...new Set(fields.map((field) => FIELD_LABELS[field] || 'citation details'))];
+    const parts = [CHANGE_LABELS[version.change] || version.change];
+    if (restoredFrom) parts[0] += ` from v${restoredFrom}`;
+    if (changed.length > 0) parts.push(changed.join(', '));
+    if (collaborators && collaborators.length > 1) parts.push(`with ${collaborators.slice(1).join(', ')}`);
+    return parts.join(' • ');
+};
+
+function SourceHistory({ source, canRestore, socket, apiCall, authFetch, onError }) {
+    const [history, setHistory] = useState([]);
+    const [loading, setLoading] = useState(true);
+    const [compare, setCompare] = useState({ from: null, to: null });
+    const [diff, setDiff] = useState(null);
+
+    const isNote = source.type === 'note';
+    const hasFile = source.type === 'file' || source.type === 'image';
+
+    const fetchHistory = async () => {
+        try {
+            const data = await apiCall(`/sources/${source.id}/versions`);
+            setHistory(data.data);
+        } catch (err) {
+            console.error('Error fetching versions:', err);
+            onError(err.message || 'Failed to load version history');
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    useEffect(() => {
+        setLoading(true);
+        setDiff(null);
+        setCompare({ from: null, to: null });
+        fetchHistory();
+    }, [source.id]);
+
+    // Any change to the source (from anyone) adds a version
+    useEffect(() => {
+        if (!socket) return;
+        const handler = (updated) => {
+            if (updated.id === source.id) fetchHistory();
+        };
+        socket.on('source:updated', handler);
+        return () => socket.off('source:updated', handler);
+    }, [socket, source.id]);
+
+    const showDiff = async (from, to) => {
+        try {
+            const data = await apiCall(`/sources/${source.id}/versions/diff?from=${from}&to=${to}`);
+            setDiff(data.data);
+        } catch (err) {
+            console.error('Error comparing versions:', err);
+            onError(err.message || 'Failed to compare versions');
+        }
+    };
+
+    const pick = (version) => {
+        // Clicking two versions compares them, older on the left
+        if (compare.from === null || compare.to !== null) {
+            setCompare({ from: version, to: null });
+            setDiff(null);
+            return;
+        }
+        if (version === compare.from) return;
+        const [from, to] = [compare.from, version].sort((a, b) => a - b);
+        setCompare({ from, to });
+        showDiff(from, to);
+    };
+
+    const downloadVersion = async (version) => {
+        try {
+            const response = await authFetch(`/sources/${source.id}/versions/${version.version}/file`);
+            if (!response.ok) {
+                const data = await response.json().catch(() => ({}));
+                throw new Error(data.error || 'Download failed');
+            }
+
+            const blob = await response.blob();
+            const url = window.URL.createObjectURL(blob);
+            const a = document.createElement('a');
+            a.href = url;
+            a.download = version.title;
+            document.body.appendChild(a);
+            a.click();
+            window.URL.revokeObjectURL(url);
+            document.body.removeChild(a);
+        } catch (err) {
+            console.error('Version download error:', err);
+            onError('Failed to download file: ' + err.message);
+        }
+    };
+
+    const restoreVersion = async (version) => {
+        if (!window.confirm(`Restore version ${version.version}? The current state stays in the history.`)) return;
+        try {
+            await apiCall(`/sources/${source.id}/versions/${version.version}/restore`, { method: 'POST' });
+            // The source:updated event refreshes the list
+        } catch (err) {
+            console.error('Restore error:', err);
+            onError(err.message || 'Failed to restore version');
+        }
+    };
+
+    if (loading) {
+        return <div className="source-history"><p className="empty-state">Loading history...</p></div>;
+    }
+
+    const latest = history.length > 0 ? history[0].version : null;
+
+    return (
+        <div className="source-history">
+            {isNote && history.length > 1 && (
+                <p className="history-hint">
+                    {compare.from !== null && compare.to === null
+                        ? `Pick another version to compare with v${compare.from}`
+                        : 'Pick two versions to compare them'}
+                </p>
+            )}
+            <ul className="version-list">
+                {history.map((version) => (
+                    <li
+                        key={version.id}
+                        className={`version-item ${version.version === compare.from || version.version === compare.to ? 'selected' : ''}`}
+                    >
+                        <div className="version-meta">
+                            <strong>v{version.version}</strong> • {version.createdBy} • {new Date(version.createdAt).toLocaleString()}
+                            {version.version === latest && <span className="version-current">current</span>}
+                        </div>
+                        <div className="version-summary">
+                            {describeVersion(version)}
+                            {version.title !== source.title && <> • “{version.title}”</>}
+                        </div>
+                        <div className="version-actions">
+                            {isNote && history.length > 1 && (
+                                <button onClick={() => pick(version.version)}>⇄ Compare</button>
+                            )}
+                            {hasFile && version.mimeType && (
+                                <button onClick={() => downloadVersion(version)}>📥 File</button>
+                            )}
+                            {canRestore && version.version !== latest && (
+                                <button onClick={() => restoreVersion(version)}>↺ Restore</button>
+                            )}
+                        </div>
+                    </li>
+                ))}
+            </ul>
+            {diff && (
+                <div className="version-diff">
+                    <div className="version-diff-header">
+                        v{diff.from.version} ({diff.from.createdBy}) → v{diff.to.version} ({diff.to.createdBy})
+                        <button onClick={() => { setDiff(null); setCompare({ from: null, to: null }); }}>✕</button>
+                    </div>
+                    {diff.changes.every((part) => part.type === 'unchanged') ? (
+                        <p className="empty-state">The text is the same in both versions.</p>
+                    ) : (
+                        <pre>
+                            {diff.changes.map((part, i) => (
+                                <span key={i} className={`diff-${part.type}`}>{part.text}</span>
+                            ))}
+                        </pre>
+                    )}
+                </div>
+            )}
+        </div>
+    );
+}
+
+export default SourceHistory;
@@ -0,0 +1,137 @@
+/**
+ * TrashBin Component
+ * Deleted sources of one vault, newest first, with the date each will be purged.
+ * Whoever could delete a source can restore it; only the OWNER deletes for good.
+ * The list follows trash:added / trash:removed socket events.
+ */
+
+import { useState, useEffect } from 'react';
+
+const daysUntil = (date) => Math.max(0, Math.ceil((new Date(date) - Date.now()) / (24 * 60 * 60 * 1000)));
+
+export const purgeLabel = (purgeAt) => {
+    const days = daysUntil(purgeAt);
+    if (days === 0) return 'Deleted for good today';
+    return `Deleted for good in ${days} day${days === 1 ? '' : 's'}`;
+};
+
+function TrashBin({ vaultId, role, userId, socket, apiCall, onError }) {
+    const [items, setItems] = useState([]);
+    const [retentionDays, setRetentionDays] = useState(null);
+    const [loading, setLoading] = useState(true);
+
+    useEffect(() => {
+        let cancelled = false;
+        setLoading(true);
+        apiCall(`/vaults/${vaultId}/trash`)
+            .then((data) => {
+                if (cancelled) return;
+                setItems(data.data);
+                setRetentionDays(data.meta.retentionDays);
+            })
+            .catch((err) => {
+                console.error('Error fetching trash:', err);
+                if (!cancelled) onError(err.message || 'Failed to load trash');
+            })
+            .finally(() => {
+                if (!cancelled) setLoading(false);
+            });
+        return () => {
+            cancelled = true;
+        };
+    }, [vaultId]);
+
+    useEffect(() => {
+        if (!socket) return;
+        const onAdded = (item) => {
+            if (item.vaultId !== vaultId) return;
+            setItems((prev) => [item, ...prev.filter((i) => i.id !== item.id)]);
+        };
+        const onRemoved = ({ id, vaultId: itemVaultId }) => {
+            if (itemVaultId === vaultId) setItems((prev) => prev.filter((i) => i.id !== id));
+        };
+        socket.on('trash:added', onAdded);
+        socket.on('trash:removed', onRemoved);
+        return () => {
+            socket.off('trash:added', onAdded);
+            socket.off('trash:removed', onRemoved);
+        };
+    }, [socket, vaultId]);
+
+    const canRestore = (item) => role === 'OWNER' || (role === 'CONTRIBUTOR' && item.addedById === userId);
+
+    // Responses are applied right away; the matching trash:removed event is then a no-op
+    const restore = async (item) => {
+        try {
+            await apiCall(`/vaults/${vaultId}/trash/${item.id}/restore`, { method: 'POST' });
+            setItems((prev) => prev.filter((i) => i.id !== item.id));
+        } catch (err) {
+            console.error('Restore error:', err);
+            onError(err.message || 'Failed to restore source');
+        }
+    };
+
+    const deleteForever = async (item) => {
+        if (!window.confirm(`Delete "${item.title}" for good? This cannot be undone.`)) return;
+        try {
+            await apiCall(`/vaults/${vaultId}/trash/${item.id}`, { method: 'DELETE' });
+            setItems((prev) => prev.filter((i) => i.id !== item.id));
+        } catch (err) {
+            console.error('Permanent delete error:', err);
+            onError(err.message || 'Failed to delete source');
+        }
+    };
+
+    const emptyTrash = async () => {
+        if (!window.confirm(`Delete all ${items.length} source(s) in the trash for good? This cannot be undone.`)) return;
+        try {
+            await apiCall(`/vaults/${vaultId}/trash`, { method: 'DELETE' });
+            setItems([]);
+        } catch (err) {
+            console.error('Empty trash error:', err);
+            onError(err.message || 'Failed to empty trash');
+        }
+    };
+
+    return (
+        <div className="trash-section">
+            <div className="trash-header">
+                <h3>Trash ({items.length})</h3>
+                {role === 'OWNER' && items.length > 0 && (
+                    <button className="delete-btn" onClick={emptyTrash}>Empty trash</button>
+                )}
+            </div>
+            {retentionDays !== null && (
+                <p className="trash-hint">Deleted sources stay here for {retentionDays} days, then they and their files are removed for good.</p>
+            )}
+            {loading ? (
+                <p className="empty-state">Loading trash...</p>
+            ) : items.length === 0 ? (
+                <p className="empty-state">The trash is empty.</p>
+            ) : (
+                <div className="trash-list">
+                    {items.map((item) => (
+                        <div key={item.id} className="trash-item">
+                            <div>
+                                <div className="trash-title">{item.title}</div>
+                                <div className="trash-meta">
+                                    {item.type} • deleted by {item.deletedBy || 'unknown'} on {new Date(item.deletedAt).toLocaleDateString()} • {purgeLabel(item.purgeAt)}
+                                </div>
+                            </div>
+                            <div className="trash-actions">
+                                {canRestore(item) && (
+                                    <button className="cancel-btn" onClick={() => restore(item)}>↺ Restore</button>
+                                )}
+                                {role === 'OWNER' && (
+                                    <button className="delete-btn" onClick={() => deleteForever(item)} title="Delete for good">✕</button>
+                                )}
+                            </div>
+                        </div>
+                    ))}
+                </div>
+            )}
+        </div>
+    );
+}
+
+export default TrashBin;
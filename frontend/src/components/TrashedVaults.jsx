@@ -0,0 +1,74 @@
+/**
+ * TrashedVaults Component
+ * Sidebar list of the user's deleted vaults with restore and delete-for-good.
+ * Refreshes when a vault is deleted, restored, or purged elsewhere.
+ */
+
+import { useState, useEffect } from 'react';
+import { purgeLabel } from './TrashBin';
+
+function TrashedVaults({ socket, apiCall, onError }) {
+    const [vaults, setVaults] = useState([]);
+    const [open, setOpen] = useState(false);
+
+    const fetchTrashedVaults = async () => {
+        try {
+            const data = await apiCall('/vaults/trash');
+            setVaults(data.data);
+        } catch (err) {
+            console.error('Error fetching trashed vaults:', err);
+        }
+    };
+
+    useEffect(() => {
+        fetchTrashedVaults();
+        if (!socket) return;
+        const events = ['vault:deleted', 'vault:created', 'vault:purged'];
+        events.forEach((event) => socket.on(event, fetchTrashedVaults));
+        return () => events.forEach((event) => socket.off(event, fetchTrashedVaults));
+    }, [socket]);
+
+    // The restored vault comes back to the vault list through vault:created
+    const restore = async (vault) => {
+        try {
+            await apiCall(`/vaults/${vault.id}/restore`, { method: 'POST' });
+            setVaults((prev) => prev.filter((v) => v.id !== vault.id));
+        } catch (err) {
+            console.error('Restore vault error:', err);
+            onError(err.message || 'Failed to restore vault');
+        }
+    };
+
+    const deleteForever = async (vault) => {
+        if (!window.confirm(`Delete "${vault.name}" and all of its sources for good? This cannot be undone.`)) return;
+        try {
+            await apiCall(`/vaults/${vault.id}/permanent`, { method: 'DELETE' });
+            setVaults((prev) => prev.filter((v) => v.id !== vault.id));
+        } catch (err) {
+            console.error('Permanent vault delete error:', err);
+            onError(err.message || 'Failed to delete vault');
+        }
+    };
+
+    if (vaults.length === 0) return null;
+
+    return (
+        <div className="trashed-vaults">
+            <button className="trashed-vaults-toggle" onClick={() => setOpen(!open)}>
+                {open ? '▾' : '▸'} 🗑️ Deleted vaults ({vaults.length})
+            </button>
+            {open && vaults.map((vault) => (
+                <div key={vault.id} className="trashed-vault">
+                    <div className="vault-name">{vault.name}</div>
+                    <div className="trash-meta">{vault.sourceCount} source(s) • {purgeLabel(vault.purgeAt)}</div>
+                    <div className="trash-actions">
+                        <button className="cancel-btn" onClick={() => restore(vault)}>↺ Restore</button>
+                        <button className="delete-btn" onClick={() => deleteForever(vault)} title="Delete for good">✕</button>
+                    </div>
+                </div>
+            ))}
+        </div>
+    );
+}
+
+export default TrashedVaults;
@@ -0,0 +1,202 @@
+/**
+ * VaultOrganizer Component
+ * Sidebar browser for a vault's collections (nested folders) and tags.
+ * Selecting an entry filters the source list; OWNER/CONTRIBUTOR can create,
+ * only the OWNER can rename, recolor, move, or delete.
+ */
+
+import { useState, useRef } from 'react';
+
+// Flat collection list → { parentId: [children] } (top level under 'root')
+export const groupCollections = (collections) => {
+    const children = {};
+    collections.forEach((collection) => {
+        const key = collection.parentId ?? 'root';
+        (children[key] = children[key] || []).push(collection);
+    });
+    Object.values(children).forEach((list) => list.sort((a, b) => a.name.localeCompare(b.name)));
+    return children;
+};
+
+// Collection name with its ancestors, e.g. "Reading / ML"
+export const collectionPath = (collections, id) => {
+    const names = [];
+    let current = collections.find((c) => c.id === id);
+    while (current) {
+        names.unshift(current.name);
+        current = collections.find((c) => c.id === current.parentId);
+    }
+    return names.join(' / ');
+};
+
+function VaultOrganizer({ vaultId, role, tags, collections, filter, onFilterChange, apiCall, onChanged, onError }) {
+    const [newTag, setNewTag] = useState({ name: '', color: '#60a5fa' });
+    const [newCollectionName, setNewCollectionName] = useState('');
+    const [colorDrafts, setColorDrafts] = useState({}); // Picker values not yet saved
+    const colorTimers = useRef({});
+
+    const canCreate = role === 'OWNER' || role === 'CONTRIBUTOR';
+    const isOwner = role === 'OWNER';
+    const children = groupCollections(collections);
+
+    const run = async (action) => {
+        try {
+            await action();
+            onChanged();
+        } catch (err) {
+            console.error('Organizer error:', err);
+            onError(err.message);
+        }
+    };
+
+    const createTag = (e) => {
+        e.preventDefault();
+        if (!newTag.name.trim()) return;
+        run(async () => {
+            await apiCall(`/vaults/${vaultId}/tags`, {
+                method: 'POST',
+                body: JSON.stringify(newTag)
+            });
+            setNewTag({ ...newTag, name: '' });
+        });
+    };
+
+    const renameTag = (tag) => {
+        const name = window.prompt('Rename tag', tag.name);
+        if (!name || name.trim() === tag.name) return;
+        run(() => apiCall(`/vaults/${vaultId}/tags/${tag.id}`, { method: 'PATCH', body: JSON.stringify({ name }) }));
+    };
+
+    // Color pickers fire continuously while dragging; save once the value settles
+    const recolorTag = (tag, color) => {
+        setColorDrafts((prev) => ({ ...prev, [tag.id]: color }));
+        clearTimeout(colorTimers.current[tag.id]);
+        colorTimers.current[tag.id] = setTimeout(() => {
+            run(() => apiCall(`/vaults/${vaultId}/tags/${tag.id}`, {
+                method: 'PATCH',
+                body: JSON.stringify({ color })
+            }));
+        }, 400);
+    };
+
+    const deleteTag = (tag) => {
+        if (!window.confirm(`Delete tag "${tag.name}"? It will be removed from every source.`)) return;
+        run(() => apiCall(`/vaults/${vaultId}/tags/${tag.id}`, { method: 'DELETE' }));
+    };
+
+    const createCollection = (parentId) => {
+        const name = parentId ? window.prompt('New subcollection name') : newCollectionName;
+        if (!name || !name.trim()) return;
+        run(async () => {
+            await apiCall(`/vaults/${vaultId}/collections`, {
+                method: 'POST',
+                body: JSON.stringify({ name, parentId })
+            });
+            if (!parentId) setNewCollectionName('');
+        });
+    };
+
+    const renameCollection = (collection) => {
+        const name = window.prompt('Rename collection', collection.name);
+        if (!name || name.trim() === collection.name) return;
+        run(() => apiCall(`/vaults/${vaultId}/collections/${collection.id}`, { method: 'PATCH', body: JSON.stringify({ name }) }));
+    };
+
+    const moveCollection = (collection, parentId) => run(() => apiCall(`/vaults/${vaultId}/collections/${collection.id}`, {
+        method: 'PATCH',
+        body: JSON.stringify({ parentId: parentId === 'top' ? null : parseInt(parentId) })
+    }));
+
+    const deleteCollection = (collection) => {
+        if (!window.confirm(`Delete collection "${collection.name}"? Its sources and subcollections move up one level.`)) return;
+        run(() => apiCall(`/vaults/${vaultId}/collections/${collection.id}`, { method: 'DELETE' }));
+    };
+
+    const selectCollection = (collection) => onFilterChange({ ...filter, collection: filter.collection === collection ? null : collection });
+    const selectTag = (tagId) => onFilterChange({ ...filter, tag: filter.tag === tagId ? null : tagId });
+
+    const renderCollection = (collection) => (
+        <li key={collection.id}>
+            <div className={`organizer-item ${filter.collection === collection.id ? 'active' : ''}`}>
+                <span className="organizer-name" onClick={() => selectCollection(collection.id)}>
+                    📁 {collection.name} <span className="organizer-count">{collection.sourceCount}</span>
+                </span>
+                <span className="organizer-actions">
+                    {canCreate && <button onClick={() => createCollection(collection.id)} title="Add subcollection">+</button>}
+                    {isOwner && (
+                        <>
+                            <button onClick={() => renameCollection(collection)} title="Rename">✏️</button>
+                            <select
+                                value=""
+                                onChange={(e) => moveCollection(collection, e.target.value)}
+                                title="Move into..."
+                            >
+                                <option value="" disabled>↳</option>
+                                <option value="top">Top level</option>
+                                {collections.filter((c) => c.id !== collection.id).map((c) => (
+                                    <option key={c.id} value={c.id}>{collectionPath(collections, c.id)}</option>
+                                ))}
+                            </select>
+                            <button onClick={() => deleteCollection(collection)} title="Delete">🗑️</button>
+                        </>
+                    )}
+                </span>
+            </div>
+            {children[collection.id] && <ul>{children[collection.id].map(renderCollection)}</ul>}
+        </li>
+    );
+
+    return (
+        <div className="vault-organizer">
+            <h3>Collections</h3>
+            <ul className="collection-tree">
+                <li>
+                    <div className={`organizer-item ${filter.collection === null ? 'active' : ''}`}>
+                        <span className="organizer-name" onClick={() => onFilterChange({ ...filter, collection: null })}>📚 All sources</span>
+                    </div>
+                </li>
+                <li>
+                    <div className={`organizer-item ${filter.collection === 'none' ? 'active' : ''}`}>
+                        <span className="organizer-name" onClick={() => selectCollection('none')}>📥 Unfiled</span>
+                    </div>
+                </li>
+                {(children.root || []).map(renderCollection)}
+            </ul>
+            {canCreate && (
+                <form className="organizer-form" onSubmit={(e) => { e.preventDefault(); createCollection(null); }}>
+                    <input type="text" placeholder="New collection..." value={newCollectionName} onChange={(e) => setNewCollectionName(e.target.value)} maxLength={100} />
+                    <button type="submit" disabled={!newCollectionName.trim()}>+</button>
+                </form>
+            )}
+
+            <h3>Tags</h3>
+            <div className="tag-list">
+                {tags.length === 0 && <p className="empty-state">No tags yet.</p>}
+                {tags.map((tag) => (
+                    <div key={tag.id} className={`organizer-item ${filter.tag === tag.id ? 'active' : ''}`}>
+                        <span className="organizer-name" onClick={() => selectTag(tag.id)}>
+                            <span className="tag-dot" style={{ background: colorDrafts[tag.id] || tag.color }} /> {tag.name}
+                            {tag.sourceCount !== undefined && <span className="organizer-count">{tag.sourceCount}</span>}
+                        </span>
+                        {isOwner && (
+                            <span className="organizer-actions">
+                                <input type="color" value={colorDrafts[tag.id] || tag.color} onChange={(e) => recolorTag(tag, e.target.value)} title="Change color" />
+                                <button onClick={() => renameTag(tag)} title="Rename">✏️</button>
+                                <button onClick={() => deleteTag(tag)} title="Delete">🗑️</button>
+                            </span>
+                        )}
+                    </div>
+                ))}
+            </div>
+            {canCreate && (
+                <form className="organizer-form" onSubmit={createTag}>
+                    <input type="color" value={newTag.color} onChange={(e) => setNewTag({ ...newTag, color: e.target.value })} title="Tag color" />
+                    <input type="text" placeholder="New tag..." value={newTag.name} onChange={(e) => setNewTag({ ...newTag, name: e.target.value })} maxLength={50} />
+                    <button type="submit" disabled={!newTag.name.trim()}>+</button>
+                </form>
+            )}
+        </div>
+    );
+}
+
+export default VaultOrganizer;